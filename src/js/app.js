@@ -1,15 +1,28 @@
 /**
- * Main application logic for the Parquet Explorer (JSON Mode)
+ * Main application logic for the Parquet Explorer
  */
 class ParquetExplorer {
     constructor() {
         this.currentFile = null;
         this.parquetData = null;
+        this.parquetReader = null;
+        this.compareView = null;
+        this.library = new FileLibrary();
+        this.libraryView = null;
+        this.findingsPanel = null;
+        this.pushdownPanel = null;
+        this.byteMinimap = null;
+        this.schemaTree = null;
+        this.columnBrowser = null;
+        this.restoringSelection = false;
+        this.followingBrowser = false;
+        this.listenerController = new AbortController();
 
         // Bind methods
         this.handleFileSelect = this.handleFileSelect.bind(this);
         this.handleURLLoad = this.handleURLLoad.bind(this);
         this.handleReset = this.handleReset.bind(this);
+        this.handlePopState = this.handlePopState.bind(this);
     }
 
     /**
@@ -18,38 +31,83 @@ class ParquetExplorer {
     async init() {
         try {
             this.setupEventListeners();
+            this.libraryView = new FileLibraryView(document.getElementById('library-section'), this.library);
+            this.libraryView.render();
             await this.tryLoadFromStorage();
+
+            // A shared link to a different file takes precedence over the stored one
+            const link = DeepLink.parse(window.location.hash);
+            if (link.url && link.url !== this.parquetData?.source) {
+                await this.handleURLLoad(link.url);
+            }
+
             this.hideLoadingScreen();
+            await this.restoreSelection(link.path);
         } catch (error) {
             this.showError(`Initialization failed: ${error.message}`);
         }
     }
 
+    /**
+     * Remove listeners and components so a new instance can take over the page
+     */
+    destroy() {
+        this.listenerController.abort();
+        if (this.libraryView) {
+            this.libraryView.destroy();
+        }
+        if (this.fileStructureViz) {
+            this.fileStructureViz.destroy();
+        }
+        if (this.compareView) {
+            this.compareView.destroy();
+        }
+        if (this.findingsPanel) {
+            this.findingsPanel.destroy();
+        }
+        if (this.pushdownPanel) {
+            this.pushdownPanel.destroy();
+        }
+        if (this.byteMinimap) {
+            this.byteMinimap.destroy();
+        }
+        if (this.schemaTree) {
+            this.schemaTree.destroy();
+        }
+        if (this.columnBrowser) {
+            this.columnBrowser.destroy();
+        }
+        this.closeReader();
+    }
+
     /**
      * Set up event listeners
      */
     setupEventListeners() {
+        // Listeners are removed by destroy() when a new explorer instance takes over the page
+        const { signal } = this.listenerController;
+
         // File input
         const dropZone = document.getElementById('drop-zone');
         const fileInput = document.getElementById('file-input');
 
         // Drag and drop on drop zone
-        dropZone.addEventListener('click', () => fileInput.click());
-        dropZone.addEventListener('dragover', this.handleDragOver);
-        dropZone.addEventListener('dragleave', this.handleDragLeave);
-        dropZone.addEventListener('drop', this.handleDrop.bind(this));
+        dropZone.addEventListener('click', () => fileInput.click(), { signal });
+        dropZone.addEventListener('dragover', this.handleDragOver, { signal });
+        dropZone.addEventListener('dragleave', this.handleDragLeave, { signal });
+        dropZone.addEventListener('drop', this.handleDrop.bind(this), { signal });
 
         // Global drag and drop for file replacement
-        document.body.addEventListener('dragover', this.handleGlobalDragOver.bind(this));
-        document.body.addEventListener('dragleave', this.handleGlobalDragLeave.bind(this));
-        document.body.addEventListener('drop', this.handleGlobalDrop.bind(this));
+        document.body.addEventListener('dragover', this.handleGlobalDragOver.bind(this), { signal });
+        document.body.addEventListener('dragleave', this.handleGlobalDragLeave.bind(this), { signal });
+        document.body.addEventListener('drop', this.handleGlobalDrop.bind(this), { signal });
 
         // File input change
         fileInput.addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
                 loadNewFile(e.target.files[0]);
             }
-        });
+        }, { signal });
 
         // URL input
         const urlInput = document.getElementById('url-input');
@@ -60,7 +118,7 @@ class ParquetExplorer {
             if (url) {
                 loadNewURL(url);
             }
-        });
+        }, { signal });
 
         urlInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -69,11 +127,141 @@ class ParquetExplorer {
                     loadNewURL(url);
                 }
             }
-        });
+        }, { signal });
+
+        // Recently opened files
+        document.getElementById('library-section').addEventListener('entryOpened', (e) => {
+            openLibraryEntry(e.detail.id);
+        }, { signal });
 
         // Reset button
-        document.getElementById('reset-btn').addEventListener('click', this.handleReset);
-        document.getElementById('error-reset-btn').addEventListener('click', this.handleReset);
+        document.getElementById('reset-btn').addEventListener('click', this.handleReset, { signal });
+        document.getElementById('error-reset-btn').addEventListener('click', this.handleReset, { signal });
+
+        // Compare button
+        const compareInput = document.getElementById('compare-file-input');
+        document.getElementById('compare-btn').addEventListener('click', () => compareInput.click(), { signal });
+        compareInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.handleCompareFile(e.target.files[0]);
+                e.target.value = '';
+            }
+        }, { signal });
+
+        // Keep the address bar in sync with the drill-down selection
+        document.getElementById('canvas-container').addEventListener('segmentSelected', (e) => {
+            this.updateLocation(e.detail.path);
+            if (this.byteMinimap) {
+                this.byteMinimap.setSelection(this.fileStructureViz.selectionPath);
+            }
+            this.revealSelectedColumn();
+            // The column browser shows the selected column, chunk or page unless it made the selection
+            if (this.columnBrowser && !this.followingBrowser) {
+                this.columnBrowser.showSelection(this.fileStructureViz.selectionPath);
+            }
+            // Encodings first seen in newly loaded pages get legend entries
+            this.renderColorLegend();
+            if (this.parquetReader) {
+                // Drilling down may have loaded page headers the page-level rules can now check
+                this.updateFindings();
+            }
+        }, { signal });
+
+        // Picking a schema column or group outlines its column chunks in the byte map
+        document.getElementById('schema-tree').addEventListener('nodeSelected', (e) => {
+            if (this.fileStructureViz) {
+                this.fileStructureViz.highlightColumn(e.detail.path || null);
+            }
+        }, { signal });
+        document.getElementById('schema-search').addEventListener('input', (e) => {
+            if (this.schemaTree) {
+                this.schemaTree.filter(e.target.value.trim());
+            }
+        }, { signal });
+        document.getElementById('schema-expand-btn').addEventListener('click', () => {
+            if (this.schemaTree) {
+                this.schemaTree.expandAll();
+            }
+        }, { signal });
+        document.getElementById('schema-collapse-btn').addEventListener('click', () => {
+            if (this.schemaTree) {
+                this.schemaTree.collapseAll();
+            }
+        }, { signal });
+
+        // The byte map and the column browser share the structure section as tabs
+        document.querySelectorAll('.structure-tabs .tab-btn').forEach(button => {
+            button.addEventListener('click', () => this.showStructureTab(button.dataset.tab), { signal });
+        });
+        document.getElementById('column-browser').addEventListener('browserNavigated', (e) => {
+            this.followColumnBrowser(e.detail);
+        }, { signal });
+
+        // Clicking the minimap drills down to the innermost segment at that byte
+        document.getElementById('byte-minimap').addEventListener('offsetSelected', (e) => {
+            if (this.fileStructureViz) {
+                this.fileStructureViz.jumpToOffset(e.detail.offset);
+            }
+        }, { signal });
+
+        // Drill down to the segment containing a byte offset, e.g. one quoted in a reader error
+        const offsetInput = document.getElementById('offset-input');
+        offsetInput.addEventListener('input', () => offsetInput.setCustomValidity(''), { signal });
+        document.getElementById('offset-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.goToOffset(offsetInput);
+        }, { signal });
+
+        // Row-group-major or column-major drill-down into the data pages
+        document.getElementById('level-mode').addEventListener('change', (e) => {
+            if (this.fileStructureViz) {
+                this.fileStructureViz.setLevelMode(e.target.value);
+            }
+        }, { signal });
+
+        // Element type colors or a heatmap of a measured property
+        document.getElementById('color-mode').addEventListener('change', (e) => {
+            if (this.fileStructureViz) {
+                this.fileStructureViz.setColorMode(e.target.value);
+                this.renderColorLegend();
+            }
+        }, { signal });
+
+        // Readable or strictly linear segment widths; levels zoom and pan on their own
+        document.getElementById('scale-mode').addEventListener('change', (e) => {
+            if (this.fileStructureViz) {
+                this.fileStructureViz.setScaleMode(e.target.value);
+            }
+        }, { signal });
+        document.getElementById('reset-zoom-btn').addEventListener('click', () => {
+            if (this.fileStructureViz) {
+                this.fileStructureViz.resetZoom();
+            }
+        }, { signal });
+
+        // Export the byte map as an image
+        this.renderExportScales();
+        document.getElementById('export-svg-btn').addEventListener('click', () => this.exportVisualization('svg'), { signal });
+        document.getElementById('export-png-btn').addEventListener('click', () => this.exportVisualization('png'), { signal });
+
+        // Predicate pushdown simulation highlights the segments a reader would fetch
+        const pushdownContainer = document.getElementById('pushdown-panel');
+        pushdownContainer.addEventListener('pushdownRequested', (e) => {
+            this.runPushdown(e.detail.expression, e.detail.projection);
+        }, { signal });
+        pushdownContainer.addEventListener('pushdownCleared', () => {
+            if (this.fileStructureViz) {
+                this.fileStructureViz.setSegmentHighlights(null);
+            }
+        }, { signal });
+
+        // Best-practice findings navigate the file structure explorer
+        document.getElementById('findings-panel').addEventListener('findingSelected', (e) => {
+            this.showFinding(e.detail.finding);
+        }, { signal });
+
+        // Browser back/forward moves between drill-down levels of deep links
+        window.addEventListener('popstate', this.handlePopState, { signal });
     }
 
     /**
@@ -143,28 +331,55 @@ class ParquetExplorer {
      * Handle file selection
      */
     async handleFileSelect(file) {
-        if (!file.name.toLowerCase().endsWith('.json')) {
-            this.showError('Please select a .json file');
+        const isParquet = ParquetFileReader.isParquetName(file.name);
+        if (!isParquet && !file.name.toLowerCase().endsWith('.json')) {
+            this.showError('Please select a .json or .parquet file');
             return;
         }
 
         this.showLoadingScreen();
+
+        if (isParquet) {
+            await this.handleParquetFile(file);
+            return;
+        }
+
         this.updateLoadingStatus('Reading JSON file...');
 
         try {
             const text = await file.text();
             this.updateLoadingStatus('Parsing JSON data...');
-            await this.parseJSON(text, file.name);
+            await this.parseJSON(text, file.name, file);
         } catch (error) {
             this.showError(`Failed to parse file: ${error.message}`);
         }
     }
 
+    /**
+     * Decode a raw parquet file in the browser
+     */
+    async handleParquetFile(file) {
+        this.updateLoadingStatus('Decoding parquet footer and page headers...');
+
+        try {
+            const data = await ParquetFileReader.fromFile(file);
+            await this.loadData(data, file.name, file);
+        } catch (error) {
+            this.showError(`Failed to read parquet file: ${error.message}`);
+        }
+    }
+
     /**
      * Handle URL loading
      */
     async handleURLLoad(url) {
         this.showLoadingScreen();
+
+        if (ParquetFileReader.isParquetName(url)) {
+            await this.handleParquetURL(url);
+            return;
+        }
+
         this.updateLoadingStatus('Fetching remote JSON...');
 
         try {
@@ -181,38 +396,288 @@ class ParquetExplorer {
         }
     }
 
+    /**
+     * Read only the footer of a remote parquet file; page headers are fetched on demand
+     */
+    async handleParquetURL(url) {
+        this.updateLoadingStatus('Fetching parquet footer...');
+
+        try {
+            this.closeReader();
+            this.parquetReader = await this.createURLReader(url);
+            const data = await this.parquetReader.readFooter();
+            await this.loadData(data, url);
+        } catch (error) {
+            this.showError(`Failed to load URL: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a range-request backed reader for a remote parquet file
+     */
+    async createURLReader(url) {
+        const adapter = new URLFileAdapter(url);
+        await adapter.initialize();
+        return new ParquetFileReader(adapter, url);
+    }
+
+    /**
+     * Close the remote parquet reader, if any, so it cannot load pages into another file
+     */
+    closeReader() {
+        if (this.parquetReader) {
+            this.parquetReader.close();
+            this.parquetReader = null;
+        }
+    }
+
     /**
      * Parse the JSON data
      */
-    async parseJSON(jsonText, source) {
+    async parseJSON(jsonText, source, file = null) {
         try {
             const data = JSON.parse(jsonText);
 
-            // Validate the JSON structure matches our schema
+            // Upgrade older dump formats before validating against the current schema
+            this.applyMigrations(data);
+
+            // Structural problems we cannot display at all are thrown as errors
             this.validateParquetJSON(data);
 
-            // Add the source to the data object (preserve existing source if available)
-            if (!data.source) {
-                data.source = source;
+            // Schema violations are reported, but the user may choose to continue
+            const violations = await this.validateAgainstSchema(data);
+            if (violations.length > 0) {
+                this.showValidationErrors(violations, () => this.loadData(data, source, file));
+                return;
             }
 
-            this.parquetData = data;
+            await this.loadData(data, source, file);
+        } catch (error) {
+            throw new Error(`JSON parsing failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate, store and display parsed file data
+     */
+    async loadData(data, source, file = null) {
+        this.applyMigrations(data);
+
+        // Validate the data structure matches our schema
+        this.validateParquetJSON(data);
+
+        // A reader restored for the previous file must not fetch pages for this one
+        if (this.parquetReader?.source !== source) {
+            this.closeReader();
+        }
+
+        // Add the source to the data object (preserve existing source if available)
+        if (!data.source) {
+            data.source = source;
+        }
+
+        this.parquetData = data;
 
-            // Store in IndexedDB
-            await this.saveToStorage(data, source);
+        // Store in IndexedDB
+        await this.saveToStorage(data, source, file);
 
-            // Show the explorer interface
-            this.showExplorer();
+        // Show the explorer interface
+        this.hideComparison();
+        this.showExplorer();
 
-            // Populate the UI with data
-            this.populateUI();
+        // Populate the UI with data
+        this.populateUI();
+        this.updateLocation([], true);
+
+        this.hideLoadingScreen();
+    }
+
+    /**
+     * Compare the loaded file with a second local file
+     */
+    async handleCompareFile(file) {
+        if (!this.parquetData) {return;}
+
+        this.showLoadingScreen();
+
+        try {
+            // Lazily read remote files only have the pages the user drilled into
+            if (this.parquetReader) {
+                this.updateLoadingStatus('Fetching page headers for comparison...');
+                for (const chunk of this.parquetData.column_chunks) {
+                    await this.parquetReader.readColumnChunkPages(chunk);
+                }
+            }
+
+            this.updateLoadingStatus('Reading comparison file...');
+            const otherData = await this.readComparisonData(file);
 
             this.hideLoadingScreen();
+            this.showComparison(otherData);
         } catch (error) {
-            throw new Error(`JSON parsing failed: ${error.message}`);
+            this.showError(`Failed to compare files: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read, migrate and validate a file for comparison without replacing the loaded file
+     */
+    async readComparisonData(file) {
+        let data;
+
+        if (ParquetFileReader.isParquetName(file.name)) {
+            data = await ParquetFileReader.fromFile(file);
+        } else if (file.name.toLowerCase().endsWith('.json')) {
+            data = JSON.parse(await file.text());
+            const report = DumpMigrator.migrate(data);
+            report.warnings.forEach(warning => console.warn(`${file.name}: ${warning}`));
+        } else {
+            throw new Error('Please select a .json or .parquet file');
+        }
+
+        this.validateParquetJSON(data);
+
+        const violations = await this.validateAgainstSchema(data);
+        if (violations.length > 0) {
+            console.warn(`${file.name} has ${violations.length} schema violation(s):`);
+            console.table(violations);
+        }
+
+        if (!data.source) {
+            data.source = file.name;
+        }
+
+        return data;
+    }
+
+    /**
+     * Replace the file structure explorer with a side-by-side comparison
+     */
+    showComparison(otherData) {
+        const structureSection = document.getElementById('file-structure-section');
+        const findingsSection = document.getElementById('findings-section');
+        const compareSection = document.getElementById('compare-section');
+
+        if (!this.compareView) {
+            this.compareView = new CompareView(compareSection);
+            compareSection.addEventListener('compareClosed', () => this.hideComparison());
+        }
+
+        structureSection.style.display = 'none';
+        findingsSection.style.display = 'none';
+        compareSection.style.display = 'block';
+        this.compareView.show(this.parquetData, otherData);
+    }
+
+    /**
+     * Leave compare mode and return to the file structure explorer
+     */
+    hideComparison() {
+        if (this.compareView) {
+            this.compareView.destroy();
+        }
+
+        const structureSection = document.getElementById('file-structure-section');
+        const findingsSection = document.getElementById('findings-section');
+        const compareSection = document.getElementById('compare-section');
+        if (structureSection) {structureSection.style.display = 'block';}
+        if (findingsSection) {findingsSection.style.display = 'block';}
+        if (compareSection) {
+            compareSection.style.display = 'none';
+            compareSection.innerHTML = '';
         }
     }
 
+    /**
+     * Drill down to a segment path from a deep link
+     * @param {string[]} path - Segment IDs, outermost first
+     */
+    async restoreSelection(path) {
+        if (!this.fileStructureViz) {return;}
+
+        this.restoringSelection = true;
+        try {
+            await this.fileStructureViz.ready;
+            await this.fileStructureViz.selectPath(path);
+        } finally {
+            this.restoringSelection = false;
+        }
+
+        // Drop any part of the path that does not exist in this file
+        this.updateLocation(this.fileStructureViz.selectionPath.map(segment => segment.id), true);
+    }
+
+    /**
+     * Point the address bar at the current file and selection so it can be shared
+     * @param {string[]} path - Selected segment IDs
+     * @param {boolean} [replace=false] - Replace the current history entry instead of adding one
+     */
+    updateLocation(path, replace = false) {
+        if (this.restoringSelection || !this.parquetData) {return;}
+
+        const source = this.parquetData.source;
+        const hash = DeepLink.format({ url: DeepLink.isShareable(source) ? source : null, path });
+        if (hash === window.location.hash) {return;}
+
+        const href = `${window.location.pathname}${window.location.search}${hash}`;
+        if (replace) {
+            history.replaceState(null, '', href);
+        } else {
+            history.pushState(null, '', href);
+        }
+    }
+
+    /**
+     * Remove any deep link from the address bar
+     */
+    clearLocation() {
+        if (window.location.hash) {
+            history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+        }
+    }
+
+    /**
+     * Follow browser back/forward between deep-linked selections
+     */
+    async handlePopState() {
+        const link = DeepLink.parse(window.location.hash);
+
+        if (link.url && link.url !== this.parquetData?.source) {
+            await this.handleURLLoad(link.url);
+        }
+
+        await this.restoreSelection(link.path);
+    }
+
+    /**
+     * Upgrade a dump to the current format version and surface any version warnings
+     */
+    applyMigrations(data) {
+        const report = DumpMigrator.migrate(data);
+        report.applied.forEach(step => console.log(`Migrated dump: ${step}`));
+        this.showFormatWarnings(report.warnings);
+        return report;
+    }
+
+    /**
+     * Show or hide the dump format warning banner
+     */
+    showFormatWarnings(warnings) {
+        const banner = document.getElementById('format-warning');
+        if (!banner) {return;}
+
+        warnings.forEach(warning => console.warn(warning));
+        banner.textContent = warnings.join(' ');
+        banner.style.display = warnings.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Check whether a source is a remote parquet URL read via range requests
+     */
+    isRemoteParquet(source) {
+        return /^https?:\/\//i.test(source || '') && ParquetFileReader.isParquetName(source);
+    }
+
     /**
      * Validate that the JSON matches our expected parquet schema
      */
@@ -238,6 +703,21 @@ class ParquetExplorer {
         console.log('JSON validation passed');
     }
 
+    /**
+     * Validate data against the por-que JSON schema
+     * @returns {Promise<object[]>} Schema violations (empty if valid or the schema is unavailable)
+     */
+    async validateAgainstSchema(data) {
+        this.updateLoadingStatus('Validating against por-que schema...');
+
+        const schema = await JsonSchemaValidator.loadSchema();
+        if (!schema) {return [];}
+
+        const violations = JsonSchemaValidator.validate(data, schema);
+        console.log(`Schema validation found ${violations.length} violation(s)`);
+        return violations;
+    }
+
     /**
      * Populate the UI with parsed data
      */
@@ -252,6 +732,14 @@ class ParquetExplorer {
             this.initializeFileStructureViz(this.parquetData);
             console.log('File structure viz initialized successfully');
 
+            if (this.pushdownPanel) {
+                this.pushdownPanel.reset();
+            } else {
+                this.pushdownPanel = new PushdownPanel(document.getElementById('pushdown-panel'));
+            }
+
+            this.updateFindings();
+
         } catch (error) {
             console.error('Error populating UI:', error);
             console.error('Error stack:', error.stack);
@@ -260,6 +748,166 @@ class ParquetExplorer {
     }
 
 
+    /**
+     * Run the best-practice linter and list its findings
+     */
+    updateFindings() {
+        if (!this.parquetData) {return;}
+
+        if (!this.findingsPanel) {
+            this.findingsPanel = new FindingsPanel(document.getElementById('findings-panel'));
+        }
+
+        // Remote parquet files only have page headers for the column chunks opened so far
+        const note = this.parquetReader ?
+            'Page-level checks only cover column chunks whose pages have been loaded.' : null;
+        this.findingsPanel.render(ParquetLinter.lint(this.parquetData), note);
+    }
+
+    /**
+     * Fill the PNG scale selector from the scales the exporter offers
+     */
+    renderExportScales() {
+        document.getElementById('export-scale').innerHTML = SvgExporter.PNG_SCALES.map(scale => {
+            const selected = scale === SvgExporter.DEFAULT_PNG_SCALE ? ' selected' : '';
+            return `<option value="${scale}"${selected}>${scale}×</option>`;
+        }).join('');
+    }
+
+    /**
+     * Download the current byte map as a standalone image
+     * @param {string} format - 'svg' or 'png'
+     */
+    async exportVisualization(format) {
+        if (!this.fileStructureViz?.svg) {return;}
+
+        const exporter = new SvgExporter(this.fileStructureViz);
+        const baseName = this.getExportBaseName();
+
+        try {
+            if (format === 'png') {
+                const scale = parseFloat(document.getElementById('export-scale').value) || SvgExporter.DEFAULT_PNG_SCALE;
+                SvgExporter.download(await exporter.toPngBlob(scale), `${baseName}-structure@${scale}x.png`);
+            } else {
+                SvgExporter.download(exporter.toSvgBlob(), `${baseName}-structure.svg`);
+            }
+        } catch (error) {
+            this.showError(`Failed to export ${format.toUpperCase()}: ${error.message}`);
+        }
+    }
+
+    /**
+     * File name stem for exports, taken from the loaded file's name
+     * @returns {string} Name without directories, query or extension
+     */
+    getExportBaseName() {
+        const source = this.parquetData?.source || 'parquet';
+        return source.split(/[/\\]/).pop().split(/[?#]/)[0].replace(/\.[^.]+$/, '') || 'parquet';
+    }
+
+    /**
+     * Show the legend of the current heatmap color mode; element type colors need none
+     */
+    renderColorLegend() {
+        const legend = document.getElementById('color-legend');
+        const heatmap = this.fileStructureViz?.heatmap;
+        if (!legend) {return;}
+
+        if (!heatmap) {
+            legend.style.display = 'none';
+            legend.innerHTML = '';
+            return;
+        }
+
+        // Category names come from the file, so build the entries as text nodes
+        const title = document.createElement('span');
+        title.className = 'color-legend-title';
+        title.textContent = SegmentHeatmap.MODES[heatmap.mode];
+        legend.replaceChildren(title, ...heatmap.getLegend().map(entry => {
+            const item = document.createElement('span');
+            const swatch = document.createElement('span');
+            item.className = 'color-legend-item';
+            swatch.className = 'color-legend-swatch';
+            swatch.style.background = `var(${entry.color})`;
+            item.append(swatch, entry.label);
+            return item;
+        }));
+        legend.style.display = 'flex';
+    }
+
+    /**
+     * Expand the byte map down to the segment containing the offset typed into an input
+     * Invalid or out-of-range offsets are reported on the input itself
+     * @param {HTMLInputElement} input - Offset input
+     */
+    goToOffset(input) {
+        if (!this.parquetData || !this.fileStructureViz) {return;}
+
+        const offset = this.parseOffset(input.value);
+        const fileSize = this.parquetData.filesize;
+        let message = '';
+        if (offset === null) {
+            message = 'Enter a byte offset, e.g. 1048576 or 0x100000';
+        } else if (offset >= fileSize) {
+            message = `Offset is past the end of the file (${formatNumber(fileSize)} bytes)`;
+        }
+
+        input.setCustomValidity(message);
+        if (message) {
+            input.reportValidity();
+            return;
+        }
+        this.fileStructureViz.jumpToOffset(offset);
+    }
+
+    /**
+     * Parse a decimal or 0x-prefixed hexadecimal byte offset; digit group separators are ignored
+     * @param {string} text - Offset as typed
+     * @returns {number|null} Offset, or null if the text is not a non-negative integer
+     */
+    parseOffset(text) {
+        const cleaned = text.trim().replace(/[\s,_]/g, '');
+        if (/^0x[0-9a-f]+$/i.test(cleaned)) {
+            return parseInt(cleaned.slice(2), 16);
+        }
+        return /^\d+$/.test(cleaned) ? Number(cleaned) : null;
+    }
+
+    /**
+     * Simulate a filtered read and highlight the segments it would fetch
+     * @param {string} expression - Predicate, e.g. "col > 5 AND name = 'x'"
+     * @param {string} projection - 'all' or 'predicate' (read only the filtered columns)
+     */
+    runPushdown(expression, projection) {
+        if (!this.parquetData || !this.fileStructureViz) {return;}
+
+        try {
+            const predicate = PredicateParser.parse(expression);
+            const result = PushdownSimulator.simulate(this.parquetData, predicate, { projection });
+            this.fileStructureViz.setSegmentHighlights(result.segments);
+            this.pushdownPanel.showResult(result);
+        } catch (error) {
+            this.fileStructureViz.setSegmentHighlights(null);
+            this.pushdownPanel.showError(error.message);
+        }
+    }
+
+    /**
+     * Drill down to the segment a finding refers to
+     * @param {object} finding - Finding from ParquetLinter.lint()
+     */
+    async showFinding(finding) {
+        if (!this.fileStructureViz) {return;}
+
+        await this.fileStructureViz.selectPath(finding.path);
+        this.updateLocation(this.fileStructureViz.selectionPath.map(segment => segment.id));
+        document.getElementById('file-structure-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        if (this.parquetReader) {
+            this.updateFindings();
+        }
+    }
+
     /**
      * Get compression algorithm name from code
      */
@@ -314,15 +962,119 @@ class ParquetExplorer {
             // Create info panel manager with its own container
             this.infoPanelManager = new InfoPanelManager(infoPanelContainer);
 
+            // Remote parquet files only have their footer loaded; fetch pages on drill-down
+            const reader = this.parquetReader;
+            const pageLoader = reader ? chunk => reader.readColumnChunkPages(chunk) : null;
+
             // Initialize the SVG visualizer with its own container
+            if (this.fileStructureViz) {
+                this.fileStructureViz.destroy();
+            }
             this.fileStructureViz = new SvgByteVisualizer(canvasContainer, this.infoPanelManager);
-            this.fileStructureViz.initWithData(data);
+
+            // The byte map measures its container when the data is laid out, so it has to be visible by then
+            this.showStructureTab('byte-map-pane');
+            this.fileStructureViz.levelMode = document.getElementById('level-mode')?.value || 'rowgroups';
+            this.fileStructureViz.scaleMode = document.getElementById('scale-mode')?.value || 'log';
+            this.fileStructureViz.colorMode = document.getElementById('color-mode')?.value || 'type';
+            this.fileStructureViz.initWithData(data, pageLoader);
+            this.renderColorLegend();
+
+            if (this.byteMinimap) {
+                this.byteMinimap.destroy();
+            }
+            this.byteMinimap = new ByteMinimap(document.getElementById('byte-minimap'));
+            this.byteMinimap.render(this.fileStructureViz.analyzer.getSegmentsForLevel('overview'));
+
+            this.initializeSchemaTree(data.metadata.schema_root);
+            this.initializeColumnBrowser(data);
         } catch (error) {
             console.error('Error creating file structure visualization:', error);
             container.innerHTML = '<p class="viz-error">Unable to create file structure visualization</p>';
         }
     }
 
+    /**
+     * Show the schema in the sidebar beside the byte map
+     * @param {object} schemaRoot - Root of the por-que schema tree
+     */
+    initializeSchemaTree(schemaRoot) {
+        if (!this.schemaTree) {
+            this.schemaTree = new SchemaTree(document.getElementById('schema-tree'));
+        }
+
+        document.getElementById('schema-search').value = '';
+        this.schemaTree.update(schemaRoot || {});
+
+        const stats = this.schemaTree.getStats(schemaRoot || {});
+        const columns = stats.totalFields - (stats.typeCount.unknown || 0);
+        document.getElementById('schema-stats').textContent =
+            `${formatNumber(columns)} columns, ${formatNumber(stats.totalFields - 1)} fields, depth ${stats.maxDepth}`;
+    }
+
+    /**
+     * Show the columns, chunks and pages of the file as tables in the second structure tab
+     * @param {object} data - Loaded dump
+     */
+    initializeColumnBrowser(data) {
+        if (!this.columnBrowser) {
+            this.columnBrowser = new ColumnBrowser(document.getElementById('column-browser'));
+        }
+        this.columnBrowser.init(data, this, this.fileStructureViz.analyzer);
+    }
+
+    /**
+     * Switch the structure section between the byte map and the column browser
+     * @param {string} tabId - ID of the tab pane to show
+     */
+    showStructureTab(tabId) {
+        document.querySelectorAll('.structure-tabs .tab-btn').forEach(button => {
+            const isActive = button.dataset.tab === tabId;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-selected', isActive);
+        });
+        document.querySelectorAll('.structure-tab-content > .tab-pane').forEach(pane => {
+            pane.classList.toggle('active', pane.id === tabId);
+        });
+
+        // The byte map cannot measure itself while hidden, so lay it out again for the current width
+        if (tabId === 'byte-map-pane' && this.fileStructureViz) {
+            this.fileStructureViz.handleResize();
+        }
+    }
+
+    /**
+     * Select the column, chunk or page the column browser moved to in the byte map
+     * @param {object} detail - browserNavigated event detail: {path, columnPath}
+     */
+    async followColumnBrowser(detail) {
+        if (!this.fileStructureViz) {return;}
+
+        this.followingBrowser = true;
+        try {
+            await this.fileStructureViz.selectPath(detail.path);
+        } finally {
+            this.followingBrowser = false;
+        }
+
+        // Grouped by row group, the byte map has no segment for a whole column; outline its chunks instead
+        if (detail.columnPath && this.schemaTree && detail.columnPath !== this.schemaTree.selectedPath) {
+            this.schemaTree.revealNode(detail.columnPath);
+        }
+    }
+
+    /**
+     * Select the schema node of the innermost selected segment that belongs to a column
+     */
+    revealSelectedColumn() {
+        if (!this.schemaTree || !this.fileStructureViz) {return;}
+
+        const columnSegment = [...this.fileStructureViz.selectionPath].reverse().find(segment => segment.columnPath);
+        if (columnSegment && columnSegment.columnPath !== this.schemaTree.selectedPath) {
+            this.schemaTree.revealNode(columnSegment.columnPath);
+        }
+    }
+
 
     /**
      * Handle reset
@@ -330,12 +1082,16 @@ class ParquetExplorer {
     async handleReset() {
         this.currentFile = null;
         this.parquetData = null;
+        this.closeReader();
+        this.hideComparison();
+        this.clearLocation();
         await this.clearStorage();
 
         // Clear the file structure content
         this.clearFileStructureContent();
 
         this.showFileInput();
+        await this.libraryView.render();
     }
 
     /**
@@ -358,6 +1114,26 @@ class ParquetExplorer {
         if (infoPanelContainer) {
             infoPanelContainer.innerHTML = '';
         }
+        if (this.findingsPanel) {
+            this.findingsPanel.destroy();
+            this.findingsPanel = null;
+        }
+        if (this.pushdownPanel) {
+            this.pushdownPanel.destroy();
+            this.pushdownPanel = null;
+        }
+        if (this.byteMinimap) {
+            this.byteMinimap.destroy();
+            this.byteMinimap = null;
+        }
+        if (this.schemaTree) {
+            this.schemaTree.destroy();
+            this.schemaTree = null;
+        }
+        if (this.columnBrowser) {
+            this.columnBrowser.destroy();
+            this.columnBrowser = null;
+        }
     }
 
 
@@ -430,6 +1206,15 @@ class ParquetExplorer {
         const errorMessage = document.getElementById('error-message');
         if (errorMessage) {errorMessage.textContent = message;}
 
+        const errorDetails = document.getElementById('error-details');
+        if (errorDetails) {
+            errorDetails.innerHTML = '';
+            errorDetails.style.display = 'none';
+        }
+
+        const loadAnywayBtn = document.getElementById('error-load-anyway-btn');
+        if (loadAnywayBtn) {loadAnywayBtn.style.display = 'none';}
+
         const fileInputSection = document.getElementById('file-input-section');
         if (fileInputSection) {fileInputSection.style.display = 'none';}
 
@@ -443,16 +1228,80 @@ class ParquetExplorer {
     }
 
     /**
-     * Try to load data from localStorage
+     * Show schema violations in the error section with an option to load the file anyway
+     * @param {object[]} violations - Violations from JsonSchemaValidator.validate
+     * @param {Function} onLoadAnyway - Async callback that loads the data regardless
+     */
+    showValidationErrors(violations, onLoadAnyway) {
+        const maxShown = 50;
+        const count = violations.length >= JsonSchemaValidator.MAX_VIOLATIONS ?
+            `${violations.length}+` : violations.length;
+        this.showError(`The file does not match the por-que schema (${count} problem${violations.length === 1 ? '' : 's'} found).`);
+
+        const errorDetails = document.getElementById('error-details');
+        if (errorDetails) {
+            const list = document.createElement('ul');
+            list.className = 'validation-errors';
+
+            violations.slice(0, maxShown).forEach(violation => {
+                const item = document.createElement('li');
+                const pointer = document.createElement('code');
+                pointer.textContent = violation.path;
+                item.appendChild(pointer);
+                item.appendChild(document.createTextNode(
+                    ` expected ${violation.expected}, got ${violation.actual}`
+                ));
+                list.appendChild(item);
+            });
+
+            if (violations.length > maxShown) {
+                const more = document.createElement('li');
+                more.className = 'validation-errors-more';
+                more.textContent = `…and ${violations.length - maxShown} more (see browser console)`;
+                list.appendChild(more);
+                console.table(violations);
+            }
+
+            errorDetails.appendChild(list);
+            errorDetails.style.display = 'block';
+        }
+
+        const loadAnywayBtn = document.getElementById('error-load-anyway-btn');
+        if (loadAnywayBtn) {
+            loadAnywayBtn.style.display = 'inline-block';
+            loadAnywayBtn.onclick = async () => {
+                this.showLoadingScreen();
+                this.updateLoadingStatus('Loading despite schema violations...');
+                try {
+                    await onLoadAnyway();
+                } catch (error) {
+                    this.showError(`Failed to load file: ${error.message}`);
+                }
+            };
+        }
+    }
+
+    /**
+     * Reopen the current file from the file library, if any
      */
     async tryLoadFromStorage() {
         try {
-            console.log('Checking IndexedDB...');
-            const storedFile = await this.loadFromIndexedDB();
+            console.log('Checking file library...');
+            const storedFile = await this.library.getCurrent();
 
             if (storedFile) {
-                console.log('Restoring from IndexedDB...');
+                console.log('Restoring from file library...');
                 this.parquetData = storedFile.data;
+                this.applyMigrations(this.parquetData);
+
+                // Remote parquet files were stored footer-only; reconnect for lazy page reads
+                if (this.isRemoteParquet(storedFile.entry.source)) {
+                    try {
+                        this.parquetReader = await this.createURLReader(storedFile.entry.source);
+                    } catch (error) {
+                        console.warn('Remote parquet file unavailable, pages will not load:', error);
+                    }
+                }
 
                 // Show the explorer interface
                 this.showExplorer();
@@ -460,165 +1309,40 @@ class ParquetExplorer {
                 // Populate the UI with data
                 this.populateUI();
 
-                console.log(`Restored file from storage: ${storedFile.source}`);
+                console.log(`Restored file from storage: ${storedFile.entry.source}`);
             } else {
                 console.log('No stored data found, showing file input');
             }
         } catch (error) {
-            console.warn('Failed to load from IndexedDB:', error);
+            console.warn('Failed to load from file library:', error);
             this.clearStorage();
         }
     }
 
     /**
-     * Load from IndexedDB
-     */
-    loadFromIndexedDB() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open('ParquetExplorerDB', 1);
-
-            request.onerror = () => resolve(null); // No data available
-
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains('files')) {
-                    db.createObjectStore('files', { keyPath: 'id' });
-                }
-            };
-
-            request.onsuccess = (event) => {
-                const db = event.target.result;
-
-                // If the object store doesn't exist, the database was never properly initialized
-                if (!db.objectStoreNames.contains('files')) {
-                    db.close();
-                    // Try to recreate the database by deleting it and calling this function again
-                    const deleteRequest = indexedDB.deleteDatabase('ParquetExplorerDB');
-                    deleteRequest.onsuccess = () => {
-                        // Database deleted, resolve with null (no stored data)
-                        resolve(null);
-                    };
-                    deleteRequest.onerror = () => resolve(null);
-                    return;
-                }
-
-                try {
-                    const transaction = db.transaction(['files'], 'readonly');
-                    const store = transaction.objectStore('files');
-                    const getRequest = store.get('current-file');
-
-                    getRequest.onsuccess = () => {
-                        db.close();
-                        resolve(getRequest.result || null);
-                    };
-
-                    getRequest.onerror = () => {
-                        db.close();
-                        resolve(null);
-                    };
-                } catch (error) {
-                    db.close();
-                    resolve(null);
-                }
-            };
-        });
-    }
-
-    /**
-     * Save data to IndexedDB (fallback to localStorage for smaller data)
+     * Add the file to the file library and make it the current file
      */
-    async saveToStorage(data, source) {
+    async saveToStorage(data, source, file = null) {
         try {
-            // Use IndexedDB for larger storage capacity
-            await this.saveToIndexedDB(data, source);
-            console.log('Stored data to IndexedDB');
+            await this.library.save(data, source, file);
+            console.log('Stored data in file library');
         } catch (error) {
-            console.warn('Failed to save to IndexedDB:', error);
-            // Fallback: don't store anything if it's too large
+            console.warn('Failed to save to file library:', error);
             console.log('Data too large to store persistently');
         }
     }
 
     /**
-     * Save to IndexedDB
-     */
-    saveToIndexedDB(data, source) {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open('ParquetExplorerDB', 1);
-
-            request.onerror = () => reject(request.error);
-
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains('files')) {
-                    db.createObjectStore('files', { keyPath: 'id' });
-                }
-            };
-
-            request.onsuccess = (event) => {
-                const db = event.target.result;
-                const transaction = db.transaction(['files'], 'readwrite');
-                const store = transaction.objectStore('files');
-
-                const fileData = {
-                    id: 'current-file',
-                    data: data,
-                    source: source,
-                    timestamp: Date.now()
-                };
-
-                const putRequest = store.put(fileData);
-
-                putRequest.onsuccess = () => {
-                    db.close();
-                    resolve();
-                };
-
-                putRequest.onerror = () => {
-                    db.close();
-                    reject(putRequest.error);
-                };
-            };
-        });
-    }
-
-    /**
-     * Clear stored data
+     * Forget the current file; it stays in the file library
      */
     async clearStorage() {
         try {
-            // Clear IndexedDB
-            await this.clearIndexedDB();
+            await this.library.clearCurrent();
         } catch (error) {
-            console.warn('Failed to clear IndexedDB:', error);
+            console.warn('Failed to clear current file:', error);
         }
     }
 
-    /**
-     * Clear IndexedDB
-     */
-    clearIndexedDB() {
-        return new Promise((resolve, reject) => {
-            // Simple approach: just delete the entire database
-            const deleteRequest = indexedDB.deleteDatabase('ParquetExplorerDB');
-
-            deleteRequest.onsuccess = () => {
-                console.log('IndexedDB cleared successfully');
-                resolve();
-            };
-
-            deleteRequest.onerror = () => {
-                console.log('Failed to clear IndexedDB, but continuing');
-                resolve(); // Don't fail the operation
-            };
-
-            deleteRequest.onblocked = () => {
-                console.log('IndexedDB delete blocked, but continuing');
-                resolve(); // Don't fail the operation
-            };
-        });
-    }
-
 }
 
 // Utility functions
@@ -645,14 +1369,39 @@ let app = null;
 
 // Global function to handle new file loading (creates new app instance)
 async function loadNewFile(file) {
+    // Tear down the previous instance; the new file replaces whatever the current link points at
+    if (app) {
+        app.destroy();
+        app.clearLocation();
+    }
+
     // Create completely new app instance
     app = new ParquetExplorer();
     await app.init();
     return app.handleFileSelect(file);
 }
 
+// Global function to reopen a file from the file library (creates new app instance)
+async function openLibraryEntry(id) {
+    if (app) {
+        app.destroy();
+        app.clearLocation();
+    }
+
+    // The new instance restores the current library entry during init
+    app = new ParquetExplorer();
+    await app.library.setCurrent(id);
+    await app.init();
+}
+
 // Global function to handle new URL loading (creates new app instance)
 async function loadNewURL(url) {
+    // Tear down the previous instance; the new file replaces whatever the current link points at
+    if (app) {
+        app.destroy();
+        app.clearLocation();
+    }
+
     // Create completely new app instance
     app = new ParquetExplorer();
     await app.init();
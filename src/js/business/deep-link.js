@@ -0,0 +1,65 @@
+/**
+ * Deep Link
+ * Encodes a remote file URL and a drill-down selection path in the location hash,
+ * e.g. #url=https%3A%2F%2Fexample.com%2Fdump.json&path=rowgroups/rowgroup_3/chunk_3_5/page_data_3_5_12
+ */
+class DeepLink {
+    /**
+     * Parse a location hash
+     * @param {string} hash - Location hash, with or without the leading '#'
+     * @returns {object} {url, path} where url may be null and path is a list of segment IDs
+     */
+    static parse(hash) {
+        const link = { url: null, path: [] };
+
+        (hash || '').replace(/^#/, '').split('&').forEach(part => {
+            const separator = part.indexOf('=');
+            if (separator === -1) {return;}
+
+            const key = part.slice(0, separator);
+            const value = part.slice(separator + 1);
+
+            try {
+                if (key === 'url' && value) {
+                    link.url = decodeURIComponent(value);
+                } else if (key === 'path' && value) {
+                    link.path = value.split('/').map(id => decodeURIComponent(id));
+                }
+            } catch (error) {
+                console.warn(`Ignoring malformed deep link ${key}:`, error);
+            }
+        });
+
+        return link;
+    }
+
+    /**
+     * Build a location hash
+     * @param {object} link - {url, path}
+     * @returns {string} Hash including the leading '#', or '' when there is nothing to encode
+     */
+    static format({ url = null, path = [] }) {
+        const parts = [];
+        if (url) {
+            parts.push(`url=${encodeURIComponent(url)}`);
+        }
+        if (path.length > 0) {
+            parts.push(`path=${path.map(id => encodeURIComponent(id)).join('/')}`);
+        }
+        return parts.length > 0 ? `#${parts.join('&')}` : '';
+    }
+
+    /**
+     * Check whether a file source can be reopened by someone else (local file names cannot)
+     * @param {string} source - File source (URL or local file name)
+     * @returns {boolean} True for http(s) URLs
+     */
+    static isShareable(source) {
+        return /^https?:\/\//i.test(source || '');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeepLink;
+}
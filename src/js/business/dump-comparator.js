@@ -0,0 +1,348 @@
+/**
+ * Dump Comparator
+ * Aligns two parquet files' segment hierarchies (row groups by ordinal, column chunks by path,
+ * pages by ordinal) and computes size, codec, encoding, page count and statistics differences
+ */
+class DumpComparator {
+    /**
+     * Compare two files
+     * @param {object} dataA - Baseline file data
+     * @param {object} dataB - File data to compare against the baseline
+     * @returns {object} Diff {a, b, summary, rowGroups, columnChunks, columns}; aligned rows carry
+     *     {name, a, b, sizeA, sizeB, delta, changes, status} where status is added/removed/changed/unchanged
+     */
+    static compare(dataA, dataB) {
+        const cacheA = SegmentHierarchyBuilder.buildAll(dataA);
+        const cacheB = SegmentHierarchyBuilder.buildAll(dataB);
+
+        const columnChunks = this._alignColumnChunks(cacheA, cacheB);
+
+        return {
+            a: { source: dataA.source, filesize: dataA.filesize, data: dataA, cache: cacheA },
+            b: { source: dataB.source, filesize: dataB.filesize, data: dataB, cache: cacheB },
+            summary: this._compareSummary(dataA, dataB, cacheA, cacheB),
+            rowGroups: this._alignRowGroups(cacheA, cacheB),
+            columnChunks: columnChunks,
+            columns: this._aggregateColumns(columnChunks)
+        };
+    }
+
+    /**
+     * Align the pages of one column chunk in both files by page ordinal (DICT, DATA0, DATA1, ...)
+     * @param {object} cacheA - Baseline hierarchy cache
+     * @param {object} cacheB - Comparison hierarchy cache
+     * @param {number} rowGroupIndex - Row group ordinal
+     * @param {string} columnPath - Column path
+     * @returns {object[]} Page rows {name, a, b, sizeA, sizeB, delta, changes, status}
+     */
+    static comparePages(cacheA, cacheB, rowGroupIndex, columnPath) {
+        const pagesA = this._getPagesForColumn(cacheA, rowGroupIndex, columnPath);
+        const pagesB = this._getPagesForColumn(cacheB, rowGroupIndex, columnPath);
+        const columnMeta = this._getColumnMeta(cacheA, rowGroupIndex, columnPath) ||
+            this._getColumnMeta(cacheB, rowGroupIndex, columnPath);
+        const names = this._unionKeys(pagesA.map(p => p.name), pagesB.map(p => p.name));
+
+        return names.map(name => {
+            const a = pagesA.find(p => p.name === name) || null;
+            const b = pagesB.find(p => p.name === name) || null;
+            const changes = [];
+
+            if (a && b) {
+                this._pushChange(changes, 'values', a.metadata.num_values, b.metadata.num_values);
+                this._pushChange(changes, 'encoding',
+                    ParquetTypeResolver.getEncodingName(a.metadata.encoding),
+                    ParquetTypeResolver.getEncodingName(b.metadata.encoding));
+                this._pushChange(changes, 'uncompressed',
+                    a.metadata.uncompressed_page_size, b.metadata.uncompressed_page_size);
+                this._compareStatistics(changes, a.metadata.statistics, b.metadata.statistics, columnMeta);
+            }
+
+            return this._row(name, a, b, changes);
+        });
+    }
+
+    /**
+     * Translate a selection path from one file to the matching segments in the other
+     * Column chunks are matched by row group and column path, pages by name within the matched chunk,
+     * and everything else by segment ID. Stops at the first segment without a counterpart.
+     * @param {object} fromCache - Hierarchy cache the path was selected in
+     * @param {object} toCache - Hierarchy cache to translate into
+     * @param {string[]} segmentIds - Selected segment IDs, outermost first
+     * @returns {string[]} Counterpart segment IDs
+     */
+    static mapSelectionPath(fromCache, toCache, segmentIds) {
+        const mapped = [];
+
+        for (const segmentId of segmentIds) {
+            const segment = SegmentHierarchyBuilder.findSegment(fromCache, segmentId);
+            const counterpart = segment ? this._findCounterpart(fromCache, toCache, segment) : null;
+            if (!counterpart) {break;}
+            mapped.push(counterpart.id);
+        }
+
+        return mapped;
+    }
+
+    // Private helper methods
+
+    /**
+     * File-level comparison rows
+     * @private
+     */
+    static _compareSummary(dataA, dataB, cacheA, cacheB) {
+        const totalRows = data => (data.metadata?.row_groups || [])
+            .reduce((sum, rg) => sum + (rg.row_count || 0), 0);
+        const pageCount = cache => Object.values(cache.pages)
+            .reduce((sum, pages) => sum + pages.filter(page => !page.isGap).length, 0);
+
+        return [
+            { label: 'File Size', a: dataA.filesize, b: dataB.filesize, bytes: true },
+            { label: 'Footer Size', a: dataA.metadata?.total_byte_size, b: dataB.metadata?.total_byte_size, bytes: true },
+            { label: 'Row Groups', a: this._getRowGroups(cacheA).length, b: this._getRowGroups(cacheB).length },
+            { label: 'Total Rows', a: totalRows(dataA), b: totalRows(dataB) },
+            { label: 'Column Chunks', a: dataA.column_chunks.length, b: dataB.column_chunks.length },
+            { label: 'Pages', a: pageCount(cacheA), b: pageCount(cacheB) },
+            { label: 'Created By', a: dataA.metadata?.created_by || null, b: dataB.metadata?.created_by || null }
+        ].map(row => ({
+            ...row,
+            delta: typeof row.a === 'number' && typeof row.b === 'number' ? row.b - row.a : null,
+            changed: row.a !== row.b
+        }));
+    }
+
+    /**
+     * Align physical row groups by ordinal
+     * @private
+     */
+    static _alignRowGroups(cacheA, cacheB) {
+        const count = Math.max(this._getRowGroups(cacheA).length, this._getRowGroups(cacheB).length);
+        const rows = [];
+
+        for (let index = 0; index < count; index++) {
+            const a = cacheA.rowgroups.find(rg => rg.rowGroupIndex === index) || null;
+            const b = cacheB.rowgroups.find(rg => rg.rowGroupIndex === index) || null;
+            const changes = [];
+
+            if (a && b) {
+                this._pushChange(changes, 'rows', a.metadata?.row_count, b.metadata?.row_count);
+                this._pushChange(changes, 'columns',
+                    this._getColumnChunks(cacheA, index).length, this._getColumnChunks(cacheB, index).length);
+            }
+
+            rows.push(this._row(`RG${index}`, a, b, changes, { rowGroupIndex: index }));
+        }
+
+        return rows;
+    }
+
+    /**
+     * Align column chunks by row group ordinal and column path
+     * @private
+     */
+    static _alignColumnChunks(cacheA, cacheB) {
+        const rowGroupCount = Math.max(this._getRowGroups(cacheA).length, this._getRowGroups(cacheB).length);
+        const rows = [];
+
+        for (let rowGroupIndex = 0; rowGroupIndex < rowGroupCount; rowGroupIndex++) {
+            const chunksA = this._getColumnChunks(cacheA, rowGroupIndex);
+            const chunksB = this._getColumnChunks(cacheB, rowGroupIndex);
+            const paths = this._unionKeys(chunksA.map(c => c.columnPath), chunksB.map(c => c.columnPath));
+
+            paths.forEach(columnPath => {
+                const a = chunksA.find(c => c.columnPath === columnPath) || null;
+                const b = chunksB.find(c => c.columnPath === columnPath) || null;
+                const changes = [];
+
+                if (a && b) {
+                    const metaA = a.logicalMetadata?.metadata || {};
+                    const metaB = b.logicalMetadata?.metadata || {};
+
+                    this._pushChange(changes, 'codec',
+                        ParquetTypeResolver.getCompressionName(a.physicalMetadata.codec),
+                        ParquetTypeResolver.getCompressionName(b.physicalMetadata.codec));
+                    this._pushChange(changes, 'encodings',
+                        ParquetTypeResolver.getEncodingNames(metaA.encodings),
+                        ParquetTypeResolver.getEncodingNames(metaB.encodings));
+                    this._pushChange(changes, 'pages',
+                        this._getPagesForColumn(cacheA, rowGroupIndex, columnPath).length,
+                        this._getPagesForColumn(cacheB, rowGroupIndex, columnPath).length);
+                    this._pushChange(changes, 'dictionary',
+                        a.physicalMetadata.dictionary_page ? 'yes' : 'no',
+                        b.physicalMetadata.dictionary_page ? 'yes' : 'no');
+                    this._pushChange(changes, 'values', metaA.num_values, metaB.num_values);
+                    this._compareStatistics(changes, metaA.statistics, metaB.statistics, metaA);
+                }
+
+                rows.push(this._row(columnPath, a, b, changes, { rowGroupIndex, columnPath }));
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Total column chunk sizes per column path across all row groups, largest change first
+     * @private
+     */
+    static _aggregateColumns(columnChunkRows) {
+        const byPath = new Map();
+
+        columnChunkRows.forEach(row => {
+            const entry = byPath.get(row.columnPath) || {
+                name: row.columnPath, columnPath: row.columnPath, sizeA: 0, sizeB: 0,
+                chunksA: 0, chunksB: 0, changes: new Set()
+            };
+            entry.sizeA += row.sizeA || 0;
+            entry.sizeB += row.sizeB || 0;
+            entry.chunksA += row.a ? 1 : 0;
+            entry.chunksB += row.b ? 1 : 0;
+            row.changes.forEach(change => entry.changes.add(change.field));
+            byPath.set(row.columnPath, entry);
+        });
+
+        return Array.from(byPath.values())
+            .map(entry => {
+                const delta = entry.sizeB - entry.sizeA;
+                let status = delta !== 0 || entry.changes.size > 0 ? 'changed' : 'unchanged';
+                if (entry.chunksA === 0) {
+                    status = 'added';
+                } else if (entry.chunksB === 0) {
+                    status = 'removed';
+                }
+                return { ...entry, delta, status, changes: Array.from(entry.changes) };
+            })
+            .sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+    }
+
+    /**
+     * Find the segment in toCache corresponding to a segment from fromCache
+     * @private
+     */
+    static _findCounterpart(fromCache, toCache, segment) {
+        // Unaccounted byte ranges are specific to one file's layout
+        if (segment.isGap) {return null;}
+
+        if (segment.id.startsWith('chunk_')) {
+            return (toCache.columnchunks[segment.rowGroupIndex] || [])
+                .find(chunk => chunk.columnPath === segment.columnPath) || null;
+        }
+
+        if (segment.id.startsWith('page_')) {
+            const chunk = (fromCache.columnchunks[segment.rowGroupIndex] || [])
+                .find(c => c.chunkIndex === segment.chunkIndex);
+            if (!chunk) {return null;}
+            return this._getPagesForColumn(toCache, segment.rowGroupIndex, chunk.columnPath)
+                .find(page => page.name === segment.name) || null;
+        }
+
+        return SegmentHierarchyBuilder.findSegment(toCache, segment.id);
+    }
+
+    /**
+     * Page segments for a column in a row group
+     * @private
+     */
+    static _getPagesForColumn(cache, rowGroupIndex, columnPath) {
+        const chunk = (cache.columnchunks[rowGroupIndex] || []).find(c => c.columnPath === columnPath);
+        if (!chunk) {return [];}
+        return (cache.pages[`${rowGroupIndex}_${chunk.chunkIndex}`] || []).filter(page => !page.isGap);
+    }
+
+    /**
+     * Footer metadata of a column chunk
+     * @private
+     */
+    static _getColumnMeta(cache, rowGroupIndex, columnPath) {
+        const chunk = (cache.columnchunks[rowGroupIndex] || []).find(c => c.columnPath === columnPath);
+        return chunk?.logicalMetadata?.metadata || null;
+    }
+
+    /**
+     * Physical row group segments, without unaccounted byte ranges or bloom filters
+     * @private
+     */
+    static _getRowGroups(cache) {
+        return cache.rowgroups.filter(rowGroup => rowGroup.rowGroupIndex !== undefined);
+    }
+
+    /**
+     * Column chunk segments of a row group, without unaccounted byte ranges
+     * @private
+     */
+    static _getColumnChunks(cache, rowGroupIndex) {
+        return (cache.columnchunks[rowGroupIndex] || []).filter(chunk => !chunk.isGap);
+    }
+
+    /**
+     * Compare the statistics fields that matter for pruning
+     * Min/max values are rendered for the column's type when its metadata is given
+     * @private
+     */
+    static _compareStatistics(changes, statsA, statsB, columnMeta = null) {
+        if (!statsA && !statsB) {return;}
+        if (!statsA || !statsB) {
+            this._pushChange(changes, 'statistics', statsA ? 'present' : 'absent', statsB ? 'present' : 'absent');
+            return;
+        }
+
+        this._pushChange(changes, 'null_count', statsA.null_count, statsB.null_count);
+        this._pushChange(changes, 'distinct_count', statsA.distinct_count, statsB.distinct_count);
+        const format = value => (typeof value === 'string' && columnMeta ?
+            ParquetTypeResolver.formatStatistic(value, columnMeta.type, columnMeta.schema_element) : value);
+        this._pushChange(changes, 'min', format(statsA.min_value ?? statsA.min), format(statsB.min_value ?? statsB.min));
+        this._pushChange(changes, 'max', format(statsA.max_value ?? statsA.max), format(statsB.max_value ?? statsB.max));
+    }
+
+    /**
+     * Record a field change when two values differ
+     * @private
+     */
+    static _pushChange(changes, field, a, b) {
+        const normalizedA = a ?? null;
+        const normalizedB = b ?? null;
+        if (normalizedA !== normalizedB) {
+            changes.push({ field, a: normalizedA, b: normalizedB });
+        }
+    }
+
+    /**
+     * Build an aligned row for a pair of segments
+     * @private
+     */
+    static _row(name, a, b, changes, extra = {}) {
+        const sizeA = a ? a.size : null;
+        const sizeB = b ? b.size : null;
+        let status = 'unchanged';
+        if (!a) {
+            status = 'added';
+        } else if (!b) {
+            status = 'removed';
+        } else if (sizeA !== sizeB || changes.length > 0) {
+            status = 'changed';
+        }
+
+        return {
+            name, a, b, sizeA, sizeB,
+            delta: a && b ? sizeB - sizeA : null,
+            changes, status,
+            ...extra
+        };
+    }
+
+    /**
+     * Ordered union of two key lists (A's order first, then keys only in B)
+     * @private
+     */
+    static _unionKeys(keysA, keysB) {
+        const keys = [...keysA];
+        keysB.forEach(key => {
+            if (!keys.includes(key)) {keys.push(key);}
+        });
+        return keys;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DumpComparator;
+}
@@ -0,0 +1,111 @@
+/**
+ * Dump Migrator
+ * Reads a dump's `_meta.format_version` and upgrades older por-que output to the shape the viewer expects
+ */
+class DumpMigrator {
+    /**
+     * Newest dump format version this viewer understands
+     */
+    static CURRENT_FORMAT_VERSION = 0;
+
+    /**
+     * Upgrade steps keyed by the version they upgrade from. Dumps without `_meta` predate
+     * format versioning and are keyed as 'legacy'.
+     */
+    static MIGRATIONS = {
+        legacy: {
+            to: 0,
+            description: 'Upgraded unversioned dump to format v0',
+            migrate: data => DumpMigrator._migrateLegacy(data)
+        }
+    };
+
+    /**
+     * Migrate a dump in place to the current format version
+     * Records what happened on `data._migration` for display in the info panel
+     * @param {object} data - Parsed dump
+     * @returns {object} Migration report {originalVersion, formatVersion, porQueVersion, applied, newerThanSupported, warnings}
+     */
+    static migrate(data) {
+        const meta = data._meta || null;
+        const originalVersion = meta && Number.isInteger(meta.format_version) ? meta.format_version : null;
+        const report = {
+            originalVersion: originalVersion,
+            formatVersion: originalVersion,
+            porQueVersion: meta?.por_que_version || null,
+            supportedVersion: this.CURRENT_FORMAT_VERSION,
+            applied: [],
+            newerThanSupported: false,
+            warnings: []
+        };
+
+        // Already migrated (e.g. restored from storage)
+        if (data._migration && originalVersion === this.CURRENT_FORMAT_VERSION) {
+            return data._migration;
+        }
+
+        if (originalVersion !== null && originalVersion > this.CURRENT_FORMAT_VERSION) {
+            report.newerThanSupported = true;
+            report.warnings.push(
+                `This dump uses format version ${originalVersion}, but this viewer only supports up to ` +
+                `version ${this.CURRENT_FORMAT_VERSION}. Some structures may be missing or shown incorrectly; ` +
+                'update ver-por-que or re-dump with a matching por-que release.'
+            );
+        } else {
+            let version = originalVersion === null ? 'legacy' : originalVersion;
+
+            while (version !== this.CURRENT_FORMAT_VERSION) {
+                const step = this.MIGRATIONS[version];
+                if (!step) {
+                    throw new Error(`No migration available from dump format version ${version}`);
+                }
+                step.migrate(data);
+                report.applied.push(step.description);
+                version = step.to;
+            }
+
+            report.formatVersion = this.CURRENT_FORMAT_VERSION;
+            data._meta = { ...(meta || {}), format_version: this.CURRENT_FORMAT_VERSION };
+        }
+
+        data._migration = report;
+        return report;
+    }
+
+    /**
+     * Describe a format version for display
+     * @param {number|null} version - Format version (null for unversioned dumps)
+     * @returns {string} Display string
+     */
+    static formatVersionLabel(version) {
+        return version === null || version === undefined ? 'unversioned' : `v${version}`;
+    }
+
+    // Private helper methods
+
+    /**
+     * Upgrade dumps written before `_meta` existed
+     * @private
+     */
+    static _migrateLegacy(data) {
+        // Early dumps nested the footer FileMetaData one level deeper
+        const metadata = data.metadata;
+        if (metadata?.metadata && typeof metadata.metadata === 'object' && !metadata.schema_root) {
+            const nested = metadata.metadata;
+            delete metadata.metadata;
+            Object.assign(metadata, nested);
+        }
+
+        if (metadata && !Array.isArray(metadata.key_value_metadata)) {
+            metadata.key_value_metadata = [];
+        }
+
+        data.magic_header = data.magic_header || ParquetConstants.FILE_STRUCTURE.MAGIC_BYTES;
+        data.magic_footer = data.magic_footer || ParquetConstants.FILE_STRUCTURE.MAGIC_BYTES;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DumpMigrator;
+}
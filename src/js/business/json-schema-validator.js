@@ -0,0 +1,230 @@
+/**
+ * JSON Schema Validator
+ * Validates loaded dumps against por-que.jsonschema and reports violations by JSON pointer
+ * Supports the keyword subset the por-que schema uses ($ref, anyOf, type, enum, const, properties,
+ * required, items, additionalProperties)
+ */
+class JsonSchemaValidator {
+    static MAX_VIOLATIONS = 500;
+    static _schemaPromise = null;
+
+    /**
+     * Fetch the por-que schema shipped with the app (referenced by a <link id="por-que-schema">)
+     * @returns {Promise<object|null>} Parsed schema, or null if unavailable
+     */
+    static loadSchema() {
+        if (!this._schemaPromise) {
+            const link = document.getElementById('por-que-schema');
+            this._schemaPromise = !link ? Promise.resolve(null) :
+                fetch(link.href)
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                        }
+                        return response.json();
+                    })
+                    .catch(error => {
+                        console.warn('Unable to load por-que schema, skipping validation:', error);
+                        return null;
+                    });
+        }
+        return this._schemaPromise;
+    }
+
+    /**
+     * Validate a document against a schema
+     * @param {*} data - Document to validate
+     * @param {object} schema - Root JSON schema
+     * @returns {object[]} Violations as {path, expected, actual, message}
+     */
+    static validate(data, schema) {
+        const violations = [];
+        this._validateNode(data, schema, schema, '', violations);
+        return violations;
+    }
+
+    /**
+     * Describe the JSON type of a value
+     * @param {*} value - Any value
+     * @returns {string} JSON schema type name
+     */
+    static getType(value) {
+        if (value === null) {return 'null';}
+        if (Array.isArray(value)) {return 'array';}
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? 'integer' : 'number';
+        }
+        return typeof value;
+    }
+
+    // Private helper methods
+
+    /**
+     * Validate a value against a (sub)schema, appending violations
+     * @private
+     */
+    static _validateNode(value, schema, root, path, violations) {
+        if (violations.length >= this.MAX_VIOLATIONS) {return;}
+
+        if (schema.$ref) {
+            const resolved = this._resolveRef(schema.$ref, root);
+            this._validateNode(value, resolved, root, path, violations);
+            return;
+        }
+
+        if (schema.anyOf) {
+            this._validateAnyOf(value, schema, root, path, violations);
+            return;
+        }
+
+        if (schema.const !== undefined && value !== schema.const) {
+            this._addViolation(violations, path, JSON.stringify(schema.const), this._describeValue(value));
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            this._addViolation(violations, path, `one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`,
+                this._describeValue(value));
+            return;
+        }
+
+        if (schema.type && !this._matchesType(value, schema.type)) {
+            this._addViolation(violations, path, schema.type, this.getType(value));
+            return;
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => {
+                this._validateNode(item, schema.items, root, `${path}/${index}`, violations);
+            });
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            this._validateObject(value, schema, root, path, violations);
+        }
+    }
+
+    /**
+     * Validate object properties, required keys and additional properties
+     * @private
+     */
+    static _validateObject(value, schema, root, path, violations) {
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                this._addViolation(violations, `${path}/${this._escapePointer(key)}`, 'required property', 'missing');
+            }
+        }
+
+        for (const [key, propertyValue] of Object.entries(value)) {
+            const propertyPath = `${path}/${this._escapePointer(key)}`;
+            if (schema.properties?.[key]) {
+                this._validateNode(propertyValue, schema.properties[key], root, propertyPath, violations);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                this._validateNode(propertyValue, schema.additionalProperties, root, propertyPath, violations);
+            }
+        }
+    }
+
+    /**
+     * Validate anyOf, reporting the errors of the closest matching branch
+     * @private
+     */
+    static _validateAnyOf(value, schema, root, path, violations) {
+        const branchResults = schema.anyOf.map(branch => {
+            const branchViolations = [];
+            this._validateNode(value, branch, root, path, branchViolations);
+            return { branch, violations: branchViolations };
+        });
+
+        if (branchResults.some(result => result.violations.length === 0)) {return;}
+
+        // Prefer the closest branch whose top-level type matches (e.g. the non-null half of a
+        // nullable field, or the page version with the fewest problems)
+        const typeMatches = branchResults
+            .filter(result => !result.violations.some(v => v.path === (path || '/')))
+            .sort((a, b) => a.violations.length - b.violations.length);
+        const closest = typeMatches[0];
+        if (closest && (typeMatches.length === 1 || typeMatches[1].violations.length > closest.violations.length)) {
+            closest.violations.forEach(v => this._addViolation(violations, v.path, v.expected, v.actual));
+            return;
+        }
+
+        const expected = schema.anyOf.map(branch => this._describeSchema(branch, root)).join(' | ');
+        this._addViolation(violations, path, expected, this.getType(value));
+    }
+
+    /**
+     * Check a value against a JSON schema type keyword
+     * @private
+     */
+    static _matchesType(value, type) {
+        const types = Array.isArray(type) ? type : [type];
+        const actual = this.getType(value);
+        return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+    }
+
+    /**
+     * Resolve a local "#/..." reference
+     * @private
+     */
+    static _resolveRef(ref, root) {
+        const resolved = ref.replace(/^#\//, '').split('/')
+            .reduce((node, part) => node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+        if (!resolved) {
+            throw new Error(`Unresolvable schema reference: ${ref}`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Short human-readable description of a schema (for anyOf mismatches)
+     * @private
+     */
+    static _describeSchema(schema, root) {
+        if (schema.$ref) {
+            const resolved = this._resolveRef(schema.$ref, root);
+            return resolved.title || schema.$ref.split('/').pop();
+        }
+        if (schema.const !== undefined) {return JSON.stringify(schema.const);}
+        if (schema.type === 'array' && schema.items) {
+            return `array of ${this._describeSchema(schema.items, root)}`;
+        }
+        return schema.title || schema.type || 'schema';
+    }
+
+    /**
+     * Short description of a value for messages
+     * @private
+     */
+    static _describeValue(value) {
+        const type = this.getType(value);
+        if (type === 'object' || type === 'array') {return type;}
+        const text = JSON.stringify(value);
+        return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+    }
+
+    /**
+     * Escape a key for use in a JSON pointer (RFC 6901)
+     * @private
+     */
+    static _escapePointer(key) {
+        return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    /**
+     * Record a violation unless the limit has been reached
+     * @private
+     */
+    static _addViolation(violations, path, expected, actual) {
+        if (violations.length >= this.MAX_VIOLATIONS) {return;}
+        violations.push({
+            path: path || '/',
+            expected: expected,
+            actual: actual,
+            message: `expected ${expected}, got ${actual}`
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JsonSchemaValidator;
+}
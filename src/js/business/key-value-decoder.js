@@ -0,0 +1,368 @@
+/**
+ * Key-Value Decoder
+ * Structured views of the key-value metadata that common writers put in the footer:
+ * the Arrow schema, pandas column metadata, the Spark row schema and GeoParquet column metadata
+ * A decoded value is {title, summary, tables}: summary holds [label, text] pairs and each table is
+ * {title, headers, rows} with rows of {cells, depth}; every string is plain text for the caller to escape
+ */
+class KeyValueDecoder {
+    // Decoder method per metadata key
+    static DECODERS = {
+        'ARROW:schema': 'decodeArrowSchema',
+        'pandas': 'decodePandas',
+        'org.apache.spark.sql.parquet.row.metadata': 'decodeSparkSchema',
+        'geo': 'decodeGeoParquet'
+    };
+
+    // Arrow Type union members (Schema.fbs), indexed by Field.type_type
+    static ARROW_TYPES = [
+        'NONE', 'null', 'int', 'float', 'binary', 'utf8', 'bool', 'decimal', 'date', 'time', 'timestamp', 'interval',
+        'list', 'struct', 'union', 'fixed_size_binary', 'fixed_size_list', 'map', 'duration', 'large_binary',
+        'large_utf8', 'large_list', 'run_end_encoded', 'binary_view', 'utf8_view', 'list_view', 'large_list_view'
+    ];
+
+    static ARROW_TIME_UNITS = ['s', 'ms', 'us', 'ns'];
+    static ARROW_INTERVAL_UNITS = ['year_month', 'day_time', 'month_day_nano'];
+    static ARROW_FLOAT_PRECISIONS = ['float16', 'float32', 'float64'];
+    static ARROW_MESSAGE_SCHEMA = 1;
+    static IPC_CONTINUATION = 0xFFFFFFFF;
+
+    /**
+     * Decode a key-value metadata entry
+     * @param {string} key - Metadata key
+     * @param {string} value - Metadata value
+     * @returns {object|null} Decoded value (see class comment), {title, error} when the value is malformed,
+     *                        or null for keys without a decoder
+     */
+    static decode(key, value) {
+        const method = this.DECODERS[key];
+        if (!method || typeof value !== 'string') {return null;}
+
+        try {
+            return this[method](value);
+        } catch (error) {
+            return { title: key, error: error.message };
+        }
+    }
+
+    /**
+     * Decode ARROW:schema, a base64 Arrow IPC message holding the schema the file was written from
+     * @param {string} value - base64 encoded IPC message
+     * @returns {object} Decoded value with the Arrow field tree
+     */
+    static decodeArrowSchema(value) {
+        const reader = new FlatbufferReader(this._unwrapIpcMessage(ParquetTypeResolver.decodeStatisticBytes(value)));
+        const message = reader.getRootTable();
+        if (reader.readUint8(message, 1) !== this.ARROW_MESSAGE_SCHEMA) {
+            throw new Error('IPC message does not contain a schema');
+        }
+
+        const schema = reader.readTable(message, 2);
+        const fields = reader.readTableVector(schema, 1);
+        const rows = [];
+        fields.forEach(field => this._addArrowFieldRows(reader, field, 0, rows));
+
+        return {
+            title: 'Arrow Schema',
+            summary: [
+                ['Fields', String(fields.length)],
+                ['Endianness', reader.readInt16(schema, 0) === 0 ? 'little' : 'big'],
+                ...this._readArrowMetadata(reader, schema, 2)
+            ],
+            tables: [{ title: 'Arrow Fields', headers: ['Field', 'Type', 'Nullable', 'Metadata'], rows }]
+        };
+    }
+
+    /**
+     * Decode the pandas metadata written by DataFrame.to_parquet()
+     * @param {string} value - JSON text
+     * @returns {object} Decoded value with the dtype of every column
+     */
+    static decodePandas(value) {
+        const pandas = JSON.parse(value);
+        const indexes = (pandas.index_columns || []).map(index => this._formatPandasIndex(index));
+        const creator = pandas.creator ? `${pandas.creator.library || ''} ${pandas.creator.version || ''}`.trim() : null;
+        const indexFields = new Set((pandas.index_columns || []).filter(index => typeof index === 'string'));
+
+        return {
+            title: 'pandas Metadata',
+            summary: [
+                ['pandas Version', pandas.pandas_version || 'Unknown'],
+                ...(creator ? [['Written By', creator]] : []),
+                ['Index', indexes.length > 0 ? indexes.join(', ') : 'None']
+            ],
+            tables: [{
+                title: 'Columns',
+                headers: ['Column', 'Field', 'pandas Type', 'NumPy Type', 'Details'],
+                rows: (pandas.columns || []).map(column => ({
+                    cells: [
+                        column.name === null || column.name === undefined ? '(unnamed)' : String(column.name),
+                        `${column.field_name ?? ''}${indexFields.has(column.field_name) ? ' (index)' : ''}`,
+                        column.pandas_type || '',
+                        column.numpy_type || '',
+                        this._formatEntries(column.metadata)
+                    ]
+                }))
+            }]
+        };
+    }
+
+    /**
+     * Decode the Spark SQL schema Spark writes with every file
+     * @param {string} value - JSON text of a StructType
+     * @returns {object} Decoded value with the Spark field tree
+     */
+    static decodeSparkSchema(value) {
+        const schema = JSON.parse(value);
+        const rows = [];
+        (schema.fields || []).forEach(field => this._addSparkFieldRows(field, 0, rows));
+
+        return {
+            title: 'Spark Schema',
+            summary: [['Fields', String((schema.fields || []).length)]],
+            tables: [{ title: 'Spark Fields', headers: ['Field', 'Type', 'Nullable', 'Metadata'], rows }]
+        };
+    }
+
+    /**
+     * Decode GeoParquet column metadata
+     * @param {string} value - JSON text
+     * @returns {object} Decoded value with the encoding, CRS and bounding box of every geometry column
+     */
+    static decodeGeoParquet(value) {
+        const geo = JSON.parse(value);
+        const columns = Object.entries(geo.columns || {});
+
+        return {
+            title: 'GeoParquet Metadata',
+            summary: [
+                ['Version', geo.version || 'Unknown'],
+                ['Primary Column', geo.primary_column || 'None'],
+                ['Geometry Columns', String(columns.length)]
+            ],
+            tables: [{
+                title: 'Geometry Columns',
+                headers: ['Column', 'Encoding', 'Geometry Types', 'CRS', 'Bounding Box', 'Edges'],
+                rows: columns.map(([name, column]) => ({
+                    cells: [
+                        name,
+                        column.encoding || '',
+                        (column.geometry_types || []).length > 0 ? column.geometry_types.join(', ') : 'Any',
+                        this._formatCrs(column),
+                        Array.isArray(column.bbox) ? `[${column.bbox.join(', ')}]` : '',
+                        column.edges || 'planar'
+                    ]
+                }))
+            }]
+        };
+    }
+
+    /**
+     * Arrow type of a field as text, e.g. int32, timestamp[us, tz=UTC] or decimal128(10, 2)
+     * @param {FlatbufferReader} reader - Reader over the schema message
+     * @param {number} field - Field table position
+     * @returns {string} Type name
+     */
+    static formatArrowType(reader, field) {
+        const typeName = this.ARROW_TYPES[reader.readUint8(field, 2)] || 'unknown';
+        const type = reader.readTable(field, 3);
+        if (type === null) {return typeName;}
+
+        switch (typeName) {
+            case 'int':
+                return `${reader.readBool(type, 1) ? 'int' : 'uint'}${reader.readInt32(type, 0)}`;
+            case 'float':
+                return this.ARROW_FLOAT_PRECISIONS[reader.readInt16(type, 0)] || typeName;
+            case 'decimal':
+                return `decimal${reader.readInt32(type, 2, 128)}(${reader.readInt32(type, 0)}, ${reader.readInt32(type, 1)})`;
+            case 'date':
+                return reader.readInt16(type, 0, 1) === 0 ? 'date32[day]' : 'date64[ms]';
+            case 'time': {
+                const bitWidth = reader.readInt32(type, 1, 32);
+                return `time${bitWidth}[${this.ARROW_TIME_UNITS[reader.readInt16(type, 0, 1)]}]`;
+            }
+            case 'timestamp':
+                return this._formatArrowTimestamp(reader, type);
+            case 'duration':
+                return `duration[${this.ARROW_TIME_UNITS[reader.readInt16(type, 0, 1)]}]`;
+            case 'interval':
+                return `interval[${this.ARROW_INTERVAL_UNITS[reader.readInt16(type, 0)]}]`;
+            default:
+                return this._formatArrowParameterizedType(reader, typeName, type);
+        }
+    }
+
+    // Private helper methods
+
+    /**
+     * Strip the IPC framing (continuation marker and metadata length) from a message
+     * Older writers omit the continuation marker
+     * @private
+     */
+    static _unwrapIpcMessage(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const hasContinuation = view.getUint32(0, true) === this.IPC_CONTINUATION;
+        const start = hasContinuation ? 8 : 4;
+        const length = view.getInt32(hasContinuation ? 4 : 0, true);
+        if (length <= 0 || start + length > bytes.length) {
+            throw new Error('Truncated Arrow IPC message');
+        }
+        return bytes.subarray(start, start + length);
+    }
+
+    /**
+     * Add the rows of an Arrow field and, indented below it, its children
+     * @private
+     */
+    static _addArrowFieldRows(reader, field, depth, rows) {
+        const dictionary = reader.readTable(field, 4);
+        let type = this.formatArrowType(reader, field);
+        if (dictionary !== null) {
+            const indexType = reader.readTable(dictionary, 1);
+            const indices = indexType === null ? 'int32' :
+                `${reader.readBool(indexType, 1) ? 'int' : 'uint'}${reader.readInt32(indexType, 0)}`;
+            type = `dictionary<values=${type}, indices=${indices}${reader.readBool(dictionary, 2) ? ', ordered' : ''}>`;
+        }
+
+        rows.push({
+            depth,
+            cells: [
+                reader.readString(field, 0) ?? '',
+                type,
+                reader.readBool(field, 1) ? 'yes' : 'no',
+                this._readArrowMetadata(reader, field, 6).map(([key, value]) => `${key}=${value}`).join(', ')
+            ]
+        });
+
+        reader.readTableVector(field, 5).forEach(child => this._addArrowFieldRows(reader, child, depth + 1, rows));
+    }
+
+    /**
+     * Custom metadata of an Arrow schema or field as [key, value] pairs
+     * @private
+     */
+    static _readArrowMetadata(reader, table, index) {
+        return reader.readTableVector(table, index).map(entry => [reader.readString(entry, 0) ?? '', reader.readString(entry, 1) ?? '']);
+    }
+
+    /**
+     * Arrow timestamp type with its unit and time zone
+     * @private
+     */
+    static _formatArrowTimestamp(reader, type) {
+        const timezone = reader.readString(type, 1);
+        return `timestamp[${this.ARROW_TIME_UNITS[reader.readInt16(type, 0)]}${timezone ? `, tz=${timezone}` : ''}]`;
+    }
+
+    /**
+     * Arrow types whose only parameter is a width, size, flag or mode
+     * @private
+     */
+    static _formatArrowParameterizedType(reader, typeName, type) {
+        switch (typeName) {
+            case 'fixed_size_binary':
+            case 'fixed_size_list':
+                return `${typeName}[${reader.readInt32(type, 0)}]`;
+            case 'map':
+                return reader.readBool(type, 0) ? 'map (keys sorted)' : 'map';
+            case 'union':
+                return `${reader.readInt16(type, 0) === 1 ? 'dense' : 'sparse'}_union`;
+            default:
+                return typeName;
+        }
+    }
+
+    /**
+     * Describe a pandas index: a stored column, or a RangeIndex that is only recorded in the metadata
+     * @private
+     */
+    static _formatPandasIndex(index) {
+        if (typeof index === 'string') {return index;}
+        if (index?.kind === 'range') {
+            return `RangeIndex(${index.start}, ${index.stop}, ${index.step})${index.name ? ` "${index.name}"` : ''}`;
+        }
+        return JSON.stringify(index);
+    }
+
+    /**
+     * Add the rows of a Spark field and, indented below it, the fields of the struct it holds
+     * @private
+     */
+    static _addSparkFieldRows(field, depth, rows) {
+        rows.push({
+            depth,
+            cells: [
+                field.name ?? '',
+                this._formatSparkType(field.type),
+                field.nullable === false ? 'no' : 'yes',
+                this._formatEntries(field.metadata)
+            ]
+        });
+
+        const struct = this._findSparkStruct(field.type);
+        if (struct) {
+            struct.fields.forEach(child => this._addSparkFieldRows(child, depth + 1, rows));
+        }
+    }
+
+    /**
+     * Spark data type as DDL-like text, e.g. array<string> or map<string,bigint>
+     * @private
+     */
+    static _formatSparkType(type) {
+        if (typeof type === 'string') {return type;}
+
+        switch (type?.type) {
+            case 'struct':
+                return 'struct';
+            case 'array':
+                return `array<${this._formatSparkType(type.elementType)}>`;
+            case 'map':
+                return `map<${this._formatSparkType(type.keyType)},${this._formatSparkType(type.valueType)}>`;
+            case 'udt':
+                return `udt(${type.class || type.pyClass || 'unknown'}, ${this._formatSparkType(type.sqlType)})`;
+            default:
+                return JSON.stringify(type);
+        }
+    }
+
+    /**
+     * Struct nested in a Spark type, directly or as the element of an array
+     * @private
+     */
+    static _findSparkStruct(type) {
+        if (type?.type === 'struct') {return type;}
+        if (type?.type === 'array') {return this._findSparkStruct(type.elementType);}
+        return null;
+    }
+
+    /**
+     * CRS of a GeoParquet column: the PROJJSON name and identifier, OGC:CRS84 when absent
+     * @private
+     */
+    static _formatCrs(column) {
+        if (!('crs' in column)) {return 'OGC:CRS84 (default)';}
+        if (column.crs === null) {return 'Unknown (null)';}
+        if (typeof column.crs === 'string') {return column.crs;}
+
+        const id = column.crs.id ? `${column.crs.id.authority}:${column.crs.id.code}` : null;
+        const name = column.crs.name || 'PROJJSON';
+        return id ? `${name} (${id})` : name;
+    }
+
+    /**
+     * Format the entries of a metadata object as key=value pairs
+     * @private
+     */
+    static _formatEntries(object) {
+        if (!object || typeof object !== 'object') {return '';}
+        return Object.entries(object)
+            .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+            .join(', ');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyValueDecoder;
+}
@@ -0,0 +1,617 @@
+/**
+ * Parquet File Reader
+ * Decodes a raw .parquet file (footer, page headers and page indexes) into the same
+ * structure produced by `por-que dump`, so the rest of the app can consume either
+ */
+class ParquetFileReader {
+    /**
+     * @param {BrowserFileAdapter|URLFileAdapter} adapter - Initialized readable/seekable adapter
+     * @param {string} source - Display name or URL of the file
+     */
+    constructor(adapter, source) {
+        this.adapter = adapter;
+        this.source = source;
+        this.textDecoder = new TextDecoder('utf-8');
+    }
+
+    /**
+     * Read a local parquet file completely
+     * @param {File} file - Browser file object
+     * @returns {Promise<object>} por-que compatible file data
+     */
+    static async fromFile(file) {
+        const adapter = await BrowserFileAdapter.create(file);
+        const reader = new ParquetFileReader(adapter, file.name);
+        return reader.readAll();
+    }
+
+    /**
+     * Check whether a file name or URL looks like a raw parquet file
+     * @param {string} name - File name or URL
+     * @returns {boolean} True for .parquet / .parq paths
+     */
+    static isParquetName(name) {
+        const path = (name || '').split(/[?#]/)[0].toLowerCase();
+        return path.endsWith('.parquet') || path.endsWith('.parq');
+    }
+
+    /**
+     * Read the footer and every column chunk's pages and page indexes
+     * @returns {Promise<object>} por-que compatible file data
+     */
+    async readAll() {
+        const fileData = await this.readFooter();
+
+        for (const chunk of fileData.column_chunks) {
+            await this.readColumnChunkPages(chunk);
+        }
+
+        return fileData;
+    }
+
+    /**
+     * Read the magic bytes and footer FileMetaData
+     * Column chunks are returned with empty page lists; see readColumnChunkPages()
+     * @returns {Promise<object>} por-que compatible file data
+     */
+    async readFooter() {
+        const { MAGIC_SIZE, FOOTER_SIZE, MAGIC_BYTES } = ParquetConstants.FILE_STRUCTURE;
+        const filesize = this.adapter.size;
+
+        if (filesize < MAGIC_SIZE + FOOTER_SIZE) {
+            throw new Error(`File too small to be parquet (${filesize} bytes)`);
+        }
+
+        const magicHeader = this._decodeString(await this._readRange(0, MAGIC_SIZE));
+        const footer = await this._readRange(filesize - FOOTER_SIZE, FOOTER_SIZE);
+        const magicFooter = this._decodeString(footer.subarray(4));
+
+        if (magicHeader !== MAGIC_BYTES || magicFooter !== MAGIC_BYTES) {
+            throw new Error(`Not a parquet file: expected ${MAGIC_BYTES} magic bytes`);
+        }
+
+        const metadataLength = new DataView(footer.buffer, footer.byteOffset, 4).getUint32(0, true);
+        const metadataStart = filesize - FOOTER_SIZE - metadataLength;
+
+        if (metadataStart < MAGIC_SIZE) {
+            throw new Error(`Invalid footer length ${metadataLength}`);
+        }
+
+        const metadataBytes = await this._readRange(metadataStart, metadataLength);
+        const struct = new ThriftCompactReader(metadataBytes, metadataStart).readStruct();
+        const metadata = this._buildFileMetadata(struct, metadataStart, metadataLength);
+
+        return {
+            _meta: { format_version: 0 },
+            source: this.source,
+            filesize: filesize,
+            magic_header: magicHeader,
+            magic_footer: magicFooter,
+            column_chunks: this._buildPhysicalColumnChunks(metadata),
+            metadata: metadata
+        };
+    }
+
+    /**
+     * Walk the page headers of a column chunk and read its column/offset index
+     * Populates the chunk's data_pages, dictionary_page, index_pages, column_index and offset_index in place
+     * @param {object} chunk - Physical column chunk from readFooter()
+     * @returns {Promise<object>} The same chunk
+     */
+    async readColumnChunkPages(chunk) {
+        const leaf = chunk.metadata.metadata.schema_element;
+        const end = chunk.start_offset + chunk.total_byte_size;
+        let offset = chunk.start_offset;
+
+        chunk.data_pages = [];
+        chunk.index_pages = [];
+        chunk.dictionary_page = null;
+
+        while (offset < end) {
+            const header = await this._readPageHeader(offset, end);
+            const page = this._buildPage(header, leaf);
+
+            switch (page.page_type) {
+                case 2:
+                    chunk.dictionary_page = page;
+                    break;
+                case 1:
+                    chunk.index_pages.push(page);
+                    break;
+                default:
+                    chunk.data_pages.push(page);
+            }
+
+            offset += page.header_size + page.compressed_page_size;
+        }
+
+        const meta = chunk.metadata;
+        if (meta.column_index_offset !== null && meta.column_index_length) {
+            const struct = await this._readStructAt(meta.column_index_offset, meta.column_index_length);
+            chunk.column_index = this._buildColumnIndex(struct, leaf);
+        }
+        if (meta.offset_index_offset !== null && meta.offset_index_length) {
+            const struct = await this._readStructAt(meta.offset_index_offset, meta.offset_index_length);
+            chunk.offset_index = this._buildOffsetIndex(struct);
+        }
+
+        return chunk;
+    }
+
+    /**
+     * Release the adapter; a remote file's requests still in flight are aborted
+     */
+    close() {
+        this.adapter.close();
+    }
+
+    // Private helper methods
+
+    /**
+     * Read a byte range through the adapter (works for sync and async adapters)
+     * @private
+     */
+    async _readRange(start, length) {
+        this.adapter.seek(start);
+        const bytes = await this.adapter.read(length);
+        if (bytes.length < length) {
+            throw new Error(`Unexpected end of file reading ${length} bytes at offset ${start}`);
+        }
+        return bytes;
+    }
+
+    /**
+     * Read and decode a single struct occupying a known byte range
+     * @private
+     */
+    async _readStructAt(start, length) {
+        const bytes = await this._readRange(start, length);
+        return new ThriftCompactReader(bytes, start).readStruct();
+    }
+
+    /**
+     * Decode a page header, growing the read window until the whole header fits
+     * @private
+     */
+    async _readPageHeader(offset, end) {
+        let windowSize = Math.min(1024, end - offset);
+
+        for (;;) {
+            const bytes = await this._readRange(offset, windowSize);
+            try {
+                return new ThriftCompactReader(bytes, offset).readStruct();
+            } catch (error) {
+                if (windowSize >= end - offset) {
+                    throw new Error(`Invalid page header at offset ${offset}: ${error.message}`);
+                }
+                windowSize = Math.min(windowSize * 4, end - offset);
+            }
+        }
+    }
+
+    /**
+     * Build FileMetadata from the decoded footer struct
+     * @private
+     */
+    _buildFileMetadata(struct, startOffset, byteLength) {
+        const f = struct.fields;
+        const schemaRoot = this._buildSchemaTree(f[2] || []);
+        const leaves = this._collectLeaves(schemaRoot);
+
+        return {
+            version: f[1],
+            schema_root: schemaRoot,
+            row_groups: (f[4] || []).map(rg => this._buildRowGroup(rg, leaves)),
+            start_offset: startOffset,
+            total_byte_size: byteLength,
+            created_by: f[6] ? this._decodeString(f[6]) : null,
+            key_value_metadata: (f[5] || []).map(kv => ({
+                start_offset: kv.start,
+                byte_length: kv.end - kv.start,
+                key: this._decodeString(kv.fields[1]),
+                value: kv.fields[2] ? this._decodeString(kv.fields[2]) : ''
+            }))
+        };
+    }
+
+    /**
+     * Rebuild the nested schema tree from the flattened SchemaElement list
+     * @private
+     */
+    _buildSchemaTree(elements) {
+        let index = 0;
+
+        const buildNode = (parent) => {
+            const struct = elements[index++];
+            const f = struct.fields;
+            const name = this._decodeString(f[4]);
+            const numChildren = f[5] || 0;
+            const repetition = f[3] !== undefined ? f[3] : 0;
+
+            const node = {
+                name: name,
+                full_path: parent ? (parent.full_path ? `${parent.full_path}.${name}` : name) : '',
+                start_offset: struct.start,
+                byte_length: struct.end - struct.start,
+                repetition: repetition,
+                definition_level: parent ? parent.definition_level + (repetition !== 0 ? 1 : 0) : 0,
+                repetition_level: parent ? parent.repetition_level + (repetition === 2 ? 1 : 0) : 0,
+                field_id: f[9] ?? null,
+                converted_type: f[6] ?? null,
+                logical_type: f[10] ? this._buildLogicalType(f[10]) : null
+            };
+
+            if (!parent) {
+                node.element_type = 'root';
+                node.repetition = 0;
+            } else if (numChildren > 0 || f[1] === undefined) {
+                node.element_type = 'group';
+            } else {
+                node.element_type = 'column';
+                node.type = f[1];
+                node.type_length = f[2] ?? null;
+                node.scale = f[7] ?? null;
+                node.precision = f[8] ?? null;
+            }
+
+            if (node.element_type !== 'column') {
+                node.num_children = numChildren;
+                node.children = {};
+                for (let i = 0; i < numChildren && index < elements.length; i++) {
+                    const child = buildNode(node);
+                    node.children[child.name] = child;
+                }
+            }
+
+            return node;
+        };
+
+        if (elements.length === 0) {
+            throw new Error('Footer contains no schema');
+        }
+
+        return buildNode(null);
+    }
+
+    /**
+     * Convert a LogicalType union into the por-que type-info shape
+     * @private
+     */
+    _buildLogicalType(union) {
+        const [id, value] = Object.entries(union.fields)[0] || [];
+        if (id === undefined) {return null;}
+
+        const logicalType = { logical_type: parseInt(id) };
+        const f = value?.fields || {};
+
+        switch (logicalType.logical_type) {
+            case 5: // DECIMAL
+                logicalType.scale = f[1];
+                logicalType.precision = f[2];
+                break;
+            case 7: // TIME
+            case 8: // TIMESTAMP
+                logicalType.is_adjusted_to_utc = f[1];
+                logicalType.unit = f[2] ? parseInt(Object.keys(f[2].fields)[0]) : 1;
+                break;
+            case 10: // INTEGER
+                logicalType.bit_width = f[1];
+                logicalType.is_signed = f[2];
+                break;
+            case 17: // GEOMETRY
+                logicalType.crs = f[1] ? this._decodeString(f[1]) : null;
+                break;
+            case 18: // GEOGRAPHY
+                logicalType.crs = f[1] ? this._decodeString(f[1]) : null;
+                logicalType.algorithm = f[2] ?? null;
+                break;
+        }
+
+        return logicalType;
+    }
+
+    /**
+     * Collect schema leaves keyed by dotted path
+     * @private
+     */
+    _collectLeaves(node, leaves = {}) {
+        if (node.element_type === 'column') {
+            leaves[node.full_path] = node;
+        }
+        Object.values(node.children || {}).forEach(child => this._collectLeaves(child, leaves));
+        return leaves;
+    }
+
+    /**
+     * Build a RowGroup from its decoded struct
+     * @private
+     */
+    _buildRowGroup(struct, leaves) {
+        const f = struct.fields;
+        const columnChunks = {};
+
+        (f[1] || []).forEach(columnStruct => {
+            const columnChunk = this._buildColumnChunk(columnStruct, leaves);
+            columnChunks[columnChunk.metadata.path_in_schema] = columnChunk;
+        });
+
+        return {
+            start_offset: struct.start,
+            byte_length: struct.end - struct.start,
+            column_chunks: columnChunks,
+            total_byte_size: f[2],
+            row_count: f[3],
+            sorting_columns: f[4] ? f[4].map(sc => ({
+                column_idx: sc.fields[1],
+                descending: sc.fields[2],
+                nulls_first: sc.fields[3]
+            })) : null,
+            file_offset: f[5] ?? null,
+            total_compressed_size: f[6] ?? null,
+            ordinal: f[7] ?? null
+        };
+    }
+
+    /**
+     * Build a ColumnChunk (and its ColumnMetadata) from its decoded struct
+     * @private
+     */
+    _buildColumnChunk(struct, leaves) {
+        const f = struct.fields;
+        const meta = f[3];
+
+        if (!meta) {
+            throw new Error('Column chunk without metadata (encrypted or external columns are not supported)');
+        }
+
+        const m = meta.fields;
+        const path = (m[3] || []).map(part => this._decodeString(part)).join('.');
+        const leaf = leaves[path] || null;
+
+        return {
+            file_offset: f[2],
+            file_path: f[1] ? this._decodeString(f[1]) : null,
+            metadata: {
+                start_offset: meta.start,
+                byte_length: meta.end - meta.start,
+                type: m[1],
+                encodings: m[2] || [],
+                path_in_schema: path,
+                schema_element: leaf,
+                codec: m[4],
+                num_values: m[5],
+                total_uncompressed_size: m[6],
+                total_compressed_size: m[7],
+                data_page_offset: m[9],
+                index_page_offset: m[10] ?? null,
+                dictionary_page_offset: m[11] ?? null,
+                statistics: m[12] ? this._buildStatistics(m[12], leaf) : null,
+                encoding_stats: m[13] ? m[13].map(es => ({
+                    page_type: es.fields[1],
+                    encoding: es.fields[2],
+                    count: es.fields[3]
+                })) : null,
+                bloom_filter_offset: m[14] ?? null,
+                bloom_filter_length: m[15] ?? null,
+                size_statistics: m[16] ? this._buildSizeStatistics(m[16]) : null,
+                geospatial_statistics: m[17] ? this._buildGeospatialStatistics(m[17]) : null
+            },
+            offset_index_offset: f[4] ?? null,
+            offset_index_length: f[5] ?? null,
+            column_index_offset: f[6] ?? null,
+            column_index_length: f[7] ?? null
+        };
+    }
+
+    /**
+     * Flatten row group column chunks into the physical column chunk list
+     * @private
+     */
+    _buildPhysicalColumnChunks(metadata) {
+        const physicalChunks = [];
+
+        metadata.row_groups.forEach((rowGroup, rowGroupIndex) => {
+            Object.values(rowGroup.column_chunks).forEach(columnChunk => {
+                const meta = columnChunk.metadata;
+                const dictOffset = meta.dictionary_page_offset;
+                const startOffset = dictOffset && dictOffset < meta.data_page_offset ?
+                    dictOffset : meta.data_page_offset;
+
+                physicalChunks.push({
+                    path_in_schema: meta.path_in_schema,
+                    start_offset: startOffset,
+                    total_byte_size: meta.total_compressed_size,
+                    codec: meta.codec,
+                    num_values: meta.num_values,
+                    data_pages: [],
+                    index_pages: [],
+                    dictionary_page: null,
+                    metadata: columnChunk,
+                    row_group: rowGroupIndex,
+                    column_index: null,
+                    offset_index: null
+                });
+            });
+        });
+
+        return physicalChunks;
+    }
+
+    /**
+     * Build a page object from a decoded PageHeader struct
+     * @private
+     */
+    _buildPage(header, leaf) {
+        const f = header.fields;
+        const page = {
+            page_type: f[1],
+            start_offset: header.start,
+            header_size: header.end - header.start,
+            uncompressed_page_size: f[2],
+            compressed_page_size: f[3],
+            crc: f[4] ?? null
+        };
+
+        if (page.compressed_page_size < 0) {
+            throw new Error(`Invalid page size at offset ${header.start}`);
+        }
+
+        switch (page.page_type) {
+            case 0: { // DATA_PAGE
+                const h = f[5]?.fields || {};
+                Object.assign(page, {
+                    num_values: h[1],
+                    encoding: h[2],
+                    definition_level_encoding: h[3],
+                    repetition_level_encoding: h[4],
+                    statistics: h[5] ? this._buildStatistics(h[5], leaf) : null,
+                    schema_element: leaf
+                });
+                break;
+            }
+            case 2: { // DICTIONARY_PAGE
+                const h = f[7]?.fields || {};
+                Object.assign(page, {
+                    num_values: h[1],
+                    encoding: h[2],
+                    is_sorted: h[3] || false
+                });
+                break;
+            }
+            case 3: { // DATA_PAGE_V2
+                const h = f[8]?.fields || {};
+                Object.assign(page, {
+                    num_values: h[1],
+                    num_nulls: h[2],
+                    num_rows: h[3],
+                    encoding: h[4],
+                    definition_levels_byte_length: h[5],
+                    repetition_levels_byte_length: h[6],
+                    is_compressed: h[7] !== undefined ? h[7] : true,
+                    statistics: h[8] ? this._buildStatistics(h[8], leaf) : null,
+                    schema_element: leaf
+                });
+                break;
+            }
+        }
+
+        return page;
+    }
+
+    /**
+     * Build ColumnStatistics from a Statistics struct
+     * @private
+     */
+    _buildStatistics(struct, leaf) {
+        const f = struct.fields;
+        return {
+            max: f[1] ? this._toBase64Url(f[1]) : null,
+            min: f[2] ? this._toBase64Url(f[2]) : null,
+            null_count: f[3] ?? null,
+            distinct_count: f[4] ?? null,
+            max_value: f[5] ? this._toBase64Url(f[5]) : null,
+            min_value: f[6] ? this._toBase64Url(f[6]) : null,
+            is_max_value_exact: f[7] ?? null,
+            is_min_value_exact: f[8] ?? null,
+            schema_element: leaf
+        };
+    }
+
+    /**
+     * Build SizeStatistics from its struct
+     * @private
+     */
+    _buildSizeStatistics(struct) {
+        const f = struct.fields;
+        return {
+            unencoded_byte_array_data_bytes: f[1] ?? null,
+            repetition_level_histogram: f[2] || null,
+            definition_level_histogram: f[3] || null
+        };
+    }
+
+    /**
+     * Build GeospatialStatistics from its struct
+     * @private
+     */
+    _buildGeospatialStatistics(struct) {
+        const f = struct.fields;
+        const b = f[1]?.fields;
+        return {
+            bbox: b ? {
+                xmin: b[1],
+                xmax: b[2],
+                ymin: b[3],
+                ymax: b[4],
+                zmin: b[5] ?? null,
+                zmax: b[6] ?? null,
+                mmin: b[7] ?? null,
+                mmax: b[8] ?? null
+            } : null,
+            geospatial_types: f[2] || null
+        };
+    }
+
+    /**
+     * Build a ColumnIndex from its struct
+     * @private
+     */
+    _buildColumnIndex(struct, leaf) {
+        const f = struct.fields;
+        return {
+            start_offset: struct.start,
+            byte_length: struct.end - struct.start,
+            null_pages: f[1] || [],
+            min_values: (f[2] || []).map(value => this._toBase64Url(value)),
+            max_values: (f[3] || []).map(value => this._toBase64Url(value)),
+            boundary_order: f[4],
+            null_counts: f[5] || null,
+            repetition_level_histograms: f[6] || null,
+            definition_level_histograms: f[7] || null,
+            schema_element: leaf
+        };
+    }
+
+    /**
+     * Build an OffsetIndex from its struct
+     * @private
+     */
+    _buildOffsetIndex(struct) {
+        const f = struct.fields;
+        return {
+            start_offset: struct.start,
+            byte_length: struct.end - struct.start,
+            page_locations: (f[1] || []).map(location => ({
+                offset: location.fields[1],
+                compressed_page_size: location.fields[2],
+                first_row_index: location.fields[3]
+            })),
+            unencoded_byte_array_data_bytes: f[2] || null
+        };
+    }
+
+    /**
+     * Decode UTF-8 bytes to a string
+     * @private
+     */
+    _decodeString(bytes) {
+        return this.textDecoder.decode(bytes);
+    }
+
+    /**
+     * Encode raw statistic bytes as base64url, matching por-que's JSON output
+     * @private
+     */
+    _toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParquetFileReader;
+}
@@ -0,0 +1,441 @@
+/**
+ * Parquet Linter
+ * Checks a file's layout and metadata against common Parquet writing best practices
+ * Each finding carries the segment path of the offending segment so it can be shown in the visualizer
+ */
+class ParquetLinter {
+    static THRESHOLDS = {
+        // Typical writer target for a row group's uncompressed size
+        ROW_GROUP_TARGET_BYTES: 128 * 1024 * 1024,
+        // Row groups smaller or larger than the target by this factor are flagged
+        ROW_GROUP_SIZE_FACTOR: 8,
+        // Uncompressed string chunks below this size are too small to be worth compressing
+        UNCOMPRESSED_STRING_BYTES: 1024 * 1024
+    };
+
+    static SEVERITY_ORDER = { warning: 0, info: 1 };
+
+    static RULES = [
+        {
+            id: 'row-group-size',
+            title: 'Row group size',
+            severity: 'warning',
+            check: context => ParquetLinter._checkRowGroupSize(context)
+        },
+        {
+            id: 'page-statistics',
+            title: 'Data pages without statistics',
+            severity: 'warning',
+            check: context => ParquetLinter._checkPageStatistics(context)
+        },
+        {
+            id: 'dictionary-fallback',
+            title: 'Dictionary fallback to PLAIN',
+            severity: 'warning',
+            check: context => ParquetLinter._checkDictionaryFallback(context)
+        },
+        {
+            id: 'page-index',
+            title: 'Missing column/offset index',
+            severity: 'warning',
+            check: context => ParquetLinter._checkPageIndex(context)
+        },
+        {
+            id: 'uncompressed-strings',
+            title: 'Uncompressed string column',
+            severity: 'warning',
+            check: context => ParquetLinter._checkUncompressedStrings(context)
+        },
+        {
+            id: 'sorting-columns',
+            title: 'Unsorted sorting_columns claim',
+            severity: 'warning',
+            check: context => ParquetLinter._checkSortingColumns(context)
+        }
+    ];
+
+    /**
+     * Run all rules against a file
+     * Page-level rules only see column chunks whose page headers are loaded
+     * @param {object} fileData - Parquet file data
+     * @returns {object[]} Findings {ruleId, title, severity, message, path}, warnings first;
+     *                     path is the list of segment IDs leading to the offending segment
+     */
+    static lint(fileData) {
+        const context = this._buildContext(fileData);
+        const findings = [];
+
+        this.RULES.forEach(rule => {
+            try {
+                rule.check(context).forEach(finding => {
+                    findings.push({
+                        ruleId: rule.id,
+                        title: rule.title,
+                        severity: finding.severity || rule.severity,
+                        message: finding.message,
+                        path: finding.path
+                    });
+                });
+            } catch (error) {
+                console.warn(`Lint rule ${rule.id} failed:`, error);
+            }
+        });
+
+        return findings.sort((a, b) => this.SEVERITY_ORDER[a.severity] - this.SEVERITY_ORDER[b.severity]);
+    }
+
+    // Private helper methods
+
+    /**
+     * Collect the row groups and their column chunk segments once for all rules
+     * @private
+     */
+    static _buildContext(fileData) {
+        const rowGroups = fileData.metadata?.row_groups || [];
+        return {
+            rowGroups,
+            chunks: rowGroups.map((rowGroup, index) => SegmentHierarchyBuilder.buildColumnChunkSegments(fileData, index))
+        };
+    }
+
+    /**
+     * Flag row groups far below or above the target size
+     * Small row groups are reported together; the last row group is allowed to be small
+     * @private
+     */
+    static _checkRowGroupSize({ rowGroups }) {
+        const { ROW_GROUP_TARGET_BYTES, ROW_GROUP_SIZE_FACTOR } = this.THRESHOLDS;
+        const minBytes = ROW_GROUP_TARGET_BYTES / ROW_GROUP_SIZE_FACTOR;
+        const maxBytes = ROW_GROUP_TARGET_BYTES * ROW_GROUP_SIZE_FACTOR;
+        const findings = [];
+
+        const small = rowGroups
+            .map((rowGroup, index) => ({ index, size: rowGroup.total_byte_size || 0 }))
+            .filter(({ index, size }) => index < rowGroups.length - 1 && size < minBytes);
+
+        if (small.length > 0) {
+            const smallest = small.reduce((a, b) => (b.size < a.size ? b : a));
+            findings.push({
+                message: `${small.length} of ${rowGroups.length} row groups are under ${formatBytes(minBytes)} uncompressed ` +
+                    `(smallest: row group ${smallest.index} at ${formatBytes(smallest.size)}). ` +
+                    `Many small row groups add footer metadata and I/O requests; aim for about ${formatBytes(ROW_GROUP_TARGET_BYTES)}.`,
+                path: this._rowGroupPath(smallest.index)
+            });
+        }
+
+        rowGroups.forEach((rowGroup, index) => {
+            const size = rowGroup.total_byte_size || 0;
+            if (size > maxBytes) {
+                findings.push({
+                    message: `Row group ${index} is ${formatBytes(size)} uncompressed. ` +
+                        `Readers must buffer whole column chunks and cannot split the work; aim for about ${formatBytes(ROW_GROUP_TARGET_BYTES)}.`,
+                    path: this._rowGroupPath(index)
+                });
+            }
+        });
+
+        return findings;
+    }
+
+    /**
+     * Flag columns whose data page headers carry no statistics
+     * Less important when a column index provides the same per-page min/max
+     * @private
+     */
+    static _checkPageStatistics({ chunks }) {
+        const columns = new Map();
+
+        chunks.flat().forEach(segment => {
+            const chunk = segment.physicalMetadata;
+            const meta = segment.logicalMetadata?.metadata;
+            if (!chunk?.data_pages?.length || !ParquetTypeResolver.supportsStatistics(meta?.type)) {return;}
+
+            const missing = chunk.data_pages.findIndex(page => !this._hasStatistics(page.statistics));
+            if (missing === -1) {return;}
+
+            const column = this._getColumnSummary(columns, segment);
+            column.pages += chunk.data_pages.filter(page => !this._hasStatistics(page.statistics)).length;
+            column.indexed = column.indexed && Boolean(segment.logicalMetadata.column_index_offset);
+            column.path = column.path || this._chunkPath(segment, `page_data_${segment.rowGroupIndex}_${segment.chunkIndex}_${missing}`);
+        });
+
+        return [...columns.entries()].map(([columnPath, column]) => ({
+            severity: column.indexed ? 'info' : 'warning',
+            message: `Column "${columnPath}" has ${column.pages} data page${column.pages === 1 ? '' : 's'} without statistics ` +
+                `across ${column.chunks} column chunk${column.chunks === 1 ? '' : 's'}. ` +
+                (column.indexed ?
+                    'Its column index still allows page pruning, but older readers only use page header statistics.' :
+                    'Without statistics or a column index, readers cannot skip pages by value.'),
+            path: column.path
+        }));
+    }
+
+    /**
+     * Flag columns that start dictionary encoded and switch to PLAIN once the dictionary fills up
+     * Uses encoding_stats when present, otherwise the loaded data page headers
+     * @private
+     */
+    static _checkDictionaryFallback({ chunks }) {
+        const columns = new Map();
+
+        chunks.flat().forEach(segment => {
+            const counts = this._countDataPageEncodings(segment);
+            if (!counts || counts.dictionary === 0 || counts.plain === 0) {return;}
+
+            const column = this._getColumnSummary(columns, segment);
+            column.pages += counts.plain;
+            column.totalPages += counts.total;
+
+            const plainPage = (segment.physicalMetadata?.data_pages || []).findIndex(page => page.encoding === 0);
+            column.path = column.path || this._chunkPath(segment,
+                plainPage === -1 ? null : `page_data_${segment.rowGroupIndex}_${segment.chunkIndex}_${plainPage}`);
+        });
+
+        return [...columns.entries()].map(([columnPath, column]) => ({
+            message: `Column "${columnPath}" falls back from dictionary to PLAIN encoding in ${column.chunks} ` +
+                `column chunk${column.chunks === 1 ? '' : 's'} (${column.pages} of ${column.totalPages} data pages are PLAIN). ` +
+                'The dictionary outgrew the writer\'s dictionary page size limit; raise the limit or disable dictionary encoding for this column.',
+            path: column.path
+        }));
+    }
+
+    /**
+     * Flag column chunks written without a column index or offset index
+     * Reported once for the whole file when no chunk has either
+     * @private
+     */
+    static _checkPageIndex({ chunks }) {
+        const segments = chunks.flat();
+        const columns = new Map();
+        let unindexed = 0;
+
+        segments.forEach(segment => {
+            const chunk = segment.logicalMetadata;
+            const noColumnIndex = !chunk?.column_index_offset;
+            const noOffsetIndex = !chunk?.offset_index_offset;
+            if (!chunk || (!noColumnIndex && !noOffsetIndex)) {return;}
+            if (noColumnIndex && noOffsetIndex) {unindexed++;}
+
+            const column = this._getColumnSummary(columns, segment);
+            column.noColumnIndex = (column.noColumnIndex || 0) + (noColumnIndex ? 1 : 0);
+            column.noOffsetIndex = (column.noOffsetIndex || 0) + (noOffsetIndex ? 1 : 0);
+            column.path = column.path || this._chunkPath(segment);
+        });
+
+        if (segments.length > 0 && unindexed === segments.length) {
+            return [{
+                message: 'No column chunk has a column index or offset index. ' +
+                    'Enable the page index in the writer so readers can skip pages by value and seek to rows directly.',
+                path: ['rowgroups']
+            }];
+        }
+
+        return [...columns.entries()].map(([columnPath, column]) => {
+            const missing = [];
+            if (column.noColumnIndex === column.noOffsetIndex) {
+                missing.push(`no column index or offset index in ${column.noColumnIndex}`);
+            } else {
+                if (column.noColumnIndex > 0) {missing.push(`no column index in ${column.noColumnIndex}`);}
+                if (column.noOffsetIndex > 0) {missing.push(`no offset index in ${column.noOffsetIndex}`);}
+            }
+            return {
+                message: `Column "${columnPath}" has ${missing.join(' and ')} of ${chunks.length} row groups, ` +
+                    'so readers cannot prune pages or seek to rows within those column chunks.',
+                path: column.path
+            };
+        });
+    }
+
+    /**
+     * Flag large BYTE_ARRAY column chunks written without compression
+     * @private
+     */
+    static _checkUncompressedStrings({ chunks }) {
+        const columns = new Map();
+
+        chunks.flat().forEach(segment => {
+            const meta = segment.logicalMetadata?.metadata;
+            const size = meta?.total_uncompressed_size || 0;
+            if (meta?.codec !== 0 || meta.type !== 6 || size < this.THRESHOLDS.UNCOMPRESSED_STRING_BYTES) {return;}
+
+            const column = this._getColumnSummary(columns, segment);
+            column.bytes = (column.bytes || 0) + size;
+            if (!column.largest || size > column.largest) {
+                column.largest = size;
+                column.path = this._chunkPath(segment);
+            }
+        });
+
+        return [...columns.entries()].map(([columnPath, column]) => ({
+            message: `Column "${columnPath}" stores ${formatBytes(column.bytes)} of string data UNCOMPRESSED across ` +
+                `${column.chunks} column chunk${column.chunks === 1 ? '' : 's'}. SNAPPY or ZSTD usually shrink string data considerably.`,
+            path: column.path
+        }));
+    }
+
+    /**
+     * Check that the leading sorting column of each row group really is sorted across its pages
+     * Only the first sorting column is checked; later ones are only sorted within ties of earlier ones
+     * @private
+     */
+    static _checkSortingColumns({ rowGroups, chunks }) {
+        return rowGroups
+            .map((rowGroup, rowGroupIndex) => this._checkRowGroupSorting(rowGroup, rowGroupIndex, chunks[rowGroupIndex]))
+            .filter(Boolean);
+    }
+
+    /**
+     * Check one row group's sorting claim against its page min/max values
+     * @private
+     * @returns {object|null} Finding for the first out-of-order page, if any
+     */
+    static _checkRowGroupSorting(rowGroup, rowGroupIndex, segments) {
+        const sortingColumn = rowGroup.sorting_columns?.[0];
+        if (!sortingColumn) {return null;}
+
+        const columnPath = Object.keys(rowGroup.column_chunks || {})[sortingColumn.column_idx];
+        const segment = segments.find(chunk => chunk.columnPath === columnPath);
+        if (!segment) {
+            return {
+                message: `Row group ${rowGroupIndex} claims to be sorted by column ${sortingColumn.column_idx}, which does not exist.`,
+                path: this._rowGroupPath(rowGroupIndex)
+            };
+        }
+
+        const meta = segment.logicalMetadata?.metadata;
+        if (!meta || !ParquetTypeResolver.hasComparableStatistics(meta.type, meta.schema_element)) {return null;}
+
+        const bounds = this._getPageBounds(segment, meta.type);
+        const order = sortingColumn.descending ? 'descending' : 'ascending';
+
+        for (let i = 1; i < bounds.length; i++) {
+            const previous = bounds[i - 1];
+            const current = bounds[i];
+            const outOfOrder = sortingColumn.descending ?
+                ParquetTypeResolver.compareStatisticValues(current.max, previous.min) > 0 :
+                ParquetTypeResolver.compareStatisticValues(current.min, previous.max) < 0;
+            if (!outOfOrder) {continue;}
+
+            const hasPage = Boolean(segment.physicalMetadata?.data_pages?.[current.pageIndex]);
+            return {
+                message: `Row group ${rowGroupIndex} claims column "${columnPath}" is sorted ${order}, but data page ` +
+                    `${current.pageIndex} overlaps the value range of page ${previous.pageIndex}. ` +
+                    'Readers that trust sorting_columns may return wrong results.',
+                path: this._chunkPath(segment, hasPage ?
+                    `page_data_${rowGroupIndex}_${segment.chunkIndex}_${current.pageIndex}` : null)
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Per-page min/max values for a chunk, from its column index or else its data page statistics
+     * Pages that are all null or have no statistics are skipped
+     * @private
+     */
+    static _getPageBounds(segment, type) {
+        const chunk = segment.physicalMetadata || {};
+        const bounds = [];
+
+        if (chunk.column_index?.min_values?.length) {
+            const index = chunk.column_index;
+            index.min_values.forEach((min, pageIndex) => {
+                if (index.null_pages?.[pageIndex]) {return;}
+                bounds.push({
+                    pageIndex,
+                    min: ParquetTypeResolver.decodeComparableStatistic(min, type),
+                    max: ParquetTypeResolver.decodeComparableStatistic(index.max_values[pageIndex], type)
+                });
+            });
+            return bounds;
+        }
+
+        (chunk.data_pages || []).forEach((page, pageIndex) => {
+            const stats = page.statistics;
+            const min = stats?.min_value ?? stats?.min;
+            const max = stats?.max_value ?? stats?.max;
+            if (typeof min !== 'string' || typeof max !== 'string') {return;}
+            bounds.push({
+                pageIndex,
+                min: ParquetTypeResolver.decodeComparableStatistic(min, type),
+                max: ParquetTypeResolver.decodeComparableStatistic(max, type)
+            });
+        });
+
+        return bounds;
+    }
+
+    /**
+     * Count dictionary-encoded and PLAIN data pages in a chunk
+     * @private
+     * @returns {object|null} {dictionary, plain, total} or null when nothing is known about the pages
+     */
+    static _countDataPageEncodings(segment) {
+        const encodingStats = segment.logicalMetadata?.metadata?.encoding_stats;
+        const counts = { dictionary: 0, plain: 0, total: 0 };
+
+        const add = (encoding, count) => {
+            counts.total += count;
+            if (encoding === 2 || encoding === 8) {counts.dictionary += count;}
+            if (encoding === 0) {counts.plain += count;}
+        };
+
+        if (encodingStats?.length) {
+            encodingStats
+                .filter(stat => stat.page_type === 0 || stat.page_type === 3)
+                .forEach(stat => add(stat.encoding, stat.count || 0));
+            return counts;
+        }
+
+        const dataPages = segment.physicalMetadata?.data_pages || [];
+        if (dataPages.length === 0) {return null;}
+        dataPages.forEach(page => add(page.encoding, 1));
+        return counts;
+    }
+
+    /**
+     * Whether a statistics object holds any usable value
+     * @private
+     */
+    static _hasStatistics(stats) {
+        return Boolean(stats) && [stats.min_value, stats.max_value, stats.min, stats.max, stats.null_count]
+            .some(value => value !== null && value !== undefined);
+    }
+
+    /**
+     * Get or create the per-column accumulator used to report one finding per column
+     * @private
+     */
+    static _getColumnSummary(columns, segment) {
+        if (!columns.has(segment.columnPath)) {
+            columns.set(segment.columnPath, { chunks: 0, pages: 0, totalPages: 0, indexed: true, path: null });
+        }
+        const column = columns.get(segment.columnPath);
+        column.chunks++;
+        return column;
+    }
+
+    /**
+     * Segment path of a row group
+     * @private
+     */
+    static _rowGroupPath(rowGroupIndex) {
+        return ['rowgroups', `rowgroup_${rowGroupIndex}`];
+    }
+
+    /**
+     * Segment path of a column chunk, optionally down to one of its pages
+     * @private
+     */
+    static _chunkPath(segment, pageId = null) {
+        const path = [...this._rowGroupPath(segment.rowGroupIndex), segment.id];
+        if (pageId) {path.push(pageId);}
+        return path;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParquetLinter;
+}
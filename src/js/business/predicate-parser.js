@@ -0,0 +1,230 @@
+/**
+ * Predicate Parser
+ * Parses simple filter expressions such as `col > 5 AND name = 'x'` into a tree
+ * Supports comparisons (=, !=, <>, <, <=, >, >=), IS [NOT] NULL, AND, OR and parentheses
+ * Column names may be dotted paths or double-quoted; strings use single quotes
+ */
+class PredicateParser {
+    static OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+
+    // Operator to use when the literal is written on the left, e.g. `5 < col` becomes `col > 5`
+    static FLIPPED_OPERATORS = { '=': '=', '!=': '!=', '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+
+    /**
+     * Parse an expression
+     * @param {string} expression - Filter expression
+     * @returns {object} Tree of {type: 'and'|'or', children}, {type: 'compare', column, op, value}
+     *                   and {type: 'null', column, negated} nodes
+     * @throws {Error} If the expression is malformed
+     */
+    static parse(expression) {
+        const tokens = this._tokenize(expression || '');
+        if (tokens.length === 0) {
+            throw new Error('Enter a predicate, e.g. col > 5 AND name = \'x\'');
+        }
+
+        const state = { tokens, position: 0 };
+        const tree = this._parseOr(state);
+
+        if (state.position < tokens.length) {
+            throw new Error(`Unexpected ${this._describe(tokens[state.position])}`);
+        }
+        return tree;
+    }
+
+    /**
+     * List the columns an expression refers to
+     * @param {object} tree - Parsed predicate
+     * @returns {string[]} Unique column names in order of appearance
+     */
+    static getColumns(tree) {
+        if (tree.type === 'and' || tree.type === 'or') {
+            return [...new Set(tree.children.flatMap(child => this.getColumns(child)))];
+        }
+        return [tree.column];
+    }
+
+    // Private helper methods
+
+    /**
+     * Split an expression into tokens {type, value, position}
+     * @private
+     */
+    static _tokenize(expression) {
+        const pattern = /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|'((?:[^']|'')*)'|"((?:[^"]|"")*)"|([A-Za-z_][\w.]*)|(<=|>=|<>|!=|==|[=<>()])|(-)|(\S))/y;
+        const tokens = [];
+        let match;
+
+        pattern.lastIndex = 0;
+        while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+            const position = match.index + match[0].length - match[0].trimStart().length;
+            const [, number, string, quoted, word, operator, minus, other] = match;
+
+            if (number !== undefined) {
+                tokens.push({ type: 'number', value: number, position });
+            } else if (string !== undefined) {
+                tokens.push({ type: 'string', value: string.replace(/''/g, '\''), position });
+            } else if (quoted !== undefined) {
+                tokens.push({ type: 'identifier', value: quoted.replace(/""/g, '"'), position });
+            } else if (word !== undefined) {
+                const keyword = word.toUpperCase();
+                const isKeyword = ['AND', 'OR', 'IS', 'NOT', 'NULL', 'TRUE', 'FALSE'].includes(keyword);
+                tokens.push({ type: isKeyword ? 'keyword' : 'identifier', value: isKeyword ? keyword : word, position });
+            } else if (operator !== undefined) {
+                const normalized = { '==': '=', '<>': '!=' }[operator] || operator;
+                tokens.push({ type: '()'.includes(operator) ? 'paren' : 'operator', value: normalized, position });
+            } else if (minus !== undefined) {
+                tokens.push({ type: 'minus', value: minus, position });
+            } else {
+                throw new Error(`Unexpected character '${other}' at position ${position + 1}`);
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * or := and ('OR' and)*
+     * @private
+     */
+    static _parseOr(state) {
+        const children = [this._parseAnd(state)];
+        while (this._acceptKeyword(state, 'OR')) {
+            children.push(this._parseAnd(state));
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    /**
+     * and := primary ('AND' primary)*
+     * @private
+     */
+    static _parseAnd(state) {
+        const children = [this._parsePrimary(state)];
+        while (this._acceptKeyword(state, 'AND')) {
+            children.push(this._parsePrimary(state));
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    /**
+     * primary := '(' or ')' | column op literal | literal op column | column 'IS' ['NOT'] 'NULL'
+     * @private
+     */
+    static _parsePrimary(state) {
+        const token = this._next(state);
+
+        if (token.type === 'paren' && token.value === '(') {
+            const tree = this._parseOr(state);
+            const closing = this._next(state);
+            if (closing.type !== 'paren' || closing.value !== ')') {
+                throw new Error(`Expected ')' but found ${this._describe(closing)}`);
+            }
+            return tree;
+        }
+
+        if (token.type === 'identifier') {
+            if (this._acceptKeyword(state, 'IS')) {
+                const negated = this._acceptKeyword(state, 'NOT');
+                const nullToken = this._next(state);
+                if (nullToken.type !== 'keyword' || nullToken.value !== 'NULL') {
+                    throw new Error(`Expected NULL but found ${this._describe(nullToken)}`);
+                }
+                return { type: 'null', column: token.value, negated };
+            }
+
+            const op = this._parseOperator(state);
+            return { type: 'compare', column: token.value, op, value: this._parseLiteral(state) };
+        }
+
+        // Literal on the left: flip the comparison so the column always comes first
+        state.position--;
+        const value = this._parseLiteral(state);
+        const op = this._parseOperator(state);
+        const column = this._next(state);
+        if (column.type !== 'identifier') {
+            throw new Error(`Expected a column name but found ${this._describe(column)}`);
+        }
+        return { type: 'compare', column: column.value, op: this.FLIPPED_OPERATORS[op], value };
+    }
+
+    /**
+     * Read a comparison operator
+     * @private
+     */
+    static _parseOperator(state) {
+        const token = this._next(state);
+        if (token.type !== 'operator' || !this.OPERATORS.includes(token.value)) {
+            throw new Error(`Expected a comparison operator but found ${this._describe(token)}`);
+        }
+        return token.value;
+    }
+
+    /**
+     * Read a literal: number (kept as written), string or boolean
+     * @private
+     * @returns {object} {kind: 'number'|'string'|'boolean', value}
+     */
+    static _parseLiteral(state) {
+        let token = this._next(state);
+        let sign = '';
+        if (token.type === 'minus') {
+            sign = '-';
+            token = this._next(state);
+            if (token.type !== 'number') {
+                throw new Error(`Expected a number after '-' but found ${this._describe(token)}`);
+            }
+        }
+
+        if (token.type === 'number') {
+            return { kind: 'number', value: sign + token.value };
+        }
+        if (token.type === 'string') {
+            return { kind: 'string', value: token.value };
+        }
+        if (token.type === 'keyword' && (token.value === 'TRUE' || token.value === 'FALSE')) {
+            return { kind: 'boolean', value: token.value === 'TRUE' };
+        }
+        throw new Error(`Expected a value but found ${this._describe(token)}`);
+    }
+
+    /**
+     * Consume a keyword if it is next
+     * @private
+     */
+    static _acceptKeyword(state, keyword) {
+        const token = state.tokens[state.position];
+        if (token?.type === 'keyword' && token.value === keyword) {
+            state.position++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Consume the next token
+     * @private
+     */
+    static _next(state) {
+        const token = state.tokens[state.position];
+        if (!token) {
+            throw new Error('Unexpected end of predicate');
+        }
+        state.position++;
+        return token;
+    }
+
+    /**
+     * Describe a token for error messages
+     * @private
+     */
+    static _describe(token) {
+        if (!token) {return 'end of predicate';}
+        return `'${token.value}' at position ${token.position + 1}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PredicateParser;
+}
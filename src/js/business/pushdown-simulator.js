@@ -0,0 +1,363 @@
+/**
+ * Pushdown Simulator
+ * Works out which row groups and pages a reader could skip for a predicate, the way
+ * readers use row group statistics, the ColumnIndex (per-page min/max) and the
+ * OffsetIndex (page locations and first rows), and what it would still have to read
+ */
+class PushdownSimulator {
+    /**
+     * Simulate reading a file with a filter
+     * @param {object} fileData - Parquet file data
+     * @param {object} predicate - Tree from PredicateParser.parse()
+     * @param {object} [options] - {projection: 'all' | 'predicate'} columns the reader returns
+     * @returns {object} {rowGroups, segments, totals, notes} where segments maps segment IDs to 'read' or 'skipped',
+     *                   rowGroups lists {index, status, reason} with reason 'statistics', 'empty' or 'page index'
+     *                   for skipped row groups, and totals counts row groups, pages, bytes and range requests
+     * @throws {Error} If the predicate uses a column that is not in the file or a value that does not fit the column
+     */
+    static simulate(fileData, predicate, options = {}) {
+        const rowGroups = fileData.metadata?.row_groups || [];
+        const resolved = this._resolveColumns(predicate, Object.keys(rowGroups[0]?.column_chunks || {}));
+        const predicateColumns = PredicateParser.getColumns(resolved);
+
+        const result = {
+            rowGroups: [],
+            segments: new Map(),
+            totals: { rowGroups: rowGroups.length, rowGroupsRead: 0, pages: 0, pagesRead: 0, bytes: 0, bytesRead: 0, requests: 0 },
+            notes: new Set()
+        };
+        const byteRanges = [];
+
+        rowGroups.forEach((rowGroup, rowGroupIndex) => {
+            const chunks = SegmentHierarchyBuilder.buildColumnChunkSegments(fileData, rowGroupIndex);
+            const context = {
+                rowCount: rowGroup.row_count || 0,
+                chunks: new Map(chunks.map(chunk => [chunk.columnPath, chunk])),
+                notes: result.notes
+            };
+
+            const rowGroupMatch = this._evaluate(resolved, leaf =>
+                this._mayMatch(leaf, this._getChunkStatistics(context.chunks.get(leaf.column))));
+            const rows = rowGroupMatch ? this._getCandidateRows(resolved, context) : [];
+            const status = rows.length > 0 ? 'read' : 'skipped';
+
+            result.rowGroups.push({
+                index: rowGroupIndex,
+                status,
+                reason: status === 'read' ? null : this._getSkipReason(rowGroupMatch, context.rowCount)
+            });
+            result.segments.set(`rowgroup_${rowGroupIndex}`, status);
+            if (status === 'read') {result.totals.rowGroupsRead++;}
+
+            chunks.forEach(segment => {
+                const projected = options.projection !== 'predicate' || predicateColumns.includes(segment.columnPath);
+                this._readChunk(segment, projected ? rows : [], result, byteRanges);
+            });
+        });
+
+        const merged = this._mergeRanges(byteRanges);
+        result.totals.bytesRead = merged.reduce((sum, [start, end]) => sum + (end - start), 0);
+        result.totals.requests = merged.length;
+        result.notes = [...result.notes];
+
+        return result;
+    }
+
+    // Private helper methods
+
+    /**
+     * Map predicate column names onto the file's column paths (exact match first, then case-insensitive)
+     * @private
+     */
+    static _resolveColumns(node, columnPaths) {
+        if (node.type === 'and' || node.type === 'or') {
+            return { ...node, children: node.children.map(child => this._resolveColumns(child, columnPaths)) };
+        }
+
+        const column = columnPaths.includes(node.column) ? node.column :
+            columnPaths.find(path => path.toLowerCase() === node.column.toLowerCase());
+        if (!column) {
+            const available = columnPaths.slice(0, 10).join(', ') + (columnPaths.length > 10 ? ', ...' : '');
+            throw new Error(`Unknown column "${node.column}". Columns: ${available}`);
+        }
+        return { ...node, column };
+    }
+
+    /**
+     * Why a row group with no candidate rows is skipped
+     * @private
+     */
+    static _getSkipReason(rowGroupMatch, rowCount) {
+        if (!rowGroupMatch) {return 'statistics';}
+        return rowCount > 0 ? 'page index' : 'empty';
+    }
+
+    /**
+     * Evaluate an AND/OR tree where each leaf answers "could any row match?"
+     * @private
+     */
+    static _evaluate(node, mayMatch) {
+        if (node.type === 'and') {return node.children.every(child => this._evaluate(child, mayMatch));}
+        if (node.type === 'or') {return node.children.some(child => this._evaluate(child, mayMatch));}
+        return mayMatch(node);
+    }
+
+    /**
+     * Row ranges [start, end) of a row group that could contain matches, narrowed by the page indexes
+     * @private
+     */
+    static _getCandidateRows(node, context) {
+        if (node.type === 'and') {
+            return node.children
+                .map(child => this._getCandidateRows(child, context))
+                .reduce((a, b) => this._intersectRanges(a, b));
+        }
+        if (node.type === 'or') {
+            return this._mergeRanges(node.children.flatMap(child => this._getCandidateRows(child, context)));
+        }
+
+        const allRows = context.rowCount > 0 ? [[0, context.rowCount]] : [];
+        const segment = context.chunks.get(node.column);
+        const columnIndex = segment?.physicalMetadata?.column_index;
+        const locations = segment?.physicalMetadata?.offset_index?.page_locations;
+
+        if (!columnIndex?.null_pages?.length || !locations?.length) {
+            context.notes.add(`"${node.column}" has no column index and offset index loaded, so its pages cannot be skipped.`);
+            return allRows;
+        }
+
+        const meta = segment.logicalMetadata?.metadata;
+        const ranges = [];
+        locations.forEach((location, pageIndex) => {
+            const end = locations[pageIndex + 1]?.first_row_index ?? context.rowCount;
+            if (this._mayMatch(node, this._getPageStatistics(columnIndex, pageIndex, meta))) {
+                ranges.push([location.first_row_index, end]);
+            }
+        });
+        return this._mergeRanges(ranges);
+    }
+
+    /**
+     * Mark a column chunk and its pages as read or skipped and collect the byte ranges read
+     * @private
+     * @param {Array<number[]>} rows - Candidate row ranges; empty when the chunk is not needed
+     */
+    static _readChunk(segment, rows, result, byteRanges) {
+        const chunk = segment.physicalMetadata || {};
+        const locations = chunk.offset_index?.page_locations || [];
+        const pageCount = Math.max(locations.length, chunk.data_pages?.length || 0);
+        const chunkStart = chunk.start_offset || 0;
+        let pageStatuses;
+
+        if (rows.length === 0) {
+            pageStatuses = new Array(pageCount).fill('skipped');
+        } else if (locations.length > 0) {
+            pageStatuses = this._readPages(locations, rows, chunkStart, byteRanges);
+        } else {
+            // Without an offset index the reader cannot locate pages and reads the whole chunk
+            pageStatuses = new Array(pageCount).fill('read');
+            byteRanges.push([chunkStart, chunkStart + (chunk.total_byte_size || 0)]);
+        }
+
+        pageStatuses.forEach((status, pageIndex) => {
+            result.segments.set(`page_data_${segment.rowGroupIndex}_${segment.chunkIndex}_${pageIndex}`, status);
+        });
+
+        const pagesRead = pageStatuses.filter(status => status === 'read').length;
+        const status = pagesRead > 0 || (rows.length > 0 && pageCount === 0) ? 'read' : 'skipped';
+        result.segments.set(segment.id, status);
+        result.segments.set(`page_dict_${segment.rowGroupIndex}_${segment.chunkIndex}`, status);
+
+        result.totals.pages += pageCount;
+        result.totals.pagesRead += pagesRead;
+        result.totals.bytes += chunk.total_byte_size || 0;
+    }
+
+    /**
+     * Pick the pages of a chunk that overlap the candidate rows using its offset index
+     * @private
+     * @returns {string[]} 'read' or 'skipped' per data page
+     */
+    static _readPages(locations, rows, chunkStart, byteRanges) {
+        const statuses = locations.map((location, pageIndex) => {
+            const end = locations[pageIndex + 1]?.first_row_index ?? Infinity;
+            const needed = rows.some(([start, stop]) => start < end && stop > location.first_row_index);
+            if (needed) {
+                byteRanges.push([location.offset, location.offset + location.compressed_page_size]);
+            }
+            return needed ? 'read' : 'skipped';
+        });
+
+        // The dictionary page (and anything else before the first data page) is needed to decode any page
+        if (statuses.includes('read') && chunkStart < locations[0].offset) {
+            byteRanges.push([chunkStart, locations[0].offset]);
+        }
+        return statuses;
+    }
+
+    /**
+     * Could any value described by these statistics satisfy the leaf?
+     * Unknown statistics never rule anything out
+     * @private
+     * @param {object} leaf - Predicate leaf
+     * @param {object} stats - {min, max, nullCount, allNull, meta}
+     */
+    static _mayMatch(leaf, stats) {
+        if (leaf.type === 'null') {
+            return leaf.negated ? !stats.allNull : stats.nullCount !== 0;
+        }
+        if (stats.allNull) {return false;}
+
+        const value = this._coerceLiteral(leaf, stats.meta);
+        if (value === null || stats.min === null || stats.max === null) {return true;}
+
+        const vsMin = ParquetTypeResolver.compareStatisticValues(value, stats.min);
+        const vsMax = ParquetTypeResolver.compareStatisticValues(value, stats.max);
+        switch (leaf.op) {
+            case '=': return vsMin >= 0 && vsMax <= 0;
+            case '!=': return !(vsMin === 0 && vsMax === 0);
+            case '<': return vsMin > 0;
+            case '<=': return vsMin >= 0;
+            case '>': return vsMax < 0;
+            case '>=': return vsMax <= 0;
+            default: return true;
+        }
+    }
+
+    /**
+     * Row group level statistics of a column chunk
+     * The deprecated min/max fields are ignored for byte arrays, whose old sort order was signed
+     * @private
+     */
+    static _getChunkStatistics(segment) {
+        const meta = segment?.logicalMetadata?.metadata;
+        if (!meta) {
+            return { meta: null, min: null, max: null, nullCount: null, allNull: false };
+        }
+
+        const statistics = meta.statistics || {};
+        const legacy = meta.type !== 6 && meta.type !== 7;
+        const nullCount = statistics.null_count ?? null;
+
+        return {
+            meta,
+            min: this._decode(statistics.min_value ?? (legacy ? statistics.min : null), meta),
+            max: this._decode(statistics.max_value ?? (legacy ? statistics.max : null), meta),
+            nullCount,
+            allNull: nullCount !== null && meta.num_values > 0 && nullCount === meta.num_values
+        };
+    }
+
+    /**
+     * Statistics of one page from the column index
+     * @private
+     */
+    static _getPageStatistics(columnIndex, pageIndex, meta) {
+        const allNull = Boolean(columnIndex.null_pages[pageIndex]);
+        return {
+            meta,
+            min: allNull ? null : this._decode(columnIndex.min_values?.[pageIndex], meta),
+            max: allNull ? null : this._decode(columnIndex.max_values?.[pageIndex], meta),
+            nullCount: columnIndex.null_counts?.[pageIndex] ?? null,
+            allNull
+        };
+    }
+
+    /**
+     * Decode a statistics value if the column's values can be ordered
+     * @private
+     */
+    static _decode(encoded, meta) {
+        if (typeof encoded !== 'string' || !ParquetTypeResolver.hasComparableStatistics(meta?.type, meta?.schema_element)) {
+            return null;
+        }
+        return ParquetTypeResolver.decodeComparableStatistic(encoded, meta.type);
+    }
+
+    /**
+     * Convert a predicate literal to the form decodeComparableStatistic produces for the column
+     * @private
+     * @returns {number|bigint|Uint8Array|null} Null when the column cannot be compared
+     */
+    static _coerceLiteral(leaf, meta) {
+        if (!meta || !ParquetTypeResolver.hasComparableStatistics(meta.type, meta.schema_element)) {return null;}
+
+        const { kind, value } = leaf.value;
+        if (meta.type === 6 || meta.type === 7) {
+            return this._coerceBytes(leaf, meta);
+        }
+        if (kind === 'boolean') {
+            return value ? 1 : 0;
+        }
+
+        const number = Number(value);
+        if (value === '' || Number.isNaN(number)) {
+            const typeName = ParquetTypeResolver.getPhysicalTypeName(meta.type);
+            throw new Error(`"${leaf.column}" has physical type ${typeName}; '${value}' is not a number`);
+        }
+        if (meta.type === 2 && Number.isInteger(number)) {
+            return /^-?\d+$/.test(value) ? BigInt(value) : BigInt(number);
+        }
+        return number;
+    }
+
+    /**
+     * Encode a literal the way a byte array column stores it
+     * Strings are UTF-8 and UUIDs their 16 raw bytes; other fixed-length values are not coerced
+     * @private
+     * @returns {Uint8Array|null} Null when the column cannot be compared
+     */
+    static _coerceBytes(leaf, meta) {
+        const kind = ParquetTypeResolver.getStatisticType(meta.type, meta.schema_element).kind;
+        const value = String(leaf.value.value);
+
+        if (kind === 'uuid') {
+            const hex = value.replace(/-/g, '');
+            if (!/^[0-9a-fA-F]{32}$/.test(hex)) {
+                throw new Error(`"${leaf.column}" is a UUID column; '${value}' is not a UUID`);
+            }
+            return Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+        }
+        if (meta.type === 7 && kind !== 'string') {return null;}
+        return new TextEncoder().encode(value);
+    }
+
+    /**
+     * Sort and merge overlapping or touching ranges
+     * @private
+     */
+    static _mergeRanges(ranges) {
+        const merged = [];
+        [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Intersect two sorted, merged lists of ranges
+     * @private
+     */
+    static _intersectRanges(a, b) {
+        const result = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            const start = Math.max(a[i][0], b[j][0]);
+            const end = Math.min(a[i][1], b[j][1]);
+            if (start < end) {result.push([start, end]);}
+            if (a[i][1] < b[j][1]) {i++;} else {j++;}
+        }
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PushdownSimulator;
+}
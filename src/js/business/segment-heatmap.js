@@ -0,0 +1,331 @@
+/**
+ * Segment Heatmap
+ * Colors data segments (row groups, column chunks, columns and pages) by a measured property instead of
+ * their element type, so outliers such as a badly compressed column stand out at every level
+ * Colors are CSS variable names like those from VisualizationConfig.getSegmentColor(); segments a mode
+ * does not apply to get NO_DATA_COLOR
+ */
+class SegmentHeatmap {
+    static MODES = {
+        type: 'Element type',
+        compression: 'Compression ratio',
+        encoding: 'Encoding',
+        codec: 'Codec',
+        nulls: 'Null fraction',
+        density: 'Values per byte',
+        pagesize: 'Page size vs. chunk median'
+    };
+
+    static CATEGORICAL_MODES = ['encoding', 'codec'];
+
+    // Cool to hot
+    static HEAT_COLORS = ['--heat-0', '--heat-1', '--heat-2', '--heat-3', '--heat-4', '--heat-5', '--heat-6'];
+
+    static CATEGORY_COLORS = [
+        '--viz-blue', '--viz-orange', '--viz-green', '--viz-purple', '--viz-red',
+        '--viz-cyan', '--viz-brown', '--viz-pink', '--viz-olive', '--viz-teal'
+    ];
+
+    static MIXED_COLOR = '--viz-gray';
+    static NO_DATA_COLOR = '--heat-none';
+
+    // Numeric bins: a value falls in the first bin whose max it does not exceed; hotter bins deserve a look
+    static BINS = {
+        compression: [
+            { max: 0.1, label: '< 10%', heat: 0 },
+            { max: 0.25, label: '10–25%', heat: 1 },
+            { max: 0.5, label: '25–50%', heat: 2 },
+            { max: 0.75, label: '50–75%', heat: 3 },
+            { max: 0.9, label: '75–90%', heat: 4 },
+            { max: 1, label: '90–100%', heat: 5 },
+            { max: Infinity, label: '> 100% (grew)', heat: 6 }
+        ],
+        nulls: [
+            { max: 0, label: 'None', heat: 0 },
+            { max: 0.01, label: '≤ 1%', heat: 1 },
+            { max: 0.1, label: '1–10%', heat: 2 },
+            { max: 0.25, label: '10–25%', heat: 3 },
+            { max: 0.5, label: '25–50%', heat: 4 },
+            { max: 1 - Number.EPSILON, label: '50–100%', heat: 5 },
+            { max: Infinity, label: 'All null', heat: 6 }
+        ],
+        density: [
+            { max: 0.05, label: '< 0.05', heat: 6 },
+            { max: 0.125, label: '0.05–0.125', heat: 5 },
+            { max: 0.25, label: '0.125–0.25', heat: 4 },
+            { max: 0.5, label: '0.25–0.5', heat: 3 },
+            { max: 1, label: '0.5–1', heat: 2 },
+            { max: 4, label: '1–4', heat: 1 },
+            { max: Infinity, label: '> 4', heat: 0 }
+        ],
+        // Pages far from the typical size of their chunk, in either direction, are the interesting ones
+        pagesize: [
+            { max: 0.25, label: '< ¼×', heat: 6 },
+            { max: 0.5, label: '¼–½×', heat: 4 },
+            { max: 0.8, label: '½–0.8×', heat: 2 },
+            { max: 1.25, label: '0.8–1.25×', heat: 0 },
+            { max: 2, label: '1.25–2×', heat: 2 },
+            { max: 4, label: '2–4×', heat: 4 },
+            { max: Infinity, label: '> 4×', heat: 6 }
+        ]
+    };
+
+    // Encodings of definition and repetition levels rather than values
+    static LEVEL_ENCODINGS = [3, 4];
+    static DICTIONARY_ENCODINGS = [2, 8];
+    static DATA_PAGE_TYPES = [0, 3];
+
+    /**
+     * @param {FileStructureAnalyzer} analyzer - Hierarchy of the file being colored
+     * @param {string} mode - Key of MODES other than 'type'
+     */
+    constructor(analyzer, mode) {
+        this.analyzer = analyzer;
+        this.mode = mode;
+        this.categories = new Map(); // Category name -> color, in order of first use
+        this.medians = new Map(); // Chunk segment ID -> median data page size
+
+        // Assign category colors in file order so they do not depend on which levels are open
+        if (SegmentHeatmap.CATEGORICAL_MODES.includes(mode)) {
+            this._getAllColumnMetas().forEach(meta => this._getCategoryColor(this._getCategory(meta)));
+        }
+    }
+
+    /**
+     * Color for a segment
+     * @param {ParquetSegment} segment - Segment to color
+     * @returns {string} CSS variable name
+     */
+    getColor(segment) {
+        const value = this.getValue(segment);
+        if (value === null) {
+            return SegmentHeatmap.NO_DATA_COLOR;
+        }
+
+        if (SegmentHeatmap.CATEGORICAL_MODES.includes(this.mode)) {
+            return value === 'Mixed' ? SegmentHeatmap.MIXED_COLOR : this._getCategoryColor(value);
+        }
+
+        const bin = SegmentHeatmap.BINS[this.mode].find(candidate => value <= candidate.max);
+        return SegmentHeatmap.HEAT_COLORS[bin.heat];
+    }
+
+    /**
+     * Value of the current mode for a segment
+     * @param {ParquetSegment} segment - Segment to measure
+     * @returns {number|string|null} Ratio or category name ('Mixed' if its parts differ); null if the mode does not apply
+     */
+    getValue(segment) {
+        if (this._isPage(segment)) {
+            return this._getPageValue(segment);
+        }
+
+        const metas = this._getColumnMetas(segment);
+        return metas.length > 0 ? this._getAggregateValue(metas) : null;
+    }
+
+    /**
+     * Legend entries for the current mode
+     * @returns {object[]} {color, label} in display order
+     */
+    getLegend() {
+        const entries = SegmentHeatmap.CATEGORICAL_MODES.includes(this.mode) ?
+            [...this.categories].map(([label, color]) => ({ color, label })).concat([
+                { color: SegmentHeatmap.MIXED_COLOR, label: 'Mixed' }
+            ]) :
+            SegmentHeatmap.BINS[this.mode].map(bin => ({ color: SegmentHeatmap.HEAT_COLORS[bin.heat], label: bin.label }));
+
+        return entries.concat([{ color: SegmentHeatmap.NO_DATA_COLOR, label: 'No data' }]);
+    }
+
+    // Private helper methods
+
+    /**
+     * Value of the current mode for one page
+     * @private
+     */
+    _getPageValue(segment) {
+        const page = segment.metadata;
+        switch (this.mode) {
+            case 'compression':
+                return page.uncompressed_page_size > 0 ? page.compressed_page_size / page.uncompressed_page_size : null;
+            case 'encoding':
+                return ParquetTypeResolver.getEncodingName(page.encoding);
+            case 'codec':
+                return this._getPageCodec(segment);
+            case 'nulls':
+                return this._getPageNullFraction(page);
+            case 'density':
+                return page.compressed_page_size > 0 && page.num_values !== undefined ?
+                    Number(page.num_values) / page.compressed_page_size : null;
+            case 'pagesize':
+                return this._getPageSizeRatio(segment);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Codec name of the column chunk a page belongs to
+     * @private
+     */
+    _getPageCodec(segment) {
+        const chunk = this.analyzer.findSegment(`chunk_${segment.rowGroupIndex}_${segment.chunkIndex}`);
+        const codec = chunk?.logicalMetadata?.metadata?.codec ?? chunk?.physicalMetadata?.codec;
+        return codec === undefined ? null : ParquetTypeResolver.getCompressionName(codec);
+    }
+
+    /**
+     * Share of a page's values that are null, from the v2 header or the page statistics
+     * @private
+     */
+    _getPageNullFraction(page) {
+        const nullCount = page.num_nulls ?? page.statistics?.null_count;
+        if (nullCount === null || nullCount === undefined || !(page.num_values > 0)) {return null;}
+        return Number(nullCount) / Number(page.num_values);
+    }
+
+    /**
+     * Size of a data page relative to the median data page of its column chunk
+     * @private
+     */
+    _getPageSizeRatio(segment) {
+        if (!SegmentHeatmap.DATA_PAGE_TYPES.includes(segment.metadata.page_type)) {return null;}
+        const median = this._getMedianPageSize(segment);
+        return median > 0 ? segment.size / median : null;
+    }
+
+    /**
+     * Value of the current mode for the column chunks a segment is made of
+     * @private
+     */
+    _getAggregateValue(metas) {
+        const sum = key => metas.reduce((total, meta) => total + Number(meta[key] || 0), 0);
+
+        switch (this.mode) {
+            case 'compression': {
+                const uncompressed = sum('total_uncompressed_size');
+                return uncompressed > 0 ? sum('total_compressed_size') / uncompressed : null;
+            }
+            case 'encoding':
+            case 'codec': {
+                const categories = new Set(metas.map(meta => this._getCategory(meta)));
+                return categories.size === 1 ? [...categories][0] : 'Mixed';
+            }
+            case 'nulls': {
+                // A single chunk without a null count makes the total unknown
+                if (metas.some(meta => meta.statistics?.null_count === null || meta.statistics?.null_count === undefined)) {
+                    return null;
+                }
+                const values = sum('num_values');
+                return values > 0 ? metas.reduce((total, meta) => total + Number(meta.statistics.null_count), 0) / values : null;
+            }
+            case 'density': {
+                const compressed = sum('total_compressed_size');
+                return compressed > 0 ? sum('num_values') / compressed : null;
+            }
+            default:
+                // Page size only applies to pages
+                return null;
+        }
+    }
+
+    /**
+     * Column chunk metadata (ColumnMetaData) behind a data segment
+     * @private
+     */
+    _getColumnMetas(segment) {
+        let metas = [];
+
+        if (segment.id === 'rowgroups') {
+            metas = this._getAllColumnMetas();
+        } else if (segment.logicalMetadata?.metadata && segment.physicalMetadata) {
+            // Column chunk
+            metas = [segment.logicalMetadata.metadata];
+        } else if (segment.metadata?.chunks && segment.ranges.length > 0) {
+            // Column of the column-major view
+            metas = segment.metadata.chunks.map(chunk => chunk.logicalMetadata?.metadata);
+        } else if (segment.rowGroupIndex !== undefined && segment.chunkIndex === undefined && segment.metadata?.column_chunks &&
+            segment.id === `rowgroup_${segment.rowGroupIndex}`) {
+            // Physical row group (its footer counterpart, rowgroup_meta_N, describes metadata bytes)
+            metas = Object.values(segment.metadata.column_chunks).map(columnChunk => columnChunk.metadata);
+        }
+
+        return metas.filter(Boolean);
+    }
+
+    /**
+     * Column chunk metadata of every row group in the file
+     * @private
+     */
+    _getAllColumnMetas() {
+        return (this.analyzer.data.metadata?.row_groups || [])
+            .flatMap(rowGroup => Object.values(rowGroup.column_chunks || {}))
+            .map(columnChunk => columnChunk.metadata)
+            .filter(Boolean);
+    }
+
+    /**
+     * Encoding or codec name of a column chunk; the encoding is the one used for values,
+     * preferring a dictionary encoding over the plain fallback that dictionary pages are written in
+     * @private
+     */
+    _getCategory(meta) {
+        if (this.mode === 'codec') {
+            return ParquetTypeResolver.getCompressionName(meta.codec);
+        }
+
+        const encodings = meta.encodings || [];
+        const valueEncodings = encodings.filter(encoding => !SegmentHeatmap.LEVEL_ENCODINGS.includes(encoding));
+        const encoding = valueEncodings.find(candidate => SegmentHeatmap.DICTIONARY_ENCODINGS.includes(candidate)) ??
+            valueEncodings[0] ?? encodings[0];
+        return ParquetTypeResolver.getEncodingName(encoding);
+    }
+
+    /**
+     * Color of a category, assigning the next palette color to categories seen for the first time
+     * @private
+     */
+    _getCategoryColor(category) {
+        if (!this.categories.has(category)) {
+            const palette = SegmentHeatmap.CATEGORY_COLORS;
+            this.categories.set(category, palette[this.categories.size % palette.length]);
+        }
+        return this.categories.get(category);
+    }
+
+    /**
+     * Median size of the data pages in a page's column chunk (0 while its page headers are not loaded)
+     * @private
+     */
+    _getMedianPageSize(segment) {
+        const chunkId = `chunk_${segment.rowGroupIndex}_${segment.chunkIndex}`;
+        if (this.medians.has(chunkId)) {
+            return this.medians.get(chunkId);
+        }
+
+        const sizes = this.analyzer.getSegmentsForLevel('pages', chunkId)
+            .filter(page => this._isPage(page) && SegmentHeatmap.DATA_PAGE_TYPES.includes(page.metadata.page_type))
+            .map(page => page.size)
+            .sort((a, b) => a - b);
+        if (sizes.length === 0) {return 0;}
+
+        const middle = Math.floor(sizes.length / 2);
+        const median = sizes.length % 2 === 1 ? sizes[middle] : (sizes[middle - 1] + sizes[middle]) / 2;
+        this.medians.set(chunkId, median);
+        return median;
+    }
+
+    /**
+     * Check whether a segment is a page with a header
+     * @private
+     */
+    _isPage(segment) {
+        return segment.pageIndex !== undefined && segment.metadata?.compressed_page_size !== undefined;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SegmentHeatmap;
+}
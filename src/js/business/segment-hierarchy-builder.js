@@ -16,15 +16,21 @@ class SegmentHierarchyBuilder {
             columnchunks: {},
             pages: {},
             metadatastructure: [],
-            schemaelements: {}
+            schemaelements: {},
+            structfields: {},
+            columns: [],
+            columnstrips: {}
         };
 
         // Build each level of the hierarchy
-        cache.overview = this.buildOverviewSegments(fileData);
-        cache.rowgroups = this.buildRowGroupSegments(fileData);
+        cache.overview = this.accountForBytes(this.buildOverviewSegments(fileData), 'file', 0, fileData.filesize);
+        cache.rowgroups = this.accountForBytes(this.buildRowGroupSegments(fileData), 'rowgroups');
 
         // Build metadata structure
-        cache.metadatastructure = this.buildMetadataStructureSegments(fileData);
+        const metadataSegment = cache.overview.find(segment => segment.id === 'metadata');
+        cache.metadatastructure = this.accountForBytes(
+            this.buildMetadataStructureSegments(fileData), 'metadata', metadataSegment?.start ?? null, metadataSegment?.end ?? null
+        );
 
         // Build schema elements for schema groups
         cache.schemaelements = this.buildAllSchemaElementSegments(fileData);
@@ -38,25 +44,33 @@ class SegmentHierarchyBuilder {
         // Build key-value metadata elements
         cache.keyvaluemetadata = this.buildKeyValueMetadataSegments(fileData);
 
-        // Build column chunk metadata elements
+        // Build column chunk metadata elements and the fields of their Thrift structs
         cache.columnchunkmetadata = this.buildColumnChunkMetadataSegments(fileData);
+        cache.structfields = this.buildStructFieldSegments(cache.columnchunkmetadata);
 
         // Build column chunks for each row group
-        const metadata = fileData.metadata;
-        if (metadata?.row_groups) {
-            metadata.row_groups.forEach((_, index) => {
-                cache.columnchunks[index] = this.buildColumnChunkSegments(fileData, index);
-            });
-        }
+        cache.rowgroups.filter(rowGroup => rowGroup.rowGroupIndex !== undefined).forEach(rowGroup => {
+            cache.columnchunks[rowGroup.rowGroupIndex] = this.accountForBytes(
+                this.buildColumnChunkSegments(fileData, rowGroup.rowGroupIndex), rowGroup.id, rowGroup.start, rowGroup.end
+            );
+        });
 
         // Build pages for each column chunk
-        for (const [rowGroupIndex, chunks] of Object.entries(cache.columnchunks)) {
-            chunks.forEach((chunk, chunkIndex) => {
-                const key = `${rowGroupIndex}_${chunkIndex}`;
-                cache.pages[key] = this.buildPageSegments(fileData, parseInt(rowGroupIndex), chunkIndex);
+        for (const chunks of Object.values(cache.columnchunks)) {
+            chunks.filter(chunk => !chunk.isGap).forEach(chunk => {
+                const key = `${chunk.rowGroupIndex}_${chunk.chunkIndex}`;
+                cache.pages[key] = this.accountForBytes(
+                    this.buildPageSegments(fileData, chunk.rowGroupIndex, chunk.chunkIndex), chunk.id, chunk.start, chunk.end
+                );
             });
         }
 
+        // Column-major view: each column's chunks across all row groups
+        cache.columns = this.buildColumnSegments(cache.columnchunks);
+        cache.columns.forEach(column => {
+            cache.columnstrips[column.id] = this.buildColumnStripSegments(column);
+        });
+
         return cache;
     }
 
@@ -68,14 +82,13 @@ class SegmentHierarchyBuilder {
     static buildOverviewSegments(fileData) {
         const segments = [];
         const constants = ParquetConstants.FILE_STRUCTURE;
-
-        // Use actual metadata size if available
-        const metadataSize = fileData.metadata?.total_byte_size ||
-            (fileData.metadata?.metadata ? JSON.stringify(fileData.metadata.metadata).length : 1024);
+        const metadata = fileData.metadata;
+        const footerStart = fileData.filesize - constants.FOOTER_SIZE;
+        const metadataRecorded = Number.isInteger(metadata?.start_offset) && metadata.total_byte_size > 0;
 
         // Calculate actual row groups range based on column chunk data
         let rowGroupsStart = constants.MAGIC_SIZE;
-        let rowGroupsEnd = fileData.filesize - metadataSize - constants.FOOTER_SIZE;
+        let rowGroupsEnd = metadataRecorded ? metadata.start_offset : footerStart;
 
         if (fileData.column_chunks && fileData.column_chunks.length > 0) {
             const allOffsets = fileData.column_chunks.map(chunk => chunk.start_offset);
@@ -101,11 +114,13 @@ class SegmentHierarchyBuilder {
             end: rowGroupsEnd
         }));
 
+        // Without a recorded FileMetaData offset, the metadata is assumed to fill the bytes up to the footer
         segments.push(new ParquetSegment({
             id: 'metadata',
             name: 'METADATA',
-            start: rowGroupsEnd,
-            end: fileData.filesize - constants.FOOTER_SIZE
+            start: metadataRecorded ? this._getMetadataStart(fileData, rowGroupsEnd) : rowGroupsEnd,
+            end: metadataRecorded ? metadata.start_offset + metadata.total_byte_size : footerStart,
+            estimated: !metadataRecorded
         }));
 
         segments.push(new ParquetSegment({
@@ -126,7 +141,7 @@ class SegmentHierarchyBuilder {
     }
 
     /**
-     * Build row group segments
+     * Build row group segments, and the bloom filters and page indexes written between them
      * @param {object} fileData - Raw parquet file data
      * @returns {ParquetSegment[]} Array of row group segments
      */
@@ -162,6 +177,9 @@ class SegmentHierarchyBuilder {
             }));
         });
 
+        // Writers such as parquet-rs put each row group's bloom filters right after its data pages
+        segments.push(...this._buildIndexSegments(this._getIndicesInfo(fileData, false)));
+
         return segments;
     }
 
@@ -270,6 +288,68 @@ class SegmentHierarchyBuilder {
         return segments;
     }
 
+    /**
+     * Build one segment per column (path_in_schema) made up of its chunks in every row group
+     * The chunks are not contiguous, so a column segment's size is the sum of its chunks rather than its span
+     * @param {object} columnChunks - Column chunk segments by row group index (see buildColumnChunkSegments)
+     * @returns {ParquetSegment[]} Column segments in schema order
+     */
+    static buildColumnSegments(columnChunks) {
+        const chunksByColumn = new Map();
+
+        Object.keys(columnChunks).sort((a, b) => a - b).forEach(rowGroupIndex => {
+            columnChunks[rowGroupIndex]
+                .filter(chunk => !chunk.isGap)
+                .sort((a, b) => a.chunkIndex - b.chunkIndex)
+                .forEach(chunk => {
+                    if (!chunksByColumn.has(chunk.columnPath)) {
+                        chunksByColumn.set(chunk.columnPath, []);
+                    }
+                    chunksByColumn.get(chunk.columnPath).push(chunk);
+                });
+        });
+
+        return [...chunksByColumn.entries()].map(([columnPath, chunks], columnIndex) => new ParquetSegment({
+            id: `column_${columnIndex}`,
+            name: columnPath,
+            start: Math.min(...chunks.map(chunk => chunk.start)),
+            end: Math.max(...chunks.map(chunk => chunk.end)),
+            ranges: chunks.map(chunk => ({ start: chunk.start, end: chunk.end })),
+            columnPath: columnPath,
+            description: `Column <code>${columnPath}</code>`,
+            metadata: {
+                path_in_schema: columnPath,
+                chunks: chunks
+            }
+        }));
+    }
+
+    /**
+     * Lay out a column's chunks at their file offsets, with the bytes of other columns between them
+     * @param {ParquetSegment} column - Column segment from buildColumnSegments()
+     * @returns {ParquetSegment[]} Chunk segments (shared with the row group view) and OTHER DATA spacers
+     */
+    static buildColumnStripSegments(column) {
+        const chunks = [...column.metadata.chunks].sort((a, b) => a.start - b.start);
+        const segments = [];
+
+        chunks.forEach((chunk, index) => {
+            const previousEnd = index > 0 ? chunks[index - 1].end : chunk.start;
+            if (chunk.start > previousEnd) {
+                segments.push(new ParquetSegment({
+                    id: `between_${column.id}_${index - 1}`,
+                    name: 'OTHER DATA',
+                    start: previousEnd,
+                    end: chunk.start,
+                    description: 'Other columns between two chunks of this column'
+                }));
+            }
+            segments.push(chunk);
+        });
+
+        return segments;
+    }
+
     /**
      * Build metadata structure segments (schema, row group metadata, indices)
      * @param {object} fileData - Raw parquet file data
@@ -281,78 +361,61 @@ class SegmentHierarchyBuilder {
 
         if (!metadata) {return segments;}
 
-        let currentOffset = metadata?.start_offset || 0;
+        // Page indexes and bloom filters, written between the data pages and the FileMetaData struct
+        const columnIndicesInfo = this._getIndicesInfo(fileData, true);
+        if (columnIndicesInfo.length > 0) {
+            const totalIndicesSize = columnIndicesInfo.reduce((sum, info) => sum + info.size, 0);
 
-        // Schema segment (using physical metadata offsets if available)
-        if (metadata.schema_root) {
-            const schemaStart = metadata.schema_root.start_offset || currentOffset;
-            // Calculate the actual schema length by summing all child elements recursively
-            const schemaLength = this._calculateSchemaLength(metadata.schema_root);
+            segments.push(new ParquetSegment({
+                id: 'column_indices',
+                name: 'INDICES',
+                start: Math.min(...columnIndicesInfo.map(info => info.offset)),
+                end: Math.max(...columnIndicesInfo.map(info => info.offset + info.size)),
+                metadata: {
+                    name: 'column_indices',
+                    indices_count: columnIndicesInfo.length,
+                    total_size: totalIndicesSize
+                }
+            }));
+        }
 
+        // Schema segment: the root element followed by all of its descendants
+        if (metadata.schema_root?.start_offset !== undefined) {
             segments.push(new ParquetSegment({
                 id: 'schema_root',
                 name: 'SCHEMA',
-                start: schemaStart,
-                end: schemaStart + schemaLength,
+                start: metadata.schema_root.start_offset,
+                end: this._getSchemaEnd(metadata.schema_root),
                 metadata: metadata.schema_root
             }));
-
-            currentOffset = schemaStart + schemaLength;
         }
 
         // Row Groups Metadata segment
-        if (metadata.row_groups && metadata.row_groups.length > 0) {
-            // Calculate size based on row group metadata
-            let totalRowGroupMetadataSize = 0;
-            metadata.row_groups.forEach(rg => {
-                totalRowGroupMetadataSize += rg.byte_length || 200; // estimate per row group
-            });
-
+        const rowGroupRanges = this._getRowGroupMetadataRanges(metadata);
+        if (rowGroupRanges.length > 0) {
             segments.push(new ParquetSegment({
                 id: 'row_groups_metadata',
                 name: 'ROW GROUP METADATA',
-                start: currentOffset,
-                end: currentOffset + totalRowGroupMetadataSize,
+                start: rowGroupRanges[0].start,
+                end: rowGroupRanges[rowGroupRanges.length - 1].end,
+                estimated: rowGroupRanges.some(range => range.estimated),
                 metadata: {
                     name: 'Row Group Metadata',
                     row_groups: metadata.row_groups,
                     num_row_groups: metadata.row_groups.length
                 }
             }));
-
-            currentOffset += totalRowGroupMetadataSize;
-        }
-
-        // Column Indices (if any columns have column index info)
-        const columnIndicesInfo = this._extractColumnIndicesInfo(fileData);
-        if (columnIndicesInfo.length > 0) {
-            const totalIndicesSize = columnIndicesInfo.reduce((sum, info) => sum + info.size, 0);
-
-            segments.push(new ParquetSegment({
-                id: 'column_indices',
-                name: 'INDICES',
-                start: currentOffset,
-                end: currentOffset + totalIndicesSize,
-                metadata: {
-                    name: 'column_indices',
-                    indices_count: columnIndicesInfo.length,
-                    total_size: totalIndicesSize
-                }
-            }));
-
-            currentOffset += totalIndicesSize;
         }
 
         // Key-Value Metadata (if present)
-        if (metadata.key_value_metadata && Array.isArray(metadata.key_value_metadata) && metadata.key_value_metadata.length > 0) {
-            // Calculate total size from individual entries
-            const totalKvSize = metadata.key_value_metadata.reduce((sum, entry) => sum + (entry.byte_length || 0), 0);
-
+        const keyValueEntries = (Array.isArray(metadata.key_value_metadata) ? metadata.key_value_metadata : [])
+            .filter(entry => entry.start_offset !== undefined);
+        if (keyValueEntries.length > 0) {
             segments.push(new ParquetSegment({
                 id: 'key_value_metadata',
                 name: 'KEY-VALUE METADATA',
-                start: currentOffset,
-                end: currentOffset + totalKvSize,
+                start: Math.min(...keyValueEntries.map(entry => entry.start_offset)),
+                end: Math.max(...keyValueEntries.map(entry => entry.start_offset + (entry.byte_length || 0))),
                 metadata: {
                     name: 'Key-Value Metadata',
                     entries: metadata.key_value_metadata,
@@ -360,10 +423,13 @@ class SegmentHierarchyBuilder {
                     structured_format: true
                 }
             }));
-
-            currentOffset += totalKvSize;
         }
 
+        // Version, row count, created_by and the list headers between the structs above
+        if (metadata.start_offset !== undefined && metadata.total_byte_size) {
+            return this._fillStructFields(segments, 'metadata', metadata.start_offset,
+                metadata.start_offset + metadata.total_byte_size);
+        }
         return segments.sort((a, b) => a.start - b.start);
     }
 
@@ -377,25 +443,16 @@ class SegmentHierarchyBuilder {
         const metadata = fileData.metadata;
         if (!metadata?.row_groups) {return cache;}
 
-        const segments = [];
-        let currentOffset = (fileData.metadata?.start_offset || 0) + 600; // After schema
-
-        metadata.row_groups.forEach((rowGroup, index) => {
-            const rgSize = rowGroup.byte_length || 200;
-
-            segments.push(new ParquetSegment({
-                id: `rowgroup_meta_${index}`,
-                name: `ROW GROUP ${index}`,
-                start: currentOffset,
-                end: currentOffset + rgSize,
-                metadata: rowGroup,
-                rowGroupIndex: index
-            }));
-
-            currentOffset += rgSize;
-        });
+        cache['row_groups_metadata'] = this._getRowGroupMetadataRanges(metadata).map((range, index) => new ParquetSegment({
+            id: `rowgroup_meta_${index}`,
+            name: `ROW GROUP ${index}`,
+            start: range.start,
+            end: range.end,
+            estimated: range.estimated,
+            metadata: metadata.row_groups[index],
+            rowGroupIndex: index
+        }));
 
-        cache['row_groups_metadata'] = segments;
         return cache;
     }
 
@@ -406,29 +463,11 @@ class SegmentHierarchyBuilder {
      */
     static buildColumnIndexSegments(fileData) {
         const cache = {};
-        const indicesInfo = this._extractColumnIndicesInfo(fileData);
+        const indicesInfo = this._getIndicesInfo(fileData, true);
 
         if (indicesInfo.length === 0) {return cache;}
 
-        const segments = [];
-
-        indicesInfo.forEach(info => {
-            const segmentName = `${info.path} (RG${info.row_group}) ${info.type.toUpperCase()}`;
-
-            segments.push(new ParquetSegment({
-                id: `${info.type}_${info.row_group}_${info.path}`,
-                name: segmentName,
-                start: info.offset,
-                end: info.offset + info.size,
-                metadata: {
-                    column_path: info.path,
-                    row_group_index: info.row_group,
-                    index_type: info.type
-                }
-            }));
-        });
-
-        cache['column_indices'] = segments.sort((a, b) => a.start - b.start);
+        cache['column_indices'] = this._buildIndexSegments(indicesInfo).sort((a, b) => a.start - b.start);
         return cache;
     }
 
@@ -439,7 +478,7 @@ class SegmentHierarchyBuilder {
      */
     static buildKeyValueMetadataSegments(fileData) {
         const cache = {};
-        const metadata = fileData.metadata?.metadata;
+        const metadata = fileData.metadata;
 
         if (!metadata?.key_value_metadata || !Array.isArray(metadata.key_value_metadata)) {
             return cache;
@@ -484,32 +523,60 @@ class SegmentHierarchyBuilder {
             return cache;
         }
 
+        const rowGroupRanges = this._getRowGroupMetadataRanges(metadata);
+
         metadata.row_groups.forEach((rowGroup, rgIndex) => {
             const parentId = `rowgroup_meta_${rgIndex}`;
-            const segments = [];
-
-            if (rowGroup.column_chunks) {
-                let currentOffset = 0; // Relative offset within this row group metadata
-
-                Object.entries(rowGroup.column_chunks).forEach(([columnPath, columnMeta], chunkIndex) => {
-                    const chunkSize = columnMeta.total_compressed_size || columnMeta.total_uncompressed_size || 100;
-
-                    segments.push(new ParquetSegment({
-                        id: `column_meta_${rgIndex}_${chunkIndex}`,
-                        name: columnPath,
-                        start: currentOffset,
-                        end: currentOffset + chunkSize,
-                        metadata: columnMeta,
-                        rowGroupIndex: rgIndex,
-                        chunkIndex: chunkIndex,
-                        columnPath: columnPath
-                    }));
-
-                    currentOffset += chunkSize;
+            const range = rowGroupRanges[rgIndex];
+            const columnChunks = Object.entries(rowGroup.column_chunks || {});
+
+            // The column list is the row group's first field: a field header byte, then the list header
+            let nextStart = range.start + 1 + ThriftSizeEstimator.listHeaderSize(columnChunks.length);
+
+            const segments = columnChunks.map(([columnPath, columnChunk], chunkIndex) => {
+                const location = this._locateColumnChunkStruct(columnChunk, nextStart);
+                nextStart = location.end;
+
+                return new ParquetSegment({
+                    id: `column_meta_${rgIndex}_${chunkIndex}`,
+                    name: columnPath,
+                    start: location.start,
+                    end: location.end,
+                    estimated: true,
+                    metadata: columnChunk,
+                    rowGroupIndex: rgIndex,
+                    chunkIndex: chunkIndex,
+                    columnPath: columnPath
                 });
+            });
+
+            cache[parentId] = this._fillStructFields(segments, parentId, range.start, range.end, true);
+        });
+
+        return cache;
+    }
+
+    /**
+     * Build the field segments of each ColumnChunk struct, and recursively of its nested structs
+     * (ColumnMetaData, Statistics, ...). Only the ColumnMetaData range is recorded by por-que;
+     * every other field is placed from its encoded size and marked as estimated.
+     * @param {object} columnChunkMetadata - Column chunk struct segments by row group (see buildColumnChunkMetadataSegments)
+     * @returns {object} Map of parent IDs to field segment arrays
+     */
+    static buildStructFieldSegments(columnChunkMetadata) {
+        const cache = {};
+        const structs = ParquetConstants.THRIFT_STRUCTS;
+
+        Object.values(columnChunkMetadata).flat().filter(segment => segment.id.startsWith('column_meta_')).forEach(segment => {
+            const meta = segment.metadata.metadata;
+            const knownRanges = {};
+            if (meta?.start_offset !== undefined && meta.byte_length) {
+                // One field header byte precedes the recorded ColumnMetaData struct
+                knownRanges[3] = { start: meta.start_offset - 1, end: meta.start_offset + meta.byte_length };
             }
 
-            cache[parentId] = segments;
+            this._buildStructFields(cache, segment.id, structs.COLUMN_CHUNK, this._toThriftValues(segment.metadata),
+                segment.start, segment.end, knownRanges);
         });
 
         return cache;
@@ -565,13 +632,27 @@ class SegmentHierarchyBuilder {
 
         if (!schemaGroup?.children) {return segments;}
 
-        Object.entries(schemaGroup.children).forEach(([name, child], index) => {
+        // The group's own SchemaElement precedes those of its children
+        if (schemaGroup.start_offset !== undefined && schemaGroup.byte_length) {
+            segments.push(new ParquetSegment({
+                id: `${parentId}__element`,
+                name: schemaGroup.name || 'schema',
+                start: schemaGroup.start_offset,
+                end: schemaGroup.start_offset + schemaGroup.byte_length,
+                description: `SchemaElement of <code>${schemaGroup.name || 'schema'}</code>`,
+                metadata: {
+                    name: schemaGroup.name,
+                    full_path: schemaGroup.full_path,
+                    num_children: Object.keys(schemaGroup.children).length,
+                    repetition: schemaGroup.repetition
+                }
+            }));
+        }
+
+        Object.entries(schemaGroup.children).forEach(([name, child]) => {
             const childStart = child.start_offset || 0;
-            // For groups, calculate the cumulative length including all children
-            // For leaf elements, use their own byte_length
-            const childLength = child.element_type === 'group' ?
-                this._calculateSchemaLength(child) :
-                (child.byte_length || 50); // smaller fallback for leaf elements
+            // Groups span their own element and all of their descendants
+            const childEnd = child.element_type === 'group' ? this._getSchemaEnd(child) : childStart + (child.byte_length || 0);
 
             const segmentId = `${parentId}_${name}`;
 
@@ -579,7 +660,7 @@ class SegmentHierarchyBuilder {
                 id: segmentId,
                 name: name,
                 start: childStart,
-                end: childStart + childLength,
+                end: childEnd,
                 metadata: child
             }));
         });
@@ -635,6 +716,12 @@ class SegmentHierarchyBuilder {
                     return hierarchyCache.columnchunkmetadata[parentId] || [];
                 }
                 return [];
+            case 'structfields':
+                return (parentId && hierarchyCache.structfields?.[parentId]) || [];
+            case 'columns':
+                return hierarchyCache.columns || [];
+            case 'columnstrip':
+                return (parentId && hierarchyCache.columnstrips?.[parentId]) || [];
             case 'pages':
                 if (parentId && parentId.includes('chunk_')) {
                     const parts = parentId.split('_');
@@ -689,6 +776,17 @@ class SegmentHierarchyBuilder {
             if (elementFound) {return elementFound;}
         }
 
+        // Search column chunk metadata, Thrift struct fields and the column-major view
+        for (const elements of [
+            ...Object.values(hierarchyCache.columnchunkmetadata || {}),
+            ...Object.values(hierarchyCache.structfields || {}),
+            hierarchyCache.columns || [],
+            ...Object.values(hierarchyCache.columnstrips || {})
+        ]) {
+            const elementFound = elements.find(seg => seg.id === segmentId);
+            if (elementFound) {return elementFound;}
+        }
+
         // Search row groups
         const rowgroupFound = hierarchyCache.rowgroups.find(seg => seg.id === segmentId);
         if (rowgroupFound) {return rowgroupFound;}
@@ -708,26 +806,295 @@ class SegmentHierarchyBuilder {
         return null;
     }
 
+    /**
+     * Walk down the hierarchy through the segments containing a byte offset, one per level
+     * Gap segments are only chosen when no other segment of the level contains the offset
+     * @param {object} hierarchyCache - Pre-built hierarchy cache
+     * @param {number} offset - Byte offset in the file
+     * @param {Function} [getChildLevelName] - Level a segment drills down into (defaults to segment.childLevelName)
+     * @returns {string[]} Segment IDs, outermost first; empty if no overview segment contains the offset
+     */
+    static findPathAtOffset(hierarchyCache, offset, getChildLevelName = segment => segment.childLevelName) {
+        const path = [];
+        let segments = hierarchyCache.overview || [];
+
+        while (segments.length > 0) {
+            const containing = segments.filter(segment => segment.containsOffset(offset));
+            const match = containing.find(segment => !segment.isGap) || containing[0];
+            if (!match) {break;}
+
+            path.push(match.id);
+            const childLevelName = getChildLevelName(match);
+            segments = childLevelName ? this.getSegmentsForLevel(hierarchyCache, childLevelName, match.id) : [];
+        }
+
+        return path;
+    }
+
+    /**
+     * Order a level's segments by offset, insert UNACCOUNTED segments for bytes none of them cover
+     * and record overlapping byte ranges on the segments involved
+     * @param {ParquetSegment[]} segments - Segments of one level
+     * @param {string} parentId - ID of the parent segment, used to name the gap segments
+     * @param {number} [rangeStart] - Start of the range the level should cover (defaults to the first segment)
+     * @param {number} [rangeEnd] - End of that range (defaults to the last segment end)
+     * @returns {ParquetSegment[]} Segments in file order including gap segments
+     */
+    static accountForBytes(segments, parentId, rangeStart = null, rangeEnd = null) {
+        if (segments.length === 0) {return segments;}
+
+        const sorted = [...segments].sort((a, b) => a.start - b.start || a.end - b.end);
+        const result = [];
+        const addGap = (start, end) => {
+            result.push(new ParquetSegment({
+                id: `gap_${parentId}_${result.filter(segment => segment.isGap).length}`,
+                name: 'UNACCOUNTED',
+                start: start,
+                end: end,
+                isGap: true
+            }));
+        };
+
+        let covered = rangeStart ?? sorted[0].start;
+        let coveringSegment = null;
+
+        sorted.forEach(segment => {
+            if (segment.start > covered) {
+                addGap(covered, segment.start);
+            } else if (coveringSegment && segment.start < covered && segment.size > 0) {
+                const bytes = Math.min(covered, segment.end) - segment.start;
+                segment.overlaps.push({ id: coveringSegment.id, name: coveringSegment.name, bytes });
+                coveringSegment.overlaps.push({ id: segment.id, name: segment.name, bytes });
+            }
+
+            result.push(segment);
+            if (segment.end > covered) {
+                covered = segment.end;
+                coveringSegment = segment;
+            }
+        });
+
+        if (rangeEnd !== null && rangeEnd > covered) {
+            addGap(covered, rangeEnd);
+        }
+
+        return result;
+    }
+
+    /**
+     * Measure how much of the file the known structures cover, using pages where their headers are loaded
+     * and whole column chunks otherwise, and the footer structures whose offsets are recorded
+     * @param {object} fileData - Raw parquet file data
+     * @returns {object} {fileSize, accountedBytes, unaccountedBytes, overlappingBytes, percent}
+     */
+    static getByteAccounting(fileData) {
+        const fileSize = fileData.filesize || 0;
+        const ranges = this.buildOverviewSegments(fileData)
+            .filter(segment => segment.id !== 'rowgroups' && segment.id !== 'metadata');
+
+        // The METADATA overview segment spans everything up to the footer, gaps included;
+        // count the footer structures and each index and bloom filter at their recorded offsets instead
+        ranges.push(...this.buildMetadataStructureSegments(fileData)
+            .filter(segment => segment.id !== 'column_indices' && !segment.estimated));
+        ranges.push(...this._buildIndexSegments(this._extractColumnIndicesInfo(fileData)));
+
+        (fileData.metadata?.row_groups || []).forEach((_, rowGroupIndex) => {
+            this.buildColumnChunkSegments(fileData, rowGroupIndex).forEach(chunk => {
+                const pages = this.buildPageSegments(fileData, rowGroupIndex, chunk.chunkIndex);
+                ranges.push(...(pages.length > 0 ? pages : [chunk]));
+            });
+        });
+
+        ranges.sort((a, b) => a.start - b.start);
+
+        let covered = 0;
+        let accountedBytes = 0;
+        let overlappingBytes = 0;
+        ranges.forEach(range => {
+            const start = Math.max(range.start, 0);
+            const end = Math.min(range.end, fileSize);
+            if (end <= start) {return;}
+
+            overlappingBytes += Math.max(0, Math.min(covered, end) - start);
+            if (end > covered) {
+                accountedBytes += end - Math.max(start, covered);
+                covered = end;
+            }
+        });
+
+        return {
+            fileSize,
+            accountedBytes,
+            unaccountedBytes: fileSize - accountedBytes,
+            overlappingBytes,
+            percent: fileSize > 0 ? (accountedBytes / fileSize) * 100 : 100
+        };
+    }
+
     // Private helper methods
 
     /**
-     * Calculate the total length of a schema element (itself + all children recursively)
+     * Start of the METADATA segment: the page indexes and bloom filters written after the data pages,
+     * or the FileMetaData struct when there are none
      * @private
      */
-    static _calculateSchemaLength(schemaElement) {
-        if (!schemaElement) {return 0;}
+    static _getMetadataStart(fileData, rowGroupsEnd) {
+        const indexOffsets = this._extractColumnIndicesInfo(fileData)
+            .map(info => info.offset)
+            .filter(offset => offset >= rowGroupsEnd);
 
-        // Start with this element's own byte_length
-        let totalLength = schemaElement.byte_length || 0;
+        return Math.min(fileData.metadata.start_offset, ...indexOffsets);
+    }
 
-        // If this element has children, recursively add their lengths
-        if (schemaElement.children) {
-            Object.values(schemaElement.children).forEach(child => {
-                totalLength += this._calculateSchemaLength(child);
-            });
+    /**
+     * End offset of a schema element and all of its descendants, which follow it in the flattened schema
+     * @private
+     */
+    static _getSchemaEnd(schemaElement) {
+        let end = (schemaElement.start_offset || 0) + (schemaElement.byte_length || 0);
+
+        Object.values(schemaElement.children || {}).forEach(child => {
+            end = Math.max(end, this._getSchemaEnd(child));
+        });
+
+        return end;
+    }
+
+    /**
+     * Byte ranges of the RowGroup structs; row groups without recorded offsets are placed after
+     * the previous one (or the schema) with an assumed size and marked as estimated
+     * @private
+     */
+    static _getRowGroupMetadataRanges(metadata) {
+        const ESTIMATED_ROW_GROUP_SIZE = 200;
+        let nextStart = metadata.schema_root ? this._getSchemaEnd(metadata.schema_root) : (metadata.start_offset || 0);
+
+        return (metadata.row_groups || []).map(rowGroup => {
+            const recorded = rowGroup.start_offset !== undefined && rowGroup.byte_length;
+            const start = recorded ? rowGroup.start_offset : nextStart;
+            const end = start + (recorded ? rowGroup.byte_length : ESTIMATED_ROW_GROUP_SIZE);
+            nextStart = end;
+            return { start, end, estimated: !recorded };
+        });
+    }
+
+    /**
+     * Locate a ColumnChunk struct around its recorded ColumnMetaData using the encoded size of its other fields
+     * @private
+     * @returns {object} {start, end}
+     */
+    static _locateColumnChunkStruct(columnChunk, fallbackStart) {
+        const layout = ThriftSizeEstimator.layoutStruct(ParquetConstants.THRIFT_STRUCTS.COLUMN_CHUNK,
+            this._toThriftValues(columnChunk));
+        const metaField = layout.fields.find(field => field.id === 3);
+        const meta = columnChunk.metadata;
+
+        if (!metaField || meta?.start_offset === undefined || !meta.byte_length) {
+            return { start: fallbackStart, end: fallbackStart + layout.size };
         }
 
-        return totalLength;
+        const before = metaField.offset + metaField.headerSize;
+        const after = layout.size - metaField.offset - metaField.size;
+        return { start: meta.start_offset - before, end: meta.start_offset + meta.byte_length + after };
+    }
+
+    /**
+     * Dump values in the shape of their Thrift fields (path_in_schema is a list of names on the wire)
+     * @private
+     */
+    static _toThriftValues(columnChunk) {
+        const meta = columnChunk.metadata;
+        if (!meta) {return columnChunk;}
+
+        const path = meta.path_in_schema;
+        return {
+            ...columnChunk,
+            metadata: { ...meta, path_in_schema: Array.isArray(path) ? path : String(path ?? '').split('.') }
+        };
+    }
+
+    /**
+     * Add segments for the fields of a struct to the cache, recursing into nested structs
+     * Fields are placed by encoded size; a known range pins a field and shifts the fields after it
+     * @private
+     */
+    static _buildStructFields(cache, parentId, spec, values, start, end, knownRanges = {}) {
+        const layout = ThriftSizeEstimator.layoutStruct(spec, values);
+        const segments = [];
+        let shift = 0;
+
+        layout.fields.forEach(field => {
+            const definition = spec.find(entry => entry.id === field.id);
+            const nestedSpec = definition.type === 'struct' ?
+                (definition.fields || ParquetConstants.THRIFT_STRUCTS[definition.struct]) : null;
+            const known = knownRanges[field.id];
+            const fieldStart = known ? known.start : start + field.offset + shift;
+            const fieldEnd = known ? known.end : Math.min(fieldStart + field.size, end);
+            if (known) {
+                shift = known.end - (start + field.offset + field.size);
+            }
+            if (fieldEnd <= fieldStart || fieldStart < start) {return;}
+
+            const id = `${parentId}_${field.name}`;
+            segments.push(new ParquetSegment({
+                id: id,
+                name: field.name,
+                start: fieldStart,
+                end: fieldEnd,
+                estimated: !known,
+                metadata: {
+                    field_id: field.id,
+                    thrift_type: definition.type,
+                    thrift_struct: Boolean(nestedSpec),
+                    value: nestedSpec ? undefined : field.value
+                }
+            }));
+
+            if (nestedSpec) {
+                this._buildStructFields(cache, id, nestedSpec, field.value, fieldStart + field.headerSize, fieldEnd);
+            }
+        });
+
+        cache[parentId] = this._fillStructFields(segments, parentId, start, end, true);
+    }
+
+    /**
+     * Cover the bytes of a struct that no segment claims (field headers, scalar fields, stop byte)
+     * with OTHER FIELDS segments; segments outside the struct's range are left alone
+     * @private
+     */
+    static _fillStructFields(segments, parentId, start, end, estimated = false) {
+        const sorted = [...segments].sort((a, b) => a.start - b.start);
+        const result = [];
+        let covered = start;
+        let fillerCount = 0;
+
+        const addFiller = (fillerStart, fillerEnd) => {
+            result.push(new ParquetSegment({
+                id: `fields_${parentId}_${fillerCount++}`,
+                name: 'OTHER FIELDS',
+                start: fillerStart,
+                end: fillerEnd,
+                estimated: estimated,
+                description: 'Field headers and fields without a segment of their own'
+            }));
+        };
+
+        sorted.forEach(segment => {
+            if (segment.start >= start && segment.start < end && segment.start > covered) {
+                addFiller(covered, segment.start);
+            }
+            result.push(segment);
+            if (segment.start < end) {
+                covered = Math.max(covered, Math.min(segment.end, end));
+            }
+        });
+
+        if (end > covered) {
+            addFiller(covered, end);
+        }
+
+        return result.sort((a, b) => a.start - b.start);
     }
 
     /**
@@ -754,16 +1121,27 @@ class SegmentHierarchyBuilder {
                         });
                     }
 
-                    // Check for offset index (usually present when column index is present)
-                    if (columnMeta.column_index_offset && columnMeta.column_index_length) {
-                        // Offset index typically follows column index
-                        const estimatedOffsetIndexSize = Math.max(50, Math.floor(columnMeta.column_index_length * 0.3));
+                    // Check for offset index
+                    if (columnMeta.offset_index_offset && columnMeta.offset_index_length) {
                         indicesInfo.push({
                             path: columnPath,
                             row_group: rgIndex,
                             type: 'offset_index',
-                            offset: columnMeta.column_index_offset + columnMeta.column_index_length,
-                            size: estimatedOffsetIndexSize
+                            offset: columnMeta.offset_index_offset,
+                            size: columnMeta.offset_index_length
+                        });
+                    }
+
+                    // Bloom filter (the length is optional in the format; without it the filter can't be placed)
+                    const bloomFilterOffset = columnMeta.metadata?.bloom_filter_offset;
+                    const bloomFilterLength = columnMeta.metadata?.bloom_filter_length;
+                    if (bloomFilterOffset && bloomFilterLength) {
+                        indicesInfo.push({
+                            path: columnPath,
+                            row_group: rgIndex,
+                            type: 'bloom_filter',
+                            offset: bloomFilterOffset,
+                            size: bloomFilterLength
                         });
                     }
                 });
@@ -773,6 +1151,36 @@ class SegmentHierarchyBuilder {
         return indicesInfo;
     }
 
+    /**
+     * Page indexes and bloom filters written after the last column chunk, or before its end
+     * @private
+     * @param {boolean} afterData - True for the structures after the data pages
+     */
+    static _getIndicesInfo(fileData, afterData) {
+        const chunks = fileData.column_chunks || [];
+        const dataEnd = Math.max(0, ...chunks.map(chunk => (chunk.start_offset || 0) + (chunk.total_byte_size || 0)));
+
+        return this._extractColumnIndicesInfo(fileData).filter(info => (info.offset >= dataEnd) === afterData);
+    }
+
+    /**
+     * Segments for page indexes and bloom filters
+     * @private
+     */
+    static _buildIndexSegments(indicesInfo) {
+        return indicesInfo.map(info => new ParquetSegment({
+            id: `${info.type}_${info.row_group}_${info.path}`,
+            name: `${info.path} (RG${info.row_group}) ${info.type.toUpperCase()}`,
+            start: info.offset,
+            end: info.offset + info.size,
+            metadata: {
+                column_path: info.path,
+                row_group_index: info.row_group,
+                index_type: info.type
+            }
+        }));
+    }
+
     /**
      * Get column chunks for a specific row group
      * @private
@@ -16,13 +16,16 @@ class SegmentLayoutCalculator {
             return [];
         }
 
-        // Calculate total range for this level
+        // Calculate total range for this level; overlapping segments are laid out side by side,
+        // so they need more room than the byte range they span
         const minStart = Math.min(...segments.map(s => s.start));
         const maxEnd = Math.max(...segments.map(s => s.end));
-        const totalSize = maxEnd - minStart;
+        const totalSize = Math.max(maxEnd - minStart, segments.reduce((sum, s) => sum + s.size, 0));
 
-        // Calculate minimum widths using logarithmic scaling
-        const minWidths = this.calculateLogarithmicMinWidths(segments, totalSize, containerWidth, config);
+        // Calculate minimum widths using logarithmic scaling; a linear scale keeps true proportions
+        const minWidths = config.LINEAR_SCALE ?
+            segments.map(() => 0) :
+            this.calculateLogarithmicMinWidths(segments, totalSize, containerWidth, config);
 
         // Calculate natural proportional widths
         const segmentData = segments.map((segment, index) => ({
@@ -179,14 +182,15 @@ class SegmentLayoutCalculator {
      * @returns {object} Complete level layout
      */
     static computeLevelLayout(levelName, parentSegmentId, segments, levelIndex, containerWidth, config) {
-        const y = levelIndex * (config.LEVEL_HEIGHT + config.LEVEL_SPACING);
+        const levelHeight = config.LEVEL_HEIGHT + (config.RULER_HEIGHT || 0);
+        const y = levelIndex * (levelHeight + config.LEVEL_SPACING);
 
         if (!segments || segments.length === 0) {
             return {
                 x: 0,
                 y,
                 width: containerWidth,
-                height: config.LEVEL_HEIGHT,
+                height: levelHeight,
                 segments: [],
                 levelName: levelName,
                 parentSegmentId: parentSegmentId
@@ -205,7 +209,7 @@ class SegmentLayoutCalculator {
             x: 0,
             y: y,
             width: containerWidth,
-            height: config.LEVEL_HEIGHT,
+            height: levelHeight,
             segments: segmentLayouts,
             totalSize: totalSize,
             minStart: minStart,
@@ -229,7 +233,8 @@ class SegmentLayoutCalculator {
         }
 
         // Calculate height based purely on content, no minimum enforced
-        return (levelCount * (config.LEVEL_HEIGHT + config.LEVEL_SPACING)) + (config.TOP_MARGIN * 2);
+        const levelHeight = config.LEVEL_HEIGHT + (config.RULER_HEIGHT || 0);
+        return (levelCount * (levelHeight + config.LEVEL_SPACING)) + (config.TOP_MARGIN * 2);
     }
 
     /**
@@ -263,6 +268,8 @@ class SegmentLayoutCalculator {
 
     /**
      * Perform hit testing to find segment at given coordinates
+     * Segments of a level are laid out left to right, so each level is binary searched; a segment under the
+     * point wins over a neighbour that is only within the tolerance
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
      * @param {object[]} levelLayouts - Array of level layouts
@@ -270,32 +277,49 @@ class SegmentLayoutCalculator {
      * @returns {object|null} Hit test result or null
      */
     static hitTest(x, y, levelLayouts, config) {
-        // Test all segments in all levels
+        // Add tolerance for easier selection
+        const tolerance = config.HIT_TEST_TOLERANCE || 0;
+
         for (let levelIndex = 0; levelIndex < levelLayouts.length; levelIndex++) {
             const level = levelLayouts[levelIndex];
 
             if (!level.segments) {continue;}
 
-            for (const segmentLayout of level.segments) {
-                const segmentX = segmentLayout.x;
+            // First segment whose right edge reaches the point
+            const segments = level.segments;
+            let low = 0;
+            let high = segments.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (segments[middle].x + segments[middle].width + tolerance < x) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+            }
+
+            let hit = null;
+            for (let i = low; i < segments.length && segments[i].x - tolerance <= x; i++) {
+                const segmentLayout = segments[i];
                 const segmentY = level.y + segmentLayout.y;
-                const segmentWidth = segmentLayout.width;
-                const segmentHeight = segmentLayout.height;
-
-                // Add tolerance for easier selection
-                const tolerance = config.HIT_TEST_TOLERANCE || 0;
-
-                if (x >= (segmentX - tolerance) && x <= (segmentX + segmentWidth + tolerance) &&
-                    y >= (segmentY - tolerance) && y <= (segmentY + segmentHeight + tolerance)) {
-                    return {
-                        segment: segmentLayout.segment,
-                        level: level,
-                        levelIndex: levelIndex,
-                        segmentLayout: segmentLayout,
-                        localX: x - segmentX,
-                        localY: y - segmentY
-                    };
+                if (y < segmentY - tolerance || y > segmentY + segmentLayout.height + tolerance) {continue;}
+
+                const isExact = x >= segmentLayout.x && x <= segmentLayout.x + segmentLayout.width;
+                if (!hit || isExact) {
+                    hit = segmentLayout;
                 }
+                if (isExact) {break;}
+            }
+
+            if (hit) {
+                return {
+                    segment: hit.segment,
+                    level: level,
+                    levelIndex: levelIndex,
+                    segmentLayout: hit,
+                    localX: x - hit.x,
+                    localY: y - (level.y + hit.y)
+                };
             }
         }
 
@@ -0,0 +1,165 @@
+/**
+ * Bounding Box Plot
+ * Draws the geospatial bounding boxes of a column's row groups on one shared, north-up coordinate frame
+ * X and Y share a scale so shapes keep their proportions; no basemap is drawn
+ */
+class BboxPlot {
+    static WIDTH = 360; // viewBox units; the SVG stretches to the container width
+    static MAX_HEIGHT = 240;
+    static MIN_HEIGHT = 60;
+    static PADDING = { top: 8, right: 8, bottom: 18, left: 56 };
+    static MIN_BOX_SIZE = 3; // Keeps point-like boxes visible
+    static ANTIMERIDIAN = 180;
+
+    /**
+     * Render bounding boxes as SVG markup
+     * @param {object[]} boxes - {label, bbox, highlighted}; bbox is {xmin, xmax, ymin, ymax} or null
+     * @param {object} [options]
+     * @param {boolean} [options.wraparound=false] - Boxes with xmin > xmax cross the antimeridian (GEOGRAPHY)
+     * @returns {string} SVG markup, or an empty string when no box is present
+     */
+    static render(boxes, { wraparound = false } = {}) {
+        const rects = boxes
+            .filter(box => BboxPlot.isValidBbox(box.bbox))
+            .flatMap(box => BboxPlot.splitBbox(box.bbox, wraparound).map(part => ({ ...box, part })));
+        if (rects.length === 0) {return '';}
+
+        const frame = BboxPlot.calculateFrame(rects.map(rect => rect.part));
+        const { top, left } = BboxPlot.PADDING;
+        const height = Math.ceil(top + frame.height + BboxPlot.PADDING.bottom);
+
+        // Highlighted boxes go last so nothing covers them
+        const ordered = [...rects.filter(rect => !rect.highlighted), ...rects.filter(rect => rect.highlighted)];
+
+        return `
+            <svg class="bbox-plot" viewBox="0 0 ${BboxPlot.WIDTH} ${height}" width="100%"
+                role="img" aria-label="Row group bounding boxes">
+                <rect class="bbox-frame" x="${left}" y="${top}" width="${frame.width.toFixed(2)}" height="${frame.height.toFixed(2)}"></rect>
+                ${ordered.map(rect => BboxPlot.renderBox(rect, frame)).join('')}
+                <text class="bbox-extent" x="${left - 4}" y="${top}" text-anchor="end" dominant-baseline="hanging">${BboxPlot.formatCoordinate(frame.ymax)}</text>
+                <text class="bbox-extent" x="${left - 4}" y="${(top + frame.height).toFixed(2)}" text-anchor="end">${BboxPlot.formatCoordinate(frame.ymin)}</text>
+                <text class="bbox-extent" x="${left}" y="${height - 4}">${BboxPlot.formatCoordinate(frame.xmin)}</text>
+                <text class="bbox-extent" x="${(left + frame.width).toFixed(2)}" y="${height - 4}" text-anchor="end">${BboxPlot.formatCoordinate(frame.xmax)}</text>
+            </svg>
+        `;
+    }
+
+    /**
+     * Check that a bounding box has finite X and Y ranges
+     */
+    static isValidBbox(bbox) {
+        return Boolean(bbox) && ['xmin', 'xmax', 'ymin', 'ymax'].every(key => Number.isFinite(bbox[key]));
+    }
+
+    /**
+     * Split a box that crosses the antimeridian into its western and eastern parts
+     * @returns {object[]} One or two {xmin, xmax, ymin, ymax}
+     */
+    static splitBbox(bbox, wraparound) {
+        const { xmin, xmax, ymin, ymax } = bbox;
+        if (!wraparound || xmin <= xmax) {
+            return [{ xmin, xmax, ymin, ymax }];
+        }
+
+        return [
+            { xmin, xmax: BboxPlot.ANTIMERIDIAN, ymin, ymax },
+            { xmin: -BboxPlot.ANTIMERIDIAN, xmax, ymin, ymax }
+        ];
+    }
+
+    /**
+     * Common extent of all boxes and its size in viewBox units
+     * @returns {object} {xmin, xmax, ymin, ymax, scale, width, height}
+     */
+    static calculateFrame(parts) {
+        const extent = {
+            xmin: Math.min(...parts.map(part => part.xmin)),
+            xmax: Math.max(...parts.map(part => part.xmax)),
+            ymin: Math.min(...parts.map(part => part.ymin)),
+            ymax: Math.max(...parts.map(part => part.ymax))
+        };
+
+        // A single point has no extent; give it one so it can be scaled
+        const span = Math.max(extent.xmax - extent.xmin, extent.ymax - extent.ymin) || 1;
+        const spanX = extent.xmax - extent.xmin || span;
+        let spanY = extent.ymax - extent.ymin || span;
+
+        const plotWidth = BboxPlot.WIDTH - BboxPlot.PADDING.left - BboxPlot.PADDING.right;
+        const scale = Math.min(plotWidth / spanX, BboxPlot.MAX_HEIGHT / spanY);
+
+        // Wide, flat extents grow north and south to the minimum height
+        spanY = Math.max(spanY, BboxPlot.MIN_HEIGHT / scale);
+
+        const xmin = BboxPlot.centerRange(extent.xmin, extent.xmax, spanX);
+        const ymin = BboxPlot.centerRange(extent.ymin, extent.ymax, spanY);
+
+        return {
+            xmin,
+            xmax: xmin + spanX,
+            ymin,
+            ymax: ymin + spanY,
+            scale,
+            width: spanX * scale,
+            height: spanY * scale
+        };
+    }
+
+    /**
+     * Start of a range of the given span centered on [min, max]
+     */
+    static centerRange(min, max, span) {
+        return (min + max - span) / 2;
+    }
+
+    /**
+     * Render one box, north up, with a tooltip giving its ranges
+     */
+    static renderBox(rect, frame) {
+        const { part, bbox } = rect;
+        const { top, left } = BboxPlot.PADDING;
+
+        let x = left + (part.xmin - frame.xmin) * frame.scale;
+        let y = top + (frame.ymax - part.ymax) * frame.scale;
+        let width = (part.xmax - part.xmin) * frame.scale;
+        let height = (part.ymax - part.ymin) * frame.scale;
+
+        if (width < BboxPlot.MIN_BOX_SIZE) {
+            x -= (BboxPlot.MIN_BOX_SIZE - width) / 2;
+            width = BboxPlot.MIN_BOX_SIZE;
+        }
+        if (height < BboxPlot.MIN_BOX_SIZE) {
+            y -= (BboxPlot.MIN_BOX_SIZE - height) / 2;
+            height = BboxPlot.MIN_BOX_SIZE;
+        }
+
+        const className = rect.highlighted ? 'bbox-box bbox-box-highlighted' : 'bbox-box';
+        const tooltip = `${rect.label}: x ${BboxPlot.formatCoordinate(bbox.xmin)} to ${BboxPlot.formatCoordinate(bbox.xmax)}, ` +
+            `y ${BboxPlot.formatCoordinate(bbox.ymin)} to ${BboxPlot.formatCoordinate(bbox.ymax)}`;
+
+        return `
+            <rect class="${className}" x="${x.toFixed(2)}" y="${y.toFixed(2)}"
+                width="${width.toFixed(2)}" height="${height.toFixed(2)}"><title>${BboxPlot.escapeHtml(tooltip)}</title></rect>
+        `;
+    }
+
+    /**
+     * Format a coordinate with up to eight significant digits
+     */
+    static formatCoordinate(value) {
+        return Number.isInteger(value) ? String(value) : String(parseFloat(value.toPrecision(8)));
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BboxPlot;
+}
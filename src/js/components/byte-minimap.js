@@ -0,0 +1,161 @@
+/**
+ * Byte Minimap
+ * Strip of the whole file drawn to linear byte scale, with one marker row per drill-down level
+ * showing where the selected segment of that level lies
+ * Dispatches 'offsetSelected' {offset} on its container when the user clicks the strip
+ */
+class ByteMinimap {
+    static WIDTH = 1000; // viewBox units; the SVG stretches to the container width
+    static STRIP_HEIGHT = 18;
+    static MARKER_HEIGHT = 4;
+    static MARKER_GAP = 2;
+    static MIN_MARKER_WIDTH = 2; // Keeps tiny segments visible
+
+    /**
+     * @param {HTMLElement} container - Element to render into
+     */
+    constructor(container) {
+        this.container = container;
+        this.segments = [];
+        this.fileSize = 0;
+        this.selectionPath = [];
+
+        this.container.innerHTML = '';
+        this.svg = this.createSvgElement('svg', {
+            class: 'minimap-svg',
+            width: '100%',
+            preserveAspectRatio: 'none'
+        });
+        this.stripGroup = this.createSvgElement('g', { class: 'minimap-strip' });
+        this.selectionGroup = this.createSvgElement('g', { class: 'minimap-selection' });
+        this.svg.appendChild(this.stripGroup);
+        this.svg.appendChild(this.selectionGroup);
+        this.container.appendChild(this.svg);
+
+        this.handleClick = this.handleClick.bind(this);
+        this.svg.addEventListener('click', this.handleClick);
+    }
+
+    /**
+     * Draw the top-level segments of a file
+     * @param {ParquetSegment[]} segments - Overview segments in file order
+     */
+    render(segments) {
+        this.segments = segments;
+        this.fileSize = segments.reduce((max, segment) => Math.max(max, segment.end), 0);
+        this.stripGroup.innerHTML = '';
+
+        segments.forEach((segment, index) => {
+            const rect = this.createSvgElement('rect', {
+                class: 'minimap-segment',
+                y: 0,
+                height: ByteMinimap.STRIP_HEIGHT,
+                ...this.toRange(segment.start, segment.end)
+            });
+            rect.style.fill = `var(${VisualizationConfig.getSegmentColor(segment, index, segments)})`;
+
+            const title = this.createSvgElement('title');
+            title.textContent = `${segment.name} (${segment.formattedSize})`;
+            rect.appendChild(title);
+            this.stripGroup.appendChild(rect);
+        });
+
+        this.setSelection(this.selectionPath);
+    }
+
+    /**
+     * Mark the byte ranges of the selected segment at every level
+     * @param {ParquetSegment[]} selectionPath - Selected segments, outermost first
+     */
+    setSelection(selectionPath) {
+        this.selectionPath = selectionPath;
+        this.selectionGroup.innerHTML = '';
+
+        selectionPath.forEach((segment, depth) => {
+            const y = ByteMinimap.STRIP_HEIGHT + ByteMinimap.MARKER_GAP +
+                depth * (ByteMinimap.MARKER_HEIGHT + ByteMinimap.MARKER_GAP);
+            const isDeepest = depth === selectionPath.length - 1;
+            const ranges = segment.ranges.length > 0 ? segment.ranges : [segment];
+
+            ranges.forEach(range => {
+                this.selectionGroup.appendChild(this.createSvgElement('rect', {
+                    class: `minimap-marker${isDeepest ? ' minimap-marker-current' : ''}`,
+                    y,
+                    height: ByteMinimap.MARKER_HEIGHT,
+                    ...this.toRange(range.start, range.end)
+                }));
+            });
+        });
+
+        // Frame the innermost selection on the strip itself
+        const current = selectionPath[selectionPath.length - 1];
+        if (current) {
+            this.selectionGroup.appendChild(this.createSvgElement('rect', {
+                class: 'minimap-frame',
+                y: 0,
+                height: ByteMinimap.STRIP_HEIGHT,
+                ...this.toRange(current.start, current.end)
+            }));
+        }
+
+        this.updateHeight();
+    }
+
+    /**
+     * Translate a click on the strip into a byte offset
+     */
+    handleClick(event) {
+        if (this.fileSize === 0) {return;}
+
+        const bounds = this.svg.getBoundingClientRect();
+        if (bounds.width === 0) {return;}
+
+        const fraction = Math.min(Math.max((event.clientX - bounds.left) / bounds.width, 0), 1);
+        const offset = Math.min(Math.floor(fraction * this.fileSize), this.fileSize - 1);
+        this.container.dispatchEvent(new CustomEvent('offsetSelected', { detail: { offset } }));
+    }
+
+    /**
+     * Fit the SVG to the strip and the current number of marker rows
+     */
+    updateHeight() {
+        const height = ByteMinimap.STRIP_HEIGHT +
+            this.selectionPath.length * (ByteMinimap.MARKER_HEIGHT + ByteMinimap.MARKER_GAP) + ByteMinimap.MARKER_GAP;
+        this.svg.setAttribute('height', height);
+        this.svg.setAttribute('viewBox', `0 0 ${ByteMinimap.WIDTH} ${height}`);
+    }
+
+    /**
+     * x and width attributes for a byte range
+     * @returns {object} {x, width} in viewBox units
+     */
+    toRange(start, end) {
+        const scale = this.fileSize > 0 ? ByteMinimap.WIDTH / this.fileSize : 0;
+        const width = Math.max((end - start) * scale, ByteMinimap.MIN_MARKER_WIDTH);
+        return { x: Math.min(start * scale, ByteMinimap.WIDTH - width), width };
+    }
+
+    /**
+     * Create an SVG element with attributes
+     */
+    createSvgElement(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.entries(attributes).forEach(([key, value]) => {
+            element.setAttribute(key, value);
+        });
+        return element;
+    }
+
+    /**
+     * Remove event listeners and rendered content
+     */
+    destroy() {
+        this.svg.removeEventListener('click', this.handleClick);
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ByteMinimap;
+}
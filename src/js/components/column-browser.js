@@ -1,25 +1,78 @@
 /**
  * Column Browser Component
  * Hierarchical navigation: Columns → Column Chunks → Pages → Page Details
+ * Every level is a table that sorts by any column, filters on its text and exports as CSV
+ * Dispatches 'browserNavigated' {path, columnPath} on its container when the user moves to another level;
+ * path holds the segment IDs of the byte map selection that shows the same column, chunk or page
  */
 class ColumnBrowser {
+    // Table columns of each level; sizes and counts are numeric and align right
+    static TABLE_COLUMNS = {
+        columns: [
+            { key: 'column', label: 'Column' },
+            { key: 'type', label: 'Type' },
+            { key: 'chunks', label: 'Chunks', format: 'number' },
+            { key: 'pages', label: 'Pages', format: 'number' },
+            { key: 'size', label: 'Size', format: 'bytes' },
+            { key: 'values', label: 'Values', format: 'number' },
+            { key: 'nulls', label: 'Nulls', format: 'number' },
+            { key: 'codec', label: 'Codec' }
+        ],
+        chunks: [
+            { key: 'rowGroup', label: 'Row Group', format: 'number' },
+            { key: 'offset', label: 'Offset', format: 'number' },
+            { key: 'size', label: 'Size', format: 'bytes' },
+            { key: 'uncompressed', label: 'Uncompressed', format: 'bytes' },
+            { key: 'values', label: 'Values', format: 'number' },
+            { key: 'nulls', label: 'Nulls', format: 'number' },
+            { key: 'pages', label: 'Pages', format: 'number' },
+            { key: 'codec', label: 'Codec' }
+        ],
+        pages: [
+            { key: 'page', label: 'Page' },
+            { key: 'type', label: 'Type' },
+            { key: 'offset', label: 'Offset', format: 'number' },
+            { key: 'size', label: 'Size', format: 'bytes' },
+            { key: 'uncompressed', label: 'Uncompressed', format: 'bytes' },
+            { key: 'values', label: 'Values', format: 'number' },
+            { key: 'nulls', label: 'Nulls', format: 'number' },
+            { key: 'encoding', label: 'Encoding' }
+        ]
+    };
+
     constructor(container) {
         this.container = container;
         this.data = null;
         this.app = null;
+        this.analyzer = null;
         this.currentView = 'columns'; // columns, chunks, pages, page-detail
-        this.selectedColumn = null;
-        this.selectedChunk = null;
-        this.selectedPage = null;
+        this.selectedColumn = null; // Column segment
+        this.selectedChunk = null; // Column chunk segment
+        this.selectedPage = null; // Page segment
         this.breadcrumb = [];
+        this.rows = []; // Rows of the current table in file order: {segment, values}
+        this.visibleRows = []; // Rows left by the filter, in sort order
+        this.sortState = {}; // Level -> {key, descending}
+        this.filterText = {}; // Level -> filter text
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('input', this.handleInput);
     }
 
     /**
      * Initialize with data
+     * @param {object} data - Loaded dump
+     * @param {ParquetExplorer} app - Application, for its naming helpers
+     * @param {FileStructureAnalyzer} analyzer - Segment hierarchy shared with the byte map
      */
-    init(data, app) {
+    init(data, app, analyzer) {
         this.data = data;
         this.app = app;
+        this.analyzer = analyzer;
+        this.sortState = {};
+        this.filterText = {};
         this.showColumnsView();
     }
 
@@ -27,232 +80,79 @@ class ColumnBrowser {
      * Show columns overview
      */
     showColumnsView() {
-        this.currentView = 'columns';
+        this.setLocation('columns');
         this.breadcrumb = ['Columns'];
 
-        // Group column chunks by column path
-        const columnGroups = {};
-        this.data.column_chunks.forEach(chunk => {
-            const columnPath = chunk.path_in_schema;
-            if (!columnGroups[columnPath]) {
-                columnGroups[columnPath] = [];
-            }
-            columnGroups[columnPath].push(chunk);
-        });
-
-        const columns = Object.keys(columnGroups);
-
-        this.container.innerHTML = `
-            <div class="column-browser">
-                <div class="browser-header">
-                    <div class="breadcrumb">
-                        ${this.renderBreadcrumb()}
-                    </div>
-                </div>
-
-                <div class="columns-overview">
-                    <div class="view-header">
-                        <h3>Columns (${columns.length})</h3>
-                        <p>Select a column to view its chunks</p>
-                    </div>
-
-                    <div class="columns-grid">
-                        ${columns.map(columnPath => {
-                            const chunks = columnGroups[columnPath];
-                            const totalSize = chunks.reduce((sum, chunk) => sum + chunk.total_byte_size, 0);
-                            const totalPages = chunks.reduce((sum, chunk) => {
-                                let pageCount = 0;
-                                if (chunk.data_pages) {pageCount += chunk.data_pages.length;}
-                                if (chunk.dictionary_page) {pageCount += 1;}
-                                if (chunk.index_pages) {pageCount += chunk.index_pages.length;}
-                                return sum + pageCount;
-                            }, 0);
-
-                            // Get column type from schema
-                            let columnType = 'UNKNOWN';
-                            const schemaColumn = this.app.findColumnInSchema(this.data.metadata.schema_root, columnPath);
-                            if (schemaColumn) {
-                                columnType = this.app.getTypeDisplay(schemaColumn);
-                            }
-
-                            return `
-                                <div class="column-card" data-column="${columnPath}">
-                                    <div class="column-header">
-                                        <h4>${columnPath}</h4>
-                                        <span class="column-type">${columnType}</span>
-                                    </div>
-                                    <div class="column-stats">
-                                        <div class="stat">
-                                            <label>Chunks:</label>
-                                            <span>${chunks.length}</span>
-                                        </div>
-                                        <div class="stat">
-                                            <label>Pages:</label>
-                                            <span>${totalPages}</span>
-                                        </div>
-                                        <div class="stat">
-                                            <label>Size:</label>
-                                            <span>${formatBytes(totalSize)}</span>
-                                        </div>
-                                    </div>
-                                </div>
-                            `;
-                        }).join('')}
-                    </div>
-                </div>
-            </div>
-        `;
-
-        this.attachColumnClickHandlers();
+        const columns = this.analyzer.getSegmentsForLevel('columns');
+        this.rows = columns.map(column => ({ segment: column, values: this.getColumnValues(column) }));
+        this.renderTableView(`Columns (${columns.length})`, 'Select a column to view its chunks');
     }
 
     /**
      * Show column chunks for selected column
+     * @param {ParquetSegment} column - Column segment
+     * @param {string} [loadError] - Why the pages of the chunk the user opened could not be shown
      */
-    showChunksView(columnPath) {
-        this.currentView = 'chunks';
-        this.selectedColumn = columnPath;
-        this.breadcrumb = ['Columns', columnPath];
-
-        const chunks = this.data.column_chunks.filter(chunk => chunk.path_in_schema === columnPath);
-
-        this.container.innerHTML = `
-            <div class="column-browser">
-                <div class="browser-header">
-                    <div class="breadcrumb">
-                        ${this.renderBreadcrumb()}
-                    </div>
-                </div>
-
-                <div class="chunks-view">
-                    <div class="view-header">
-                        <h3>Column Chunks for "${columnPath}" (${chunks.length})</h3>
-                        <p>Select a chunk to view its pages</p>
-                    </div>
-
-                    <div class="chunks-table-container">
-                        <table class="chunks-table">
-                            <thead>
-                                <tr>
-                                    <th>Chunk</th>
-                                    <th>Offset</th>
-                                    <th>Size</th>
-                                    <th>Values</th>
-                                    <th>Pages</th>
-                                    <th>Compression</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                ${chunks.map((chunk, index) => {
-                                    let pageCount = 0;
-                                    if (chunk.data_pages) {pageCount += chunk.data_pages.length;}
-                                    if (chunk.dictionary_page) {pageCount += 1;}
-                                    if (chunk.index_pages) {pageCount += chunk.index_pages.length;}
-
-                                    return `
-                                        <tr class="chunk-row" data-chunk-index="${index}">
-                                            <td>Chunk ${index}</td>
-                                            <td>${formatOffset(chunk.start_offset)}</td>
-                                            <td>${formatBytes(chunk.total_byte_size)}</td>
-                                            <td>${formatNumber(chunk.num_values)}</td>
-                                            <td>${pageCount}</td>
-                                            <td>${this.app.getCompressionName(chunk.codec)}</td>
-                                        </tr>
-                                    `;
-                                }).join('')}
-                            </tbody>
-                        </table>
-                    </div>
-                </div>
-            </div>
-        `;
-
-        this.attachChunkClickHandlers();
+    showChunksView(column, loadError = null) {
+        this.setLocation('chunks', column);
+        this.breadcrumb = ['Columns', column.columnPath];
+
+        const chunks = column.metadata.chunks;
+        const hint = loadError ?
+            `<span class="browser-error">${this.escapeHtml(loadError)} Select the chunk again to retry.</span>` :
+            'Select a chunk to view its pages';
+        this.rows = chunks.map(chunk => ({ segment: chunk, values: this.getChunkValues(chunk) }));
+        this.renderTableView(`Column Chunks for "${column.columnPath}" (${chunks.length})`, hint);
     }
 
     /**
-     * Show pages for selected chunk
+     * Show pages for selected chunk, fetching the page headers of remote files first
+     * @param {ParquetSegment} column - Column segment
+     * @param {ParquetSegment} chunk - Column chunk segment of that column
      */
-    showPagesView(chunkIndex) {
-        this.currentView = 'pages';
-        this.selectedChunk = chunkIndex;
-        this.breadcrumb = ['Columns', this.selectedColumn, `Chunk ${chunkIndex}`];
-
-        const chunks = this.data.column_chunks.filter(chunk => chunk.path_in_schema === this.selectedColumn);
-        const chunk = chunks[chunkIndex];
-        const pages = this.app.mapPageData(chunk);
-
-        this.container.innerHTML = `
-            <div class="column-browser">
-                <div class="browser-header">
-                    <div class="breadcrumb">
-                        ${this.renderBreadcrumb()}
-                    </div>
-                </div>
-
-                <div class="pages-view">
-                    <div class="view-header">
-                        <h3>Pages in Chunk ${chunkIndex} (${pages.length})</h3>
-                        <p>Select a page to view its details</p>
-                    </div>
-
-                    <div class="pages-table-container">
-                        <table class="pages-table">
-                            <thead>
-                                <tr>
-                                    <th>Page</th>
-                                    <th>Type</th>
-                                    <th>Offset</th>
-                                    <th>Compressed Size</th>
-                                    <th>Uncompressed Size</th>
-                                    <th>Rows/Values</th>
-                                    <th>Encoding</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                ${pages.map((page, index) => `
-                                    <tr class="page-row" data-page-index="${index}">
-                                        <td>Page ${index}</td>
-                                        <td><span class="page-type">${page.type}</span></td>
-                                        <td>${formatOffset(page.offset || 0)}</td>
-                                        <td>${formatBytes(page.size || 0)}</td>
-                                        <td>${page.uncompressedSize ? formatBytes(page.uncompressedSize) : 'N/A'}</td>
-                                        <td>${formatNumber(page.numRows || 0)}</td>
-                                        <td>${page.encoding || 'N/A'}</td>
-                                    </tr>
-                                `).join('')}
-                            </tbody>
-                        </table>
-                    </div>
-                </div>
-            </div>
-        `;
+    async showPagesView(column, chunk) {
+        this.setLocation('pages', column, chunk);
+        this.breadcrumb = ['Columns', column.columnPath, `Row Group ${chunk.rowGroupIndex}`];
+
+        if (this.analyzer.needsPages(chunk)) {
+            this.renderMessage('Loading page headers…');
+            let loadError = null;
+            try {
+                await this.analyzer.loadPages(chunk);
+            } catch (error) {
+                console.error(`Failed to load page headers for ${chunk.id}:`, error);
+                loadError = `Failed to load the page headers of row group ${chunk.rowGroupIndex}: ${error.message}.`;
+            }
+            // Bail out if the user moved on while loading
+            if (!this.isShowing('pages', column, chunk)) {return;}
+            // Stay on the chunk list rather than show a page level without pages
+            if (loadError) {
+                this.showChunksView(column, loadError);
+                return;
+            }
+        }
 
-        this.attachPageClickHandlers();
+        const pages = this.getPages(chunk);
+        this.rows = pages.map(page => ({ segment: page, values: this.getPageValues(page) }));
+        this.renderTableView(`Pages in Row Group ${chunk.rowGroupIndex} (${pages.length})`, 'Select a page to view its details');
     }
 
     /**
      * Show detailed page information
+     * @param {ParquetSegment} column - Column segment
+     * @param {ParquetSegment} chunk - Column chunk segment of that column
+     * @param {ParquetSegment} page - Page segment of that chunk
      */
-    showPageDetailView(pageIndex) {
-        this.currentView = 'page-detail';
-        this.selectedPage = pageIndex;
-        this.breadcrumb = ['Columns', this.selectedColumn, `Chunk ${this.selectedChunk}`, `Page ${pageIndex}`];
-
-        const chunks = this.data.column_chunks.filter(chunk => chunk.path_in_schema === this.selectedColumn);
-        const chunk = chunks[this.selectedChunk];
-        const pages = this.app.mapPageData(chunk);
-        const page = pages[pageIndex];
-
-        // Get raw page data from chunk
-        let rawPageData = null;
-        if (page.type === 'DICTIONARY' && chunk.dictionary_page) {
-            rawPageData = chunk.dictionary_page;
-        } else if (chunk.data_pages && chunk.data_pages[pageIndex]) {
-            rawPageData = chunk.data_pages[pageIndex];
-        } else if (chunk.index_pages && chunk.index_pages[pageIndex]) {
-            rawPageData = chunk.index_pages[pageIndex];
-        }
+    showPageDetailView(column, chunk, page) {
+        this.setLocation('page-detail', column, chunk, page);
+        this.breadcrumb = ['Columns', column.columnPath, `Row Group ${chunk.rowGroupIndex}`, page.name];
+        this.rows = [];
+        this.visibleRows = [];
+
+        const rawPageData = page.metadata;
+        const values = this.getPageValues(page);
+        const schemaColumn = this.app.findColumnInSchema(this.data.metadata.schema_root, column.columnPath);
+        const statistics = rawPageData.statistics;
 
         this.container.innerHTML = `
             <div class="column-browser">
@@ -264,8 +164,8 @@ class ColumnBrowser {
 
                 <div class="page-detail-view">
                     <div class="view-header">
-                        <h3>Page ${pageIndex} Details</h3>
-                        <span class="page-type-badge">${page.type}</span>
+                        <h3>${this.escapeHtml(page.name)} Details</h3>
+                        <span class="page-type-badge">${values.type}</span>
                     </div>
 
                     <div class="page-detail-content">
@@ -275,57 +175,57 @@ class ColumnBrowser {
                                 <div class="detail-grid">
                                     <div class="detail-item">
                                         <label>Page Type:</label>
-                                        <span>${page.type}</span>
+                                        <span>${values.type}</span>
                                     </div>
                                     <div class="detail-item">
                                         <label>Offset:</label>
-                                        <span>${formatOffset(page.offset || 0)}</span>
+                                        <span>${formatNumber(values.offset)}</span>
                                     </div>
                                     <div class="detail-item">
-                                        <label>Compressed Size:</label>
-                                        <span>${formatBytes(page.size || 0)}</span>
+                                        <label>Size:</label>
+                                        <span>${formatBytes(values.size)}</span>
                                     </div>
                                     <div class="detail-item">
                                         <label>Uncompressed Size:</label>
-                                        <span>${page.uncompressedSize ? formatBytes(page.uncompressedSize) : 'N/A'}</span>
+                                        <span>${this.formatCell(values.uncompressed, 'bytes')}</span>
                                     </div>
                                     <div class="detail-item">
-                                        <label>Values/Rows:</label>
-                                        <span>${formatNumber(page.numRows || 0)}</span>
+                                        <label>Values:</label>
+                                        <span>${this.formatCell(values.values, 'number')}</span>
                                     </div>
                                     <div class="detail-item">
                                         <label>Encoding:</label>
-                                        <span>${page.encoding || 'N/A'}</span>
+                                        <span>${values.encoding}</span>
                                     </div>
                                 </div>
                             </div>
 
-                            ${rawPageData && rawPageData.statistics ? `
+                            ${statistics ? `
                             <div class="detail-section">
                                 <h4>Statistics</h4>
                                 <div class="detail-grid">
-                                    ${rawPageData.statistics.min_value !== undefined ? `
+                                    ${statistics.min_value !== undefined ? `
                                     <div class="detail-item">
                                         <label>Min Value:</label>
-                                        <span class="value-display">${this.formatValue(rawPageData.statistics.min_value)}</span>
+                                        <span class="value-display">${this.formatValue(statistics.min_value, schemaColumn)}</span>
                                     </div>
                                     ` : ''}
-                                    ${rawPageData.statistics.max_value !== undefined ? `
+                                    ${statistics.max_value !== undefined ? `
                                     <div class="detail-item">
                                         <label>Max Value:</label>
-                                        <span class="value-display">${this.formatValue(rawPageData.statistics.max_value)}</span>
+                                        <span class="value-display">${this.formatValue(statistics.max_value, schemaColumn)}</span>
                                     </div>
                                     ` : ''}
-                                    ${rawPageData.statistics.null_count !== undefined ? `
+                                    ${statistics.null_count !== undefined ? `
                                     <div class="detail-item">
                                         <label>Null Count:</label>
-                                        <span>${formatNumber(rawPageData.statistics.null_count)}</span>
+                                        <span>${formatNumber(statistics.null_count)}</span>
                                     </div>
                                     ` : ''}
-                                    ${rawPageData.statistics.distinct_count !== undefined ? `
+                                    ${statistics.distinct_count !== undefined ? `
                                     <div class="detail-item">
                                         <label>Distinct Count:</label>
-                                        <span>${formatNumber(rawPageData.statistics.distinct_count)}</span>
+                                        <span>${formatNumber(statistics.distinct_count)}</span>
                                     </div>
                                     ` : ''}
                                 </div>
@@ -335,7 +235,7 @@ class ColumnBrowser {
                             <div class="detail-section">
                                 <h4>Raw Page Data</h4>
                                 <div class="raw-data">
-                                    <pre><code>${JSON.stringify(rawPageData, null, 2)}</code></pre>
+                                    <pre><code>${this.escapeHtml(JSON.stringify(rawPageData, null, 2))}</code></pre>
                                 </div>
                             </div>
                         </div>
@@ -343,669 +243,477 @@ class ColumnBrowser {
                 </div>
             </div>
         `;
-
-        this.attachBreadcrumbHandlers();
     }
 
     /**
-     * Render breadcrumb navigation
+     * Follow a selection made in the byte map by showing the innermost column, column chunk or page in it
+     * Selections outside the column chunks return to the columns overview
+     * @param {ParquetSegment[]} selectionPath - Selected segments, outermost first
      */
-    renderBreadcrumb() {
-        return this.breadcrumb.map((item, index) => {
-            const isLast = index === this.breadcrumb.length - 1;
-            const isClickable = !isLast;
+    showSelection(selectionPath) {
+        if (!this.analyzer) {return;}
 
-            return `
-                <span class="breadcrumb-item ${isClickable ? 'clickable' : ''}" data-level="${index}">
-                    ${item}
-                </span>
-                ${!isLast ? '<span class="breadcrumb-separator">→</span>' : ''}
-            `;
-        }).join('');
+        const location = [...selectionPath].reverse()
+            .map(segment => this._locateSegment(segment))
+            .find(Boolean);
+
+        if (!location) {
+            if (this.currentView !== 'columns') {this.showColumnsView();}
+            return;
+        }
+
+        const { column, chunk, page } = location;
+        if (page) {
+            if (!this.isShowing('page-detail', column, chunk, page)) {this.showPageDetailView(column, chunk, page);}
+        } else if (chunk) {
+            if (!this.isShowing('pages', column, chunk)) {this.showPagesView(column, chunk);}
+        } else if (!this.isShowing('chunks', column)) {
+            this.showChunksView(column);
+        }
     }
 
     /**
-     * Format value for display
+     * Record which level and segments are shown; levels below the shown one are cleared
      */
-    formatValue(value) {
-        if (value === null || value === undefined) {return 'null';}
-        if (typeof value === 'string' && value.length > 50) {
-            return value.substring(0, 50) + '...';
-        }
-        return String(value);
+    setLocation(view, column = null, chunk = null, page = null) {
+        this.currentView = view;
+        this.selectedColumn = column;
+        this.selectedChunk = chunk;
+        this.selectedPage = page;
     }
 
     /**
-     * Event handlers
+     * Check whether a level is shown for the given segments
      */
-    attachColumnClickHandlers() {
-        this.container.querySelectorAll('.column-card').forEach(card => {
-            card.addEventListener('click', (e) => {
-                const columnPath = e.currentTarget.dataset.column;
-                this.showChunksView(columnPath);
-            });
-        });
-
-        this.attachBreadcrumbHandlers();
+    isShowing(view, column = null, chunk = null, page = null) {
+        return this.currentView === view && this.selectedColumn?.id === column?.id &&
+            this.selectedChunk?.id === chunk?.id && this.selectedPage?.id === page?.id;
     }
 
-    attachChunkClickHandlers() {
-        this.container.querySelectorAll('.chunk-row').forEach(row => {
-            row.addEventListener('click', (e) => {
-                const chunkIndex = parseInt(e.currentTarget.dataset.chunkIndex);
-                this.showPagesView(chunkIndex);
-            });
-        });
-
-        this.attachBreadcrumbHandlers();
+    /**
+     * Table row values of a column: totals over its chunks
+     */
+    getColumnValues(column) {
+        const chunkValues = column.metadata.chunks.map(chunk => this.getChunkValues(chunk));
+        const total = key => (chunkValues.some(values => values[key] === null) ? null :
+            chunkValues.reduce((sum, values) => sum + values[key], 0));
+        const codecs = new Set(chunkValues.map(values => values.codec));
+        const schemaColumn = this.app.findColumnInSchema(this.data.metadata.schema_root, column.columnPath);
+
+        return {
+            column: column.columnPath,
+            type: schemaColumn ? ParquetTypeResolver.getColumnTypeInfo(schemaColumn).display : 'UNKNOWN',
+            chunks: chunkValues.length,
+            pages: total('pages'),
+            size: column.size,
+            values: total('values'),
+            nulls: total('nulls'),
+            codec: codecs.size === 1 ? [...codecs][0] : 'Mixed'
+        };
     }
 
-    attachPageClickHandlers() {
-        this.container.querySelectorAll('.page-row').forEach(row => {
-            row.addEventListener('click', (e) => {
-                const pageIndex = parseInt(e.currentTarget.dataset.pageIndex);
-                this.showPageDetailView(pageIndex);
-            });
-        });
-
-        this.attachBreadcrumbHandlers();
+    /**
+     * Table row values of a column chunk; page counts are unknown until a remote chunk's pages are loaded
+     */
+    getChunkValues(chunk) {
+        const meta = chunk.logicalMetadata?.metadata || {};
+        const physical = chunk.physicalMetadata;
+        const codec = meta.codec ?? physical.codec;
+
+        return {
+            rowGroup: chunk.rowGroupIndex,
+            offset: chunk.start,
+            size: chunk.size,
+            uncompressed: this.toNumber(meta.total_uncompressed_size),
+            values: this.toNumber(physical.num_values ?? meta.num_values),
+            nulls: this.toNumber(meta.statistics?.null_count),
+            pages: this.analyzer.needsPages(chunk) ? null : this.getPages(chunk).length,
+            codec: codec === undefined ? 'N/A' : this.app.getCompressionName(codec)
+        };
     }
 
-    attachBreadcrumbHandlers() {
-        this.container.querySelectorAll('.breadcrumb-item.clickable').forEach(item => {
-            item.addEventListener('click', (e) => {
-                const level = parseInt(e.currentTarget.dataset.level);
-                this.navigateToLevel(level);
-            });
-        });
+    /**
+     * Table row values of a page; sizes include the page header
+     */
+    getPageValues(page) {
+        const meta = page.metadata;
+
+        return {
+            page: page.name,
+            type: ParquetTypeResolver.getPageTypeName(meta.page_type),
+            offset: page.start,
+            size: page.size,
+            uncompressed: this.toNumber(meta.uncompressed_page_size),
+            values: this.toNumber(meta.num_values),
+            nulls: this.toNumber(meta.num_nulls ?? meta.statistics?.null_count),
+            encoding: meta.encoding === undefined ? 'N/A' : this.app.getEncodingName(meta.encoding)
+        };
     }
 
     /**
-     * Navigate to specific breadcrumb level
+     * Page segments of a column chunk, without the unaccounted byte ranges between them
      */
-    navigateToLevel(level) {
-        switch (level) {
-            case 0: // Columns
-                this.showColumnsView();
-                break;
-            case 1: // Specific column chunks
-                if (this.selectedColumn) {
-                    this.showChunksView(this.selectedColumn);
-                }
-                break;
-            case 2: // Specific chunk pages
-                if (this.selectedColumn && this.selectedChunk !== null) {
-                    this.showPagesView(this.selectedChunk);
-                }
-                break;
-        }
+    getPages(chunk) {
+        return this.analyzer.getSegmentsForLevel('pages', chunk.id).filter(page => !page.isGap);
     }
-}
-
-// Add CSS styles for the column browser and page analytics
-const columnBrowserStyles = `
-/* Global Design System */
-:root {
-    --primary-color: #667eea;
-    --primary-light: #764ba2;
-    --secondary-color: #f093fb;
-    --accent-color: #4facfe;
-    --success-color: #00d4aa;
-    --warning-color: #ffd93d;
-    --danger-color: #ff6b6b;
-    --dark-color: #2c3e50;
-    --light-gray: #f8f9fa;
-    --medium-gray: #6c757d;
-    --border-color: #e9ecef;
-    --shadow-light: 0 2px 4px rgba(0,0,0,0.1);
-    --shadow-medium: 0 4px 6px rgba(0,0,0,0.07);
-    --shadow-heavy: 0 10px 15px rgba(0,0,0,0.1);
-    --border-radius: 12px;
-    --border-radius-sm: 8px;
-    --transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-}
-
-/* Page Analytics Styles */
-.pages-analytics {
-    padding: 2rem;
-    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-    min-height: 100vh;
-    color: white;
-}
-
-.analytics-header {
-    text-align: center;
-    margin-bottom: 3rem;
-    animation: fadeInUp 0.8s ease;
-}
-
-.analytics-header h2 {
-    margin: 0 0 1rem 0;
-    font-size: 2.5rem;
-    font-weight: 700;
-    background: linear-gradient(45deg, #fff, #f093fb);
-    -webkit-background-clip: text;
-    -webkit-text-fill-color: transparent;
-    background-clip: text;
-}
-
-.analytics-header p {
-    font-size: 1.1rem;
-    opacity: 0.9;
-    margin: 0;
-    max-width: 600px;
-    margin: 0 auto;
-}
-
-.analytics-grid {
-    display: grid;
-    grid-template-columns: repeat(auto-fit, minmax(240px, 1fr));
-    gap: 1.5rem;
-    margin-bottom: 3rem;
-    animation: fadeInUp 0.8s ease 0.2s both;
-}
-
-.stat-card {
-    background: rgba(255, 255, 255, 0.95);
-    backdrop-filter: blur(10px);
-    border: 1px solid rgba(255, 255, 255, 0.2);
-    border-radius: var(--border-radius);
-    padding: 2rem;
-    text-align: center;
-    transition: var(--transition);
-    color: var(--dark-color);
-    position: relative;
-    overflow: hidden;
-}
-
-.stat-card::before {
-    content: '';
-    position: absolute;
-    top: 0;
-    left: 0;
-    right: 0;
-    height: 4px;
-    background: linear-gradient(90deg, var(--primary-color), var(--secondary-color));
-    opacity: 0;
-    transition: opacity 0.3s;
-}
-
-.stat-card:hover {
-    transform: translateY(-8px);
-    box-shadow: var(--shadow-heavy);
-    background: white;
-}
-
-.stat-card:hover::before {
-    opacity: 1;
-}
-
-.stat-card h4 {
-    margin: 0 0 0.5rem 0;
-    color: var(--medium-gray);
-    font-size: 0.85rem;
-    font-weight: 600;
-    text-transform: uppercase;
-    letter-spacing: 1px;
-}
-
-.stat-value {
-    font-size: 2.5rem;
-    font-weight: 800;
-    background: linear-gradient(45deg, var(--primary-color), var(--accent-color));
-    -webkit-background-clip: text;
-    -webkit-text-fill-color: transparent;
-    background-clip: text;
-    margin-bottom: 0.5rem;
-    line-height: 1;
-}
-
-.stat-detail {
-    font-size: 0.9rem;
-    color: var(--medium-gray);
-    opacity: 0.8;
-}
-
-.analytics-sections {
-    display: grid;
-    grid-template-columns: 1fr 1fr;
-    gap: 2rem;
-    margin-bottom: 2rem;
-    animation: fadeInUp 0.8s ease 0.4s both;
-}
-
-.analytics-section {
-    background: rgba(255, 255, 255, 0.95);
-    backdrop-filter: blur(10px);
-    border: 1px solid rgba(255, 255, 255, 0.2);
-    border-radius: var(--border-radius);
-    padding: 2rem;
-    color: var(--dark-color);
-    box-shadow: var(--shadow-medium);
-}
 
-.analytics-section h3 {
-    margin: 0 0 1.5rem 0;
-    font-size: 1.3rem;
-    font-weight: 700;
-    background: linear-gradient(45deg, var(--primary-color), var(--primary-light));
-    -webkit-background-clip: text;
-    -webkit-text-fill-color: transparent;
-    background-clip: text;
-}
-
-.distribution-chart {
-    display: flex;
-    flex-direction: column;
-    gap: 1.2rem;
-}
-
-.distribution-item {
-    display: flex;
-    flex-direction: column;
-    gap: 0.6rem;
-}
-
-.distribution-bar {
-    height: 12px;
-    background: rgba(102, 126, 234, 0.1);
-    border-radius: 6px;
-    overflow: hidden;
-    position: relative;
-}
-
-.distribution-fill {
-    height: 100%;
-    background: linear-gradient(90deg, var(--primary-color), var(--accent-color));
-    border-radius: 6px;
-    transition: width 1s cubic-bezier(0.4, 0, 0.2, 1);
-    position: relative;
-    overflow: hidden;
-}
-
-.distribution-fill::after {
-    content: '';
-    position: absolute;
-    top: 0;
-    left: -100%;
-    width: 100%;
-    height: 100%;
-    background: linear-gradient(90deg, transparent, rgba(255,255,255,0.4), transparent);
-    animation: shimmer 2s infinite;
-}
-
-@keyframes shimmer {
-    0% { left: -100%; }
-    100% { left: 100%; }
-}
-
-.distribution-label {
-    display: flex;
-    justify-content: space-between;
-    align-items: center;
-    font-size: 0.95rem;
-}
-
-.distribution-type {
-    font-weight: 600;
-    color: var(--dark-color);
-}
-
-.distribution-count {
-    color: var(--medium-gray);
-    font-weight: 500;
-    font-size: 0.85rem;
-}
-
-.columns-ranking {
-    display: flex;
-    flex-direction: column;
-    gap: 1rem;
-}
-
-.column-rank-item {
-    display: flex;
-    align-items: center;
-    gap: 1rem;
-    padding: 1rem;
-    background: rgba(102, 126, 234, 0.05);
-    border-radius: var(--border-radius-sm);
-    border: 1px solid rgba(102, 126, 234, 0.1);
-    transition: var(--transition);
-}
-
-.column-rank-item:hover {
-    background: rgba(102, 126, 234, 0.1);
-    transform: translateX(4px);
-}
-
-.rank-number {
-    flex-shrink: 0;
-    width: 36px;
-    height: 36px;
-    background: linear-gradient(45deg, var(--primary-color), var(--accent-color));
-    color: white;
-    border-radius: 50%;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    font-weight: 700;
-    font-size: 0.9rem;
-    box-shadow: var(--shadow-light);
-}
-
-.column-info {
-    flex: 1;
-    min-width: 0;
-}
-
-.column-path {
-    font-weight: 600;
-    color: var(--dark-color);
-    word-break: break-word;
-    margin-bottom: 0.3rem;
-    font-size: 0.95rem;
-}
-
-.column-stats {
-    font-size: 0.8rem;
-    color: var(--medium-gray);
-    font-weight: 500;
-}
-
-.navigation-hint {
-    background: linear-gradient(135deg, rgba(255,255,255,0.95), rgba(240,147,251,0.1));
-    backdrop-filter: blur(10px);
-    border: 1px solid rgba(255, 255, 255, 0.3);
-    border-radius: var(--border-radius);
-    padding: 2rem;
-    text-align: center;
-    animation: fadeInUp 0.8s ease 0.6s both;
-    color: var(--dark-color);
-}
-
-.navigation-hint h3 {
-    margin: 0 0 1rem 0;
-    font-size: 1.2rem;
-    font-weight: 700;
-    background: linear-gradient(45deg, var(--primary-light), var(--secondary-color));
-    -webkit-background-clip: text;
-    -webkit-text-fill-color: transparent;
-    background-clip: text;
-}
+    /**
+     * Render the table of the current level with its filter and export controls
+     */
+    renderTableView(title, hint) {
+        const view = this.currentView;
+        const columns = ColumnBrowser.TABLE_COLUMNS[view];
+        const sort = this.sortState[view];
 
-.navigation-hint p {
-    margin: 0;
-    font-size: 1rem;
-    line-height: 1.6;
-    opacity: 0.9;
-}
+        this.container.innerHTML = `
+            <div class="column-browser">
+                <div class="browser-header">
+                    <div class="breadcrumb">
+                        ${this.renderBreadcrumb()}
+                    </div>
+                </div>
 
-@keyframes fadeInUp {
-    from {
-        opacity: 0;
-        transform: translateY(30px);
-    }
-    to {
-        opacity: 1;
-        transform: translateY(0);
-    }
-}
+                <div class="${view}-view">
+                    <div class="view-header">
+                        <h3>${this.escapeHtml(title)}</h3>
+                        <p>${hint}</p>
+                    </div>
 
-@media (max-width: 1024px) {
-    .analytics-sections {
-        grid-template-columns: 1fr;
-    }
-}
+                    <div class="table-toolbar">
+                        <input type="search" class="table-filter" placeholder="Filter rows" spellcheck="false"
+                            value="${this.escapeAttribute(this.filterText[view] || '')}">
+                        <span class="table-count"></span>
+                        <button class="btn btn-sm csv-export-btn">Export CSV</button>
+                    </div>
 
-@media (max-width: 768px) {
-    .pages-analytics {
-        padding: 1.5rem;
-    }
+                    <div class="browser-table-container">
+                        <table class="browser-table">
+                            <thead>
+                                <tr>
+                                    ${columns.map(column => `
+                                        <th data-sort-key="${column.key}"${column.format ? ' class="numeric"' : ''}
+                                            aria-sort="${sort?.key === column.key ? (sort.descending ? 'descending' : 'ascending') : 'none'}">${column.label}</th>
+                                    `).join('')}
+                                </tr>
+                            </thead>
+                            <tbody></tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
 
-    .analytics-header h2 {
-        font-size: 2rem;
+        this.renderRows();
     }
 
-    .analytics-grid {
-        grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-        gap: 1rem;
+    /**
+     * Fill the table body with the rows that pass the filter, in sort order
+     */
+    renderRows() {
+        const view = this.currentView;
+        const columns = ColumnBrowser.TABLE_COLUMNS[view];
+        const tbody = this.container.querySelector('.browser-table tbody');
+        if (!tbody) {return;}
+
+        this.visibleRows = this.sortRows(this.filterRows(this.rows));
+
+        tbody.innerHTML = this.visibleRows.length > 0 ? this.visibleRows.map((row, index) => `
+            <tr class="browser-row" data-row-index="${index}">
+                ${columns.map(column => `
+                    <td${column.format ? ' class="numeric"' : ''}>${this.escapeHtml(this.formatCell(row.values[column.key], column.format))}</td>
+                `).join('')}
+            </tr>
+        `).join('') : `<tr class="empty-row"><td colspan="${columns.length}">No matching rows</td></tr>`;
+
+        this.container.querySelector('.table-count').textContent =
+            `${formatNumber(this.visibleRows.length)} of ${formatNumber(this.rows.length)} rows`;
     }
 
-    .stat-value {
-        font-size: 2rem;
-    }
+    /**
+     * Rows whose displayed text contains the filter text of the current level (case-insensitive)
+     */
+    filterRows(rows) {
+        const text = (this.filterText[this.currentView] || '').trim().toLowerCase();
+        if (!text) {return rows;}
 
-    .analytics-sections {
-        gap: 1rem;
+        const columns = ColumnBrowser.TABLE_COLUMNS[this.currentView];
+        return rows.filter(row => columns.some(column =>
+            this.formatCell(row.values[column.key], column.format).toLowerCase().includes(text)));
     }
 
-    .analytics-section,
-    .stat-card,
-    .navigation-hint {
-        padding: 1.5rem;
+    /**
+     * Rows in the sort order of the current level; unknown values go last either way
+     */
+    sortRows(rows) {
+        const sort = this.sortState[this.currentView];
+        if (!sort) {return rows;}
+
+        const direction = sort.descending ? -1 : 1;
+        return [...rows].sort((a, b) => {
+            const valueA = a.values[sort.key];
+            const valueB = b.values[sort.key];
+            if (valueA === null || valueB === null) {
+                return (valueA === null) - (valueB === null);
+            }
+            if (typeof valueA === 'number' && typeof valueB === 'number') {
+                return (valueA - valueB) * direction;
+            }
+            return String(valueA).localeCompare(String(valueB), undefined, { numeric: true }) * direction;
+        });
     }
-}
-
-/* Original Column Browser Styles */
-/* Page Analytics Styles */
-.pages-analytics {
-    padding: 1.5rem;
-}
 
-.analytics-header {
-    text-align: center;
-    margin-bottom: 2rem;
-}
-
-.analytics-header h2 {
-    margin: 0 0 0.5rem 0;
-    color: #333;
-}
-
-.analytics-header p {
-    color: #666;
-    margin: 0;
-}
-
-.analytics-grid {
-    display: grid;
-    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-    gap: 1rem;
-    margin-bottom: 2rem;
-}
-
-.stat-card {
-    background: #f8f9fa;
-    border: 1px solid #e9ecef;
-    border-radius: 8px;
-    padding: 1.5rem;
-    text-align: center;
-    transition: transform 0.2s, box-shadow 0.2s;
-}
-
-.stat-card:hover {
-    transform: translateY(-2px);
-    box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-}
-
-.stat-card h4 {
-    margin: 0 0 0.5rem 0;
-    color: #666;
-    font-size: 0.9rem;
-    font-weight: 500;
-    text-transform: uppercase;
-    letter-spacing: 0.5px;
-}
-
-.stat-value {
-    font-size: 2rem;
-    font-weight: 700;
-    color: #2196f3;
-    margin-bottom: 0.25rem;
-}
-
-.stat-detail {
-    font-size: 0.8rem;
-    color: #999;
-}
-
-.analytics-sections {
-    display: grid;
-    grid-template-columns: 1fr 1fr;
-    gap: 2rem;
-    margin-bottom: 2rem;
-}
-
-.analytics-section {
-    background: #fff;
-    border: 1px solid #e9ecef;
-    border-radius: 8px;
-    padding: 1.5rem;
-}
-
-.analytics-section h3 {
-    margin: 0 0 1.5rem 0;
-    color: #333;
-    font-size: 1.1rem;
-}
+    /**
+     * Sort the current level by a table column, reversing the order when it is already sorted by it
+     */
+    toggleSort(key) {
+        const sort = this.sortState[this.currentView];
+        this.sortState[this.currentView] = { key, descending: sort?.key === key && !sort.descending };
 
-.distribution-chart {
-    display: flex;
-    flex-direction: column;
-    gap: 1rem;
-}
+        this.container.querySelectorAll('.browser-table th[data-sort-key]').forEach(th => {
+            const sorted = th.dataset.sortKey === key;
+            th.setAttribute('aria-sort', sorted ? (this.sortState[this.currentView].descending ? 'descending' : 'ascending') : 'none');
+        });
+        this.renderRows();
+    }
 
-.distribution-item {
-    display: flex;
-    flex-direction: column;
-    gap: 0.5rem;
-}
+    /**
+     * The rows shown in the current table as CSV; sizes are in bytes
+     * @returns {string} CSV text with a header row
+     */
+    toCsv() {
+        const columns = ColumnBrowser.TABLE_COLUMNS[this.currentView] || [];
+        const header = columns.map(column => (column.format === 'bytes' ? `${column.label} (bytes)` : column.label));
+        const lines = [header, ...this.visibleRows.map(row => columns.map(column => row.values[column.key]))];
 
-.distribution-bar {
-    height: 8px;
-    background: #e9ecef;
-    border-radius: 4px;
-    overflow: hidden;
-}
+        return lines.map(line => line.map(value => this.toCsvField(value)).join(',')).join('\r\n') + '\r\n';
+    }
 
-.distribution-fill {
-    height: 100%;
-    background: linear-gradient(90deg, #2196f3, #64b5f6);
-    transition: width 0.8s ease;
-}
+    /**
+     * Download the current table as a CSV file named after the file and level
+     */
+    exportCsv() {
+        const parts = [this.app.getExportBaseName(), this.currentView];
+        if (this.selectedColumn) {parts.push(this.selectedColumn.columnPath);}
+        if (this.selectedChunk) {parts.push(`rg${this.selectedChunk.rowGroupIndex}`);}
 
-.distribution-label {
-    display: flex;
-    justify-content: space-between;
-    align-items: center;
-    font-size: 0.9rem;
-}
+        const filename = `${parts.join('-').replace(/[^\w.-]+/g, '_')}.csv`;
+        SvgExporter.download(new Blob([this.toCsv()], { type: 'text/csv;charset=utf-8' }), filename);
+    }
 
-.distribution-type {
-    font-weight: 500;
-    color: #333;
-}
+    /**
+     * Show a status line in place of the table
+     */
+    renderMessage(message) {
+        this.container.innerHTML = `
+            <div class="column-browser">
+                <div class="browser-header">
+                    <div class="breadcrumb">
+                        ${this.renderBreadcrumb()}
+                    </div>
+                </div>
+                <p class="browser-message">${this.escapeHtml(message)}</p>
+            </div>
+        `;
+    }
 
-.distribution-count {
-    color: #666;
-    font-size: 0.8rem;
-}
+    /**
+     * Render breadcrumb navigation
+     */
+    renderBreadcrumb() {
+        return this.breadcrumb.map((item, index) => {
+            const isLast = index === this.breadcrumb.length - 1;
+            const isClickable = !isLast;
 
-.columns-ranking {
-    display: flex;
-    flex-direction: column;
-    gap: 1rem;
-}
+            return `
+                <span class="breadcrumb-item ${isClickable ? 'clickable' : ''}" data-level="${index}">
+                    ${this.escapeHtml(item)}
+                </span>
+                ${!isLast ? '<span class="breadcrumb-separator">→</span>' : ''}
+            `;
+        }).join('');
+    }
 
-.column-rank-item {
-    display: flex;
-    align-items: center;
-    gap: 1rem;
-    padding: 0.75rem;
-    background: #f8f9fa;
-    border-radius: 6px;
-    border: 1px solid #e9ecef;
-}
+    /**
+     * Format a table cell; unknown values show as a dash
+     * @param {*} value - Raw value
+     * @param {string} [format] - 'bytes', 'number' or none for text
+     */
+    formatCell(value, format) {
+        if (value === null || value === undefined) {return '—';}
+        if (format === 'bytes') {return formatBytes(value);}
+        if (format === 'number') {return formatNumber(value);}
+        return String(value);
+    }
 
-.rank-number {
-    flex-shrink: 0;
-    width: 32px;
-    height: 32px;
-    background: #2196f3;
-    color: white;
-    border-radius: 50%;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    font-weight: 600;
-    font-size: 0.9rem;
-}
+    /**
+     * Format value for display
+     * @param {*} value - Value; encoded statistics are decoded when the schema column is given
+     * @param {object} [schemaColumn] - Leaf schema element of the value's column
+     */
+    formatValue(value, schemaColumn = null) {
+        if (value === null || value === undefined) {return 'null';}
+        let text = String(value);
+        if (typeof value === 'string' && schemaColumn) {
+            text = ParquetTypeResolver.formatStatistic(value, schemaColumn.type, schemaColumn);
+        }
+        if (text.length > 50) {
+            text = text.substring(0, 50) + '...';
+        }
+        return this.escapeHtml(text);
+    }
 
-.column-info {
-    flex: 1;
-    min-width: 0;
-}
+    /**
+     * Dump counts may be strings or bigints; tables sort and total them as numbers
+     */
+    toNumber(value) {
+        return value === null || value === undefined ? null : Number(value);
+    }
 
-.column-path {
-    font-weight: 500;
-    color: #333;
-    word-break: break-word;
-    margin-bottom: 0.25rem;
-}
+    /**
+     * Quote a CSV field when it contains a separator, quote or line break
+     */
+    toCsvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
 
-.column-stats {
-    font-size: 0.8rem;
-    color: #666;
-}
+    /**
+     * Escape HTML characters
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
 
-.navigation-hint {
-    background: linear-gradient(135deg, #f3e5f5, #e1f5fe);
-    border: 1px solid #e1bee7;
-    border-radius: 8px;
-    padding: 1.5rem;
-    text-align: center;
-}
+    /**
+     * Escape text for use in an attribute value
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
 
-.navigation-hint h3 {
-    margin: 0 0 0.5rem 0;
-    color: #7b1fa2;
-}
+    /**
+     * Event handlers
+     */
+    handleClick(event) {
+        const breadcrumbItem = event.target.closest('.breadcrumb-item.clickable');
+        const header = event.target.closest('th[data-sort-key]');
+        const row = event.target.closest('.browser-row');
+
+        if (breadcrumbItem) {
+            this.navigateToLevel(parseInt(breadcrumbItem.dataset.level));
+        } else if (header) {
+            this.toggleSort(header.dataset.sortKey);
+        } else if (row) {
+            this.openRow(this.visibleRows[parseInt(row.dataset.rowIndex)]);
+        } else if (event.target.closest('.csv-export-btn')) {
+            this.exportCsv();
+        }
+    }
 
-.navigation-hint p {
-    margin: 0;
-    color: #5e35b1;
-}
+    handleInput(event) {
+        if (!event.target.classList.contains('table-filter')) {return;}
+        this.filterText[this.currentView] = event.target.value;
+        this.renderRows();
+    }
 
-@media (max-width: 1024px) {
-    .analytics-sections {
-        grid-template-columns: 1fr;
+    /**
+     * Drill down into a table row
+     */
+    openRow(row) {
+        if (!row) {return;}
+
+        switch (this.currentView) {
+            case 'columns':
+                this.showChunksView(row.segment);
+                break;
+            case 'chunks':
+                this.showPagesView(this.selectedColumn, row.segment);
+                break;
+            case 'pages':
+                this.showPageDetailView(this.selectedColumn, this.selectedChunk, row.segment);
+                break;
+        }
+        this.notifyNavigation();
     }
-}
 
-@media (max-width: 768px) {
-    .analytics-grid {
-        grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+    /**
+     * Navigate to specific breadcrumb level
+     */
+    navigateToLevel(level) {
+        switch (level) {
+            case 0: // Columns
+                this.showColumnsView();
+                break;
+            case 1: // Specific column chunks
+                if (this.selectedColumn) {
+                    this.showChunksView(this.selectedColumn);
+                }
+                break;
+            case 2: // Specific chunk pages
+                if (this.selectedColumn && this.selectedChunk) {
+                    this.showPagesView(this.selectedColumn, this.selectedChunk);
+                }
+                break;
+        }
+        this.notifyNavigation();
     }
 
-    .stat-value {
-        font-size: 1.5rem;
+    /**
+     * Let the byte map follow the browser: the path goes through the row group of the chunk,
+     * or names the column segment, which the byte map only has when it groups pages by column
+     */
+    notifyNavigation() {
+        const path = ['rowgroups'];
+        if (this.selectedChunk) {
+            path.push(`rowgroup_${this.selectedChunk.rowGroupIndex}`, this.selectedChunk.id);
+        } else if (this.selectedColumn) {
+            path.push(this.selectedColumn.id);
+        }
+        if (this.selectedPage) {path.push(this.selectedPage.id);}
+
+        this.container.dispatchEvent(new CustomEvent('browserNavigated', {
+            detail: { path, columnPath: this.selectedColumn?.columnPath || null }
+        }));
     }
 
-    .pages-analytics {
-        padding: 1rem;
+    /**
+     * Remove event listeners and rendered content
+     */
+    destroy() {
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.removeEventListener('input', this.handleInput);
+        this.container.innerHTML = '';
     }
 
-    .analytics-sections {
-        gap: 1rem;
+    // Private helper methods
+
+    /**
+     * Column, chunk and page a byte map segment stands for, or null when it is none of them
+     * @private
+     */
+    _locateSegment(segment) {
+        const isPage = segment.id.startsWith('page_');
+        const chunkId = isPage ? `chunk_${segment.rowGroupIndex}_${segment.chunkIndex}` : segment.id;
+
+        for (const column of this.analyzer.getSegmentsForLevel('columns')) {
+            if (column.id === segment.id) {
+                return { column, chunk: null, page: null };
+            }
+            const chunk = column.metadata.chunks.find(candidate => candidate.id === chunkId);
+            if (chunk) {
+                return { column, chunk, page: isPage ? segment : null };
+            }
+        }
+        return null;
     }
 }
 
-/* Original Column Browser Styles */
+// Add CSS styles for the column browser
+const columnBrowserStyles = `
 .column-browser {
-    padding: 2rem;
-    background: linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%);
-    min-height: 100vh;
+    padding: 1rem 0;
 }
 
 .browser-header {
@@ -1022,16 +730,16 @@ const columnBrowserStyles = `
     padding: 1rem 1.5rem;
     border-radius: var(--border-radius);
     backdrop-filter: blur(10px);
-    box-shadow: var(--shadow-medium);
+    box-shadow: var(--shadow-md);
     border: 1px solid rgba(255, 255, 255, 0.3);
 }
 
 .breadcrumb-item {
     padding: 0.5rem 1rem;
-    border-radius: var(--border-radius-sm);
+    border-radius: var(--border-radius);
     font-weight: 600;
-    color: var(--dark-color);
-    transition: var(--transition);
+    color: var(--text-primary);
+    transition: all 0.3s ease;
 }
 
 .breadcrumb-item.clickable {
@@ -1043,11 +751,11 @@ const columnBrowserStyles = `
 .breadcrumb-item.clickable:hover {
     background: rgba(102, 126, 234, 0.2);
     transform: translateY(-2px);
-    box-shadow: var(--shadow-light);
+    box-shadow: var(--shadow-sm);
 }
 
 .breadcrumb-separator {
-    color: var(--medium-gray);
+    color: var(--text-secondary);
     font-weight: 600;
     font-size: 1.2rem;
     margin: 0 0.5rem;
@@ -1063,164 +771,117 @@ const columnBrowserStyles = `
     margin: 0 0 0.5rem 0;
     font-size: 2rem;
     font-weight: 700;
-    background: linear-gradient(45deg, var(--primary-color), var(--primary-light));
+    background: linear-gradient(45deg, var(--primary-color), var(--accent-color));
     -webkit-background-clip: text;
     -webkit-text-fill-color: transparent;
     background-clip: text;
 }
 
 .view-header p {
-    color: var(--medium-gray);
+    color: var(--text-secondary);
     margin: 0;
     font-size: 1.1rem;
     opacity: 0.8;
 }
 
-.columns-grid {
-    display: grid;
-    grid-template-columns: repeat(auto-fill, minmax(350px, 1fr));
-    gap: 1.5rem;
-    margin-top: 2rem;
-    animation: fadeInUp 0.6s ease 0.4s both;
-}
-
-.column-card {
+.browser-table-container {
+    margin-top: 1rem;
+    overflow-x: auto;
     background: rgba(255, 255, 255, 0.95);
     backdrop-filter: blur(10px);
-    border: 1px solid rgba(255, 255, 255, 0.3);
     border-radius: var(--border-radius);
-    padding: 1.5rem;
-    cursor: pointer;
-    transition: var(--transition);
-    position: relative;
-    overflow: hidden;
-    box-shadow: var(--shadow-medium);
+    border: 1px solid rgba(255, 255, 255, 0.3);
+    box-shadow: var(--shadow-md);
+    animation: fadeInUp 0.6s ease 0.4s both;
 }
 
-.column-card::before {
-    content: '';
-    position: absolute;
-    top: 0;
-    left: 0;
-    right: 0;
-    height: 4px;
-    background: linear-gradient(90deg, var(--primary-color), var(--accent-color));
-    opacity: 0;
-    transition: opacity 0.3s;
+.browser-table {
+    width: 100%;
+    border-collapse: collapse;
 }
 
-.column-card:hover {
-    transform: translateY(-8px);
-    box-shadow: var(--shadow-heavy);
-    background: white;
+.browser-table th,
+.browser-table td {
+    padding: 1rem;
+    text-align: left;
+    border-bottom: 1px solid rgba(102, 126, 234, 0.1);
 }
 
-.column-card:hover::before {
-    opacity: 1;
+.browser-table th {
+    background: linear-gradient(135deg, rgba(102, 126, 234, 0.1), rgba(79, 172, 254, 0.1));
+    font-weight: 700;
+    color: var(--text-primary);
+    position: sticky;
+    top: 0;
+    z-index: 1;
+    text-transform: uppercase;
+    font-size: 0.85rem;
+    letter-spacing: 0.5px;
 }
 
-.column-header {
-    display: flex;
-    justify-content: space-between;
-    align-items: flex-start;
-    margin-bottom: 1rem;
+.browser-row {
+    cursor: pointer;
+    transition: all 0.3s ease;
 }
 
-.column-header h4 {
-    margin: 0;
-    font-size: 1.1rem;
-    font-weight: 700;
-    color: var(--dark-color);
-    word-break: break-word;
-    line-height: 1.3;
+.browser-row:hover {
+    background: linear-gradient(135deg, rgba(102, 126, 234, 0.05), rgba(79, 172, 254, 0.05));
+    transform: translateX(4px);
 }
 
-.column-type {
-    background: linear-gradient(45deg, var(--primary-color), var(--accent-color));
-    color: white;
-    padding: 4px 12px;
-    border-radius: 16px;
-    font-size: 0.8em;
-    font-weight: 600;
+.browser-table th[data-sort-key] {
+    cursor: pointer;
+    user-select: none;
     white-space: nowrap;
-    box-shadow: var(--shadow-light);
-}
-
-.column-stats {
-    display: grid;
-    grid-template-columns: 1fr 1fr;
-    gap: 0.5rem;
 }
 
-.column-stats .stat {
-    display: flex;
-    justify-content: space-between;
-    font-size: 0.9rem;
-    padding: 0.5rem;
-    background: rgba(102, 126, 234, 0.05);
-    border-radius: var(--border-radius-sm);
+.browser-table th[aria-sort="ascending"]::after {
+    content: ' ▲';
 }
 
-.column-stats .stat label {
-    color: var(--medium-gray);
-    font-weight: 600;
+.browser-table th[aria-sort="descending"]::after {
+    content: ' ▼';
 }
 
-.column-stats .stat span {
-    color: var(--dark-color);
-    font-weight: 700;
+.browser-table .numeric {
+    text-align: right;
+    font-variant-numeric: tabular-nums;
 }
 
-.chunks-table-container,
-.pages-table-container {
-    margin-top: 2rem;
-    overflow-x: auto;
-    background: rgba(255, 255, 255, 0.95);
-    backdrop-filter: blur(10px);
-    border-radius: var(--border-radius);
-    border: 1px solid rgba(255, 255, 255, 0.3);
-    box-shadow: var(--shadow-medium);
-    animation: fadeInUp 0.6s ease 0.4s both;
+.browser-table .empty-row td {
+    text-align: center;
+    color: var(--text-secondary);
+    cursor: default;
 }
 
-.chunks-table,
-.pages-table {
-    width: 100%;
-    border-collapse: collapse;
+.table-toolbar {
+    display: flex;
+    align-items: center;
+    gap: 0.75rem;
 }
 
-.chunks-table th,
-.chunks-table td,
-.pages-table th,
-.pages-table td {
-    padding: 1rem;
-    text-align: left;
-    border-bottom: 1px solid rgba(102, 126, 234, 0.1);
+.table-filter {
+    flex: 1;
+    max-width: 320px;
+    padding: 0.4rem 0.75rem;
+    border: 1px solid var(--border-light);
+    border-radius: var(--border-radius);
+    font-size: 0.9rem;
 }
 
-.chunks-table th,
-.pages-table th {
-    background: linear-gradient(135deg, rgba(102, 126, 234, 0.1), rgba(79, 172, 254, 0.1));
-    font-weight: 700;
-    color: var(--dark-color);
-    position: sticky;
-    top: 0;
-    z-index: 1;
-    text-transform: uppercase;
+.table-count {
+    color: var(--text-secondary);
     font-size: 0.85rem;
-    letter-spacing: 0.5px;
+    margin-right: auto;
 }
 
-.chunk-row,
-.page-row {
-    cursor: pointer;
-    transition: var(--transition);
+.browser-message {
+    text-align: center;
+    color: var(--text-secondary);
 }
 
-.chunk-row:hover,
-.page-row:hover {
-    background: linear-gradient(135deg, rgba(102, 126, 234, 0.05), rgba(79, 172, 254, 0.05));
-    transform: translateX(4px);
+.browser-error {
+    color: var(--red-dark);
 }
 
 .page-detail-view {
@@ -1239,7 +900,7 @@ const columnBrowserStyles = `
 .page-detail-view .view-header h3 {
     font-size: 1.8rem;
     font-weight: 700;
-    background: linear-gradient(45deg, var(--primary-color), var(--primary-light));
+    background: linear-gradient(45deg, var(--primary-color), var(--accent-color));
     -webkit-background-clip: text;
     -webkit-text-fill-color: transparent;
     background-clip: text;
@@ -1247,13 +908,13 @@ const columnBrowserStyles = `
 }
 
 .page-type-badge {
-    background: linear-gradient(45deg, var(--success-color), var(--accent-color));
+    background: linear-gradient(45deg, var(--teal-medium), var(--accent-color));
     color: white;
     padding: 8px 20px;
     border-radius: 24px;
     font-size: 0.9rem;
     font-weight: 700;
-    box-shadow: var(--shadow-medium);
+    box-shadow: var(--shadow-md);
     animation: pulse 2s infinite;
 }
 
@@ -1274,7 +935,7 @@ const columnBrowserStyles = `
     border-radius: var(--border-radius);
     padding: 2rem;
     border: 1px solid rgba(255, 255, 255, 0.3);
-    box-shadow: var(--shadow-medium);
+    box-shadow: var(--shadow-md);
     animation: fadeInUp 0.6s ease both;
 }
 
@@ -1282,7 +943,7 @@ const columnBrowserStyles = `
     margin: 0 0 1.5rem 0;
     font-size: 1.2rem;
     font-weight: 700;
-    background: linear-gradient(45deg, var(--primary-color), var(--primary-light));
+    background: linear-gradient(45deg, var(--primary-color), var(--accent-color));
     -webkit-background-clip: text;
     -webkit-text-fill-color: transparent;
     background-clip: text;
@@ -1314,9 +975,9 @@ const columnBrowserStyles = `
     gap: 1rem;
     padding: 1rem;
     background: rgba(102, 126, 234, 0.03);
-    border-radius: var(--border-radius-sm);
+    border-radius: var(--border-radius);
     border: 1px solid rgba(102, 126, 234, 0.1);
-    transition: var(--transition);
+    transition: all 0.3s ease;
 }
 
 .detail-item:hover {
@@ -1326,7 +987,7 @@ const columnBrowserStyles = `
 
 .detail-item label {
     font-weight: 700;
-    color: var(--medium-gray);
+    color: var(--text-secondary);
     flex-shrink: 0;
     min-width: 140px;
     font-size: 0.9rem;
@@ -1338,7 +999,7 @@ const columnBrowserStyles = `
     text-align: right;
     word-break: break-word;
     font-weight: 600;
-    color: var(--dark-color);
+    color: var(--text-primary);
 }
 
 .value-display {
@@ -1347,7 +1008,7 @@ const columnBrowserStyles = `
     background: rgba(102, 126, 234, 0.1);
     color: var(--primary-color);
     padding: 6px 12px;
-    border-radius: var(--border-radius-sm);
+    border-radius: var(--border-radius);
     font-weight: 600;
 }
 
@@ -1374,10 +1035,10 @@ const columnBrowserStyles = `
     to { opacity: 1; }
 }
 
-@keyframes fadeInDown {
+@keyframes fadeInUp {
     from {
         opacity: 0;
-        transform: translateY(-20px);
+        transform: translateY(20px);
     }
     to {
         opacity: 1;
@@ -1385,24 +1046,20 @@ const columnBrowserStyles = `
     }
 }
 
-@media (max-width: 1200px) {
-    .columns-grid {
-        grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
+@keyframes fadeInDown {
+    from {
+        opacity: 0;
+        transform: translateY(-20px);
+    }
+    to {
+        opacity: 1;
+        transform: translateY(0);
     }
 }
 
 @media (max-width: 768px) {
-    .column-browser {
-        padding: 1.5rem;
-    }
-
-    .columns-grid {
-        grid-template-columns: 1fr;
-        gap: 1rem;
-    }
-
-    .column-stats {
-        grid-template-columns: 1fr;
+    .table-toolbar {
+        flex-wrap: wrap;
     }
 
     .detail-grid {
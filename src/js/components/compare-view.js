@@ -0,0 +1,134 @@
+/**
+ * Compare View
+ * Side-by-side byte visualizers for two files with mirrored selection and a diff panel
+ */
+class CompareView {
+    constructor(container) {
+        this.container = container;
+        this.diff = null;
+        this.sides = [];
+        this.diffPanel = null;
+        this.syncing = false;
+    }
+
+    /**
+     * Render the comparison of two files
+     * @param {object} dataA - Baseline file data
+     * @param {object} dataB - File data to compare against the baseline
+     */
+    show(dataA, dataB) {
+        this.destroy();
+        this.diff = DumpComparator.compare(dataA, dataB);
+
+        this.container.innerHTML = `
+            <div class="compare-header">
+                <h2>File Comparison</h2>
+                <button class="btn btn-sm compare-close-btn">Exit Comparison</button>
+            </div>
+            <div class="compare-grid">
+                ${['A', 'B'].map(label => `
+                    <div class="compare-side">
+                        <h4 class="compare-side-title">${label}: <span class="file-source"></span></h4>
+                        <div class="compare-canvas"></div>
+                        <div class="compare-info"></div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="compare-diff"></div>
+        `;
+
+        this.container.querySelector('.compare-close-btn')
+            .addEventListener('click', () => this.close());
+
+        const sideElements = this.container.querySelectorAll('.compare-side');
+        this.sides = [dataA, dataB].map((data, index) => this.createSide(data, sideElements[index], index));
+
+        this.diffPanel = new InfoPanelManager(this.container.querySelector('.compare-diff'));
+        this.diffPanel.showComparison(this.diff);
+    }
+
+    /**
+     * Create the visualizer and info panel for one file
+     */
+    createSide(data, element, index) {
+        element.querySelector('.file-source').textContent = data.source || 'Unknown';
+
+        const canvas = element.querySelector('.compare-canvas');
+        const infoPanelManager = new InfoPanelManager(element.querySelector('.compare-info'));
+        const visualizer = new SvgByteVisualizer(canvas, infoPanelManager);
+        visualizer.initWithData(data);
+
+        canvas.addEventListener('segmentSelected', (event) => {
+            this.handleSelection(index, event.detail);
+        });
+
+        return { data, canvas, visualizer, infoPanelManager };
+    }
+
+    /**
+     * Mirror a selection onto the other file and focus the diff panel on it
+     */
+    async handleSelection(sideIndex, detail) {
+        if (this.syncing) {return;}
+
+        const source = this.sides[sideIndex];
+        const target = this.sides[1 - sideIndex];
+        const mappedPath = DumpComparator.mapSelectionPath(
+            source.visualizer.analyzer.cache, target.visualizer.analyzer.cache, detail.path
+        );
+
+        this.syncing = true;
+        try {
+            await target.visualizer.selectPath(mappedPath);
+        } finally {
+            this.syncing = false;
+        }
+
+        this.diffPanel.showComparison(this.diff, this.getFocus(source.visualizer.analyzer.cache, detail.path));
+    }
+
+    /**
+     * Work out which row group / column chunk a selection path is inside
+     */
+    getFocus(cache, path) {
+        const segments = path.map(id => SegmentHierarchyBuilder.findSegment(cache, id)).filter(Boolean);
+        const chunk = segments.find(segment => segment.id.startsWith('chunk_'));
+        const rowGroup = segments.find(segment => segment.id.startsWith('rowgroup_') && !segment.id.includes('meta'));
+
+        if (chunk) {
+            return {
+                rowGroupIndex: chunk.rowGroupIndex,
+                columnPath: chunk.columnPath,
+                pages: DumpComparator.comparePages(
+                    this.sides[0].visualizer.analyzer.cache, this.sides[1].visualizer.analyzer.cache,
+                    chunk.rowGroupIndex, chunk.columnPath
+                )
+            };
+        }
+
+        return rowGroup ? { rowGroupIndex: rowGroup.rowGroupIndex } : null;
+    }
+
+    /**
+     * Ask the owner to leave compare mode
+     */
+    close() {
+        this.container.dispatchEvent(new CustomEvent('compareClosed'));
+    }
+
+    /**
+     * Clean up visualizers and rendered content
+     */
+    destroy() {
+        this.sides.forEach(side => side.visualizer.destroy());
+        this.sides = [];
+        this.diff = null;
+        this.diffPanel = null;
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CompareView;
+}
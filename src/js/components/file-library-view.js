@@ -0,0 +1,151 @@
+/**
+ * File Library View
+ * Lists recently opened files with reopen, rename, pin and delete actions
+ * Dispatches 'entryOpened' on its container when the user picks a file
+ */
+class FileLibraryView {
+    /**
+     * @param {HTMLElement} container - Element to render into
+     * @param {FileLibrary} library - Library backing the list
+     */
+    constructor(container, library) {
+        this.container = container;
+        this.library = library;
+
+        this.handleClick = this.handleClick.bind(this);
+        this.container.addEventListener('click', this.handleClick);
+    }
+
+    /**
+     * Render the library list and storage usage
+     */
+    async render() {
+        let entries;
+        let usage;
+        try {
+            entries = await this.library.list();
+            usage = await this.library.getStorageUsage();
+        } catch (error) {
+            console.warn('Unable to read file library:', error);
+            this.container.style.display = 'none';
+            return;
+        }
+
+        this.container.style.display = entries.length > 0 ? 'block' : 'none';
+        if (entries.length === 0) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="library-header">
+                <h4>Recent Files</h4>
+                <span class="library-usage">${this.formatUsage(usage)}</span>
+            </div>
+            <ul class="library-list">
+                ${entries.map(entry => this.renderEntry(entry)).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Render a single library entry
+     * @param {object} entry - Library entry
+     * @returns {string} HTML string
+     */
+    renderEntry(entry) {
+        const id = this.escapeHtml(entry.id);
+        const details = [
+            formatBytes(entry.filesize || 0),
+            `${formatNumber(entry.rowCount || 0)} rows`,
+            new Date(entry.openedAt).toLocaleString()
+        ];
+
+        return `
+            <li class="library-entry${entry.pinned ? ' library-entry-pinned' : ''}" data-id="${id}">
+                <div class="library-entry-info">
+                    <button class="library-open" data-action="open" title="Reopen">${this.escapeHtml(entry.name)}</button>
+                    <span class="file-source">${this.escapeHtml(entry.source)}</span>
+                    <span class="library-details">${details.join(' · ')}</span>
+                </div>
+                <div class="library-actions">
+                    <button class="btn btn-sm" data-action="pin">${entry.pinned ? 'Unpin' : 'Pin'}</button>
+                    <button class="btn btn-sm" data-action="rename">Rename</button>
+                    <button class="btn btn-sm" data-action="delete">Delete</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Handle clicks on entry buttons
+     */
+    async handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        const item = button?.closest('.library-entry');
+        if (!item) {return;}
+
+        const id = item.dataset.id;
+        const name = item.querySelector('.library-open').textContent;
+
+        try {
+            switch (button.dataset.action) {
+                case 'open':
+                    this.container.dispatchEvent(new CustomEvent('entryOpened', { detail: { id } }));
+                    return;
+                case 'pin':
+                    await this.library.setPinned(id, !item.classList.contains('library-entry-pinned'));
+                    break;
+                case 'rename': {
+                    const newName = window.prompt('Rename file', name);
+                    if (!newName || !newName.trim()) {return;}
+                    await this.library.rename(id, newName.trim());
+                    break;
+                }
+                case 'delete':
+                    if (!window.confirm(`Remove "${name}" from recent files?`)) {return;}
+                    await this.library.remove(id);
+                    break;
+            }
+        } catch (error) {
+            console.error(`File library ${button.dataset.action} failed:`, error);
+        }
+
+        await this.render();
+    }
+
+    /**
+     * Describe storage usage
+     * @param {object} usage - Result of FileLibrary.getStorageUsage()
+     * @returns {string} Display string
+     */
+    formatUsage(usage) {
+        let text = `${formatBytes(usage.libraryBytes)} stored`;
+        if (usage.quota) {
+            text += ` · ${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} browser quota used`;
+        }
+        return text;
+    }
+
+    /**
+     * Escape HTML characters (including quotes, for use in attributes)
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Remove event listeners and rendered content
+     */
+    destroy() {
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileLibraryView;
+}
@@ -4,8 +4,14 @@
  * Refactored to use SegmentHierarchyBuilder for better separation of concerns
  */
 class FileStructureAnalyzer {
-    constructor(data) {
+    /**
+     * @param {object} data - Parquet file data
+     * @param {Function} [pageLoader] - Async callback that fills in a physical chunk's pages (lazy remote files)
+     */
+    constructor(data, pageLoader = null) {
         this.data = data;
+        this.pageLoader = pageLoader;
+        this.pageLoads = new Map(); // Map of chunk segment ID -> load promise
 
         // Performance optimization: Precalculate all hierarchy levels using the builder
         this.cache = SegmentHierarchyBuilder.buildAll(data);
@@ -25,6 +31,42 @@ class FileStructureAnalyzer {
     findSegment(segmentId) {
         return SegmentHierarchyBuilder.findSegment(this.cache, segmentId);
     }
+
+    /**
+     * Find the segments containing a byte offset, one per level (delegates to SegmentHierarchyBuilder)
+     */
+    findPathAtOffset(offset, getChildLevelName) {
+        return SegmentHierarchyBuilder.findPathAtOffset(this.cache, offset, getChildLevelName);
+    }
+
+    /**
+     * Check whether a column chunk's page headers still need to be fetched
+     */
+    needsPages(segment) {
+        return Boolean(this.pageLoader) && segment.childLevelName === 'pages' &&
+            Boolean(segment.physicalMetadata) && !this.pageLoads.has(segment.id);
+    }
+
+    /**
+     * Fetch a column chunk's page headers and rebuild its page segments
+     * Each chunk is only requested once; a failed load is forgotten so the next request retries it
+     */
+    loadPages(segment) {
+        if (!this.pageLoads.has(segment.id)) {
+            const load = this.pageLoader(segment.physicalMetadata).then(() => {
+                const key = `${segment.rowGroupIndex}_${segment.chunkIndex}`;
+                this.cache.pages[key] = SegmentHierarchyBuilder.accountForBytes(
+                    SegmentHierarchyBuilder.buildPageSegments(this.data, segment.rowGroupIndex, segment.chunkIndex),
+                    segment.id, segment.start, segment.end
+                );
+            }, error => {
+                this.pageLoads.delete(segment.id);
+                throw error;
+            });
+            this.pageLoads.set(segment.id, load);
+        }
+        return this.pageLoads.get(segment.id);
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,96 @@
+/**
+ * Findings Panel
+ * Lists best-practice findings from ParquetLinter
+ * Dispatches 'findingSelected' on its container when the user picks a finding
+ */
+class FindingsPanel {
+    static SEVERITY_LABELS = {
+        warning: 'Warning',
+        info: 'Suggestion'
+    };
+
+    /**
+     * @param {HTMLElement} container - Element to render into
+     */
+    constructor(container) {
+        this.container = container;
+        this.findings = [];
+
+        this.handleClick = this.handleClick.bind(this);
+        this.container.addEventListener('click', this.handleClick);
+    }
+
+    /**
+     * Render a list of findings
+     * @param {object[]} findings - Findings from ParquetLinter.lint()
+     * @param {string} [note] - Caveat shown below the summary, e.g. when only part of the file was checked
+     */
+    render(findings, note = null) {
+        this.findings = findings;
+
+        const counts = Object.keys(FindingsPanel.SEVERITY_LABELS)
+            .map(severity => ({ severity, count: findings.filter(finding => finding.severity === severity).length }))
+            .filter(({ count }) => count > 0)
+            .map(({ severity, count }) => `${count} ${FindingsPanel.SEVERITY_LABELS[severity].toLowerCase()}${count === 1 ? '' : 's'}`);
+
+        this.container.innerHTML = `
+            <p class="findings-summary">${findings.length === 0 ? 'No issues found.' : counts.join(', ')}</p>
+            ${note ? `<p class="findings-note">${this.escapeHtml(note)}</p>` : ''}
+            <ul class="findings-list">
+                ${findings.map((finding, index) => this.renderFinding(finding, index)).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Render a single finding
+     * @param {object} finding - Finding
+     * @param {number} index - Position in the findings list
+     * @returns {string} HTML string
+     */
+    renderFinding(finding, index) {
+        return `
+            <li>
+                <button class="finding finding-${finding.severity}" data-index="${index}" title="Show in file structure">
+                    <span class="finding-severity">${FindingsPanel.SEVERITY_LABELS[finding.severity]}</span>
+                    <span class="finding-title">${this.escapeHtml(finding.title)}</span>
+                    <span class="finding-message">${this.escapeHtml(finding.message)}</span>
+                </button>
+            </li>
+        `;
+    }
+
+    /**
+     * Handle clicks on findings
+     */
+    handleClick(event) {
+        const button = event.target.closest('.finding');
+        const finding = button ? this.findings[parseInt(button.dataset.index)] : null;
+        if (!finding) {return;}
+
+        this.container.dispatchEvent(new CustomEvent('findingSelected', { detail: { finding } }));
+    }
+
+    /**
+     * Escape HTML characters
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Remove event listeners and rendered content
+     */
+    destroy() {
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.innerHTML = '';
+        this.findings = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FindingsPanel;
+}
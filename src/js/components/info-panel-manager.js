@@ -36,17 +36,37 @@ class InfoPanelManager {
         this.infoPanel.innerHTML = html;
     }
 
+    /**
+     * Show that a column chunk's page headers could not be fetched
+     * @param {ParquetSegment} segment - Column chunk segment
+     * @param {Error} error - Reason the load failed
+     */
+    showPageLoadError(segment, error) {
+        this.infoPanel.style.display = 'block';
+        this.infoPanel.innerHTML = `
+            <h3>${segment.description}</h3>
+            <p class="info-error">Failed to load the page headers: ${this.escapeHtml(error.message)}.
+                Select the chunk again to retry.</p>
+        `;
+    }
+
     /**
      * Show info for selected segment using metadata-based logic
+     * @param {ParquetSegment} segment - Segment to describe
+     * @param {number|null} [offset] - Byte to locate inside the segment, e.g. from a go-to-offset lookup
      */
-    showSegment(segment) {
+    showSegment(segment, offset = null) {
         this.infoPanel.style.display = 'block';
 
         // Generate organized content based on segment properties and metadata
         let html = `<h3>${segment.description}</h3>`;
 
+        // Columns of the column-major view (all chunks of one column)
+        if (segment.metadata?.chunks && segment.ranges.length > 0) {
+            html += this.generateColumnAcrossRowGroupsInfoPanel(segment);
+        }
         // Column chunk segments (have both physical and logical metadata)
-        if (segment.logicalMetadata?.metadata && segment.physicalMetadata) {
+        else if (segment.logicalMetadata?.metadata && segment.physicalMetadata) {
             html += this.generateColumnInfoPanel(segment);
         }
         // Row group segments (have rowGroupIndex and row group metadata)
@@ -84,6 +104,10 @@ class InfoPanelManager {
         else if (segment.metadata?.element_type === 'column') {
             html += this.generateSchemaElementInfoPanel(segment);
         }
+        // Bloom filters (index elements with their own panel)
+        else if (segment.metadata?.index_type === 'bloom_filter') {
+            html += this.generateBloomFilterInfoPanel(segment);
+        }
         // Index metadata elements (have index_type in metadata)
         else if (segment.metadata?.index_type) {
             html += this.generateMetadataElementInfoPanel(segment);
@@ -105,9 +129,58 @@ class InfoPanelManager {
             html += this.generateBasicInfoPanel(segment);
         }
 
+        if (segment.estimated) {
+            html += '<div class="info-sections">';
+            html += this.generateInfoSection('Estimate', [
+                ['Position', 'Computed from the encoded size of the decoded values'],
+                ['Accuracy', 'Fields the dump omits or a writer encodes differently shift the layout']
+            ]);
+            html += '</div>';
+        }
+
+        if (offset !== null && segment.containsOffset(offset)) {
+            html += '<div class="info-sections">';
+            html += this.generateInfoSection('Offset', this.getOffsetPosition(segment, offset));
+            html += '</div>';
+        }
+
+        if (segment.overlaps.length > 0) {
+            html += '<div class="info-sections">';
+            html += this.generateInfoSection('Overlapping Segments', segment.overlaps.map(overlap => [
+                this.escapeHtml(overlap.name), `${formatBytes(overlap.bytes)} shared`
+            ]));
+            html += '</div>';
+        }
+
         this.infoPanel.innerHTML = html;
     }
 
+    /**
+     * Describe where a byte falls inside a segment, and for pages whether it is in the header or the data
+     * @returns {Array[]} [label, value] rows
+     */
+    getOffsetPosition(segment, offset) {
+        const rows = [
+            ['Byte', `${formatNumber(offset)} (0x${offset.toString(16).toUpperCase()})`]
+        ];
+
+        // Column-major columns are spread over several ranges; count only the bytes before the one looked up
+        const ranges = segment.ranges.length > 0 ? segment.ranges : [segment];
+        const into = ranges.reduce((sum, range) =>
+            sum + Math.max(0, Math.min(offset, range.end) - range.start), 0);
+        rows.push(['Into Segment', `${formatNumber(into)} of ${formatNumber(segment.size)} bytes ` +
+            `(${this.formatShare(into, segment.size)})`]);
+
+        const headerSize = segment.pageIndex !== undefined ? segment.metadata?.header_size : undefined;
+        if (headerSize !== undefined) {
+            rows.push(into < headerSize ?
+                ['Page Part', `Header, byte ${formatNumber(into)} of ${formatNumber(headerSize)}`] :
+                ['Page Part', `Data, byte ${formatNumber(into - headerSize)} of ${formatNumber(segment.size - headerSize)}`]);
+        }
+
+        return rows;
+    }
+
     /**
      * Hide info panel
      */
@@ -115,6 +188,72 @@ class InfoPanelManager {
         this.infoPanel.style.display = 'none';
     }
 
+    /**
+     * Show the differences between two files
+     * @param {object} diff - Result of DumpComparator.compare()
+     * @param {object} [focus] - Selected part of the file: {rowGroupIndex, columnPath, pages}
+     */
+    showComparison(diff, focus = null) {
+        this.infoPanel.style.display = 'block';
+
+        let html = '<h3>Comparison</h3><div class="info-sections">';
+
+        html += this.generateDiffTable('Summary', ['', 'A', 'B', 'Change'], diff.summary.map(row => ({
+            status: row.changed ? 'changed' : 'unchanged',
+            cells: [
+                row.label,
+                this.formatDiffValue(row.a, row.bytes),
+                this.formatDiffValue(row.b, row.bytes),
+                row.delta !== null ? this.formatDiffDelta(row.delta, row.a, row.bytes) : (row.changed ? 'changed' : '')
+            ]
+        })));
+
+        if (focus?.pages) {
+            html += this.generateDiffTable(
+                `Pages: ${this.escapeHtml(focus.columnPath)} (RG${focus.rowGroupIndex})`,
+                ['Page', 'A', 'B', 'Change', 'Differences'],
+                focus.pages.map(row => this.generateDiffRow(row))
+            );
+        }
+
+        let chunkRows = diff.columnChunks;
+        let chunkTitle = 'Changed Column Chunks';
+        if (focus && focus.rowGroupIndex !== undefined) {
+            chunkRows = chunkRows.filter(row => row.rowGroupIndex === focus.rowGroupIndex);
+            chunkTitle = `Column Chunks (RG${focus.rowGroupIndex})`;
+        } else {
+            chunkRows = chunkRows.filter(row => row.status !== 'unchanged');
+        }
+        html += this.generateDiffTable(chunkTitle, ['Column', 'RG', 'A', 'B', 'Change', 'Differences'],
+            chunkRows.slice(0, VisualizationConfig.INFO_PANEL.MAX_DIFF_ROWS).map(row => {
+                const diffRow = this.generateDiffRow(row);
+                diffRow.cells.splice(1, 0, row.rowGroupIndex);
+                return diffRow;
+            }),
+            chunkRows.length - VisualizationConfig.INFO_PANEL.MAX_DIFF_ROWS
+        );
+
+        html += this.generateDiffTable('Columns (all row groups)', ['Column', 'A', 'B', 'Change', 'Differences'],
+            diff.columns.slice(0, VisualizationConfig.INFO_PANEL.MAX_DIFF_ROWS).map(row => ({
+                status: row.status,
+                cells: [
+                    this.escapeHtml(row.columnPath),
+                    this.formatDiffValue(row.sizeA, true),
+                    this.formatDiffValue(row.sizeB, true),
+                    this.formatDiffDelta(row.delta, row.sizeA, true),
+                    this.escapeHtml(row.changes.join(', '))
+                ]
+            })),
+            diff.columns.length - VisualizationConfig.INFO_PANEL.MAX_DIFF_ROWS
+        );
+
+        html += this.generateDiffTable('Row Groups', ['Row Group', 'A', 'B', 'Change', 'Differences'],
+            diff.rowGroups.map(row => this.generateDiffRow(row)));
+
+        html += '</div>';
+        this.infoPanel.innerHTML = html;
+    }
+
     /**
      * Generate overview info panel when no segment is selected (exact copy from old visualizer)
      */
@@ -140,6 +279,35 @@ class InfoPanelManager {
             ['Created By', metadata.created_by || 'Unknown']
         ]);
 
+        // Share of the file covered by known structures (see SegmentHierarchyBuilder.accountForBytes)
+        const accounting = SegmentHierarchyBuilder.getByteAccounting(data);
+        const accountingInfo = [
+            // Round down so a file with any unaccounted bytes never shows 100%
+            ['Bytes Accounted For', `${(Math.floor(accounting.percent * 10) / 10).toFixed(1)}% (${formatBytes(accounting.accountedBytes)})`],
+            ['Unaccounted', formatBytes(accounting.unaccountedBytes)]
+        ];
+        if (accounting.overlappingBytes > 0) {
+            accountingInfo.push(['Overlapping', formatBytes(accounting.overlappingBytes)]);
+        }
+        html += this.generateInfoSection('Byte Accounting', accountingInfo);
+
+        // Dump format version (see DumpMigrator)
+        const migration = data._migration;
+        if (migration) {
+            const formatInfo = [
+                ['Format Version', DumpMigrator.formatVersionLabel(migration.originalVersion)],
+                ['por-que Version', migration.porQueVersion ? this.escapeHtml(migration.porQueVersion) : 'Unknown'],
+                ['Viewer Supports', `up to ${DumpMigrator.formatVersionLabel(migration.supportedVersion)}`]
+            ];
+            if (migration.applied.length > 0) {
+                formatInfo.push(['Migrations Applied', migration.applied.join('<br>')]);
+            }
+            if (migration.newerThanSupported) {
+                formatInfo.push(['Warning', 'Dump is newer than this viewer supports']);
+            }
+            html += this.generateInfoSection('Dump Format', formatInfo);
+        }
+
         // Schema Summary
         const schema = metadata.schema_root;
         if (schema) {
@@ -323,9 +491,9 @@ class InfoPanelManager {
 
             // Min/Max values - show N/A if not available
             const minValue = (stats.min_value !== undefined && stats.min_value !== null) ?
-                this.formatStatValue(stats.min_value) : 'N/A';
+                this.escapeHtml(this.formatStatValue(stats.min_value, logicalMeta)) : 'N/A';
             const maxValue = (stats.max_value !== undefined && stats.max_value !== null) ?
-                this.formatStatValue(stats.max_value) : 'N/A';
+                this.escapeHtml(this.formatStatValue(stats.max_value, logicalMeta)) : 'N/A';
 
             statsInfo.push(['Min Value', minValue]);
             statsInfo.push(['Max Value', maxValue]);
@@ -349,17 +517,24 @@ class InfoPanelManager {
             html += this.generateInfoSection('Column Statistics', statsInfo);
         }
 
+        html += this.generateSizeStatisticsSections(logicalMeta);
+        html += this.generateGeospatialSections(logicalMeta, segment.rowGroupIndex);
+
         html += '</div>';
         return html;
     }
 
     /**
      * Format statistic values for display
+     * @param {*} value - Value; encoded min/max values are decoded when the column is given
+     * @param {object} [columnMeta] - Column metadata with the physical type and schema element
      */
-    formatStatValue(value) {
+    formatStatValue(value, columnMeta = null) {
         if (value === null || value === undefined) {return 'N/A';}
         if (typeof value === 'string') {
-            return value.length > 50 ? value.substring(0, 47) + '...' : value;
+            const text = columnMeta ?
+                this.typeResolver.formatStatistic(value, columnMeta.type, columnMeta.schema_element) : value;
+            return text.length > 50 ? text.substring(0, 47) + '...' : text;
         }
         if (typeof value === 'number') {
             return formatNumber(value);
@@ -426,10 +601,409 @@ class InfoPanelManager {
 
         html += this.generateInfoSection('Data & Compression', dataInfo);
 
+        // Bloom filters live outside the row group's byte range, so show their cost relative to the chunks
+        const bloomFilters = this.getBloomFilterSizes(metadata);
+        if (bloomFilters.length > 0) {
+            const filterBytes = bloomFilters.reduce((sum, filter) => sum + (filter.size || 0), 0);
+            const chunkBytes = bloomFilters.reduce((sum, filter) => sum + filter.chunkSize, 0);
+            html += this.generateInfoSection('Bloom Filters', [
+                ['Total Size', `${formatBytes(filterBytes)} (${this.formatShare(filterBytes, chunkBytes)} of their column chunks)`],
+                ...this.generateBloomFilterRows(bloomFilters)
+            ]);
+        }
+
         html += '</div>';
         return html;
     }
 
+    /**
+     * Generate info panel for a bloom filter
+     */
+    generateBloomFilterInfoPanel(segment) {
+        const columnPath = segment.metadata.column_path;
+        const rowGroupIndex = segment.metadata.row_group_index;
+        const bloomFilters = this.getBloomFilterSizes(this.data?.metadata?.row_groups?.[rowGroupIndex]);
+        const filter = bloomFilters.find(entry => entry.columnPath === columnPath);
+        let html = '<div class="info-sections">';
+
+        html += this.generateInfoSection('Physical Layout', [
+            ['Start Offset', segment.start.toString().replace(/\B(?=(\d{3})+(?!\d))/g, '_')],
+            ['End Offset', segment.end.toString().replace(/\B(?=(\d{3})+(?!\d))/g, '_')],
+            ['Size', formatBytes(segment.size)]
+        ]);
+
+        const filterInfo = [
+            ['Column', this.escapeHtml(columnPath)],
+            ['Row Group', rowGroupIndex]
+        ];
+        if (filter) {
+            filterInfo.push(['Column Chunk Size', formatBytes(filter.chunkSize)]);
+            filterInfo.push(['Share of Column Chunk', this.formatShare(segment.size, filter.chunkSize)]);
+        }
+        html += this.generateInfoSection('Bloom Filter', filterInfo);
+
+        if (bloomFilters.length > 1) {
+            html += this.generateInfoSection(`Bloom Filters in Row Group ${rowGroupIndex}`,
+                this.generateBloomFilterRows(bloomFilters));
+        }
+
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Generate info panel for a column across all row groups: aggregate sizes, codec mix and page counts
+     */
+    generateColumnAcrossRowGroupsInfoPanel(segment) {
+        const chunks = segment.metadata.chunks;
+        const metas = chunks.map(chunk => chunk.logicalMetadata?.metadata || {});
+        const compressed = metas.reduce((sum, meta) => sum + (meta.total_compressed_size || 0), 0);
+        const uncompressed = metas.reduce((sum, meta) => sum + (meta.total_uncompressed_size || 0), 0);
+        const values = metas.reduce((sum, meta) => sum + (meta.num_values || 0), 0);
+        let html = '<div class="info-sections">';
+
+        html += this.generateInfoSection('Physical Layout', [
+            ['First Offset', segment.start.toString().replace(/\B(?=(\d{3})+(?!\d))/g, '_')],
+            ['Last End Offset', segment.end.toString().replace(/\B(?=(\d{3})+(?!\d))/g, '_')],
+            ['Column Chunks', formatNumber(chunks.length)],
+            ['Total Size', formatBytes(segment.size)]
+        ]);
+
+        const columnInfo = [
+            ['Path', this.escapeHtml(segment.columnPath)],
+            ['Physical Type', metas[0]?.type !== undefined ? this.typeResolver.getPhysicalTypeName(metas[0].type) : 'Unknown']
+        ];
+        if (values > 0) {columnInfo.push(['Total Values', formatNumber(values)]);}
+        html += this.generateInfoSection('Column', columnInfo);
+
+        const compressionInfo = [['Codecs', this.formatCodecMix(metas)]];
+        if (compressed && uncompressed) {
+            compressionInfo.push(['Compressed Size', formatBytes(compressed)]);
+            compressionInfo.push(['Uncompressed Size', formatBytes(uncompressed)]);
+            compressionInfo.push(['Compression Ratio', `${(compressed / uncompressed * 100).toFixed(1)}%`]);
+        }
+        html += this.generateInfoSection('Compression', compressionInfo);
+
+        // Remote files only know the pages of the chunks opened so far
+        const loadedChunks = chunks.filter(chunk => chunk.physicalMetadata?.dictionary_page ||
+            chunk.physicalMetadata?.data_pages?.length > 0);
+        const pages = loadedChunks.reduce((sum, chunk) => sum + this.calculatePageStatistics(chunk).totalPages, 0);
+        html += this.generateInfoSection('Pages', [
+            ['Total Pages', loadedChunks.length === chunks.length ? formatNumber(pages) :
+                `${formatNumber(pages)} in ${loadedChunks.length} of ${chunks.length} loaded chunks`]
+        ]);
+
+        if (metas[0]) {html += this.generateGeospatialSections(metas[0], null);}
+
+        html += this.generateInfoSection('Column Chunks by Row Group', chunks.map(chunk => [
+            `Row Group ${chunk.rowGroupIndex}`,
+            `${formatBytes(chunk.size)} at ${chunk.start.toString().replace(/\B(?=(\d{3})+(?!\d))/g, '_')}`
+        ]));
+
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Generate level histogram charts and the byte array efficiency of a column chunk from its SizeStatistics
+     * @param {object} columnMeta - Column chunk metadata
+     * @returns {string} HTML, empty when the writer left out size statistics
+     */
+    generateSizeStatisticsSections(columnMeta) {
+        const sizeStats = columnMeta.size_statistics;
+        if (!sizeStats) {return '';}
+
+        return this.generateLevelHistogram('Definition Level Histogram', sizeStats.definition_level_histogram, 'definition') +
+            this.generateLevelHistogram('Repetition Level Histogram', sizeStats.repetition_level_histogram, 'repetition') +
+            this.generateByteArrayEfficiency(columnMeta.type, sizeStats.unencoded_byte_array_data_bytes,
+                columnMeta.total_uncompressed_size, columnMeta.total_compressed_size);
+    }
+
+    /**
+     * Generate level histogram charts and the byte array efficiency of a data page
+     * The histograms come from the chunk's ColumnIndex and the unencoded size from its OffsetIndex
+     * @returns {string} HTML, empty for other pages and chunks without these indexes
+     */
+    generatePageSizeStatisticsSections(segment) {
+        if (!segment.id.startsWith('page_data_')) {return '';}
+
+        const chunk = (this.data?.column_chunks || [])
+            .filter(columnChunk => columnChunk.row_group === segment.rowGroupIndex)[segment.chunkIndex];
+        if (!chunk) {return '';}
+
+        const columnIndex = chunk.column_index;
+        const pageCount = columnIndex?.null_pages?.length || 0;
+        const metadata = segment.metadata;
+
+        return this.generateLevelHistogram('Definition Level Histogram',
+            this.getPageHistogram(columnIndex?.definition_level_histograms, pageCount, segment.pageIndex), 'definition') +
+            this.generateLevelHistogram('Repetition Level Histogram',
+                this.getPageHistogram(columnIndex?.repetition_level_histograms, pageCount, segment.pageIndex), 'repetition') +
+            this.generateByteArrayEfficiency(chunk.metadata?.metadata?.type,
+                chunk.offset_index?.unencoded_byte_array_data_bytes?.[segment.pageIndex],
+                metadata.uncompressed_page_size, metadata.compressed_page_size);
+    }
+
+    /**
+     * Cut one page's histogram out of a ColumnIndex list, which concatenates the histograms of all pages
+     * @returns {number[]|null} Counts by level, or null when not recorded
+     */
+    getPageHistogram(histograms, pageCount, pageIndex) {
+        if (!histograms?.length || pageCount === 0 || histograms.length % pageCount !== 0) {return null;}
+
+        const levelCount = histograms.length / pageCount;
+        return histograms.slice(pageIndex * levelCount, (pageIndex + 1) * levelCount);
+    }
+
+    /**
+     * Generate a bar chart of the number of values at each definition or repetition level
+     * @param {string} title - Section title
+     * @param {number[]|null} histogram - Counts by level
+     * @param {string} kind - 'definition' or 'repetition'
+     * @returns {string} HTML, empty for histograms with fewer than two levels
+     */
+    generateLevelHistogram(title, histogram, kind) {
+        if (!histogram || histogram.length < 2) {return '';}
+
+        const total = histogram.reduce((sum, count) => sum + count, 0);
+        const largest = Math.max(...histogram);
+        const maxLevel = histogram.length - 1;
+
+        const bars = histogram.map((count, level) => `
+            <div class="level-bar-row">
+                <span class="level-bar-label">${level}: ${this.getLevelMeaning(kind, level, maxLevel)}</span>
+                <span class="level-bar-track"><span class="level-bar" style="width: ${largest > 0 ? (count / largest * 100).toFixed(1) : 0}%;"></span></span>
+                <span class="level-bar-value">${formatNumber(count)} (${this.formatShare(count, total)})</span>
+            </div>
+        `).join('');
+
+        return `
+            <div class="info-section large-card">
+                <h5 class="info-section-title">${title}</h5>
+                <div class="level-histogram">${bars}</div>
+                <p class="level-histogram-caption">${this.getLevelHistogramSummary(kind, histogram, total)}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * What values at a level stand for
+     */
+    getLevelMeaning(kind, level, maxLevel) {
+        if (kind === 'repetition') {
+            return level === 0 ? 'new record' : `repeats at depth ${level}`;
+        }
+        return level === maxLevel ? 'value present' : 'null or empty';
+    }
+
+    /**
+     * One-line reading of a level histogram: the null share, or the share of repeated values
+     */
+    getLevelHistogramSummary(kind, histogram, total) {
+        if (kind === 'repetition') {
+            const records = histogram[0];
+            return `${formatNumber(total)} values in ${formatNumber(records)} records` +
+                (records > 0 ? `, ${(total / records).toFixed(1)} per record` : '');
+        }
+
+        const present = histogram[histogram.length - 1];
+        return `${formatNumber(total - present)} of ${formatNumber(total)} levels (${this.formatShare(total - present, total)}) are null or empty`;
+    }
+
+    /**
+     * Generate the unencoded vs encoded size of a BYTE_ARRAY column chunk or page
+     * @param {number} physicalType - Physical type code; only BYTE_ARRAY records unencoded sizes
+     * @param {number|null} unencoded - Bytes of the values before encoding, without length prefixes
+     * @param {number} encoded - Uncompressed size after encoding
+     * @param {number} stored - Compressed size
+     */
+    generateByteArrayEfficiency(physicalType, unencoded, encoded, stored) {
+        if (physicalType !== 6 || unencoded === null || unencoded === undefined) {return '';}
+
+        const items = [['Unencoded Data', formatBytes(unencoded)]];
+        if (encoded !== undefined) {
+            items.push(['Encoded Size', formatBytes(encoded)]);
+            items.push(['Encoded vs Unencoded', this.formatShare(encoded, unencoded)]);
+        }
+        if (stored !== undefined) {
+            items.push(['Stored Size', formatBytes(stored)]);
+            items.push(['Stored vs Unencoded', this.formatShare(stored, unencoded)]);
+        }
+        return this.generateInfoSection('Byte Array Efficiency', items);
+    }
+
+    /**
+     * Generate the geospatial section and row group bounding box plot of a GEOMETRY or GEOGRAPHY column
+     * @param {object} columnMeta - Column chunk metadata
+     * @param {number|null} rowGroupIndex - Row group to describe and highlight, or null for the whole column
+     * @returns {string} HTML, empty for other columns
+     */
+    generateGeospatialSections(columnMeta, rowGroupIndex) {
+        const logicalType = columnMeta.logical_type || columnMeta.schema_element?.logical_type;
+        const isGeography = logicalType?.logical_type === 18;
+        if (logicalType?.logical_type !== 17 && !isGeography && !columnMeta.geospatial_statistics) {return '';}
+
+        const rowGroups = this.getGeospatialStatistics(columnMeta, rowGroupIndex);
+        const described = rowGroupIndex === null ? rowGroups :
+            rowGroups.filter(rowGroup => rowGroup.rowGroupIndex === rowGroupIndex);
+        const withBbox = rowGroups.filter(rowGroup => BboxPlot.isValidBbox(rowGroup.statistics?.bbox));
+
+        const items = this.generateGeospatialTypeItems(logicalType);
+        items.push(['Geometry Types', this.formatGeospatialTypes(described)]);
+
+        if (rowGroupIndex === null) {
+            items.push(['Bounding Boxes', `${formatNumber(withBbox.length)} of ${formatNumber(rowGroups.length)} row groups`]);
+        } else {
+            items.push(...this.generateBboxItems(described[0]?.statistics?.bbox, isGeography));
+        }
+
+        const plot = BboxPlot.render(rowGroups.map(rowGroup => ({
+            label: `Row Group ${rowGroup.rowGroupIndex}`,
+            bbox: rowGroup.statistics?.bbox,
+            highlighted: rowGroup.rowGroupIndex === rowGroupIndex
+        })), { wraparound: isGeography });
+
+        let html = this.generateInfoSection('Geospatial', items);
+        if (plot) {
+            html += `
+                <div class="info-section large-card">
+                    <h5 class="info-section-title">Row Group Bounding Boxes</h5>
+                    ${plot}
+                    <p class="bbox-caption">${formatNumber(withBbox.length)} of ${formatNumber(rowGroups.length)} row groups have a bounding box${rowGroupIndex === null ? '' : '; this row group is highlighted'}</p>
+                </div>
+            `;
+        }
+        return html;
+    }
+
+    /**
+     * Info items for the logical type, CRS and edge interpolation of a geospatial column
+     */
+    generateGeospatialTypeItems(logicalType) {
+        if (!logicalType) {return [['Logical Type', 'None']];}
+
+        const items = [
+            ['Logical Type', this.typeResolver.getLogicalTypeName(logicalType)],
+            ['CRS', this.formatGeospatialParameter(logicalType, 'crs', 'OGC:CRS84',
+                crs => this.escapeHtml(crs))]
+        ];
+        if (logicalType.logical_type === 18) {
+            items.push(['Edge Interpolation', this.formatGeospatialParameter(logicalType, 'algorithm', 'SPHERICAL',
+                algorithm => this.typeResolver.getEdgeInterpolationName(algorithm))]);
+        }
+        return items;
+    }
+
+    /**
+     * Format an optional GEOMETRY/GEOGRAPHY parameter
+     * The file reader sets absent parameters to null, which means the format's default;
+     * por-que dumps do not record them, so nothing can be said about their value
+     */
+    formatGeospatialParameter(logicalType, key, defaultValue, format) {
+        if (!(key in logicalType)) {return 'Not recorded in dump';}
+        return logicalType[key] === null ? `${defaultValue} (default)` : format(logicalType[key]);
+    }
+
+    /**
+     * Geospatial statistics of a column in every row group of the file
+     * @returns {object[]} {rowGroupIndex, statistics}; statistics is null where the writer left them out
+     */
+    getGeospatialStatistics(columnMeta, rowGroupIndex) {
+        const rowGroups = this.data?.metadata?.row_groups;
+        if (!rowGroups) {
+            return [{ rowGroupIndex, statistics: columnMeta.geospatial_statistics || null }];
+        }
+
+        return rowGroups.map((rowGroup, index) => ({
+            rowGroupIndex: index,
+            statistics: rowGroup.column_chunks?.[columnMeta.path_in_schema]?.metadata?.geospatial_statistics || null
+        }));
+    }
+
+    /**
+     * List the distinct WKB geometry types recorded across row groups
+     */
+    formatGeospatialTypes(rowGroups) {
+        const codes = new Set(rowGroups.flatMap(rowGroup => rowGroup.statistics?.geospatial_types || []));
+        if (codes.size === 0) {return 'Not recorded';}
+
+        return [...codes].sort((a, b) => a - b)
+            .map(code => `${this.typeResolver.getGeospatialTypeName(code)} (${code})`)
+            .join(', ');
+    }
+
+    /**
+     * Info items for the X, Y, Z and M ranges of one bounding box
+     */
+    generateBboxItems(bbox, isGeography) {
+        if (!BboxPlot.isValidBbox(bbox)) {return [['Bounding Box', 'Not recorded']];}
+
+        const items = [
+            ['X Range', this.formatCoordinateRange(bbox.xmin, bbox.xmax) +
+                (isGeography && bbox.xmin > bbox.xmax ? ' (crosses the antimeridian)' : '')],
+            ['Y Range', this.formatCoordinateRange(bbox.ymin, bbox.ymax)]
+        ];
+        if (Number.isFinite(bbox.zmin) && Number.isFinite(bbox.zmax)) {items.push(['Z Range', this.formatCoordinateRange(bbox.zmin, bbox.zmax)]);}
+        if (Number.isFinite(bbox.mmin) && Number.isFinite(bbox.mmax)) {items.push(['M Range', this.formatCoordinateRange(bbox.mmin, bbox.mmax)]);}
+        return items;
+    }
+
+    /**
+     * Format a coordinate range, e.g. "-73.98 to -73.91"
+     */
+    formatCoordinateRange(min, max) {
+        return `${BboxPlot.formatCoordinate(min)} to ${BboxPlot.formatCoordinate(max)}`;
+    }
+
+    /**
+     * Summarize the codecs of a column's chunks, e.g. "SNAPPY (3), UNCOMPRESSED (1)"
+     */
+    formatCodecMix(columnMetas) {
+        const counts = new Map();
+        columnMetas.filter(meta => meta.codec !== undefined).forEach(meta => {
+            const name = this.typeResolver.getCompressionName(meta.codec);
+            counts.set(name, (counts.get(name) || 0) + 1);
+        });
+
+        if (counts.size === 0) {return 'Unknown';}
+        if (counts.size === 1) {return [...counts.keys()][0];}
+        return [...counts.entries()].map(([name, count]) => `${name} (${count})`).join(', ');
+    }
+
+    /**
+     * Bloom filters of a row group's column chunks
+     * @param {object} rowGroup - Row group metadata
+     * @returns {object[]} {columnPath, offset, size, chunkSize}; size is null when the writer omitted the length
+     */
+    getBloomFilterSizes(rowGroup) {
+        return Object.entries(rowGroup?.column_chunks || {})
+            .filter(([, columnChunk]) => columnChunk.metadata?.bloom_filter_offset)
+            .map(([columnPath, columnChunk]) => ({
+                columnPath,
+                offset: columnChunk.metadata.bloom_filter_offset,
+                size: columnChunk.metadata.bloom_filter_length || null,
+                chunkSize: columnChunk.metadata.total_compressed_size || 0
+            }));
+    }
+
+    /**
+     * Rows listing each bloom filter's size and its share of the column chunk
+     */
+    generateBloomFilterRows(bloomFilters) {
+        return bloomFilters.map(filter => [
+            this.escapeHtml(filter.columnPath),
+            filter.size === null ? 'Size unknown' :
+                `${formatBytes(filter.size)} (${this.formatShare(filter.size, filter.chunkSize)} of chunk)`
+        ]);
+    }
+
+    /**
+     * Format a part of a whole as a percentage
+     */
+    formatShare(part, whole) {
+        return whole > 0 ? `${(part / whole * 100).toFixed(1)}%` : 'N/A';
+    }
+
     /**
      * Generate info panel for pages (exact copy from old visualizer)
      */
@@ -483,7 +1057,7 @@ class InfoPanelManager {
         const numValues = metadata.num_values !== undefined ? formatNumber(metadata.num_values) : 'N/A';
         const numRows = metadata.num_rows !== undefined ? formatNumber(metadata.num_rows) : 'N/A';
 
-        const crcChecksum = metadata.crc !== undefined ?
+        const crcChecksum = Number.isInteger(metadata.crc) ?
             metadata.crc.toString(16).toUpperCase() : 'N/A';
 
         const dataInfo = [
@@ -501,6 +1075,8 @@ class InfoPanelManager {
 
         html += this.generateInfoSection('Data Page Content', dataInfo);
 
+        html += this.generatePageSizeStatisticsSections(segment);
+
         html += '</div>';
         return html;
     }
@@ -858,6 +1434,12 @@ class InfoPanelManager {
 
         html += this.generateInfoSection('Key-Value Metadata', kvInfo);
 
+        // Structured view of the values Arrow, pandas, Spark and GeoParquet writers leave
+        const decoded = KeyValueDecoder.decode(segment.metadata.key, segment.metadata.value);
+        if (decoded) {
+            html += this.generateDecodedValueSections(decoded);
+        }
+
         // Full-width Value Viewer
         html += this.generateValueViewerSection(segment.metadata.value);
 
@@ -865,6 +1447,47 @@ class InfoPanelManager {
         return html;
     }
 
+    /**
+     * Generate the summary and tables of a decoded key-value metadata value (see KeyValueDecoder)
+     */
+    generateDecodedValueSections(decoded) {
+        if (decoded.error) {
+            return this.generateInfoSection(decoded.title, [['Decoding Failed', this.escapeHtml(decoded.error)]]);
+        }
+
+        const summary = decoded.summary.map(([label, value]) => [label, this.escapeHtml(value)]);
+        return this.generateInfoSection(decoded.title, summary) +
+            decoded.tables.map(table => this.generateDataTable(table)).join('');
+    }
+
+    /**
+     * Generate a full-width table of plain text cells; the first cell of a row is indented by the row's depth
+     * @param {object} table - {title, headers, rows} with rows of {cells, depth}
+     */
+    generateDataTable(table) {
+        const body = table.rows.length === 0 ?
+            `<tr><td colspan="${table.headers.length}" class="value-empty">None</td></tr>` :
+            table.rows.map(row => `
+                <tr>
+                    ${row.cells.map((cell, index) => `
+                        <td${index === 0 && row.depth ? ` style="padding-left: ${row.depth * 1.5}em;"` : ''}>${this.escapeHtml(cell)}</td>
+                    `).join('')}
+                </tr>
+            `).join('');
+
+        return `
+            <div class="info-section large-card">
+                <h5 class="info-section-title">${table.title}</h5>
+                <div class="data-table-wrapper">
+                    <table class="data-table">
+                        <thead><tr>${table.headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+                        <tbody>${body}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Generate full-width value viewer section with JSON tree or code display
      */
@@ -1021,7 +1644,8 @@ class InfoPanelManager {
         const purposes = {
             'column_index': 'Min/max statistics and null information for pages',
             'offset_index': 'Page locations and sizes for efficient seeking',
-            'page_index': 'Combined column and offset index information'
+            'page_index': 'Combined column and offset index information',
+            'bloom_filter': 'Probabilistic set of column values for skipping row groups on equality predicates'
         };
         return purposes[type] || 'Metadata element for file structure';
     }
@@ -1052,6 +1676,81 @@ class InfoPanelManager {
         `;
     }
 
+    /**
+     * Generate a full-width table of aligned A/B rows
+     * @param {string} title - Section title
+     * @param {string[]} headers - Column headers
+     * @param {object[]} rows - Rows as {status, cells} with pre-rendered cell HTML
+     * @param {number} [hiddenCount=0] - Rows left out of the table
+     */
+    generateDiffTable(title, headers, rows, hiddenCount = 0) {
+        const body = rows.length === 0 ?
+            `<tr><td colspan="${headers.length}" class="value-empty">No differences</td></tr>` :
+            rows.map(row => `
+                <tr class="diff-row diff-row-${row.status}">
+                    ${row.cells.map(cell => `<td>${cell}</td>`).join('')}
+                </tr>
+            `).join('');
+
+        return `
+            <div class="info-section large-card">
+                <h5 class="info-section-title">${title}</h5>
+                <div class="diff-table-wrapper">
+                    <table class="diff-table">
+                        <thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+                        <tbody>${body}</tbody>
+                    </table>
+                </div>
+                ${hiddenCount > 0 ? `<p class="diff-more">…and ${hiddenCount.toLocaleString()} more</p>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Convert an aligned comparison row (see DumpComparator) into table cells
+     */
+    generateDiffRow(row) {
+        return {
+            status: row.status,
+            cells: [
+                this.escapeHtml(row.name),
+                this.formatDiffValue(row.sizeA, true),
+                this.formatDiffValue(row.sizeB, true),
+                row.status === 'added' || row.status === 'removed' ? row.status :
+                    this.formatDiffDelta(row.delta, row.sizeA, true),
+                row.changes.map(change => this.escapeHtml(
+                    `${change.field}: ${this.formatStatValue(change.a)} → ${this.formatStatValue(change.b)}`
+                )).join('<br>')
+            ]
+        };
+    }
+
+    /**
+     * Format one side of a comparison value
+     */
+    formatDiffValue(value, isBytes = false) {
+        if (value === null || value === undefined) {return '—';}
+        if (typeof value === 'number') {
+            return isBytes ? formatBytes(value) : formatNumber(value);
+        }
+        return this.escapeHtml(String(value));
+    }
+
+    /**
+     * Format a signed difference with its percentage of the baseline
+     */
+    formatDiffDelta(delta, base, isBytes = false) {
+        if (delta === null || delta === undefined) {return '—';}
+        if (delta === 0) {return '<span class="diff-unchanged">0</span>';}
+
+        const sign = delta > 0 ? '+' : '-';
+        const amount = isBytes ? formatBytes(Math.abs(delta)) : formatNumber(Math.abs(delta));
+        const percentage = base ? ` (${sign}${(Math.abs(delta) / base * 100).toFixed(1)}%)` : '';
+        const className = delta > 0 ? 'diff-increase' : 'diff-decrease';
+
+        return `<span class="${className}">${sign}${amount}${percentage}</span>`;
+    }
+
     /**
      * Count columns in schema recursively
      */
@@ -0,0 +1,146 @@
+/**
+ * Pushdown Panel
+ * Predicate input and results for the predicate pushdown simulator
+ * Dispatches 'pushdownRequested' {expression, projection} and 'pushdownCleared' on its container
+ */
+class PushdownPanel {
+    /**
+     * @param {HTMLElement} container - Element to render into
+     */
+    constructor(container) {
+        this.container = container;
+
+        this.container.innerHTML = `
+            <form class="pushdown-form">
+                <label class="pushdown-label" for="pushdown-input">Predicate pushdown</label>
+                <input id="pushdown-input" class="pushdown-input" type="text" spellcheck="false"
+                    placeholder="col > 5 AND name = 'x'">
+                <select class="pushdown-projection" title="Columns the reader returns">
+                    <option value="all">Read all columns</option>
+                    <option value="predicate">Read filtered columns only</option>
+                </select>
+                <button type="submit" class="btn btn-sm">Simulate</button>
+                <button type="button" class="btn btn-sm pushdown-clear">Clear</button>
+            </form>
+            <div class="pushdown-result"></div>
+        `;
+
+        this.form = this.container.querySelector('.pushdown-form');
+        this.input = this.container.querySelector('.pushdown-input');
+        this.projection = this.container.querySelector('.pushdown-projection');
+        this.resultElement = this.container.querySelector('.pushdown-result');
+
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleClear = this.handleClear.bind(this);
+        this.form.addEventListener('submit', this.handleSubmit);
+        this.container.querySelector('.pushdown-clear').addEventListener('click', this.handleClear);
+    }
+
+    /**
+     * Request a simulation for the entered predicate
+     */
+    handleSubmit(event) {
+        event.preventDefault();
+        this.container.dispatchEvent(new CustomEvent('pushdownRequested', {
+            detail: { expression: this.input.value, projection: this.projection.value }
+        }));
+    }
+
+    /**
+     * Clear the predicate and its result
+     */
+    handleClear() {
+        this.reset();
+        this.container.dispatchEvent(new CustomEvent('pushdownCleared'));
+    }
+
+    /**
+     * Show a simulation result
+     * @param {object} result - Result of PushdownSimulator.simulate()
+     */
+    showResult(result) {
+        const { totals } = result;
+        const percent = totals.bytes > 0 ? ((totals.bytesRead / totals.bytes) * 100).toFixed(1) : '0.0';
+        const stats = [
+            ['Row groups read', `${formatNumber(totals.rowGroupsRead)} of ${formatNumber(totals.rowGroups)}` +
+                this.formatSkipReasons(result.rowGroups)],
+            ['Data pages read', `${formatNumber(totals.pagesRead)} of ${formatNumber(totals.pages)}`],
+            ['Bytes read', `${formatBytes(totals.bytesRead)} of ${formatBytes(totals.bytes)} (${percent}%)`],
+            ['Range requests', formatNumber(totals.requests)]
+        ];
+
+        this.resultElement.innerHTML = `
+            <div class="pushdown-stats">
+                ${stats.map(([label, value]) => `
+                    <div class="pushdown-stat">
+                        <span class="pushdown-stat-label">${label}</span>
+                        <span class="pushdown-stat-value">${value}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <p class="pushdown-legend">
+                Outlined segments are read; dimmed segments are skipped. Range requests merge adjacent byte ranges
+                and exclude the footer and page index reads.
+            </p>
+            ${result.notes.length > 0 ? `
+                <ul class="pushdown-notes">
+                    ${result.notes.map(note => `<li>${this.escapeHtml(note)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Note how many skipped row groups statistics alone could not rule out
+     * @param {object[]} rowGroups - Row group results of PushdownSimulator.simulate()
+     * @returns {string} e.g. ' (2 ruled out by the page index, 1 empty)', or an empty string
+     */
+    formatSkipReasons(rowGroups) {
+        const count = reason => rowGroups.filter(rowGroup => rowGroup.reason === reason).length;
+        const byPageIndex = count('page index');
+        const empty = count('empty');
+        const parts = [
+            byPageIndex > 0 ? `${formatNumber(byPageIndex)} ruled out by the page index` : null,
+            empty > 0 ? `${formatNumber(empty)} empty` : null
+        ].filter(Boolean);
+        return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+    }
+
+    /**
+     * Show a predicate or simulation error
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.resultElement.innerHTML = `<p class="pushdown-error">${this.escapeHtml(message)}</p>`;
+    }
+
+    /**
+     * Clear the input and result
+     */
+    reset() {
+        this.input.value = '';
+        this.resultElement.innerHTML = '';
+    }
+
+    /**
+     * Escape HTML characters
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Remove event listeners and rendered content
+     */
+    destroy() {
+        this.form.removeEventListener('submit', this.handleSubmit);
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PushdownPanel;
+}
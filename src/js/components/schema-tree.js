@@ -7,15 +7,25 @@ class SchemaTree {
         this.container = container;
         this.expandedNodes = new Set();
         this.searchTerm = '';
+        this.matchingPaths = null; // Paths matching searchTerm, or null when not filtering
+        this.selectedPath = null;
     }
 
     /**
      * Render the schema tree
+     * Node paths are the dotted column paths (as in path_in_schema); the root's path is ''
      * @param {object} schema - Schema object
      */
     render(schema) {
+        if (schema !== this.currentSchema) {
+            // A new schema opens on its top-level fields, unfiltered
+            this.expandedNodes = new Set(['']);
+            this.selectedPath = null;
+            this.searchTerm = '';
+            this.matchingPaths = null;
+        }
         this.currentSchema = schema;
-        this.container.innerHTML = this.renderNode(schema, 0, 'root');
+        this.container.innerHTML = this.renderNode(schema, 0, '');
         this.attachEventListeners();
     }
 
@@ -27,23 +37,26 @@ class SchemaTree {
      * @returns {string} HTML string
      */
     renderNode(node, level = 0, path = '') {
+        if (!this._isVisible(path)) {return '';}
+
         const hasChildren = node.children && Object.keys(node.children).length > 0;
         const isExpanded = this.expandedNodes.has(path);
         const indent = level * VisualizationConfig.SCHEMA_TREE.INDENT_SIZE;
+        const escapedPath = this.escapeHtml(path);
 
-        let html = `<div class="schema-node" data-path="${path}" style="margin-left: ${indent}px;">`;
+        let html = `<div class="schema-node" data-path="${escapedPath}" style="margin-left: ${indent}px;">`;
 
         // Node header
-        html += '<div class="schema-node-header">';
+        html += `<div class="schema-node-header${path === this.selectedPath ? ' selected' : ''}">`;
 
         if (hasChildren) {
             const expandIcon = isExpanded ? VisualizationConfig.SCHEMA_TREE.COLLAPSE_ICON : VisualizationConfig.SCHEMA_TREE.EXPAND_ICON;
-            html += `<span class="expand-icon" data-path="${path}">${expandIcon}</span>`;
+            html += `<span class="expand-icon" data-path="${escapedPath}">${expandIcon}</span>`;
         } else {
             html += `<span class="expand-icon-placeholder">${VisualizationConfig.SCHEMA_TREE.LEAF_ICON}</span>`;
         }
 
-        html += `<span class="schema-name">${node.name || 'root'}</span>`;
+        html += `<span class="schema-name">${this.escapeHtml(node.name || 'root')}</span>`;
 
         // Handle different node types based on element_type
         if (node.element_type === 'column') {
@@ -92,7 +105,7 @@ class SchemaTree {
             });
         });
 
-        // Node selection (for future functionality)
+        // Node selection
         this.container.querySelectorAll('.schema-node-header').forEach(header => {
             header.addEventListener('click', (e) => {
                 if (!e.target.classList.contains('expand-icon')) {
@@ -124,13 +137,15 @@ class SchemaTree {
      * @param {string} path - Node path
      */
     selectNode(path) {
+        this.selectedPath = path;
+
         // Remove previous selection
         this.container.querySelectorAll('.schema-node-header.selected').forEach(header => {
             header.classList.remove('selected');
         });
 
         // Add selection to new node
-        const node = this.container.querySelector(`[data-path="${path}"] .schema-node-header`);
+        const node = this.getNodeHeader(path);
         if (node) {
             node.classList.add('selected');
         }
@@ -141,15 +156,38 @@ class SchemaTree {
         }));
     }
 
+    /**
+     * Expand the ancestors of a node, select it and scroll it into view
+     * Selecting emits 'nodeSelected' like a click does
+     * @param {string} path - Node path
+     */
+    revealNode(path) {
+        this._expandAncestors(path);
+        this.render(this.currentSchema);
+        this.selectNode(path);
+
+        const header = this.getNodeHeader(path);
+        if (header) {
+            this._scrollIntoView(header);
+        }
+    }
+
+    /**
+     * Header element of a rendered node
+     * @param {string} path - Node path
+     * @returns {HTMLElement|null} Header, or null if the node is collapsed away or filtered out
+     */
+    getNodeHeader(path) {
+        return this.container.querySelector(`.schema-node[data-path="${CSS.escape(path)}"] > .schema-node-header`);
+    }
+
     /**
      * Expand all nodes
      */
     expandAll() {
-        const allNodes = this.container.querySelectorAll('.schema-node');
-        allNodes.forEach(node => {
-            const path = node.dataset.path;
-            this.expandedNodes.add(path);
-        });
+        this.expandedNodes.add('');
+        this._collectPaths(this.currentSchema, '', (path, node) => Boolean(node.children))
+            .forEach(path => this.expandedNodes.add(path));
         this.render(this.currentSchema);
     }
 
@@ -167,41 +205,11 @@ class SchemaTree {
      */
     filter(searchTerm) {
         this.searchTerm = searchTerm.toLowerCase();
+        this.matchingPaths = this.searchTerm ?
+            this._collectPaths(this.currentSchema, '', path => path.toLowerCase().includes(this.searchTerm)) : null;
 
-        if (!searchTerm) {
-            // Show all nodes
-            this.container.querySelectorAll('.schema-node').forEach(node => {
-                node.style.display = 'block';
-            });
-            return;
-        }
-
-        // Hide/show nodes based on search
-        this.container.querySelectorAll('.schema-node').forEach(node => {
-            const nameElement = node.querySelector('.schema-name');
-            const name = nameElement ? nameElement.textContent.toLowerCase() : '';
-            const path = node.dataset.path.toLowerCase();
-
-            const matches = name.includes(searchTerm) || path.includes(searchTerm);
-            node.style.display = matches ? 'block' : 'none';
-
-            // If a child matches, show all parents
-            if (matches) {
-                let parent = node.parentElement;
-                while (parent && parent.classList.contains('schema-children')) {
-                    const parentNode = parent.closest('.schema-node');
-                    if (parentNode) {
-                        parentNode.style.display = 'block';
-                        // Auto-expand parent
-                        const parentPath = parentNode.dataset.path;
-                        this.expandedNodes.add(parentPath);
-                    }
-                    parent = parentNode ? parentNode.parentElement : null;
-                }
-            }
-        });
-
-        // Re-render to update expand icons
+        // Matches inside collapsed groups are expanded into view; their parents stay visible
+        (this.matchingPaths || []).forEach(path => this._expandAncestors(path));
         this.render(this.currentSchema);
     }
 
@@ -307,9 +315,74 @@ class SchemaTree {
      * @param {object} schema - New schema object
      */
     update(schema) {
-        this.currentSchema = schema;
         this.render(schema);
     }
+
+    /**
+     * Escape HTML characters (including quotes, for use in attributes)
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Remove rendered content
+     */
+    destroy() {
+        this.container.innerHTML = '';
+    }
+
+    // Private helper methods
+
+    /**
+     * Check whether a node passes the current filter: it, an ancestor or a descendant matches
+     * @private
+     */
+    _isVisible(path) {
+        if (!this.matchingPaths || path === '') {return true;}
+        return this.matchingPaths.some(match =>
+            match === path || path.startsWith(`${match}.`) || match.startsWith(`${path}.`));
+    }
+
+    /**
+     * Paths of the nodes below a node that satisfy a predicate
+     * @private
+     */
+    _collectPaths(node, path, predicate, paths = []) {
+        Object.entries(node?.children || {}).forEach(([childName, child]) => {
+            const childPath = path ? `${path}.${childName}` : childName;
+            if (predicate(childPath, child)) {
+                paths.push(childPath);
+            }
+            this._collectPaths(child, childPath, predicate, paths);
+        });
+        return paths;
+    }
+
+    /**
+     * Mark every ancestor of a node (including the root) as expanded
+     * @private
+     */
+    _expandAncestors(path) {
+        const parts = path ? path.split('.') : [];
+        for (let depth = 0; depth < parts.length; depth++) {
+            this.expandedNodes.add(parts.slice(0, depth).join('.'));
+        }
+    }
+
+    /**
+     * Scroll the tree (not the page) so a node header is visible
+     * @private
+     */
+    _scrollIntoView(header) {
+        const top = header.offsetTop;
+        const bottom = top + header.offsetHeight;
+        if (top < this.container.scrollTop || bottom > this.container.scrollTop + this.container.clientHeight) {
+            this.container.scrollTop = Math.max(0, top - this.container.clientHeight / 2);
+        }
+    }
 }
 
 // Add CSS styles for schema tree (if not already in main CSS)
@@ -17,6 +17,15 @@ class SvgByteVisualizer {
         this.selectedSegments = new Map(); // Map of levelIndex -> segmentId for hierarchical selection
         this.selectionPath = []; // Stack of selected segments in drill-down order
         this.hoveredSegment = null;
+        this.highlights = new Map(); // Map of segmentId -> highlight name ('read' or 'skipped')
+        this.columnHighlights = new Map(); // Map of segmentId -> 'column' for the column picked with highlightColumn()
+        this.levelMode = 'rowgroups'; // Data pages grouped by 'rowgroups' (row-group-major) or 'columns' (column-major)
+        this.scaleMode = 'log'; // 'log' widens small segments to stay clickable, 'linear' keeps true proportions
+        this.drag = null; // Pan in progress: {level, startX, startOffset, moved}
+        this.suppressClick = false; // Swallow the click that ends a pan
+        this.targetOffset = null; // Byte looked up with jumpToOffset(), marked on every level that contains it
+        this.colorMode = 'type'; // 'type' colors by element type, other SegmentHeatmap.MODES by a measured property
+        this.heatmap = null; // SegmentHeatmap for the current color mode, if it is not 'type'
 
 
         // Layout properties
@@ -183,11 +192,17 @@ class SvgByteVisualizer {
      * Set up event listeners
      */
     setupEventListeners() {
+        // Keep bound references so destroy() can remove them
+        this.handleResize = this.handleResize.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handlePanMove = this.handlePanMove.bind(this);
+        this.handlePanEnd = this.handlePanEnd.bind(this);
+
         // Resize handling
-        window.addEventListener('resize', this.handleResize.bind(this));
+        window.addEventListener('resize', this.handleResize);
 
         // Keyboard events
-        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        document.addEventListener('keydown', this.handleKeyDown);
     }
 
     /**
@@ -220,27 +235,32 @@ class SvgByteVisualizer {
     /**
      * Initialize with parquet data
      */
-    initWithData(data) {
+    initWithData(data, pageLoader = null) {
         this.data = data;
         this.levels = [];
         this.selectedSegments.clear();
         this.selectionPath = [];
 
         // Initialize file structure analyzer
-        this.analyzer = new FileStructureAnalyzer(data);
+        this.analyzer = new FileStructureAnalyzer(data, pageLoader);
+        this.heatmap = this.colorMode === 'type' ? null : new SegmentHeatmap(this.analyzer, this.colorMode);
 
-        // Wait for SVG to have proper dimensions
-        requestAnimationFrame(() => {
-            this.updateSvgSize();
+        // Wait for SVG to have proper dimensions; `ready` resolves once the overview level exists
+        this.ready = new Promise(resolve => {
+            requestAnimationFrame(() => {
+                this.updateSvgSize();
 
-            // Get overview segments and create first level
-            const overviewSegments = this.analyzer.getSegmentsForLevel('overview');
-            this.addLevel('overview', null, overviewSegments);
+                // Get overview segments and create first level
+                const overviewSegments = this.analyzer.getSegmentsForLevel('overview');
+                this.addLevel('overview', null, overviewSegments);
 
-            // Show initial overview info panel
-            if (this.infoPanelManager) {
-                this.infoPanelManager.showOverview(this.data);
-            }
+                // Show initial overview info panel
+                if (this.infoPanelManager) {
+                    this.infoPanelManager.showOverview(this.data);
+                }
+
+                resolve();
+            });
         });
     }
 
@@ -293,13 +313,207 @@ class SvgByteVisualizer {
         });
 
         // Create segments within the group
+        this.createLevelSegments(level, group, levelIndex);
+        this.createRuler(level, group);
+        this.createOffsetMarker(level, group);
+
+        // Wheel zoom and drag pan apply to this level only
+        group.addEventListener('wheel', (e) => this.handleLevelWheel(e, level), { passive: false });
+        group.addEventListener('mousedown', (e) => this.handleLevelMouseDown(e, level));
+
+        // Funnel connection will be created during animation
+
+        return group;
+    }
+
+    /**
+     * Create the segments of a level: SVG elements per segment, or one canvas image for very large levels
+     */
+    createLevelSegments(level, group, levelIndex) {
+        if (this.isCanvasLevel(level)) {
+            this.createCanvasSegments(level, group, levelIndex);
+            return;
+        }
+
         level.layout.segments.forEach((segmentLayout, segmentIndex) => {
             this.createSegmentElements(segmentLayout, group, levelIndex, segmentIndex, level.layout.segments);
         });
+    }
 
-        // Funnel connection will be created during animation
+    /**
+     * Check whether a level has too many segments to draw as SVG elements
+     */
+    isCanvasLevel(level) {
+        return level.segments.length > VisualizationConfig.PERFORMANCE.CANVAS_SEGMENT_THRESHOLD;
+    }
 
-        return group;
+    /**
+     * Draw a large level on a canvas shown as a single SVG image
+     * Hover and selection are outline rects over the image; pointer events are resolved with
+     * SegmentLayoutCalculator.hitTest, so the DOM stays the same size however many segments the level has
+     */
+    createCanvasSegments(level, group, levelIndex) {
+        const image = this.createSvgElement('image', {
+            class: 'segment-canvas',
+            x: 0,
+            y: 0,
+            width: this.width,
+            height: this.config.LEVEL_HEIGHT,
+            preserveAspectRatio: 'none',
+            'data-level-index': levelIndex
+        });
+        const hover = this.createSvgElement('rect', {
+            class: 'segment-canvas-outline segment-canvas-hover',
+            'pointer-events': 'none',
+            visibility: 'hidden'
+        });
+        const selection = this.createSvgElement('rect', {
+            class: 'segment-canvas-outline segment-canvas-selection',
+            'pointer-events': 'none',
+            visibility: 'hidden'
+        });
+
+        level.canvasElements = { image, hover, selection };
+        this.drawCanvasLevel(level);
+        this.setupCanvasEventListeners(image, level, levelIndex);
+
+        group.appendChild(image);
+        group.appendChild(hover);
+        group.appendChild(selection);
+    }
+
+    /**
+     * Paint the visible segments of a canvas level and show the result in its image
+     * Labels are drawn once few enough segments are in view, e.g. after zooming in
+     */
+    drawCanvasLevel(level) {
+        const { image } = level.canvasElements;
+        const performance = VisualizationConfig.PERFORMANCE;
+        const pixelRatio = performance.USE_DEVICE_PIXEL_RATIO ? (window.devicePixelRatio || 1) : 1;
+        const height = this.config.LEVEL_HEIGHT;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(this.width * pixelRatio));
+        canvas.height = Math.max(1, Math.round(height * pixelRatio));
+        const context = canvas.getContext('2d');
+        if (!context) {return;}
+        context.scale(pixelRatio, pixelRatio);
+
+        const allSegments = level.layout.segments.map(segmentLayout => segmentLayout.segment);
+        const visible = level.layout.segments
+            .map((segmentLayout, segmentIndex) => ({ segmentLayout, segmentIndex }))
+            .filter(({ segmentLayout }) => segmentLayout.x + segmentLayout.width >= 0 && segmentLayout.x <= this.width);
+        const colors = new Map(); // CSS variable -> resolved color
+        const resolve = name => {
+            if (!colors.has(name)) {
+                colors.set(name, this.getCSSVariable(name));
+            }
+            return colors.get(name);
+        };
+        const showLabels = visible.length <= performance.MAX_SEGMENTS_FOR_LABELS;
+        context.font = `12px ${resolve('--font-sans') || 'sans-serif'}`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+
+        visible.forEach(({ segmentLayout, segmentIndex }) => {
+            const segment = segmentLayout.segment;
+            const { x, y, width: segmentWidth, height: segmentHeight } = segmentLayout;
+            const fillColor = resolve(this.getSegmentColorVariable(segment, segmentIndex, allSegments)) ||
+                resolve(VisualizationConfig.COLORS.DEFAULT);
+            const highlight = this.getSegmentHighlight(segment.id);
+
+            context.globalAlpha = highlight === 'skipped' ? 0.25 : 1;
+            context.fillStyle = fillColor;
+            context.fillRect(x, y, segmentWidth, segmentHeight);
+
+            // Same outlines as the .segment-overlap, .segment-estimated and .segment-highlight-* styles
+            const outline = highlight === 'read' ? { color: resolve('--text-primary'), width: 2, dash: [] } :
+                highlight === 'column' ? { color: resolve('--accent-color'), width: 3, dash: [] } :
+                segment.overlaps.length > 0 ? { color: resolve('--overlap-color'), width: 2, dash: [4, 2] } :
+                    segment.estimated ? { color: resolve('--text-secondary'), width: 1, dash: [3, 3] } : null;
+            if (outline) {
+                context.strokeStyle = outline.color;
+                context.lineWidth = outline.width;
+                context.setLineDash(outline.dash);
+                context.strokeRect(x, y, segmentWidth, segmentHeight);
+            }
+
+            if (showLabels && context.measureText(segment.name).width <= segmentWidth - 8) {
+                const onDark = VisualizationConfig.getContrastClass(fillColor) === 'segment-on-dark';
+                context.fillStyle = resolve(onDark ? '--text-on-dark' : '--text-on-light');
+                context.fillText(segment.name, x + segmentWidth / 2, y + segmentHeight / 2);
+            }
+        });
+
+        image.setAttribute('width', this.width);
+        image.setAttribute('href', canvas.toDataURL('image/png'));
+    }
+
+    /**
+     * Tooltip, hover outline and click handling for a canvas level
+     */
+    setupCanvasEventListeners(image, level, levelIndex) {
+        image.addEventListener('mousemove', (e) => {
+            const hit = this.hitTestLevel(e, level);
+            const segment = hit ? hit.segment : null;
+
+            if (segment?.id === this.hoveredSegment) {
+                if (segment) {this.updateTooltipPosition(e);}
+                return;
+            }
+
+            this.hoveredSegment = segment ? segment.id : null;
+            const isSelected = segment && this.isSegmentSelected(segment.id, levelIndex);
+            this.placeCanvasOutline(level.canvasElements.hover, isSelected ? null : hit?.segmentLayout);
+            if (segment) {
+                this.showSegmentTooltip(e, segment);
+            } else {
+                this.hideTooltip();
+            }
+        });
+
+        image.addEventListener('mouseleave', () => {
+            this.hoveredSegment = null;
+            this.placeCanvasOutline(level.canvasElements.hover, null);
+            this.hideTooltip();
+        });
+
+        image.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const hit = this.hitTestLevel(e, level);
+            if (hit) {
+                this.handleSegmentPointerClick(hit.segment, levelIndex);
+            }
+        });
+    }
+
+    /**
+     * Find the segment of a level under the pointer
+     * @returns {object|null} SegmentLayoutCalculator.hitTest() result
+     */
+    hitTestLevel(event, level) {
+        // Group coordinates follow the level through its slide animations
+        const matrix = level.svgGroup?.getScreenCTM();
+        if (!matrix) {return null;}
+
+        const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(matrix.inverse());
+        return SegmentLayoutCalculator.hitTest(point.x, level.layout.y + point.y, [level.layout], this.config);
+    }
+
+    /**
+     * Move a canvas level's hover or selection outline onto a segment, or hide it (null)
+     */
+    placeCanvasOutline(outline, segmentLayout) {
+        if (!segmentLayout) {
+            outline.setAttribute('visibility', 'hidden');
+            return;
+        }
+
+        outline.setAttribute('x', segmentLayout.x);
+        outline.setAttribute('y', segmentLayout.y);
+        outline.setAttribute('width', Math.max(segmentLayout.width, 1));
+        outline.setAttribute('height', segmentLayout.height);
+        outline.setAttribute('visibility', 'visible');
     }
 
     /**
@@ -310,7 +524,7 @@ class SvgByteVisualizer {
         const allSegments = allSegmentsInLevel.map(s => s.segment);
 
         // Get CSS variable name for segment color
-        const colorVar = VisualizationConfig.getSegmentColor(segment, segmentIndex, allSegments);
+        const colorVar = this.getSegmentColorVariable(segment, segmentIndex, allSegments);
 
         // Get resolved color value for SVG fill
         const fillColor = this.getCSSVariable(colorVar) || this.getCSSVariable(VisualizationConfig.COLORS.DEFAULT);
@@ -318,9 +532,10 @@ class SvgByteVisualizer {
         // Get contrast class for this segment
         const contrastClass = VisualizationConfig.getContrastClass(fillColor);
 
-        // Create wrapper group for this segment with contrast class
+        // Create wrapper group for this segment with contrast class (and highlight, if any)
+        const highlight = this.getSegmentHighlight(segment.id);
         const segmentGroup = this.createSvgElement('g', {
-            class: contrastClass
+            class: highlight ? `${contrastClass} segment-highlight-${highlight}` : contrastClass
         });
 
         // Create main rectangle element (fill)
@@ -331,7 +546,12 @@ class SvgByteVisualizer {
             height: segmentLayout.height,
             fill: fillColor,
             rx: this.config.CORNER_RADIUS || 0,
-            class: `segment ${contrastClass}`,
+            class: [
+                'segment',
+                segment.overlaps.length > 0 ? 'segment-overlap' : '',
+                segment.estimated ? 'segment-estimated' : '',
+                contrastClass
+            ].filter(Boolean).join(' '),
             'data-segment-id': segment.id,
             'data-level-index': levelIndex
         });
@@ -472,23 +692,268 @@ class SvgByteVisualizer {
         // Click - handle segment selection and drill-down
         rect.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.handleSegmentClick(segment, levelIndex);
+            this.handleSegmentPointerClick(segment, levelIndex);
         });
     }
 
+    /**
+     * Handle a click on a segment by the user (as opposed to a programmatic selection)
+     */
+    handleSegmentPointerClick(segment, levelIndex) {
+        if (this.suppressClick) {return;}
+        // Browsing away from a looked-up byte drops its marker
+        if (this.targetOffset !== null && !segment.containsOffset(this.targetOffset)) {
+            this.setTargetOffset(null);
+        }
+        this.handleSegmentClick(segment, levelIndex);
+    }
+
 
     /**
      * Compute layout for a level (delegates to SegmentLayoutCalculator)
      */
     computeLevelLayout(level, levelIndex) {
-        return SegmentLayoutCalculator.computeLevelLayout(
+        // A zoomed level is laid out on a wider canvas and shifted by its pan offset
+        const zoom = level.zoom || { scale: 1, offset: 0 };
+        const layout = SegmentLayoutCalculator.computeLevelLayout(
             level.name,
             level.parentSegmentId,
             level.segments,
             levelIndex,
-            this.width,
-            this.config
+            this.width * zoom.scale,
+            { ...this.config, LINEAR_SCALE: this.scaleMode === 'linear' }
         );
+
+        layout.width = this.width;
+        layout.segments.forEach(segmentLayout => {
+            segmentLayout.x -= zoom.offset;
+        });
+        return layout;
+    }
+
+    /**
+     * Draw a byte-offset axis under a level's segments
+     * Offsets are interpolated within each segment, so ticks bunch up where the log layout widened small segments;
+     * levels made of non-contiguous segments (the column-major columns) get no axis
+     */
+    createRuler(level, group) {
+        const rulerHeight = this.config.RULER_HEIGHT || 0;
+        if (rulerHeight === 0) {return;}
+
+        const pieces = level.layout.segments.filter(layout =>
+            layout.segment.ranges.length === 0 && layout.segment.size > 0 && layout.width > 0 &&
+            layout.x + layout.width > 0 && layout.x < this.width);
+        if (pieces.length === 0) {return;}
+
+        const ruler = this.createSvgElement('g', {
+            class: 'level-ruler',
+            transform: `translate(0, ${this.config.LEVEL_HEIGHT})`,
+            'pointer-events': 'none'
+        });
+        ruler.appendChild(this.createSvgElement('line', { x1: 0, y1: 0, x2: this.width, y2: 0 }));
+
+        const toOffset = (piece, x) => piece.segment.start +
+            ((Math.min(Math.max(x, piece.x), piece.x + piece.width) - piece.x) / piece.width) * piece.segment.size;
+        const startOffset = toOffset(pieces[0], 0);
+        const endOffset = toOffset(pieces[pieces.length - 1], this.width);
+        const spacing = this.config.RULER_TICK_SPACING || 100;
+        const step = this.getRulerStep((endOffset - startOffset) / Math.max(1, this.width / spacing));
+
+        let lastLabelX = -Infinity;
+        for (let offset = Math.ceil(startOffset / step) * step; offset <= endOffset; offset += step) {
+            const piece = pieces.find(candidate => offset >= candidate.segment.start && offset <= candidate.segment.end);
+            if (!piece) {continue;}
+
+            const x = piece.x + ((offset - piece.segment.start) / piece.segment.size) * piece.width;
+            ruler.appendChild(this.createSvgElement('line', { x1: x, y1: 0, x2: x, y2: 4 }));
+
+            // Skip labels that would run into the previous one
+            if (x - lastLabelX < spacing * 0.6) {continue;}
+            const label = this.createSvgElement('text', {
+                x: x,
+                y: rulerHeight - 3,
+                'text-anchor': x < 30 ? 'start' : (x > this.width - 30 ? 'end' : 'middle'),
+                'font-family': 'var(--font-mono)',
+                'font-size': '9px'
+            });
+            label.textContent = offset.toString().replace(/\B(?=(\d{3})+(?!\d))/g, '_');
+            ruler.appendChild(label);
+            lastLabelX = x;
+        }
+
+        group.appendChild(ruler);
+    }
+
+    /**
+     * Draw a line at the target offset through the segment of a level that contains it
+     */
+    createOffsetMarker(level, group) {
+        if (this.targetOffset === null) {return;}
+
+        const piece = level.layout.segments.find(layout =>
+            layout.segment.ranges.length === 0 && layout.segment.size > 0 && layout.segment.containsOffset(this.targetOffset));
+        if (!piece) {return;}
+
+        const x = piece.x + ((this.targetOffset - piece.segment.start) / piece.segment.size) * piece.width;
+        group.appendChild(this.createSvgElement('line', {
+            class: 'offset-marker',
+            x1: x,
+            y1: 0,
+            x2: x,
+            y2: this.config.LEVEL_HEIGHT,
+            'pointer-events': 'none'
+        }));
+    }
+
+    /**
+     * Set or clear (null) the target offset and redraw its markers
+     */
+    setTargetOffset(offset) {
+        this.targetOffset = offset;
+        this.levels.forEach(level => {
+            if (!level.svgGroup) {return;}
+            level.svgGroup.querySelectorAll('.offset-marker').forEach(marker => marker.remove());
+            this.createOffsetMarker(level, level.svgGroup);
+        });
+    }
+
+    /**
+     * Round a raw tick distance up to 1, 2 or 5 times a power of ten (at least one byte)
+     */
+    getRulerStep(rawStep) {
+        const power = Math.pow(10, Math.floor(Math.log10(Math.max(1, rawStep))));
+        const multiplier = [1, 2, 5, 10].find(candidate => candidate * power >= rawStep) || 10;
+        return Math.max(1, multiplier * power);
+    }
+
+    /**
+     * Zoom a level around the pointer; horizontal scrolling pans it
+     */
+    handleLevelWheel(event, level) {
+        const zoom = level.zoom || { scale: 1, offset: 0 };
+        const pointerX = this.toSvgX(event.clientX);
+        let { scale, offset } = zoom;
+
+        if (event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+            offset += event.shiftKey ? event.deltaY : event.deltaX;
+        } else {
+            // Let the page scroll when the level is already fully zoomed out
+            if (scale <= 1 && event.deltaY > 0) {return;}
+            const maxZoom = this.config.MAX_ZOOM || 1e7;
+            scale = Math.min(maxZoom, Math.max(1, scale * Math.exp(-event.deltaY * (this.config.ZOOM_SENSITIVITY || 0.0015))));
+            // Keep the byte under the pointer in place
+            offset = ((pointerX + offset) / zoom.scale) * scale - pointerX;
+        }
+
+        event.preventDefault();
+        this.setLevelZoom(level, scale, offset);
+    }
+
+    /**
+     * Start panning a zoomed level
+     */
+    handleLevelMouseDown(event, level) {
+        if (event.button !== 0 || !level.zoom || level.zoom.scale <= 1) {return;}
+
+        this.drag = { level, startX: event.clientX, startOffset: level.zoom.offset, moved: false };
+        window.addEventListener('mousemove', this.handlePanMove);
+        window.addEventListener('mouseup', this.handlePanEnd);
+        event.preventDefault();
+    }
+
+    /**
+     * Follow the pointer while panning
+     */
+    handlePanMove(event) {
+        if (!this.drag) {return;}
+
+        const deltaX = this.toSvgX(event.clientX) - this.toSvgX(this.drag.startX);
+        if (Math.abs(deltaX) > 3) {
+            this.drag.moved = true;
+        }
+        if (this.drag.moved) {
+            this.setLevelZoom(this.drag.level, this.drag.level.zoom.scale, this.drag.startOffset - deltaX);
+        }
+    }
+
+    /**
+     * Finish panning; a drag that moved does not count as a click on the segment under the pointer
+     */
+    handlePanEnd() {
+        window.removeEventListener('mousemove', this.handlePanMove);
+        window.removeEventListener('mouseup', this.handlePanEnd);
+
+        if (this.drag?.moved) {
+            this.suppressClick = true;
+            setTimeout(() => {
+                this.suppressClick = false;
+            }, 0);
+        }
+        this.drag = null;
+    }
+
+    /**
+     * Set a level's zoom factor and pan offset (in pixels of the zoomed layout) and redraw it
+     */
+    setLevelZoom(level, scale, offset) {
+        const maxOffset = this.width * scale - this.width;
+        level.zoom = { scale, offset: Math.min(maxOffset, Math.max(0, offset)) };
+
+        // Redraw at most once per frame
+        if (level.redrawPending) {return;}
+        level.redrawPending = true;
+        requestAnimationFrame(() => {
+            level.redrawPending = false;
+            const levelIndex = this.levels.indexOf(level);
+            if (levelIndex >= 0) {
+                this.redrawLevel(levelIndex);
+            }
+        });
+    }
+
+    /**
+     * Reset every level to its unzoomed layout
+     */
+    resetZoom() {
+        this.levels.forEach(level => {
+            level.zoom = { scale: 1, offset: 0 };
+        });
+        this.recalculateAllLayouts();
+    }
+
+    /**
+     * Switch between the readable log-min-width layout and a strictly linear byte scale
+     * @param {string} mode - 'log' or 'linear'
+     */
+    setScaleMode(mode) {
+        if (mode === this.scaleMode) {return;}
+        this.scaleMode = mode;
+        this.recalculateAllLayouts();
+    }
+
+    /**
+     * Recompute and redraw one level, and re-aim the funnel into the level below it
+     */
+    redrawLevel(levelIndex) {
+        const level = this.levels[levelIndex];
+        if (!level?.svgGroup) {return;}
+
+        level.layout = this.computeLevelLayout(level, levelIndex);
+        this.updateLevelGroupLayout(level, levelIndex);
+
+        const childLevel = this.levels[levelIndex + 1];
+        if (childLevel && childLevel.animationState === 'visible') {
+            this.removeFunnelConnection(childLevel);
+            this.createFunnelConnection(childLevel, levelIndex + 1);
+        }
+    }
+
+    /**
+     * Convert a client X coordinate to SVG user space
+     */
+    toSvgX(clientX) {
+        const rect = this.svg.getBoundingClientRect();
+        return rect.width > 0 ? ((clientX - rect.left) / rect.width) * this.width : clientX - rect.left;
     }
 
     /**
@@ -893,10 +1358,30 @@ class SvgByteVisualizer {
      * Get color for segment with adjacency-aware coloring
      */
     getSegmentColor(segment, segmentIndex, allSegmentsInLevel) {
-        const colorVar = VisualizationConfig.getSegmentColor(segment, segmentIndex, allSegmentsInLevel);
+        const colorVar = this.getSegmentColorVariable(segment, segmentIndex, allSegmentsInLevel);
         return this.getCSSVariable(colorVar) || this.getCSSVariable(VisualizationConfig.COLORS.DEFAULT);
     }
 
+    /**
+     * CSS variable holding a segment's color in the current color mode
+     */
+    getSegmentColorVariable(segment, segmentIndex, allSegmentsInLevel) {
+        return this.heatmap ? this.heatmap.getColor(segment) :
+            VisualizationConfig.getSegmentColor(segment, segmentIndex, allSegmentsInLevel);
+    }
+
+    /**
+     * Color segments by element type ('type') or by one of the measured properties in SegmentHeatmap.MODES
+     * @param {string} mode - Color mode
+     */
+    setColorMode(mode) {
+        if (mode === this.colorMode) {return;}
+
+        this.colorMode = mode;
+        this.heatmap = mode === 'type' || !this.analyzer ? null : new SegmentHeatmap(this.analyzer, mode);
+        this.recalculateAllLayouts();
+    }
+
     /**
      * Get CSS variable value
      */
@@ -912,6 +1397,12 @@ class SvgByteVisualizer {
     handleSegmentClick(segment, levelIndex) {
         const isCurrentlySelected = this.isSegmentSelected(segment.id, levelIndex);
 
+        // Lazily fetch page headers for remote files before drilling into a chunk
+        if (!isCurrentlySelected && this.analyzer.needsPages(segment)) {
+            this.loadPagesAndSelect(segment, levelIndex);
+            return;
+        }
+
         // Clear selections at this level and all levels below
         for (let i = levelIndex; i < this.levels.length; i++) {
             this.selectedSegments.delete(i);
@@ -932,7 +1423,7 @@ class SvgByteVisualizer {
         if (this.infoPanelManager) {
             if (this.selectionPath.length > 0) {
                 const lastSelected = this.selectionPath[this.selectionPath.length - 1];
-                this.infoPanelManager.showSegment(lastSelected);
+                this.infoPanelManager.showSegment(lastSelected, this.targetOffset);
             } else {
                 this.infoPanelManager.showOverview(this.data);
             }
@@ -943,9 +1434,7 @@ class SvgByteVisualizer {
         const willAddNewChild = !isCurrentlySelected && this.segmentHasChildren(segment);
 
         if (willAddNewChild) {
-            // Special handling for row groups metadata
-            // Use the segment's childLevelName property (now metadata-based)
-            const childLevelName = segment.childLevelName;
+            const childLevelName = this.getChildLevelName(segment);
             const childSegments = this.analyzer.getSegmentsForLevel(childLevelName, segment.id);
 
             if (childSegments && childSegments.length > 0) {
@@ -969,6 +1458,162 @@ class SvgByteVisualizer {
             // Just removing child levels, no replacement
             this.removeLevelsFrom(levelIndex + 1);
         }
+
+        this.notifySelectionChange(isCurrentlySelected ? null : segment);
+    }
+
+    /**
+     * Let other components follow the selection
+     * @param {ParquetSegment|null} segment - Newly selected segment, or null when deselecting
+     */
+    notifySelectionChange(segment) {
+        this.container.dispatchEvent(new CustomEvent('segmentSelected', {
+            detail: {
+                segment: segment,
+                path: this.selectionPath.map(selected => selected.id)
+            }
+        }));
+    }
+
+    /**
+     * Programmatically drill down to a chain of segments, one ID per level from the overview down
+     * Levels below the path are deselected; unknown IDs and failed page loads end the walk early
+     * @param {string[]} segmentIds - Segment IDs to select, outermost first
+     * @returns {Promise<number>} Number of levels selected
+     */
+    async selectPath(segmentIds) {
+        segmentIds = this.convertPathForLevelMode(segmentIds);
+        let depth = 0;
+
+        for (; depth < segmentIds.length; depth++) {
+            const segment = this.levels[depth]?.segments.find(s => s.id === segmentIds[depth]);
+            if (!segment) {break;}
+
+            if (!this.isSegmentSelected(segment.id, depth)) {
+                if (this.analyzer.needsPages(segment)) {
+                    try {
+                        await this.analyzer.loadPages(segment);
+                    } catch (error) {
+                        // Stop above the chunk rather than open a page level without pages
+                        this.showPageLoadError(segment, error);
+                        return depth;
+                    }
+                }
+                this.handleSegmentClick(segment, depth);
+            }
+        }
+
+        // Clicking the selected segment below the path toggles it (and everything under it) off
+        const deeperSelection = this.selectionPath[depth];
+        if (deeperSelection) {
+            this.handleSegmentClick(deeperSelection, depth);
+        }
+
+        return depth;
+    }
+
+    /**
+     * Drill down to the innermost segment containing a byte offset and mark the byte on every level
+     * The info panel shows where the byte falls inside the selected segment
+     * @param {number} offset - Byte offset in the file
+     * @returns {Promise<number>} Number of levels selected
+     */
+    async jumpToOffset(offset) {
+        if (!this.analyzer) {return 0;}
+
+        this.setTargetOffset(offset);
+        const getChildLevelName = segment => this.getChildLevelName(segment);
+        const path = this.analyzer.findPathAtOffset(offset, getChildLevelName);
+        let depth = await this.selectPath(path);
+
+        // Selecting a chunk of a remote file loads its page headers, which can take the walk one level deeper
+        const loadedPath = this.analyzer.findPathAtOffset(offset, getChildLevelName);
+        if (loadedPath.length > path.length) {
+            depth = await this.selectPath(loadedPath);
+        }
+        return depth;
+    }
+
+    /**
+     * Level a segment drills down into; in the column-major view the data pages open into columns
+     */
+    getChildLevelName(segment) {
+        if (segment.id === 'rowgroups' && this.levelMode === 'columns') {
+            return 'columns';
+        }
+        return segment.childLevelName;
+    }
+
+    /**
+     * Switch between grouping the data pages by row group and by column
+     * A selection inside the data pages is carried over through the chunk it contains, if any
+     * @param {string} mode - 'rowgroups' or 'columns'
+     */
+    async setLevelMode(mode) {
+        if (mode === this.levelMode) {return;}
+
+        this.levelMode = mode;
+        const dataSelection = this.selectionPath[0]?.id === 'rowgroups' ? this.selectionPath.map(segment => segment.id) : null;
+        if (!dataSelection || !this.analyzer) {return;}
+
+        // Collapse the data pages and drill back down through the levels of the new mode
+        this.handleSegmentClick(this.selectionPath[0], 0);
+        await this.selectPath(dataSelection);
+    }
+
+    /**
+     * Rewrite a drill-down path for the current level mode
+     * Paths into the data pages go through a row group or a column; the column chunk below either identifies the other
+     * @param {string[]} segmentIds - Segment IDs, outermost first
+     * @returns {string[]} Equivalent path, cut short where the current mode has no counterpart
+     */
+    convertPathForLevelMode(segmentIds) {
+        if (segmentIds[0] !== 'rowgroups' || segmentIds.length < 2 || !this.analyzer) {return segmentIds;}
+
+        const groupLevel = this.levelMode === 'columns' ? 'columns' : 'rowgroups';
+        const groups = this.analyzer.getSegmentsForLevel(groupLevel);
+        if (groups.some(group => group.id === segmentIds[1])) {return segmentIds;}
+
+        const chunk = segmentIds.length > 2 ? this.analyzer.findSegment(segmentIds[2]) : null;
+        if (chunk?.chunkIndex === undefined) {return segmentIds.slice(0, 1);}
+
+        const group = this.levelMode === 'columns' ?
+            groups.find(column => column.metadata.chunks.includes(chunk)) :
+            groups.find(rowGroup => rowGroup.rowGroupIndex === chunk.rowGroupIndex);
+        return group ? [segmentIds[0], group.id, ...segmentIds.slice(2)] : segmentIds.slice(0, 1);
+    }
+
+    /**
+     * Fetch a chunk's page headers, then continue with the normal click handling
+     */
+    async loadPagesAndSelect(segment, levelIndex) {
+        const element = this.svg.querySelector(`.segment[data-segment-id="${segment.id}"]`);
+        if (element) {element.classList.add('segment-loading');}
+
+        let loaded = true;
+        try {
+            await this.analyzer.loadPages(segment);
+        } catch (error) {
+            loaded = false;
+            this.showPageLoadError(segment, error);
+        }
+
+        if (element) {element.classList.remove('segment-loading');}
+
+        // Bail out if the load failed, or the level was removed or replaced while loading
+        if (loaded && this.levels[levelIndex]?.segments.includes(segment)) {
+            this.handleSegmentClick(segment, levelIndex);
+        }
+    }
+
+    /**
+     * Report a chunk whose page headers could not be fetched; selecting it again retries
+     */
+    showPageLoadError(segment, error) {
+        console.error(`Failed to load page headers for ${segment.id}:`, error);
+        if (this.infoPanelManager) {
+            this.infoPanelManager.showPageLoadError(segment, error);
+        }
     }
 
     /**
@@ -1119,6 +1764,76 @@ class SvgByteVisualizer {
                 rect.classList.add('segment-selected');
             }
         });
+
+        // Canvas levels outline their selected segment with an overlay
+        this.levels.forEach((level, levelIndex) => {
+            if (!level.canvasElements) {return;}
+            const segmentId = this.selectedSegments.get(levelIndex);
+            const selected = segmentId ? level.layout.segments.find(layout => layout.segment.id === segmentId) : null;
+            this.placeCanvasOutline(level.canvasElements.selection, selected);
+            if (selected) {
+                this.placeCanvasOutline(level.canvasElements.hover, null);
+            }
+        });
+    }
+
+    /**
+     * Highlight or dim segments, e.g. to show which byte ranges a reader would fetch
+     * Applies to the levels shown now and to levels opened later
+     * @param {Map<string, string>|null} highlights - Segment ID -> 'read' or 'skipped'; null clears all highlights
+     */
+    setSegmentHighlights(highlights) {
+        this.highlights = highlights || new Map();
+        this.applySegmentHighlights();
+    }
+
+    /**
+     * Outline every column chunk of a schema column, across all row groups, and the column in the column-major view
+     * Kept apart from setSegmentHighlights(), which takes precedence where both apply
+     * @param {string|null} columnPath - Leaf path, or a group path to take all leaves below it; null clears the highlight
+     */
+    highlightColumn(columnPath) {
+        this.columnHighlights = new Map();
+
+        if (columnPath && this.analyzer) {
+            const inColumn = path => path === columnPath || path.startsWith(`${columnPath}.`);
+            this.analyzer.getSegmentsForLevel('columns')
+                .filter(column => inColumn(column.columnPath))
+                .forEach(column => {
+                    this.columnHighlights.set(column.id, 'column');
+                    column.metadata.chunks.forEach(chunk => this.columnHighlights.set(chunk.id, 'column'));
+                });
+        }
+
+        this.applySegmentHighlights();
+    }
+
+    /**
+     * Highlight name of a segment, if any
+     * @returns {string|undefined} 'read', 'skipped' or 'column'
+     */
+    getSegmentHighlight(segmentId) {
+        return this.highlights.get(segmentId) || this.columnHighlights.get(segmentId);
+    }
+
+    /**
+     * Update the highlight classes of drawn segments and repaint canvas levels
+     */
+    applySegmentHighlights() {
+        this.svg.querySelectorAll('.segment').forEach(rect => {
+            const group = rect.parentNode;
+            const highlight = this.getSegmentHighlight(rect.getAttribute('data-segment-id'));
+            group.classList.remove('segment-highlight-read', 'segment-highlight-skipped', 'segment-highlight-column');
+            if (highlight) {
+                group.classList.add(`segment-highlight-${highlight}`);
+            }
+        });
+
+        this.levels.forEach(level => {
+            if (level.canvasElements) {
+                this.drawCanvasLevel(level);
+            }
+        });
     }
 
     /**
@@ -1134,8 +1849,7 @@ class SvgByteVisualizer {
      * Check if a segment has children that can be drilled down into
      */
     segmentHasChildren(segment) {
-        // Use the segment's childLevelName property (now metadata-based)
-        const childLevelName = segment.childLevelName;
+        const childLevelName = this.getChildLevelName(segment);
         if (!childLevelName) {return false;}
 
         const childSegments = this.analyzer.getSegmentsForLevel(childLevelName, segment.id);
@@ -1157,6 +1871,19 @@ class SvgByteVisualizer {
         content += `Range: ${formatBytes(segment.start)} - ${formatBytes(segment.end)}<br/>`;
         content += `Size: ${formatBytes(segment.size)}`;
 
+        if (segment.isGap) {
+            content += '<br/>Not referenced by any structure at this level';
+        }
+        if (segment.estimated) {
+            content += '<br/>Estimated position and size';
+        }
+        if (segment.ranges.length > 1) {
+            content += `<br/>Spread over ${segment.ranges.length} byte ranges`;
+        }
+        segment.overlaps.forEach(overlap => {
+            content += `<br/>Overlaps ${overlap.name} by ${formatBytes(overlap.bytes)}`;
+        });
+
         this.showTooltip(event, content);
     }
 
@@ -1241,6 +1968,9 @@ class SvgByteVisualizer {
     recalculateAllLayouts() {
         // Recalculate layout for each level with new SVG width
         this.levels.forEach((level, levelIndex) => {
+            if (level.zoom) {
+                level.zoom.offset = Math.min(level.zoom.offset, this.width * level.zoom.scale - this.width);
+            }
             level.layout = this.computeLevelLayout(level, levelIndex);
 
             // Update the SVG group elements
@@ -1258,13 +1988,7 @@ class SvgByteVisualizer {
      */
     updateLevelGroupLayout(level, levelIndex) {
         // Remove old funnel and its label if they exist
-        if (level.funnelElement && level.funnelElement.parentNode) {
-            // Remove funnel label if it exists
-            if (level.funnelElement.labelElement && level.funnelElement.labelElement.parentNode) {
-                level.funnelElement.labelElement.parentNode.removeChild(level.funnelElement.labelElement);
-            }
-            level.funnelElement.parentNode.removeChild(level.funnelElement);
-        }
+        this.removeFunnelConnection(level);
 
         // Remove old elements
         level.svgGroup.innerHTML = '';
@@ -1273,9 +1997,9 @@ class SvgByteVisualizer {
         level.svgGroup.setAttribute('transform', `translate(0, ${level.layout.y})`);
 
         // Recreate elements with new layout
-        level.layout.segments.forEach((segmentLayout, segmentIndex) => {
-            this.createSegmentElements(segmentLayout, level.svgGroup, levelIndex, segmentIndex, level.layout.segments);
-        });
+        this.createLevelSegments(level, level.svgGroup, levelIndex);
+        this.createRuler(level, level.svgGroup);
+        this.createOffsetMarker(level, level.svgGroup);
 
         // Recreate funnel connection (only for static layout, not during animation)
         if (level.parentSegmentId && levelIndex > 0 && level.animationState === 'visible') {
@@ -1286,6 +2010,18 @@ class SvgByteVisualizer {
         this.updateSelectionDisplay();
     }
 
+    /**
+     * Remove a level's funnel connection and its label
+     */
+    removeFunnelConnection(level) {
+        if (level.funnelElement && level.funnelElement.parentNode) {
+            if (level.funnelElement.labelElement && level.funnelElement.labelElement.parentNode) {
+                level.funnelElement.labelElement.parentNode.removeChild(level.funnelElement.labelElement);
+            }
+            level.funnelElement.parentNode.removeChild(level.funnelElement);
+        }
+    }
+
     /**
      * Handle keyboard events
      */
@@ -1300,6 +2036,7 @@ class SvgByteVisualizer {
                 if (this.infoPanelManager) {
                     this.infoPanelManager.showOverview(this.data);
                 }
+                this.notifySelectionChange(null);
                 event.preventDefault();
                 break;
             case 'Backspace':
@@ -1323,6 +2060,10 @@ class SvgByteVisualizer {
         // Remove event listeners
         window.removeEventListener('resize', this.handleResize);
         document.removeEventListener('keydown', this.handleKeyDown);
+        clearTimeout(this.resizeTimeout);
+        if (this.drag) {
+            this.handlePanEnd();
+        }
     }
 }
 
@@ -0,0 +1,181 @@
+/**
+ * SVG Exporter
+ * Serializes the byte map of an SvgByteVisualizer into a self-contained SVG or PNG
+ * CSS variables and stylesheet rules are inlined so the image renders the same outside the app;
+ * tooltips, hover state and animations are left out
+ */
+class SvgExporter {
+    // Presentation properties copied from the computed style of every exported element
+    static INLINED_PROPERTIES = [
+        'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray', 'opacity',
+        'font-family', 'font-size', 'font-weight', 'visibility'
+    ];
+
+    // Pixel ratios offered for PNG export
+    static PNG_SCALES = [1, 2, 3, 4];
+    static DEFAULT_PNG_SCALE = 2;
+
+    /**
+     * @param {SvgByteVisualizer} visualizer - Visualizer whose current view is exported
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+    }
+
+    /**
+     * Serialize the current view as a standalone SVG document
+     * @returns {string} SVG markup
+     */
+    toSvgString() {
+        const source = this.visualizer.svg;
+        const width = Math.round(this.visualizer.width);
+        const height = Math.round(this.visualizer.calculateContentHeight());
+        const clone = source.cloneNode(true);
+
+        this.inlineStyles(source, clone);
+
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+        clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        clone.removeAttribute('style');
+
+        // Viewers ignore CSS backgrounds on the root element, so paint one
+        const background = this.visualizer.createSvgElement('rect', {
+            width: '100%',
+            height: '100%',
+            fill: this.visualizer.getCSSVariable('--bg-secondary') || '#ffffff'
+        });
+        clone.insertBefore(background, clone.firstChild);
+
+        // XMLSerializer writes the SVG namespace declaration itself
+        return new XMLSerializer().serializeToString(clone);
+    }
+
+    /**
+     * Current view as an SVG file
+     * @returns {Blob} image/svg+xml blob
+     */
+    toSvgBlob() {
+        return new Blob([this.toSvgString()], { type: 'image/svg+xml;charset=utf-8' });
+    }
+
+    /**
+     * Rasterize the current view
+     * @param {number} [scale=SvgExporter.DEFAULT_PNG_SCALE] - Pixel ratio of the PNG relative to the on-screen size
+     * @returns {Promise<Blob>} image/png blob
+     */
+    async toPngBlob(scale = SvgExporter.DEFAULT_PNG_SCALE) {
+        const markup = this.toSvgString();
+        const width = Math.round(this.visualizer.width);
+        const height = Math.round(this.visualizer.calculateContentHeight());
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('Unable to render SVG for PNG export'));
+                img.src = url;
+            });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+
+            return await new Promise((resolve, reject) => {
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+            });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Save a blob as a file through a temporary download link
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested file name
+     */
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Copy computed styles from each source element onto its clone and drop interactive state
+     * Both trees have the same shape because one is a deep clone of the other
+     */
+    inlineStyles(source, clone) {
+        const sourceElements = [source, ...source.querySelectorAll('*')];
+        const cloneElements = [clone, ...clone.querySelectorAll('*')];
+
+        sourceElements.forEach((element, index) => {
+            const target = cloneElements[index];
+            const computed = getComputedStyle(element);
+            const isSegment = element.classList.contains('segment');
+
+            this.constructor.INLINED_PROPERTIES.forEach(property => {
+                // A segment's hover fill-opacity comes from :hover and is not part of the export
+                if (isSegment && property === 'fill-opacity') {return;}
+                const value = computed.getPropertyValue(property);
+                if (value) {
+                    target.setAttribute(property, value);
+                }
+            });
+
+            if (isSegment) {
+                target.classList.remove('segment-hover', 'segment-loading');
+                if (element.classList.contains('segment-selected')) {
+                    this.outlineToStroke(target, computed);
+                }
+            }
+
+            // Transitions, cursors and pointer handling mean nothing in a static image
+            target.removeAttribute('style');
+            target.removeAttribute('pointer-events');
+            this.resolveVariables(target);
+        });
+    }
+
+    /**
+     * Replace var(--name) references in attributes with their resolved values
+     */
+    resolveVariables(element) {
+        [...element.attributes].forEach(attribute => {
+            if (!attribute.value.includes('var(')) {return;}
+            const resolved = attribute.value.replace(/var\((--[\w-]+)(?:\s*,\s*([^)]*))?\)/g, (match, name, fallback) =>
+                this.visualizer.getCSSVariable(name) || (fallback || '').trim());
+            element.setAttribute(attribute.name, resolved);
+        });
+    }
+
+    /**
+     * Draw the selection outline (an inset CSS outline) as an SVG stroke
+     */
+    outlineToStroke(rect, computed) {
+        const width = parseFloat(computed.outlineWidth) || 0;
+        if (computed.outlineStyle === 'none' || width === 0) {return;}
+
+        // Inset the rectangle by half the stroke so the stroke stays inside it like the outline
+        const inset = width / 2;
+        rect.setAttribute('x', parseFloat(rect.getAttribute('x')) + inset);
+        rect.setAttribute('y', parseFloat(rect.getAttribute('y')) + inset);
+        rect.setAttribute('width', Math.max(0, parseFloat(rect.getAttribute('width')) - width));
+        rect.setAttribute('height', Math.max(0, parseFloat(rect.getAttribute('height')) - width));
+        rect.setAttribute('stroke', computed.outlineColor);
+        rect.setAttribute('stroke-width', width);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SvgExporter;
+}
@@ -23,6 +23,15 @@ class VisualizationConfig {
         MAX_MIN_SEGMENT_WIDTH: 25,  // Maximum minimum width allocation in pixels
         LOG_SCALE_FACTOR: 2,        // Logarithmic scaling factor for width calculations
         STARTING_BASELINE: 5,       // Starting baseline for minimum width calculations
+        LINEAR_SCALE: false,        // Size segments strictly by byte count (no minimum widths)
+
+        // Byte-offset ruler under each level
+        RULER_HEIGHT: 16,           // Height of the ruler band in pixels
+        RULER_TICK_SPACING: 100,    // Target distance between ruler ticks in pixels
+
+        // Zoom and pan
+        MAX_ZOOM: 1e7,              // Largest zoom factor of a level
+        ZOOM_SENSITIVITY: 0.0015,   // Zoom change per wheel delta unit
 
         // Canvas dimensions
         DEFAULT_HEIGHT: 400,        // Default Canvas height in pixels
@@ -164,6 +173,7 @@ class VisualizationConfig {
         USE_DEVICE_PIXEL_RATIO: true,   // Enable high-DPI rendering
         DEBOUNCE_RESIZE: 100,           // Resize debounce time in milliseconds
         MAX_SEGMENTS_FOR_LABELS: 50,    // Max segments before disabling labels
+        CANVAS_SEGMENT_THRESHOLD: 1000, // Levels with more segments are drawn on a canvas instead of as SVG rects
 
         // Memory management
         CACHE_LAYOUTS: true,            // Cache calculated layouts
@@ -203,7 +213,10 @@ class VisualizationConfig {
         },
 
         // Section organization
-        SHOW_EMPTY_SECTIONS: false  // Whether to show sections with no data
+        SHOW_EMPTY_SECTIONS: false, // Whether to show sections with no data
+
+        // Comparison tables
+        MAX_DIFF_ROWS: 200          // Maximum rows per comparison table before truncating
     };
 
     /**
@@ -247,6 +260,11 @@ class VisualizationConfig {
      * @private
      */
     static _getSemanticElementType(segment) {
+        // Bytes no segment at this level covers
+        if (segment.isGap) {
+            return 'unaccounted';
+        }
+
         // File structure elements
         if (segment.id === 'header_magic' || segment.id === 'footer_magic') {
             return 'magic';
@@ -284,6 +302,11 @@ class VisualizationConfig {
             return 'column_index';
         }
 
+        // Bloom filters sit among the index elements but get their own color
+        if (segment.metadata && segment.metadata.index_type === 'bloom_filter') {
+            return 'bloom_filter';
+        }
+
         // Individual index elements
         if (segment.metadata && segment.metadata.index_type) {
             return 'column_index';
@@ -295,6 +318,11 @@ class VisualizationConfig {
             return 'row_group';
         }
 
+        // Columns of the column-major view share the column chunk colors
+        if (segment.ranges && segment.ranges.length > 0) {
+            return 'column_chunk';
+        }
+
         // Column chunk elements
         if (segment.columnPath && segment.chunkIndex !== undefined) {
             return 'column_chunk';
@@ -360,10 +388,14 @@ class VisualizationConfig {
             // Metadata
             row_group_metadata: ['--row-groups', '--row-groups', '--row-groups'], // Same blue as container
             column_index: ['--column-index-light', '--column-index-medium', '--column-index-dark'],
+            bloom_filter: ['--bloom-filter-light', '--bloom-filter-medium', '--bloom-filter-dark'],
             metadata_element: ['--metadata-element-light', '--metadata-element-medium', '--metadata-element-dark'],
             key_value_metadata_container: ['--red-medium', '--red-medium', '--red-medium'],
             key_value_metadata_entry: ['--green-light', '--green-medium', '--green-dark'],
 
+            // Bytes not referenced by any structure
+            unaccounted: ['--unaccounted-color', '--unaccounted-color', '--unaccounted-color'],
+
             // Default
             generic: ['--generic-segment-color', '--generic-segment-color', '--generic-segment-color']
         };
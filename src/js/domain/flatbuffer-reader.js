@@ -0,0 +1,159 @@
+/**
+ * FlatBuffer Reader
+ * Generic accessor for FlatBuffers tables, as used by the Arrow IPC schema Parquet writers store in ARROW:schema
+ * Tables are addressed by their byte position; fields by their index in the schema declaration
+ */
+class FlatbufferReader {
+    /**
+     * @param {Uint8Array} buffer - Bytes of one FlatBuffer
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    }
+
+    /**
+     * Position of the root table
+     * @returns {number} Table position
+     */
+    getRootTable() {
+        return this.view.getUint32(0, true);
+    }
+
+    /**
+     * Position of a field's value inside a table
+     * @param {number} table - Table position
+     * @param {number} index - Field index
+     * @returns {number|null} Value position, or null when the field is absent (the reader then uses the default)
+     */
+    getFieldPosition(table, index) {
+        const vtable = table - this.view.getInt32(table, true);
+        this._checkBounds(vtable, 4, 'vtable');
+
+        const vtableSize = this.view.getUint16(vtable, true);
+        this._checkBounds(vtable, vtableSize, 'vtable');
+
+        const entry = 4 + index * 2;
+        if (entry >= vtableSize) {return null;}
+
+        const offset = this.view.getUint16(vtable + entry, true);
+        return offset === 0 ? null : table + offset;
+    }
+
+    /**
+     * Read an unsigned byte field
+     */
+    readUint8(table, index, defaultValue = 0) {
+        const position = this.getFieldPosition(table, index);
+        return position === null ? defaultValue : this.view.getUint8(position);
+    }
+
+    /**
+     * Read a boolean field
+     */
+    readBool(table, index, defaultValue = false) {
+        return this.readUint8(table, index, defaultValue ? 1 : 0) !== 0;
+    }
+
+    /**
+     * Read a 16-bit integer field, e.g. a short enum
+     */
+    readInt16(table, index, defaultValue = 0) {
+        const position = this.getFieldPosition(table, index);
+        return position === null ? defaultValue : this.view.getInt16(position, true);
+    }
+
+    /**
+     * Read a 32-bit integer field
+     */
+    readInt32(table, index, defaultValue = 0) {
+        const position = this.getFieldPosition(table, index);
+        return position === null ? defaultValue : this.view.getInt32(position, true);
+    }
+
+    /**
+     * Read a 64-bit integer as a number (precision is lost beyond 2^53)
+     */
+    readInt64(table, index, defaultValue = 0) {
+        const position = this.getFieldPosition(table, index);
+        return position === null ? defaultValue : Number(this.view.getBigInt64(position, true));
+    }
+
+    /**
+     * Read a UTF-8 string field
+     * @returns {string|null} String, or null when absent
+     */
+    readString(table, index) {
+        const position = this.getFieldPosition(table, index);
+        if (position === null) {return null;}
+
+        const start = this._dereference(position);
+        const length = this.view.getUint32(start, true);
+        this._checkBounds(start + 4, length, 'string');
+        return new TextDecoder().decode(this.buffer.subarray(start + 4, start + 4 + length));
+    }
+
+    /**
+     * Read a table or union value field
+     * @returns {number|null} Table position, or null when absent
+     */
+    readTable(table, index) {
+        const position = this.getFieldPosition(table, index);
+        return position === null ? null : this._dereference(position);
+    }
+
+    /**
+     * Read a vector of tables
+     * @returns {number[]} Table positions (empty when absent)
+     */
+    readTableVector(table, index) {
+        return this._readVector(table, index, 4).map(position => this._dereference(position));
+    }
+
+    /**
+     * Read a vector of 32-bit integers
+     * @returns {number[]} Values (empty when absent)
+     */
+    readInt32Vector(table, index) {
+        return this._readVector(table, index, 4).map(position => this.view.getInt32(position, true));
+    }
+
+    // Private helper methods
+
+    /**
+     * Follow an unsigned offset stored at a position
+     * @private
+     */
+    _dereference(position) {
+        return position + this.view.getUint32(position, true);
+    }
+
+    /**
+     * Throw when a length read from the buffer points past its end, before anything is allocated for it
+     * @private
+     */
+    _checkBounds(start, byteLength, what) {
+        if (start < 0 || start + byteLength > this.buffer.length) {
+            throw new Error(`FlatBuffer ${what} at ${start} (${byteLength} bytes) extends past the end of the ${this.buffer.length}-byte buffer`);
+        }
+    }
+
+    /**
+     * Positions of the elements of a vector field
+     * @private
+     */
+    _readVector(table, index, elementSize) {
+        const position = this.getFieldPosition(table, index);
+        if (position === null) {return [];}
+
+        const start = this._dereference(position);
+        const length = this.view.getUint32(start, true);
+        this._checkBounds(start + 4, length * elementSize, 'vector');
+        return Array.from({ length }, (_, element) => start + 4 + element * elementSize);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlatbufferReader;
+}
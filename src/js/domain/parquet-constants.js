@@ -123,6 +123,51 @@ class ParquetConstants {
         2: 'REPEATED'
     };
 
+    /**
+     * WKB geometry types used in geospatial statistics (ISO codes modulo 1000)
+     * The thousands give the dimensions; see GEOSPATIAL_DIMENSIONS
+     */
+    static GEOSPATIAL_TYPES = {
+        0: 'Geometry',
+        1: 'Point',
+        2: 'LineString',
+        3: 'Polygon',
+        4: 'MultiPoint',
+        5: 'MultiLineString',
+        6: 'MultiPolygon',
+        7: 'GeometryCollection',
+        8: 'CircularString',
+        9: 'CompoundCurve',
+        10: 'CurvePolygon',
+        11: 'MultiCurve',
+        12: 'MultiSurface',
+        13: 'Curve',
+        14: 'Surface',
+        15: 'PolyhedralSurface',
+        16: 'TIN'
+    };
+
+    /**
+     * Coordinate dimensions of WKB geometry types by the thousands of the type code
+     */
+    static GEOSPATIAL_DIMENSIONS = {
+        0: 'XY',
+        1: 'XYZ',
+        2: 'XYM',
+        3: 'XYZM'
+    };
+
+    /**
+     * Edge interpolation algorithms of GEOGRAPHY columns
+     */
+    static EDGE_INTERPOLATION_ALGORITHMS = {
+        0: 'SPHERICAL',
+        1: 'VINCENTY',
+        2: 'THOMAS',
+        3: 'ANDOYER',
+        4: 'KARNEY'
+    };
+
     /**
      * File structure constants
      * Physical layout parameters of Parquet files
@@ -133,6 +178,83 @@ class ParquetConstants {
         MAGIC_BYTES: 'PAR1'     // File format identifier
     };
 
+    /**
+     * Footer Thrift structs whose fields por-que does not record offsets for
+     * Fields are {id, name, type} in field ID order; `key` names the dump property when it differs,
+     * `element` describes list items, and nested structs list their `fields` or name another entry in `struct`
+     * (see ThriftSizeEstimator)
+     */
+    static THRIFT_STRUCTS = {
+        COLUMN_CHUNK: [
+            { id: 1, name: 'file_path', type: 'string' },
+            { id: 2, name: 'file_offset', type: 'i64' },
+            { id: 3, name: 'meta_data', key: 'metadata', type: 'struct', struct: 'COLUMN_METADATA' },
+            { id: 4, name: 'offset_index_offset', type: 'i64' },
+            { id: 5, name: 'offset_index_length', type: 'i32' },
+            { id: 6, name: 'column_index_offset', type: 'i64' },
+            { id: 7, name: 'column_index_length', type: 'i32' }
+        ],
+        COLUMN_METADATA: [
+            { id: 1, name: 'type', type: 'i32' },
+            { id: 2, name: 'encodings', type: 'list', element: { type: 'i32' } },
+            { id: 3, name: 'path_in_schema', type: 'list', element: { type: 'string' } },
+            { id: 4, name: 'codec', type: 'i32' },
+            { id: 5, name: 'num_values', type: 'i64' },
+            { id: 6, name: 'total_uncompressed_size', type: 'i64' },
+            { id: 7, name: 'total_compressed_size', type: 'i64' },
+            { id: 9, name: 'data_page_offset', type: 'i64' },
+            { id: 10, name: 'index_page_offset', type: 'i64' },
+            { id: 11, name: 'dictionary_page_offset', type: 'i64' },
+            { id: 12, name: 'statistics', type: 'struct', struct: 'STATISTICS' },
+            {
+                id: 13, name: 'encoding_stats', type: 'list', element: {
+                    type: 'struct',
+                    fields: [
+                        { id: 1, name: 'page_type', type: 'i32' },
+                        { id: 2, name: 'encoding', type: 'i32' },
+                        { id: 3, name: 'count', type: 'i32' }
+                    ]
+                }
+            },
+            { id: 14, name: 'bloom_filter_offset', type: 'i64' },
+            { id: 15, name: 'bloom_filter_length', type: 'i32' },
+            {
+                id: 16, name: 'size_statistics', type: 'struct', fields: [
+                    { id: 1, name: 'unencoded_byte_array_data_bytes', type: 'i64' },
+                    { id: 2, name: 'repetition_level_histogram', type: 'list', element: { type: 'i64' } },
+                    { id: 3, name: 'definition_level_histogram', type: 'list', element: { type: 'i64' } }
+                ]
+            },
+            {
+                id: 17, name: 'geospatial_statistics', type: 'struct', fields: [
+                    {
+                        id: 1, name: 'bbox', type: 'struct', fields: [
+                            { id: 1, name: 'xmin', type: 'double' },
+                            { id: 2, name: 'xmax', type: 'double' },
+                            { id: 3, name: 'ymin', type: 'double' },
+                            { id: 4, name: 'ymax', type: 'double' },
+                            { id: 5, name: 'zmin', type: 'double' },
+                            { id: 6, name: 'zmax', type: 'double' },
+                            { id: 7, name: 'mmin', type: 'double' },
+                            { id: 8, name: 'mmax', type: 'double' }
+                        ]
+                    },
+                    { id: 2, name: 'geospatial_types', type: 'list', element: { type: 'i32' } }
+                ]
+            }
+        ],
+        STATISTICS: [
+            { id: 1, name: 'max', type: 'binary' },
+            { id: 2, name: 'min', type: 'binary' },
+            { id: 3, name: 'null_count', type: 'i64' },
+            { id: 4, name: 'distinct_count', type: 'i64' },
+            { id: 5, name: 'max_value', type: 'binary' },
+            { id: 6, name: 'min_value', type: 'binary' },
+            { id: 7, name: 'is_max_value_exact', type: 'bool' },
+            { id: 8, name: 'is_min_value_exact', type: 'bool' }
+        ]
+    };
+
 
     /**
      * Element types for schema tree
@@ -19,6 +19,10 @@ class ParquetSegment {
      * @param {string} [config.columnPath] - Column path (for column segments)
      * @param {object} [config.physicalMetadata] - Physical metadata
      * @param {object} [config.logicalMetadata] - Logical metadata
+     * @param {boolean} [config.isGap] - Whether the segment covers bytes no structure references
+     * @param {object[]} [config.overlaps] - Segments sharing bytes with this one: {id, name, bytes}
+     * @param {boolean} [config.estimated] - Whether the position and size are estimated rather than recorded
+     * @param {object[]} [config.ranges] - Disjoint byte ranges {start, end} for segments that are not contiguous
      */
     constructor(config) {
         // Validate required properties
@@ -36,6 +40,10 @@ class ParquetSegment {
         this.chunkIndex = config.chunkIndex;
         this.pageIndex = config.pageIndex;
         this.columnPath = config.columnPath;
+        this.isGap = Boolean(config.isGap);
+        this.overlaps = config.overlaps || [];
+        this.estimated = Boolean(config.estimated);
+        this.ranges = config.ranges || [];
         this.description = config.description || this._generateDescription();
         this.physicalMetadata = config.physicalMetadata || null;
         this.logicalMetadata = config.logicalMetadata || null;
@@ -45,10 +53,13 @@ class ParquetSegment {
     }
 
     /**
-     * Get the size of this segment in bytes
+     * Get the size of this segment in bytes (the sum of its ranges for non-contiguous segments)
      * @returns {number} Size in bytes
      */
     get size() {
+        if (this.ranges.length > 0) {
+            return this.ranges.reduce((sum, range) => sum + Math.max(0, range.end - range.start), 0);
+        }
         return Math.max(0, this.end - this.start);
     }
 
@@ -76,6 +87,16 @@ class ParquetSegment {
         return formatBytes(this.end);
     }
 
+    /**
+     * Check whether a byte falls inside this segment (inside one of its ranges for non-contiguous segments)
+     * @param {number} offset - Byte offset in the file
+     * @returns {boolean} True if the segment covers the byte
+     */
+    containsOffset(offset) {
+        const ranges = this.ranges.length > 0 ? this.ranges : [this];
+        return ranges.some(range => offset >= range.start && offset < range.end);
+    }
+
     /**
      * Check if this segment can have child segments based on metadata
      * @returns {boolean} True if segment can be expanded
@@ -83,6 +104,17 @@ class ParquetSegment {
     get canHaveChildren() {
         // Check if metadata object has a property indicating it can have children
         if (this.metadata && typeof this.metadata === 'object') {
+            // Columns of the column-major view
+            if (this.ranges.length > 0) {
+                return true;
+            }
+            // Thrift struct fields (ColumnChunk, ColumnMetaData, Statistics, ...)
+            if (this.metadata.field_id !== undefined) {
+                return Boolean(this.metadata.thrift_struct);
+            }
+            if (/^column_meta_\d+_\d+$/.test(this.id)) {
+                return true;
+            }
             // Schema elements with children
             if (this.metadata.children && Object.keys(this.metadata.children).length > 0) {
                 return true;
@@ -122,6 +154,15 @@ class ParquetSegment {
         if (this.id === 'row_groups_metadata') {return 'rowgroupelements';}
         if (this.id === 'column_indices') {return 'indexelements';}
         if (this.id === 'key_value_metadata') {return 'keyvaluemetadata';}
+        if (/^column_\d+$/.test(this.id)) {return 'columnstrip';}
+
+        // Column chunk metadata and nested Thrift structs -> struct fields
+        if (this.metadata?.field_id !== undefined) {
+            return this.metadata.thrift_struct ? 'structfields' : null;
+        }
+        if (/^column_meta_\d+_\d+$/.test(this.id)) {
+            return 'structfields';
+        }
 
         // Physical row group -> physical column chunks
         if (this.rowGroupIndex !== undefined && this.chunkIndex === undefined && !this.id.includes('meta')) {
@@ -248,6 +289,10 @@ class ParquetSegment {
             columnPath: this.columnPath,
             physicalMetadata: this.physicalMetadata,
             logicalMetadata: this.logicalMetadata,
+            isGap: this.isGap,
+            overlaps: this.overlaps,
+            estimated: this.estimated,
+            ranges: this.ranges,
             ...updates
         };
 
@@ -272,7 +317,11 @@ class ParquetSegment {
             columnPath: this.columnPath,
             metadata: this.metadata,
             physicalMetadata: this.physicalMetadata,
-            logicalMetadata: this.logicalMetadata
+            logicalMetadata: this.logicalMetadata,
+            isGap: this.isGap,
+            overlaps: this.overlaps,
+            estimated: this.estimated,
+            ranges: this.ranges
         };
     }
 
@@ -326,6 +375,10 @@ class ParquetSegment {
      * @private
      */
     _generateDescription() {
+        if (this.isGap) {
+            return 'Unaccounted bytes';
+        }
+
         // Use ID-based descriptions for core file structure
         if (this.id === 'header_magic' || this.id === 'footer_magic') {
             return '<code>PAR1</code> magic number';
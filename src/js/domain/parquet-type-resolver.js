@@ -4,6 +4,18 @@
  * Eliminates code duplication and provides consistent type resolution across components
  */
 class ParquetTypeResolver {
+    // How statistics are rendered per logical type and per legacy converted type
+    static LOGICAL_STATISTIC_KINDS = {
+        1: 'string', 4: 'string', 5: 'decimal', 6: 'date', 7: 'time', 8: 'timestamp', 12: 'string', 14: 'uuid', 15: 'float16'
+    };
+    static CONVERTED_STATISTIC_KINDS = {
+        0: 'string', 4: 'string', 5: 'decimal', 6: 'date', 7: 'time', 8: 'time', 9: 'timestamp', 10: 'timestamp',
+        11: 'unsigned', 12: 'unsigned', 13: 'unsigned', 14: 'unsigned', 19: 'string'
+    };
+    static CONVERTED_TIME_UNITS = { 7: 1, 8: 2, 9: 1, 10: 2 }; // TIME_MILLIS, TIME_MICROS, TIMESTAMP_*
+    static TIME_UNIT_DIGITS = { 1: 3, 2: 6, 3: 9 }; // Fractional second digits of MILLIS, MICROS, NANOS
+    static JULIAN_DAY_OF_EPOCH = 2440588; // INT96 timestamps count days from the Julian epoch
+
     /**
      * Resolve physical type code to name
      * @param {number} typeCode - Physical type code from Parquet specification
@@ -127,6 +139,34 @@ class ParquetTypeResolver {
         return ParquetConstants.REPETITION_TYPES[repetitionType] || `REP_${repetitionType}`;
     }
 
+    /**
+     * Resolve a WKB geometry type code from geospatial statistics to a name
+     * @param {number} typeCode - ISO WKB type code, e.g. 1 or 1003
+     * @returns {string} Name with its dimension suffix, e.g. "Point" or "Polygon Z"
+     */
+    static getGeospatialTypeName(typeCode) {
+        if (typeCode === null || typeCode === undefined) {
+            return 'Unknown';
+        }
+
+        const name = ParquetConstants.GEOSPATIAL_TYPES[typeCode % 1000];
+        const dimensions = ParquetConstants.GEOSPATIAL_DIMENSIONS[Math.floor(typeCode / 1000)];
+        if (!name || !dimensions) {
+            return `WKB_${typeCode}`;
+        }
+
+        return dimensions === 'XY' ? name : `${name} ${dimensions.slice(2)}`;
+    }
+
+    /**
+     * Resolve edge interpolation algorithm code to name (GEOGRAPHY columns)
+     * @param {number} algorithm - Algorithm code
+     * @returns {string} Human-readable algorithm name
+     */
+    static getEdgeInterpolationName(algorithm) {
+        return ParquetConstants.EDGE_INTERPOLATION_ALGORITHMS[algorithm] || `ALGORITHM_${algorithm}`;
+    }
+
     /**
      * Get comprehensive type information for a column
      * Combines physical type, logical type, and converted type information
@@ -186,6 +226,110 @@ class ParquetTypeResolver {
         return physicalType !== 3; // INT96 is often not supported for statistics
     }
 
+    /**
+     * Decode a base64url statistics value (as written by por-que) to raw bytes
+     * @param {string} encoded - base64url encoded value
+     * @returns {Uint8Array} Raw value bytes
+     */
+    static decodeStatisticBytes(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    /**
+     * Decode a statistics value into a form that orders like the column's values
+     * @param {string} encoded - base64url encoded value
+     * @param {number} physicalType - Physical type code
+     * @returns {number|bigint|Uint8Array} Number for BOOLEAN/INT32/FLOAT/DOUBLE, BigInt for INT64, raw bytes otherwise
+     */
+    static decodeComparableStatistic(encoded, physicalType) {
+        return this._decodeComparableBytes(this.decodeStatisticBytes(encoded), physicalType);
+    }
+
+    /**
+     * Describe how a column's statistics values are rendered
+     * @param {number} physicalType - Physical type code
+     * @param {object} [schemaElement] - Leaf schema element with logical/converted type
+     * @returns {object} {kind, unit, utc, scale}; kind is string, decimal, date, time, timestamp, int96,
+     *     uuid, float16, unsigned, binary (hex) or plain (the physical value)
+     */
+    static getStatisticType(physicalType, schemaElement = null) {
+        const logicalType = schemaElement?.logical_type;
+
+        if (physicalType === 3) {return { kind: 'int96' };}
+        if (logicalType?.logical_type === 10 && logicalType.is_signed === false) {return { kind: 'unsigned' };}
+
+        const logicalKind = this.LOGICAL_STATISTIC_KINDS[logicalType?.logical_type];
+        if (logicalKind) {
+            return {
+                kind: logicalKind,
+                unit: logicalType.unit || 1,
+                utc: logicalType.is_adjusted_to_utc !== false,
+                scale: logicalType.scale || 0
+            };
+        }
+
+        return this._getConvertedStatisticType(physicalType, schemaElement);
+    }
+
+    /**
+     * Render a statistics value as its column's logical or converted type reads it
+     * Values that do not decode as that type fall back to the physical value, or hex bytes
+     * @param {string} encoded - base64url encoded value
+     * @param {number} physicalType - Physical type code
+     * @param {object} [schemaElement] - Leaf schema element with logical/converted type
+     * @returns {string} Readable value, e.g. 2024-05-01T12:00:00.250Z, 12.50, 0x00ff
+     */
+    static formatStatistic(encoded, physicalType, schemaElement = null) {
+        let bytes;
+        try {
+            bytes = this.decodeStatisticBytes(encoded);
+        } catch {
+            return String(encoded);
+        }
+
+        try {
+            return this._formatStatisticBytes(bytes, physicalType, this.getStatisticType(physicalType, schemaElement));
+        } catch {
+            // Out-of-range dates, truncated values and invalid UTF-8
+            return this._formatPhysicalValue(bytes, physicalType);
+        }
+    }
+
+    /**
+     * Compare two values from decodeComparableStatistic; byte arrays compare as unsigned bytes
+     * @returns {number} Negative, zero or positive like a sort comparator
+     */
+    static compareStatisticValues(a, b) {
+        if (a instanceof Uint8Array && b instanceof Uint8Array) {
+            const length = Math.min(a.length, b.length);
+            for (let i = 0; i < length; i++) {
+                if (a[i] !== b[i]) {return a[i] - b[i];}
+            }
+            return a.length - b.length;
+        }
+        if (a < b) {return -1;}
+        return a > b ? 1 : 0;
+    }
+
+    /**
+     * Check whether a column's statistics can be ordered with compareStatisticValues
+     * Unsigned integers, decimals, FLOAT16 and INT96 use orderings not handled here
+     * @param {number} physicalType - Physical type code
+     * @param {object} [schemaElement] - Leaf schema element with logical/converted type
+     * @returns {boolean} True if decoded statistics order like the column's values
+     */
+    static hasComparableStatistics(physicalType, schemaElement = null) {
+        if (![0, 1, 2, 4, 5, 6, 7].includes(physicalType)) {return false;}
+
+        const logicalType = schemaElement?.logical_type;
+        const logical = logicalType?.logical_type;
+        if (logical === 5 || logical === 15 || (logical === 10 && logicalType.is_signed === false)) {return false;}
+
+        const converted = schemaElement?.converted_type;
+        return converted !== 5 && !(converted >= 11 && converted <= 14);
+    }
+
     /**
      * Get default statistics display precision for numeric types
      * @param {number} physicalType - Physical type code
@@ -205,6 +349,201 @@ class ParquetTypeResolver {
 
         return precisionMap[physicalType] || 2;
     }
+
+    // Private helper methods
+
+    /**
+     * Decode raw statistics bytes like decodeComparableStatistic
+     * @private
+     */
+    static _decodeComparableBytes(bytes, physicalType) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        switch (physicalType) {
+            case 0: return bytes.length >= 1 ? bytes[0] : bytes;
+            case 1: return bytes.length >= 4 ? view.getInt32(0, true) : bytes;
+            case 2: return bytes.length >= 8 ? view.getBigInt64(0, true) : bytes;
+            case 4: return bytes.length >= 4 ? view.getFloat32(0, true) : bytes;
+            case 5: return bytes.length >= 8 ? view.getFloat64(0, true) : bytes;
+            default: return bytes;
+        }
+    }
+
+    /**
+     * getStatisticType() for columns with a legacy converted type or none
+     * @private
+     */
+    static _getConvertedStatisticType(physicalType, schemaElement) {
+        const convertedType = schemaElement?.converted_type;
+        const convertedKind = this.CONVERTED_STATISTIC_KINDS[convertedType];
+        if (convertedKind) {
+            // Legacy time types are always adjusted to UTC
+            return { kind: convertedKind, unit: this.CONVERTED_TIME_UNITS[convertedType] || 1, utc: true, scale: schemaElement.scale || 0 };
+        }
+
+        return { kind: physicalType === 6 || physicalType === 7 ? 'binary' : 'plain' };
+    }
+
+    /**
+     * Render raw statistics bytes for a getStatisticType() description; throws when they do not decode
+     * @private
+     */
+    static _formatStatisticBytes(bytes, physicalType, statisticType) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        switch (statisticType.kind) {
+            case 'string':
+                return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            case 'decimal':
+                return this._formatDecimal(this._readInteger(bytes, physicalType), statisticType.scale);
+            case 'date':
+                return new Date(Number(this._readPhysicalInteger(bytes, physicalType)) * 86400000).toISOString().slice(0, 10);
+            case 'time':
+                return this._formatTime(this._readPhysicalInteger(bytes, physicalType), statisticType.unit);
+            case 'timestamp':
+                return this._formatTimestamp(this._readPhysicalInteger(bytes, physicalType), statisticType.unit, statisticType.utc);
+            case 'int96':
+                return this._formatTimestamp(this._readInt96(view), 3, false);
+            case 'uuid':
+                return this._formatUuid(bytes);
+            case 'float16':
+                return String(this._readFloat16(view.getUint16(0, true)));
+            case 'unsigned':
+                return String(physicalType === 2 ? view.getBigUint64(0, true) : view.getUint32(0, true));
+            default:
+                return this._formatPhysicalValue(bytes, physicalType);
+        }
+    }
+
+    /**
+     * Render the physical value: numbers for numeric types, hex for everything else
+     * @private
+     */
+    static _formatPhysicalValue(bytes, physicalType) {
+        const value = this._decodeComparableBytes(bytes, physicalType);
+        if (value instanceof Uint8Array) {
+            return `0x${this._toHex(bytes)}`;
+        }
+        return physicalType === 0 ? String(value !== 0) : String(value);
+    }
+
+    /**
+     * Read an integer-backed value: little-endian INT32/INT64, or big-endian two's complement bytes
+     * @private
+     */
+    static _readInteger(bytes, physicalType) {
+        if (physicalType === 1 || physicalType === 2) {return this._readPhysicalInteger(bytes, physicalType);}
+        if (bytes.length === 0) {throw new RangeError('Empty integer value');}
+
+        const unsigned = bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+        return bytes[0] & 0x80 ? unsigned - (1n << BigInt(bytes.length * 8)) : unsigned;
+    }
+
+    /**
+     * Read a little-endian INT32 or INT64 value; other physical types cannot hold dates and times
+     * @private
+     */
+    static _readPhysicalInteger(bytes, physicalType) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (physicalType === 1) {return BigInt(view.getInt32(0, true));}
+        if (physicalType === 2) {return view.getBigInt64(0, true);}
+        throw new TypeError(`${this.getPhysicalTypeName(physicalType)} is not an integer type`);
+    }
+
+    /**
+     * Read an INT96 timestamp (nanoseconds of the day, then Julian day) as nanoseconds since the epoch
+     * @private
+     */
+    static _readInt96(view) {
+        const nanosOfDay = view.getBigInt64(0, true);
+        const day = BigInt(view.getInt32(8, true) - this.JULIAN_DAY_OF_EPOCH);
+        return day * 86400n * 1000000000n + nanosOfDay;
+    }
+
+    /**
+     * Decode an IEEE 754 half-precision float
+     * @private
+     */
+    static _readFloat16(bits) {
+        const sign = bits & 0x8000 ? -1 : 1;
+        const exponent = (bits >> 10) & 0x1f;
+        const fraction = bits & 0x3ff;
+
+        if (exponent === 0) {return sign * Math.pow(2, -14) * (fraction / 1024);}
+        if (exponent === 0x1f) {return fraction ? NaN : sign * Infinity;}
+        return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+    }
+
+    /**
+     * Place the decimal point of an unscaled decimal
+     * @private
+     */
+    static _formatDecimal(unscaled, scale) {
+        const negative = unscaled < 0n;
+        const digits = (negative ? -unscaled : unscaled).toString().padStart(scale + 1, '0');
+        const fraction = scale > 0 ? `.${digits.slice(-scale)}` : '';
+        return `${negative ? '-' : ''}${digits.slice(0, digits.length - scale)}${fraction}`;
+    }
+
+    /**
+     * Format a count of time units since midnight as HH:MM:SS[.fraction]
+     * @private
+     */
+    static _formatTime(value, unit) {
+        const digits = this.TIME_UNIT_DIGITS[unit] || 3;
+        const { seconds, fraction } = this._splitSeconds(value, digits);
+        return new Date(Number(seconds) * 1000).toISOString().slice(11, 19) + this._formatFraction(fraction, digits);
+    }
+
+    /**
+     * Format a count of time units since the epoch as an ISO 8601 date-time, with Z when adjusted to UTC
+     * @private
+     */
+    static _formatTimestamp(value, unit, utc) {
+        const digits = this.TIME_UNIT_DIGITS[unit] || 3;
+        const { seconds, fraction } = this._splitSeconds(value, digits);
+        // toISOString() throws for dates out of range, which sends the value to the fallback
+        const dateTime = new Date(Number(seconds) * 1000).toISOString().slice(0, -5);
+        return `${dateTime}${this._formatFraction(fraction, digits)}${utc ? 'Z' : ''}`;
+    }
+
+    /**
+     * Split a count of 10^-digits seconds into whole seconds and a non-negative remainder
+     * @private
+     */
+    static _splitSeconds(value, digits) {
+        const perSecond = 10n ** BigInt(digits);
+        const remainder = value % perSecond;
+        return remainder < 0n ?
+            { seconds: value / perSecond - 1n, fraction: remainder + perSecond } :
+            { seconds: value / perSecond, fraction: remainder };
+    }
+
+    /**
+     * Fractional seconds suffix, omitted when zero
+     * @private
+     */
+    static _formatFraction(fraction, digits) {
+        return fraction === 0n ? '' : `.${fraction.toString().padStart(digits, '0')}`;
+    }
+
+    /**
+     * Format 16 bytes as a hyphenated UUID
+     * @private
+     */
+    static _formatUuid(bytes) {
+        if (bytes.length !== 16) {throw new RangeError('UUID values are 16 bytes');}
+        const hex = this._toHex(bytes);
+        return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+    }
+
+    /**
+     * Lowercase hex digits of a byte array
+     * @private
+     */
+    static _toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
 }
 
 // Export for use in other modules
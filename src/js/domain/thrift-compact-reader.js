@@ -0,0 +1,234 @@
+/**
+ * Thrift Compact Protocol Reader
+ * Generic decoder for Thrift compact-encoded structs, as used by the Parquet footer and page headers
+ */
+class ThriftCompactReader {
+    /**
+     * Compact protocol wire types
+     */
+    static TYPES = {
+        STOP: 0,
+        BOOLEAN_TRUE: 1,
+        BOOLEAN_FALSE: 2,
+        BYTE: 3,
+        I16: 4,
+        I32: 5,
+        I64: 6,
+        DOUBLE: 7,
+        BINARY: 8,
+        LIST: 9,
+        SET: 10,
+        MAP: 11,
+        STRUCT: 12
+    };
+
+    /**
+     * @param {Uint8Array} buffer - Bytes to decode
+     * @param {number} [baseOffset=0] - Absolute file offset of buffer[0], used for struct offsets
+     */
+    constructor(buffer, baseOffset = 0) {
+        this.buffer = buffer;
+        this.baseOffset = baseOffset;
+        this.position = 0;
+        this.view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    }
+
+    /**
+     * Absolute file offset of the current read position
+     * @returns {number} File offset
+     */
+    get offset() {
+        return this.baseOffset + this.position;
+    }
+
+    /**
+     * Number of bytes left in the buffer
+     * @returns {number} Remaining byte count
+     */
+    get remaining() {
+        return this.buffer.length - this.position;
+    }
+
+    /**
+     * Read a single unsigned byte
+     * @returns {number} Byte value
+     */
+    readByte() {
+        if (this.position >= this.buffer.length) {
+            throw new Error(`Unexpected end of Thrift data at offset ${this.offset}`);
+        }
+        return this.buffer[this.position++];
+    }
+
+    /**
+     * Read an unsigned LEB128 varint
+     * Uses arithmetic rather than bitwise ops so 64-bit values stay exact up to 2^53
+     * @returns {number} Decoded value
+     */
+    readVarint() {
+        let result = 0;
+        let multiplier = 1;
+
+        for (let i = 0; i < 10; i++) {
+            const byte = this.readByte();
+            result += (byte & 0x7f) * multiplier;
+            if ((byte & 0x80) === 0) {
+                return result;
+            }
+            multiplier *= 128;
+        }
+
+        throw new Error(`Varint too long at offset ${this.offset}`);
+    }
+
+    /**
+     * Read a zigzag-encoded signed varint (i16, i32 and i64 all share this encoding)
+     * @returns {number} Decoded signed value
+     */
+    readZigZag() {
+        const value = this.readVarint();
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+
+    /**
+     * Read a little-endian IEEE 754 double
+     * @returns {number} Decoded value
+     */
+    readDouble() {
+        if (this.remaining < 8) {
+            throw new Error(`Unexpected end of Thrift data at offset ${this.offset}`);
+        }
+        const value = this.view.getFloat64(this.position, true);
+        this.position += 8;
+        return value;
+    }
+
+    /**
+     * Read length-prefixed binary data
+     * @returns {Uint8Array} Raw bytes
+     */
+    readBinary() {
+        const length = this.readVarint();
+        if (length > this.remaining) {
+            throw new Error(`Binary length ${length} exceeds available data at offset ${this.offset}`);
+        }
+        const bytes = this.buffer.subarray(this.position, this.position + length);
+        this.position += length;
+        return bytes;
+    }
+
+    /**
+     * Read a value of the given compact type
+     * @param {number} type - Compact wire type
+     * @returns {*} Decoded value (structs as {start, end, fields}, lists as arrays, binary as Uint8Array)
+     */
+    readValue(type) {
+        const TYPES = ThriftCompactReader.TYPES;
+
+        switch (type) {
+            case TYPES.BOOLEAN_TRUE:
+                return true;
+            case TYPES.BOOLEAN_FALSE:
+                return false;
+            case TYPES.BYTE: {
+                const byte = this.readByte();
+                return byte > 127 ? byte - 256 : byte;
+            }
+            case TYPES.I16:
+            case TYPES.I32:
+            case TYPES.I64:
+                return this.readZigZag();
+            case TYPES.DOUBLE:
+                return this.readDouble();
+            case TYPES.BINARY:
+                return this.readBinary();
+            case TYPES.LIST:
+            case TYPES.SET:
+                return this.readList();
+            case TYPES.MAP:
+                return this.readMap();
+            case TYPES.STRUCT:
+                return this.readStruct();
+            default:
+                throw new Error(`Unknown Thrift compact type ${type} at offset ${this.offset}`);
+        }
+    }
+
+    /**
+     * Read a list or set
+     * @returns {Array} Decoded elements
+     */
+    readList() {
+        const header = this.readByte();
+        let size = header >> 4;
+        const elementType = header & 0x0f;
+
+        if (size === 15) {
+            size = this.readVarint();
+        }
+
+        const items = [];
+        for (let i = 0; i < size; i++) {
+            if (elementType === ThriftCompactReader.TYPES.BOOLEAN_TRUE ||
+                elementType === ThriftCompactReader.TYPES.BOOLEAN_FALSE) {
+                // Booleans inside containers are written as a full byte
+                items.push(this.readByte() === ThriftCompactReader.TYPES.BOOLEAN_TRUE);
+            } else {
+                items.push(this.readValue(elementType));
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Read a map
+     * @returns {Array<Array>} Decoded [key, value] pairs
+     */
+    readMap() {
+        const size = this.readVarint();
+        if (size === 0) {
+            return [];
+        }
+
+        const types = this.readByte();
+        const keyType = types >> 4;
+        const valueType = types & 0x0f;
+
+        const entries = [];
+        for (let i = 0; i < size; i++) {
+            entries.push([this.readValue(keyType), this.readValue(valueType)]);
+        }
+        return entries;
+    }
+
+    /**
+     * Read a struct, recording the absolute byte range it occupies
+     * @returns {object} {start, end, fields} where fields maps field id to value
+     */
+    readStruct() {
+        const start = this.offset;
+        const fields = {};
+        let lastFieldId = 0;
+
+        for (;;) {
+            const header = this.readByte();
+            if (header === ThriftCompactReader.TYPES.STOP) {
+                break;
+            }
+
+            const delta = header >> 4;
+            const type = header & 0x0f;
+            const fieldId = delta === 0 ? this.readZigZag() : lastFieldId + delta;
+
+            fields[fieldId] = this.readValue(type);
+            lastFieldId = fieldId;
+        }
+
+        return { start, end: this.offset, fields };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThriftCompactReader;
+}
@@ -0,0 +1,115 @@
+/**
+ * Thrift Size Estimator
+ * Computes the compact protocol encoding size of footer structs from their decoded values
+ * Used to place fields that por-que records no offsets for; the results are estimates because
+ * a dump drops unknown fields and cannot tell how a writer ordered or encoded the ones it keeps
+ */
+class ThriftSizeEstimator {
+    /**
+     * Lay out the fields of a struct in field ID order
+     * @param {object[]} spec - Field definitions (see ParquetConstants.THRIFT_STRUCTS)
+     * @param {object} values - Decoded struct from the dump
+     * @returns {object} {fields, size}: fields are {id, name, value, offset, headerSize, size} with offsets
+     *                   relative to the struct start; field sizes include the header, struct size the stop byte
+     */
+    static layoutStruct(spec, values) {
+        const fields = [];
+        let offset = 0;
+        let lastFieldId = 0;
+
+        spec.forEach(field => {
+            const value = values?.[field.key || field.name];
+            if (value === null || value === undefined) {return;}
+
+            const headerSize = this.fieldHeaderSize(field.id, lastFieldId);
+            const size = headerSize + this.valueSize(field, value);
+            fields.push({ id: field.id, name: field.name, value, offset, headerSize, size });
+            offset += size;
+            lastFieldId = field.id;
+        });
+
+        return { fields, size: offset + 1 };
+    }
+
+    /**
+     * Encoded size of a value, excluding its field header
+     * @param {object} field - Field or list element definition
+     * @param {*} value - Decoded value
+     * @returns {number} Size in bytes
+     */
+    static valueSize(field, value) {
+        switch (field.type) {
+            case 'bool':
+                // Stored in the field header's type nibble
+                return 0;
+            case 'i32':
+            case 'i64':
+                return this.varintSize(this._zigzag(value));
+            case 'double':
+                return 8;
+            case 'string':
+                return this._binarySize(new TextEncoder().encode(String(value)).length);
+            case 'binary':
+                return this._binarySize(ParquetTypeResolver.decodeStatisticBytes(value).length);
+            case 'list':
+                return this.listHeaderSize(value.length) +
+                    value.reduce((sum, item) => sum + (field.element.type === 'bool' ? 1 : this.valueSize(field.element, item)), 0);
+            case 'struct':
+                return this.layoutStruct(field.fields || ParquetConstants.THRIFT_STRUCTS[field.struct], value).size;
+            default:
+                throw new Error(`Unknown Thrift field type '${field.type}'`);
+        }
+    }
+
+    /**
+     * Size of a field header: one byte for a small ID delta, otherwise a byte plus the zigzag field ID
+     */
+    static fieldHeaderSize(fieldId, lastFieldId) {
+        const delta = fieldId - lastFieldId;
+        return delta > 0 && delta <= 15 ? 1 : 1 + this.varintSize(this._zigzag(fieldId));
+    }
+
+    /**
+     * Size of a list header: the element count shares a byte with the type below 15 elements
+     */
+    static listHeaderSize(count) {
+        return count < 15 ? 1 : 1 + this.varintSize(count);
+    }
+
+    /**
+     * Size of an unsigned varint
+     */
+    static varintSize(value) {
+        let size = 1;
+        let remaining = Math.floor(value / 128);
+        while (remaining > 0) {
+            size++;
+            remaining = Math.floor(remaining / 128);
+        }
+        return size;
+    }
+
+    // Private helper methods
+
+    /**
+     * Zigzag-encode a signed integer (as a number, so values beyond 2^53 lose precision but not size)
+     * @private
+     */
+    static _zigzag(value) {
+        const number = Number(value);
+        return number >= 0 ? number * 2 : -number * 2 - 1;
+    }
+
+    /**
+     * Size of a length-prefixed binary or string
+     * @private
+     */
+    static _binarySize(length) {
+        return this.varintSize(length) + length;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThriftSizeEstimator;
+}
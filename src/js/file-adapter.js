@@ -137,6 +137,7 @@ class URLFileAdapter {
         this.size = null;
         this.cache = new Map();
         this.chunkSize = 64 * 1024; // 64KB chunks
+        this.abortController = new AbortController(); // Cancels requests still in flight on close()
     }
 
     /**
@@ -145,7 +146,8 @@ class URLFileAdapter {
     async initialize() {
         try {
             const response = await fetch(this.url, {
-                method: 'HEAD'
+                method: 'HEAD',
+                signal: this.abortController.signal
             });
 
             if (!response.ok) {
@@ -158,7 +160,8 @@ class URLFileAdapter {
             } else {
                 // Fallback: try a range request to get file size
                 const rangeResponse = await fetch(this.url, {
-                    headers: { 'Range': 'bytes=0-0' }
+                    headers: { 'Range': 'bytes=0-0' },
+                    signal: this.abortController.signal
                 });
 
                 const contentRange = rangeResponse.headers.get('content-range');
@@ -235,7 +238,8 @@ class URLFileAdapter {
             const response = await fetch(this.url, {
                 headers: {
                     'Range': `bytes=${chunkStart}-${Math.min(chunkEnd - 1, this.size - 1)}`
-                }
+                },
+                signal: this.abortController.signal
             });
 
             if (!response.ok && response.status !== 206) {
@@ -301,6 +305,7 @@ class URLFileAdapter {
     }
 
     close() {
+        this.abortController.abort();
         this.cache.clear();
     }
 
@@ -0,0 +1,349 @@
+/**
+ * File Library
+ * Persists recently opened files in IndexedDB so they can be reopened later
+ * Entry summaries and dump data live in separate stores so listing stays cheap
+ */
+class FileLibrary {
+    static DB_NAME = 'ParquetExplorerDB';
+    static DB_VERSION = 2;
+
+    // Start evicting least-recently-used entries once this share of the quota would be used
+    static QUOTA_THRESHOLD = 0.8;
+
+    /**
+     * List library entries, pinned first, then most recently opened
+     * @returns {Promise<object[]>} Entries {id, name, source, filesize, rowCount, storedSize, openedAt, pinned}
+     */
+    async list() {
+        const entries = await this._withStore('entries', 'readonly', store => store.getAll());
+        return entries.sort((a, b) => (b.pinned - a.pinned) || (b.openedAt - a.openedAt));
+    }
+
+    /**
+     * Add or update a file in the library and make it the current file
+     * Reopening the same URL, or the same unmodified local file, updates the existing entry
+     * @param {object} data - File data
+     * @param {string} source - File source (URL or local file name)
+     * @param {File} [file] - Local file the data was read from; its size and modification time
+     *                        keep files that share a name apart
+     * @returns {Promise<object>} Saved entry
+     */
+    async save(data, source, file = null) {
+        const entry = this._buildEntry(data, source, file);
+        const existing = await this._withStore('entries', 'readonly', store => store.get(entry.id));
+        if (existing) {
+            entry.name = existing.name;
+            entry.pinned = existing.pinned;
+        }
+
+        await this.evictForSpace(entry.storedSize - (existing?.storedSize || 0), entry.id);
+
+        try {
+            await this._putEntry(entry, data);
+        } catch (error) {
+            if (error?.name !== 'QuotaExceededError') {throw error;}
+
+            // The estimate was too optimistic; free space one entry at a time and retry
+            while (await this._evictOldest(entry.id)) {
+                try {
+                    await this._putEntry(entry, data);
+                    return entry;
+                } catch (retryError) {
+                    if (retryError?.name !== 'QuotaExceededError') {throw retryError;}
+                }
+            }
+            throw error;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Load the current file (the one last opened and not reset)
+     * @returns {Promise<object|null>} {entry, data} or null
+     */
+    async getCurrent() {
+        const current = await this._withStore('settings', 'readonly', store => store.get('current'));
+        return current ? this.load(current.value) : null;
+    }
+
+    /**
+     * Make an entry the current file without loading it
+     * @param {string} id - Entry ID
+     */
+    async setCurrent(id) {
+        await this._withStore('settings', 'readwrite', store => store.put({ key: 'current', value: id }));
+    }
+
+    /**
+     * Forget which file is current; the library itself is kept
+     */
+    async clearCurrent() {
+        await this._withStore('settings', 'readwrite', store => store.delete('current'));
+    }
+
+    /**
+     * Load an entry's data and mark it as most recently opened
+     * @param {string} id - Entry ID
+     * @returns {Promise<object|null>} {entry, data} or null if the entry no longer exists
+     */
+    async load(id) {
+        const entry = await this._withStore('entries', 'readonly', store => store.get(id));
+        const dump = await this._withStore('dumps', 'readonly', store => store.get(id));
+        if (!entry || !dump) {return null;}
+
+        entry.openedAt = Date.now();
+        await this._withStore('entries', 'readwrite', store => store.put(entry));
+        await this.setCurrent(id);
+
+        return { entry, data: dump.data };
+    }
+
+    /**
+     * Rename an entry (the display name only; the source is unchanged)
+     * @param {string} id - Entry ID
+     * @param {string} name - New display name
+     */
+    async rename(id, name) {
+        await this._updateEntry(id, entry => { entry.name = name; });
+    }
+
+    /**
+     * Pin or unpin an entry; pinned entries are never evicted
+     * @param {string} id - Entry ID
+     * @param {boolean} pinned - Pinned state
+     */
+    async setPinned(id, pinned) {
+        await this._updateEntry(id, entry => { entry.pinned = pinned; });
+    }
+
+    /**
+     * Delete an entry and its data
+     * @param {string} id - Entry ID
+     */
+    async remove(id) {
+        const db = await this._open();
+        try {
+            const transaction = db.transaction(['entries', 'dumps'], 'readwrite');
+            transaction.objectStore('entries').delete(id);
+            transaction.objectStore('dumps').delete(id);
+            await this._complete(transaction);
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Storage used by the library and by the origin overall
+     * @returns {Promise<object>} {libraryBytes, usage, quota} (usage/quota null when unsupported)
+     */
+    async getStorageUsage() {
+        const entries = await this.list();
+        const estimate = await this._estimateStorage();
+
+        return {
+            libraryBytes: entries.reduce((sum, entry) => sum + (entry.storedSize || 0), 0),
+            usage: estimate?.usage ?? null,
+            quota: estimate?.quota ?? null
+        };
+    }
+
+    /**
+     * Evict least-recently-used, unpinned entries until the additional bytes fit under the quota threshold
+     * The estimate is taken once: browsers may not update it right after a delete, so the freed bytes
+     * are counted from the stored sizes of the evicted entries instead
+     * @param {number} bytesNeeded - Bytes about to be written
+     * @param {string} [keepId] - Entry that must not be evicted
+     */
+    async evictForSpace(bytesNeeded, keepId = null) {
+        const estimate = await this._estimateStorage();
+        if (!estimate?.quota) {return;}
+
+        const excess = estimate.usage + bytesNeeded - estimate.quota * FileLibrary.QUOTA_THRESHOLD;
+        let freed = 0;
+        while (freed < excess) {
+            const evicted = await this._evictOldest(keepId);
+            if (!evicted) {return;}
+            freed += evicted.storedSize || 0;
+        }
+    }
+
+    // Private helper methods
+
+    /**
+     * Evict the least recently opened unpinned entry
+     * @private
+     * @returns {Promise<object|null>} The evicted entry, or null when nothing could be evicted
+     */
+    async _evictOldest(keepId) {
+        const candidates = (await this.list())
+            .filter(entry => !entry.pinned && entry.id !== keepId)
+            .sort((a, b) => a.openedAt - b.openedAt);
+
+        if (candidates.length === 0) {return null;}
+
+        console.log(`Evicting ${candidates[0].source} from the file library to free space`);
+        await this.remove(candidates[0].id);
+        return candidates[0];
+    }
+
+    /**
+     * Write an entry and its data in a single transaction
+     * @private
+     */
+    async _putEntry(entry, data) {
+        const db = await this._open();
+        try {
+            const transaction = db.transaction(['entries', 'dumps', 'settings'], 'readwrite');
+            transaction.objectStore('entries').put(entry);
+            transaction.objectStore('dumps').put({ id: entry.id, data: data });
+            transaction.objectStore('settings').put({ key: 'current', value: entry.id });
+            await this._complete(transaction);
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Summarize a file as a new library entry
+     * @private
+     */
+    _buildEntry(data, source, file = null) {
+        return {
+            id: file ? `${source}|${file.size}|${file.lastModified}` : source,
+            name: source.split(/[/\\]/).pop().split(/[?#]/)[0] || source,
+            source: source,
+            filesize: data.filesize || 0,
+            rowCount: (data.metadata?.row_groups || []).reduce((sum, rg) => sum + (rg.row_count || 0), 0),
+            storedSize: this._estimateSize(data),
+            openedAt: Date.now(),
+            pinned: false
+        };
+    }
+
+    /**
+     * Read-modify-write a single entry
+     * @private
+     */
+    async _updateEntry(id, update) {
+        const entry = await this._withStore('entries', 'readonly', store => store.get(id));
+        if (!entry) {return;}
+        update(entry);
+        await this._withStore('entries', 'readwrite', store => store.put(entry));
+    }
+
+    /**
+     * Run a single request against one object store
+     * @private
+     */
+    async _withStore(storeName, mode, callback) {
+        const db = await this._open();
+        try {
+            const store = db.transaction([storeName], mode).objectStore(storeName);
+            return await this._request(callback(store));
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Open the database, creating or upgrading the object stores
+     * Version 1 kept a single dump under 'current-file' in a 'files' store; it is moved into the library
+     * @private
+     */
+    _open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(FileLibrary.DB_NAME, FileLibrary.DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('File library database is open in another tab'));
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const transaction = request.transaction;
+
+                if (!db.objectStoreNames.contains('entries')) {
+                    db.createObjectStore('entries', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('dumps')) {
+                    db.createObjectStore('dumps', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings', { keyPath: 'key' });
+                }
+
+                if (event.oldVersion < 2 && db.objectStoreNames.contains('files')) {
+                    const getRequest = transaction.objectStore('files').get('current-file');
+                    getRequest.onsuccess = () => {
+                        const stored = getRequest.result;
+                        if (stored?.data && stored.source) {
+                            const entry = this._buildEntry(stored.data, stored.source);
+                            entry.openedAt = stored.timestamp || entry.openedAt;
+                            transaction.objectStore('entries').put(entry);
+                            transaction.objectStore('dumps').put({ id: stored.source, data: stored.data });
+                            transaction.objectStore('settings').put({ key: 'current', value: stored.source });
+                        }
+                        db.deleteObjectStore('files');
+                    };
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+        });
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @private
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Wait for a transaction to commit
+     * @private
+     */
+    _complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Origin storage estimate, if the browser supports it
+     * @private
+     */
+    async _estimateStorage() {
+        if (!navigator.storage?.estimate) {return null;}
+        try {
+            return await navigator.storage.estimate();
+        } catch (error) {
+            console.warn('Unable to estimate storage usage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Approximate stored size of a dump in bytes
+     * @private
+     */
+    _estimateSize(data) {
+        try {
+            return new Blob([JSON.stringify(data)]).size;
+        } catch (error) {
+            console.warn('Unable to measure dump size:', error);
+            return 0;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileLibrary;
+}
@@ -0,0 +1,28 @@
+/**
+ * Shared test inputs
+ */
+
+/**
+ * ARROW:schema value as written by apache-arrow's tableToIPC(): the IPC-framed Schema message of
+ *   id: int32 not null
+ *   name: utf8 (field metadata comment=display name)
+ *   tags: list<item: int64>
+ *   ts: timestamp[us, tz=UTC]
+ * with schema metadata origin=test
+ */
+export const ARROW_SCHEMA = '//////gBAAAQAAAAAAAKAA4ADAAHAAgACgAAAAAAAAEQAAAABAAKAAwAAAAIAAQACgAAAAgAAAAwAAAAAQAAAAQAAADM/v//CAAAABAAAAAEAAAAdGVzdAAAAAAGAAAAb3JpZ2luAAAEAAAAXAEAANgAAABIAAAABAAAAJT///8UAAAAAAAAARQAAAAAAAAKGAAAAAIAAAB0cwAAAAAAAAgADAAKAAQACAAAAAgAAAAAAAIAAwAAAFVUQwDU////FAAAAAAAAAEYAAAAAAAADGAAAAAEAAAAdGFncwAAAAABAAAAFAAAABAAGAAEAAsAEwAUAAAADAAQAAAAFAAAAAAAAAEYAAAAAAAAAhQAAAAEAAAAaXRlbQAAAAAAAAAAOP///wAAAAFAAAAABAAGAAQAAAAAABIAHAAIAA8AFwAYAAAAEAAEABIAAAAkAAAAFAAAAAAAAAFUAAAAAAAABVQAAAAEAAAAbmFtZQAAAAABAAAADAAAAAgADAAIAAQACAAAAAgAAAAYAAAADAAAAGRpc3BsYXkgbmFtZQAAAAAHAAAAY29tbWVudAAAAAAABAAEAAQAAAAQABQABAAAAA8AEAAAAAgAEAAAABAAAAAUAAAAAAAAAhgAAAACAAAAaWQAAAAAAAAIAAwACAAHAAgAAAAAAAABIAAAAAAAAAA=';
+
+/**
+ * The FlatBuffer inside ARROW_SCHEMA, without the continuation marker and length prefix
+ * @returns {Uint8Array} A fresh copy the caller may modify
+ */
+export function arrowSchemaMessage() {
+    return new Uint8Array(Buffer.from(ARROW_SCHEMA, 'base64').subarray(8));
+}
+
+/**
+ * Encode bytes as base64, the form key-value metadata stores binary values in
+ */
+export function toBase64(bytes) {
+    return Buffer.from(bytes).toString('base64');
+}
@@ -0,0 +1,26 @@
+/**
+ * Load the app's classic scripts into a fresh context, the way index.html shares them as globals
+ * The scripts only export through `module.exports` when it exists, which ES module tests lack
+ */
+import { atob, Blob, btoa } from 'buffer';
+import { readFileSync } from 'fs';
+import { URL } from 'url';
+import { TextDecoder, TextEncoder } from 'util';
+import vm from 'vm';
+
+/**
+ * @param {string[]} paths - Script paths below src/js, in index.html order
+ * @param {string[]} names - Top-level classes to return
+ * @param {object} [globals] - Extra globals the scripts expect from app.js, e.g. formatBytes
+ * @returns {object} The named classes
+ */
+export function loadScripts(paths, names, globals = {}) {
+    const context = vm.createContext({ atob, Blob, btoa, console, TextDecoder, TextEncoder, ...globals });
+
+    paths.forEach(path => {
+        const source = readFileSync(new URL(`../../src/js/${path}`, import.meta.url), 'utf8');
+        vm.runInContext(source, context, { filename: path });
+    });
+
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for FileLibrary
+ * IndexedDB is not available here, so storage is replaced on the instance under test
+ */
+import { loadScripts } from '../helpers/load-scripts.js';
+
+const { FileLibrary } = loadScripts(['file-library.js'], ['FileLibrary']);
+
+/**
+ * Library whose storage estimate never changes, the way browsers may report it right after deletes
+ */
+function createLibrary(entries, estimate) {
+    const library = new FileLibrary();
+    const stored = [...entries];
+    library.evicted = [];
+    library._estimateStorage = async () => estimate;
+    library._evictOldest = async () => {
+        const entry = stored.shift() || null;
+        if (entry) {library.evicted.push(entry.id);}
+        return entry;
+    };
+    return library;
+}
+
+describe('FileLibrary', () => {
+    describe('evictForSpace', () => {
+        const entries = [{ id: 'a', storedSize: 300 }, { id: 'b', storedSize: 300 }, { id: 'c', storedSize: 300 }];
+
+        test('should stop once the evicted entries free enough space, even if the estimate lags', async () => {
+            const library = createLibrary(entries, { usage: 700, quota: 1000 });
+            await library.evictForSpace(200);
+            // 700 + 200 exceeds 80% of the quota by 100 bytes; one 300-byte entry covers it
+            expect(library.evicted).toEqual(['a']);
+        });
+
+        test('should keep evicting until the freed bytes cover the excess', async () => {
+            const library = createLibrary(entries, { usage: 800, quota: 1000 });
+            await library.evictForSpace(400);
+            expect(library.evicted).toEqual(['a', 'b']);
+        });
+
+        test('should not evict when the write fits', async () => {
+            const library = createLibrary(entries, { usage: 100, quota: 1000 });
+            await library.evictForSpace(200);
+            expect(library.evicted).toEqual([]);
+        });
+
+        test('should not evict without a storage estimate', async () => {
+            const library = createLibrary(entries, null);
+            await library.evictForSpace(1e9);
+            expect(library.evicted).toEqual([]);
+        });
+    });
+
+    describe('entry IDs', () => {
+        const data = { filesize: 10, metadata: { row_groups: [] } };
+
+        test('should keep local files that share a name apart', () => {
+            const library = new FileLibrary();
+            const first = library._buildEntry(data, 'data.parquet', { size: 10, lastModified: 1 });
+            const second = library._buildEntry(data, 'data.parquet', { size: 10, lastModified: 2 });
+            expect(first.id).not.toBe(second.id);
+            expect(first.name).toBe('data.parquet');
+        });
+
+        test('should key remote files by URL', () => {
+            const library = new FileLibrary();
+            expect(library._buildEntry(data, 'https://example.com/data.parquet').id).toBe('https://example.com/data.parquet');
+        });
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for FileStructureAnalyzer
+ */
+import { loadScripts } from '../helpers/load-scripts.js';
+
+const { FileStructureAnalyzer } = loadScripts([
+    'domain/parquet-constants.js',
+    'domain/parquet-type-resolver.js',
+    'domain/parquet-segment.js',
+    'domain/thrift-size-estimator.js',
+    'business/segment-hierarchy-builder.js',
+    'components/file-structure-analyzer.js'
+], ['FileStructureAnalyzer'], { formatBytes: bytes => `${bytes} B` });
+
+/**
+ * Page loader that fails the first `failures` calls and counts every call
+ */
+function createPageLoader(failures = 0) {
+    const loader = async () => {
+        loader.calls++;
+        if (loader.calls <= failures) {
+            throw new Error('Network error');
+        }
+    };
+    loader.calls = 0;
+    return loader;
+}
+
+/**
+ * One row group with one column chunk whose page headers are not loaded yet
+ */
+function buildFileData() {
+    return {
+        filesize: 200,
+        metadata: {
+            row_groups: [{ row_count: 10, column_chunks: { id: { metadata: { type: 1, num_values: 10 } } } }]
+        },
+        column_chunks: [{ path_in_schema: 'id', start_offset: 4, total_byte_size: 100 }]
+    };
+}
+
+describe('FileStructureAnalyzer', () => {
+    describe('loadPages', () => {
+        test('should retry a chunk whose page headers failed to load', async () => {
+            const pageLoader = createPageLoader(1);
+            const analyzer = new FileStructureAnalyzer(buildFileData(), pageLoader);
+            const chunk = analyzer.findSegment('chunk_0_0');
+
+            await expect(analyzer.loadPages(chunk)).rejects.toThrow('Network error');
+            expect(analyzer.needsPages(chunk)).toBe(true);
+
+            await analyzer.loadPages(chunk);
+            expect(analyzer.needsPages(chunk)).toBe(false);
+            expect(pageLoader.calls).toBe(2);
+        });
+
+        test('should request each chunk only once while its load succeeds', async () => {
+            const pageLoader = createPageLoader();
+            const analyzer = new FileStructureAnalyzer(buildFileData(), pageLoader);
+            const chunk = analyzer.findSegment('chunk_0_0');
+
+            await Promise.all([analyzer.loadPages(chunk), analyzer.loadPages(chunk)]);
+            expect(pageLoader.calls).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for FlatbufferReader, using an Arrow IPC schema message as the FlatBuffer
+ */
+import { loadScripts } from '../helpers/load-scripts.js';
+import { arrowSchemaMessage } from '../helpers/fixtures.js';
+
+const { FlatbufferReader } = loadScripts(['domain/flatbuffer-reader.js'], ['FlatbufferReader']);
+
+// Field indexes of the Arrow Message, Schema and Field tables
+const MESSAGE = { HEADER_TYPE: 1, HEADER: 2, BODY_LENGTH: 3 };
+const SCHEMA = { ENDIANNESS: 0, FIELDS: 1, METADATA: 2 };
+const FIELD = { NAME: 0, NULLABLE: 1, TYPE_TYPE: 2, CHILDREN: 5 };
+
+/**
+ * Position of the first byte a vector or string field points at (its length prefix)
+ */
+function referencedPosition(buffer, position) {
+    return position + new DataView(buffer.buffer).getUint32(position, true);
+}
+
+describe('FlatbufferReader', () => {
+    let buffer;
+    let reader;
+    let schema;
+
+    beforeEach(() => {
+        buffer = arrowSchemaMessage();
+        reader = new FlatbufferReader(buffer);
+        schema = reader.readTable(reader.getRootTable(), MESSAGE.HEADER);
+    });
+
+    describe('scalar fields', () => {
+        test('should read a present field', () => {
+            expect(reader.readUint8(reader.getRootTable(), MESSAGE.HEADER_TYPE)).toBe(1);
+        });
+
+        test('should return the default for an absent field', () => {
+            expect(reader.readInt64(reader.getRootTable(), MESSAGE.BODY_LENGTH)).toBe(0);
+            expect(reader.readInt16(schema, SCHEMA.ENDIANNESS, 7)).toBe(7);
+        });
+
+        test('should return the default for an index past the end of the vtable', () => {
+            expect(reader.getFieldPosition(schema, 50)).toBeNull();
+            expect(reader.readInt32(schema, 50, -1)).toBe(-1);
+        });
+
+        test('should read booleans', () => {
+            const [id, name] = reader.readTableVector(schema, SCHEMA.FIELDS);
+            expect(reader.readBool(id, FIELD.NULLABLE)).toBe(false);
+            expect(reader.readBool(name, FIELD.NULLABLE)).toBe(true);
+        });
+    });
+
+    describe('strings, tables and vectors', () => {
+        test('should read a vector of tables', () => {
+            const fields = reader.readTableVector(schema, SCHEMA.FIELDS);
+            expect(fields.map(field => reader.readString(field, FIELD.NAME))).toEqual(['id', 'name', 'tags', 'ts']);
+        });
+
+        test('should read nested tables', () => {
+            const tags = reader.readTableVector(schema, SCHEMA.FIELDS)[2];
+            const [item] = reader.readTableVector(tags, FIELD.CHILDREN);
+            expect(reader.readString(item, FIELD.NAME)).toBe('item');
+        });
+
+        test('should return null or empty for absent references', () => {
+            const id = reader.readTableVector(schema, SCHEMA.FIELDS)[0];
+            expect(reader.readTableVector(id, FIELD.CHILDREN)).toEqual([]);
+            expect(reader.readInt32Vector(id, 7)).toEqual([]);
+            expect(reader.readString(schema, 3)).toBeNull();
+            expect(reader.readTable(schema, 3)).toBeNull();
+        });
+
+        test('should read a buffer that is a view into a larger one', () => {
+            const padded = new Uint8Array(buffer.length + 16);
+            padded.set(buffer, 16);
+            const offsetReader = new FlatbufferReader(padded.subarray(16));
+            const offsetSchema = offsetReader.readTable(offsetReader.getRootTable(), MESSAGE.HEADER);
+            expect(offsetReader.readTableVector(offsetSchema, SCHEMA.FIELDS)).toHaveLength(4);
+        });
+    });
+
+    describe('bounds checks', () => {
+        test('should reject a vector length past the end of the buffer', () => {
+            const vector = referencedPosition(buffer, reader.getFieldPosition(schema, SCHEMA.FIELDS));
+            new DataView(buffer.buffer).setUint32(vector, 0x7FFFFFFF, true);
+
+            expect(() => reader.readTableVector(schema, SCHEMA.FIELDS)).toThrow(/vector .* extends past the end/);
+        });
+
+        test('should reject a string length past the end of the buffer', () => {
+            const id = reader.readTableVector(schema, SCHEMA.FIELDS)[0];
+            const string = referencedPosition(buffer, reader.getFieldPosition(id, FIELD.NAME));
+            new DataView(buffer.buffer).setUint32(string, buffer.length, true);
+
+            expect(() => reader.readString(id, FIELD.NAME)).toThrow(/string .* extends past the end/);
+        });
+
+        test('should reject a vtable outside the buffer', () => {
+            new DataView(buffer.buffer).setInt32(schema, -buffer.length, true);
+
+            expect(() => reader.readTableVector(schema, SCHEMA.FIELDS)).toThrow(/vtable .* extends past the end/);
+        });
+
+        test('should reject a vtable size past the end of the buffer', () => {
+            const vtable = schema - new DataView(buffer.buffer).getInt32(schema, true);
+            new DataView(buffer.buffer).setUint16(vtable, 0xFFFF, true);
+
+            expect(() => reader.getFieldPosition(schema, SCHEMA.FIELDS)).toThrow(/vtable .* extends past the end/);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for KeyValueDecoder
+ */
+import { loadScripts } from '../helpers/load-scripts.js';
+import { ARROW_SCHEMA, arrowSchemaMessage, toBase64 } from '../helpers/fixtures.js';
+
+const { KeyValueDecoder } = loadScripts([
+    'domain/parquet-constants.js',
+    'domain/parquet-type-resolver.js',
+    'domain/flatbuffer-reader.js',
+    'business/key-value-decoder.js'
+], ['KeyValueDecoder']);
+
+/**
+ * Frame a FlatBuffer as an IPC message, with or without the continuation marker
+ */
+function frameIpcMessage(message, continuation = true) {
+    const prefix = continuation ? 8 : 4;
+    const framed = new Uint8Array(prefix + message.length);
+    const view = new DataView(framed.buffer);
+    if (continuation) {
+        view.setUint32(0, 0xFFFFFFFF, true);
+    }
+    view.setInt32(prefix - 4, message.length, true);
+    framed.set(message, prefix);
+    return framed;
+}
+
+describe('KeyValueDecoder', () => {
+    describe('decode', () => {
+        test('should return null for keys without a decoder', () => {
+            expect(KeyValueDecoder.decode('writer.note', 'anything')).toBeNull();
+        });
+
+        test('should return null for values that are not text', () => {
+            expect(KeyValueDecoder.decode('pandas', null)).toBeNull();
+        });
+
+        test('should report malformed values instead of throwing', () => {
+            const decoded = KeyValueDecoder.decode('pandas', '{not json');
+            expect(decoded.title).toBe('pandas');
+            expect(decoded.error).toEqual(expect.any(String));
+        });
+    });
+
+    describe('ARROW:schema', () => {
+        test('should decode the field tree with types and nullability', () => {
+            const decoded = KeyValueDecoder.decode('ARROW:schema', ARROW_SCHEMA);
+            const rows = decoded.tables[0].rows.map(row => [row.depth, ...row.cells]);
+
+            expect(decoded.title).toBe('Arrow Schema');
+            expect(rows).toEqual([
+                [0, 'id', 'int32', 'no', ''],
+                [0, 'name', 'utf8', 'yes', 'comment=display name'],
+                [0, 'tags', 'list', 'yes', ''],
+                [1, 'item', 'int64', 'yes', ''],
+                [0, 'ts', 'timestamp[us, tz=UTC]', 'yes', '']
+            ]);
+        });
+
+        test('should summarize the schema and its metadata', () => {
+            const decoded = KeyValueDecoder.decode('ARROW:schema', ARROW_SCHEMA);
+            expect(decoded.summary).toEqual([['Fields', '4'], ['Endianness', 'little'], ['origin', 'test']]);
+        });
+
+        test('should accept messages without the continuation marker', () => {
+            const legacy = toBase64(frameIpcMessage(arrowSchemaMessage(), false));
+            expect(KeyValueDecoder.decode('ARROW:schema', legacy).tables[0].rows).toHaveLength(5);
+        });
+
+        test('should report a truncated message', () => {
+            const truncated = toBase64(frameIpcMessage(arrowSchemaMessage()).subarray(0, 40));
+            expect(KeyValueDecoder.decode('ARROW:schema', truncated).error).toMatch(/Truncated Arrow IPC message/);
+        });
+
+        test('should report a corrupt vector length instead of allocating it', () => {
+            const message = arrowSchemaMessage();
+            const view = new DataView(message.buffer);
+            // Message.header -> Schema; Schema.fields is its second field
+            const root = view.getUint32(0, true);
+            const rootVtable = root - view.getInt32(root, true);
+            const headerField = root + view.getUint16(rootVtable + 8, true);
+            const schema = headerField + view.getUint32(headerField, true);
+            const schemaVtable = schema - view.getInt32(schema, true);
+            const fieldsField = schema + view.getUint16(schemaVtable + 6, true);
+            view.setUint32(fieldsField + view.getUint32(fieldsField, true), 0xFFFFFFFF, true);
+
+            const decoded = KeyValueDecoder.decode('ARROW:schema', toBase64(frameIpcMessage(message)));
+            expect(decoded.error).toMatch(/extends past the end/);
+        });
+    });
+
+    describe('pandas', () => {
+        test('should list the columns and describe a range index', () => {
+            const decoded = KeyValueDecoder.decode('pandas', JSON.stringify({
+                pandas_version: '2.2.0',
+                creator: { library: 'pyarrow', version: '17.0.0' },
+                index_columns: [{ kind: 'range', start: 0, stop: 3, step: 1, name: null }],
+                columns: [
+                    { name: 'price', field_name: 'price', pandas_type: 'float64', numpy_type: 'float64', metadata: null },
+                    { name: null, field_name: '__index_level_0__', pandas_type: 'int64', numpy_type: 'int64', metadata: null }
+                ]
+            }));
+
+            expect(decoded.summary).toEqual([
+                ['pandas Version', '2.2.0'],
+                ['Written By', 'pyarrow 17.0.0'],
+                ['Index', 'RangeIndex(0, 3, 1)']
+            ]);
+            expect(decoded.tables[0].rows.map(row => row.cells[0])).toEqual(['price', '(unnamed)']);
+        });
+
+        test('should mark stored index columns', () => {
+            const decoded = KeyValueDecoder.decode('pandas', JSON.stringify({
+                index_columns: ['date'],
+                columns: [{ name: 'date', field_name: 'date', pandas_type: 'datetime', numpy_type: 'datetime64[ns]' }]
+            }));
+
+            expect(decoded.tables[0].rows[0].cells[1]).toBe('date (index)');
+        });
+    });
+
+    describe('Spark schema', () => {
+        test('should indent the fields of nested structs', () => {
+            const decoded = KeyValueDecoder.decode('org.apache.spark.sql.parquet.row.metadata', JSON.stringify({
+                type: 'struct',
+                fields: [
+                    { name: 'id', type: 'long', nullable: false, metadata: {} },
+                    {
+                        name: 'events',
+                        type: {
+                            type: 'array',
+                            containsNull: true,
+                            elementType: { type: 'struct', fields: [{ name: 'at', type: 'timestamp', nullable: true, metadata: {} }] }
+                        },
+                        nullable: true,
+                        metadata: {}
+                    },
+                    { name: 'attrs', type: { type: 'map', keyType: 'string', valueType: 'long' }, nullable: true, metadata: {} }
+                ]
+            }));
+
+            expect(decoded.tables[0].rows.map(row => [row.depth, ...row.cells.slice(0, 3)])).toEqual([
+                [0, 'id', 'long', 'no'],
+                [0, 'events', 'array<struct>', 'yes'],
+                [1, 'at', 'timestamp', 'yes'],
+                [0, 'attrs', 'map<string,long>', 'yes']
+            ]);
+        });
+    });
+
+    describe('GeoParquet', () => {
+        test('should describe each geometry column', () => {
+            const decoded = KeyValueDecoder.decode('geo', JSON.stringify({
+                version: '1.1.0',
+                primary_column: 'geometry',
+                columns: {
+                    geometry: { encoding: 'WKB', geometry_types: ['Polygon'], bbox: [-74, 40.7, -73.9, 40.8] },
+                    footprint: {
+                        encoding: 'WKB',
+                        geometry_types: [],
+                        crs: { name: 'WGS 84 / Pseudo-Mercator', id: { authority: 'EPSG', code: 3857 } },
+                        edges: 'spherical'
+                    },
+                    unknown: { encoding: 'WKB', geometry_types: [], crs: null }
+                }
+            }));
+
+            expect(decoded.summary).toEqual([['Version', '1.1.0'], ['Primary Column', 'geometry'], ['Geometry Columns', '3']]);
+            expect(decoded.tables[0].rows.map(row => row.cells)).toEqual([
+                ['geometry', 'WKB', 'Polygon', 'OGC:CRS84 (default)', '[-74, 40.7, -73.9, 40.8]', 'planar'],
+                ['footprint', 'WKB', 'Any', 'WGS 84 / Pseudo-Mercator (EPSG:3857)', '', 'spherical'],
+                ['unknown', 'WKB', 'Any', 'Unknown (null)', '', 'planar']
+            ]);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for PredicateParser
+ */
+import { loadScripts } from '../helpers/load-scripts.js';
+
+const { PredicateParser } = loadScripts(['business/predicate-parser.js'], ['PredicateParser']);
+
+/**
+ * Comparison node the parser produces
+ */
+function compare(column, op, kind, value) {
+    return { type: 'compare', column, op, value: { kind, value } };
+}
+
+describe('PredicateParser', () => {
+    describe('parse', () => {
+        test('should parse a comparison, keeping numbers as written', () => {
+            expect(PredicateParser.parse('price >= 10.50')).toEqual(compare('price', '>=', 'number', '10.50'));
+        });
+
+        test('should parse negative numbers and exponents', () => {
+            expect(PredicateParser.parse('delta < -1.5e3')).toEqual(compare('delta', '<', 'number', '-1.5e3'));
+        });
+
+        test('should normalize == and <> to = and !=', () => {
+            expect(PredicateParser.parse('a == 1')).toEqual(compare('a', '=', 'number', '1'));
+            expect(PredicateParser.parse('a <> 1')).toEqual(compare('a', '!=', 'number', '1'));
+        });
+
+        test('should flip comparisons written with the literal first', () => {
+            expect(PredicateParser.parse('5 < col')).toEqual(compare('col', '>', 'number', '5'));
+            expect(PredicateParser.parse('\'x\' = name')).toEqual(compare('name', '=', 'string', 'x'));
+        });
+
+        test('should unescape doubled quotes in strings and quoted column names', () => {
+            expect(PredicateParser.parse('"say ""hi""" = \'it\'\'s\'')).toEqual(compare('say "hi"', '=', 'string', 'it\'s'));
+        });
+
+        test('should accept dotted column paths', () => {
+            expect(PredicateParser.parse('address.city = \'Oslo\'')).toEqual(compare('address.city', '=', 'string', 'Oslo'));
+        });
+
+        test('should parse boolean literals and keywords in any case', () => {
+            expect(PredicateParser.parse('active = True')).toEqual(compare('active', '=', 'boolean', true));
+            expect(PredicateParser.parse('deleted is not null')).toEqual({ type: 'null', column: 'deleted', negated: true });
+            expect(PredicateParser.parse('deleted IS NULL')).toEqual({ type: 'null', column: 'deleted', negated: false });
+        });
+
+        test('should bind AND tighter than OR', () => {
+            expect(PredicateParser.parse('a = 1 OR b = 2 AND c = 3')).toEqual({
+                type: 'or',
+                children: [
+                    compare('a', '=', 'number', '1'),
+                    { type: 'and', children: [compare('b', '=', 'number', '2'), compare('c', '=', 'number', '3')] }
+                ]
+            });
+        });
+
+        test('should group with parentheses', () => {
+            expect(PredicateParser.parse('(a = 1 OR b = 2) AND c = 3')).toEqual({
+                type: 'and',
+                children: [
+                    { type: 'or', children: [compare('a', '=', 'number', '1'), compare('b', '=', 'number', '2')] },
+                    compare('c', '=', 'number', '3')
+                ]
+            });
+        });
+
+        test('should reject an empty expression', () => {
+            expect(() => PredicateParser.parse('  ')).toThrow('Enter a predicate');
+        });
+
+        test('should report unexpected tokens with their position', () => {
+            expect(() => PredicateParser.parse('a = 1 b')).toThrow('Unexpected \'b\' at position 7');
+            expect(() => PredicateParser.parse('a # 1')).toThrow('Unexpected character \'#\' at position 3');
+        });
+
+        test('should report incomplete expressions', () => {
+            expect(() => PredicateParser.parse('(a = 1')).toThrow('Unexpected end of predicate');
+            expect(() => PredicateParser.parse('a =')).toThrow('Unexpected end of predicate');
+        });
+
+        test('should report malformed comparisons', () => {
+            expect(() => PredicateParser.parse('a 1')).toThrow('Expected a comparison operator');
+            expect(() => PredicateParser.parse('a = b')).toThrow('Expected a value');
+            expect(() => PredicateParser.parse('a = -x')).toThrow('Expected a number after \'-\'');
+            expect(() => PredicateParser.parse('1 = 2')).toThrow('Expected a column name');
+            expect(() => PredicateParser.parse('a IS 1')).toThrow('Expected NULL');
+        });
+    });
+
+    describe('getColumns', () => {
+        test('should list each column once in order of appearance', () => {
+            const tree = PredicateParser.parse('b = 1 AND (a = 2 OR b IS NULL) AND c > 0');
+            expect(PredicateParser.getColumns(tree)).toEqual(['b', 'a', 'c']);
+        });
+
+        test('should return the column of a single comparison', () => {
+            expect(PredicateParser.getColumns(PredicateParser.parse('x = 1'))).toEqual(['x']);
+        });
+    });
+});
@@ -0,0 +1,214 @@
+/**
+ * Unit tests for PushdownSimulator
+ */
+import { loadScripts } from '../helpers/load-scripts.js';
+import { toBase64 } from '../helpers/fixtures.js';
+
+const { PredicateParser, PushdownSimulator } = loadScripts([
+    'domain/parquet-constants.js',
+    'domain/parquet-type-resolver.js',
+    'domain/parquet-segment.js',
+    'business/predicate-parser.js',
+    'business/pushdown-simulator.js',
+    'business/segment-hierarchy-builder.js'
+], ['PredicateParser', 'PushdownSimulator']);
+
+/**
+ * Encode an INT32 statistics value
+ */
+function int32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setInt32(0, value, true);
+    return toBase64(bytes);
+}
+
+/**
+ * Row group metadata for an INT32 `id` column with the given range and a `name` column without statistics
+ */
+function rowGroup(rowCount, min, max) {
+    return {
+        row_count: rowCount,
+        column_chunks: {
+            id: {
+                metadata: {
+                    type: 1,
+                    num_values: rowCount,
+                    statistics: { min_value: int32(min), max_value: int32(max), null_count: 0 }
+                }
+            },
+            name: { metadata: { type: 6, num_values: rowCount, statistics: {} } }
+        }
+    };
+}
+
+/**
+ * Three row groups:
+ * 0 - ids 0 to 99 in two pages (0-40 and 60-99) with a page index
+ * 1 - ids 100 to 199 without a page index
+ * 2 - no rows, although its statistics cover 0 to 1000
+ */
+function buildFileData() {
+    return {
+        metadata: {
+            row_groups: [rowGroup(100, 0, 99), rowGroup(100, 100, 199), rowGroup(0, 0, 1000)]
+        },
+        column_chunks: [
+            {
+                path_in_schema: 'id',
+                start_offset: 4,
+                total_byte_size: 400,
+                offset_index: {
+                    page_locations: [
+                        { offset: 4, compressed_page_size: 200, first_row_index: 0 },
+                        { offset: 204, compressed_page_size: 200, first_row_index: 50 }
+                    ]
+                },
+                column_index: {
+                    null_pages: [false, false],
+                    min_values: [int32(0), int32(60)],
+                    max_values: [int32(40), int32(99)],
+                    null_counts: [0, 0]
+                }
+            },
+            { path_in_schema: 'name', start_offset: 404, total_byte_size: 100 },
+            { path_in_schema: 'id', start_offset: 504, total_byte_size: 400, data_pages: [{}, {}] },
+            { path_in_schema: 'name', start_offset: 904, total_byte_size: 100 },
+            { path_in_schema: 'id', start_offset: 1004, total_byte_size: 0 },
+            { path_in_schema: 'name', start_offset: 1004, total_byte_size: 0 }
+        ]
+    };
+}
+
+/**
+ * One row group with a single FIXED_LEN_BYTE_ARRAY column whose min and max are both `bytes`
+ */
+function buildFixedLengthFileData(bytes, schemaElement) {
+    const value = toBase64(bytes);
+    return {
+        metadata: {
+            row_groups: [{
+                row_count: 10,
+                column_chunks: {
+                    id: {
+                        metadata: {
+                            type: 7,
+                            num_values: 10,
+                            schema_element: schemaElement,
+                            statistics: { min_value: value, max_value: value, null_count: 0 }
+                        }
+                    }
+                }
+            }]
+        },
+        column_chunks: [{ path_in_schema: 'id', start_offset: 4, total_byte_size: 160 }]
+    };
+}
+
+/**
+ * Simulate an expression against the fixture file
+ */
+function simulate(expression, options) {
+    return PushdownSimulator.simulate(buildFileData(), PredicateParser.parse(expression), options);
+}
+
+/**
+ * Status and reason of each row group
+ */
+function reasons(result) {
+    return result.rowGroups.map(rowGroup => [rowGroup.status, rowGroup.reason]);
+}
+
+describe('PushdownSimulator', () => {
+    describe('row groups', () => {
+        test('should skip row groups whose statistics rule the predicate out', () => {
+            const result = simulate('id = 150');
+            expect(reasons(result)).toEqual([['skipped', 'statistics'], ['read', null], ['skipped', 'empty']]);
+            expect(result.totals.rowGroupsRead).toBe(1);
+        });
+
+        test('should report row groups without rows as empty, not as skipped by the page index', () => {
+            const result = simulate('id = 500');
+            expect(reasons(result)).toEqual([['skipped', 'statistics'], ['skipped', 'statistics'], ['skipped', 'empty']]);
+        });
+
+        test('should report row groups the page index rules out', () => {
+            const result = simulate('id = 50');
+            expect(reasons(result)[0]).toEqual(['skipped', 'page index']);
+            expect(result.segments.get('rowgroup_0')).toBe('skipped');
+        });
+
+        test('should use null counts for IS NULL', () => {
+            const result = simulate('id IS NULL');
+            expect(result.totals.rowGroupsRead).toBe(0);
+            expect(reasons(result)[0]).toEqual(['skipped', 'statistics']);
+        });
+
+        test('should read a row group when any branch of an OR may match', () => {
+            const result = simulate('id = 10 OR id = 150');
+            expect(result.rowGroups.map(rowGroup => rowGroup.status)).toEqual(['read', 'read', 'skipped']);
+        });
+    });
+
+    describe('pages and bytes', () => {
+        test('should read only the pages the page index cannot rule out', () => {
+            const result = simulate('id = 10', { projection: 'predicate' });
+            expect(result.segments.get('page_data_0_0_0')).toBe('read');
+            expect(result.segments.get('page_data_0_0_1')).toBe('skipped');
+            expect(result.totals).toMatchObject({ pages: 4, pagesRead: 1, bytes: 1000, bytesRead: 200, requests: 1 });
+        });
+
+        test('should read projected columns in the row groups it reads', () => {
+            const result = simulate('id = 10');
+            expect(result.segments.get('chunk_0_1')).toBe('read');
+            expect(result.totals).toMatchObject({ bytesRead: 300, requests: 2 });
+        });
+
+        test('should skip columns outside the predicate when only those are projected', () => {
+            const result = simulate('id = 10', { projection: 'predicate' });
+            expect(result.segments.get('chunk_0_1')).toBe('skipped');
+        });
+
+        test('should read whole chunks and explain why when there is no page index', () => {
+            const result = simulate('id = 150', { projection: 'predicate' });
+            expect(result.segments.get('page_data_1_0_0')).toBe('read');
+            expect(result.segments.get('page_data_1_0_1')).toBe('read');
+            expect(result.totals).toMatchObject({ bytesRead: 400, requests: 1 });
+            expect(result.notes).toEqual(['"id" has no column index and offset index loaded, so its pages cannot be skipped.']);
+        });
+
+        test('should merge adjacent byte ranges into one request', () => {
+            const result = simulate('id = 10 OR id = 70', { projection: 'predicate' });
+            expect(result.totals).toMatchObject({ pagesRead: 2, bytesRead: 400, requests: 1 });
+        });
+    });
+
+    describe('columns and values', () => {
+        test('should match column names case-insensitively', () => {
+            expect(simulate('ID = 150').totals.rowGroupsRead).toBe(1);
+        });
+
+        test('should reject unknown columns', () => {
+            expect(() => simulate('missing = 1')).toThrow('Unknown column "missing". Columns: id, name');
+        });
+
+        test('should compare UUID literals with the 16 bytes the statistics hold', () => {
+            const uuid = Uint8Array.from({ length: 16 }, (_, i) => i * 0x11);
+            const fileData = buildFixedLengthFileData(uuid, { logical_type: { logical_type: 14 } });
+            const simulateUuid = expression => PushdownSimulator.simulate(fileData, PredicateParser.parse(expression));
+
+            expect(reasons(simulateUuid('id = \'00112233-4455-6677-8899-aabbccddeeff\''))).toEqual([['read', null]]);
+            expect(reasons(simulateUuid('id > \'00112233-4455-6677-8899-aabbccddeeff\''))).toEqual([['skipped', 'statistics']]);
+            expect(() => simulateUuid('id = \'abc\'')).toThrow('"id" is a UUID column; \'abc\' is not a UUID');
+        });
+
+        test('should not prune fixed-length columns whose literals cannot be encoded', () => {
+            const fileData = buildFixedLengthFileData(new Uint8Array([1, 2, 3, 4]), null);
+            const result = PushdownSimulator.simulate(fileData, PredicateParser.parse('id = \'zzz\''));
+            expect(reasons(result)).toEqual([['read', null]]);
+        });
+
+        test('should reject values that do not fit the column type', () => {
+            expect(() => simulate('id = \'abc\'')).toThrow('"id" has physical type INT32; \'abc\' is not a number');
+        });
+    });
+});
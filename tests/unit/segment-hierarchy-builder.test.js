@@ -0,0 +1,90 @@
+/**
+ * Unit tests for SegmentHierarchyBuilder
+ */
+import { loadScripts } from '../helpers/load-scripts.js';
+
+const { SegmentHierarchyBuilder } = loadScripts([
+    'domain/parquet-constants.js',
+    'domain/parquet-type-resolver.js',
+    'domain/parquet-segment.js',
+    'domain/thrift-size-estimator.js',
+    'business/segment-hierarchy-builder.js'
+], ['SegmentHierarchyBuilder'], { formatBytes: bytes => `${bytes} B` });
+
+/**
+ * Two row groups of one column, each followed by its bloom filter, the way parquet-rs writes them:
+ * RG0 [4, 104), its bloom filter [104, 136), RG1 [136, 236), its bloom filter [236, 268),
+ * FileMetaData [268, 468), footer length [468, 472) and magic [472, 476)
+ */
+function buildFileData() {
+    const rowGroup = (bloomFilterOffset) => ({
+        row_count: 10,
+        column_chunks: {
+            id: { metadata: { type: 1, num_values: 10, bloom_filter_offset: bloomFilterOffset, bloom_filter_length: 32 } }
+        }
+    });
+
+    return {
+        filesize: 476,
+        metadata: {
+            start_offset: 268,
+            total_byte_size: 200,
+            row_groups: [rowGroup(104), rowGroup(236)]
+        },
+        column_chunks: [
+            { path_in_schema: 'id', start_offset: 4, total_byte_size: 100 },
+            { path_in_schema: 'id', start_offset: 136, total_byte_size: 100 }
+        ]
+    };
+}
+
+/**
+ * ID and byte range of each segment
+ */
+function ranges(segments) {
+    return segments.map(segment => [segment.id, segment.start, segment.end]);
+}
+
+describe('SegmentHierarchyBuilder', () => {
+    describe('bloom filters between row groups', () => {
+        test('should show bloom filters among the data pages at the row groups level', () => {
+            const segments = SegmentHierarchyBuilder.accountForBytes(
+                SegmentHierarchyBuilder.buildRowGroupSegments(buildFileData()), 'rowgroups'
+            );
+            expect(ranges(segments)).toEqual([
+                ['rowgroup_0', 4, 104],
+                ['bloom_filter_0_id', 104, 136],
+                ['rowgroup_1', 136, 236]
+            ]);
+        });
+
+        test('should only fold the bloom filters after the data pages into INDICES', () => {
+            const fileData = buildFileData();
+            const indices = SegmentHierarchyBuilder.buildMetadataStructureSegments(fileData)
+                .find(segment => segment.id === 'column_indices');
+
+            expect([indices.start, indices.end]).toEqual([236, 268]);
+            expect(ranges(SegmentHierarchyBuilder.buildColumnIndexSegments(fileData).column_indices)).toEqual([
+                ['bloom_filter_1_id', 236, 268]
+            ]);
+        });
+
+        test('should start METADATA at the first bloom filter after the data pages', () => {
+            const metadata = SegmentHierarchyBuilder.buildOverviewSegments(buildFileData())
+                .find(segment => segment.id === 'metadata');
+            expect([metadata.start, metadata.end]).toEqual([236, 468]);
+        });
+
+        test('should not treat bloom filters as row groups', () => {
+            const cache = SegmentHierarchyBuilder.buildAll(buildFileData());
+            expect(Object.keys(cache.columnchunks)).toEqual(['0', '1']);
+        });
+
+        test('should count every bloom filter once in the byte accounting', () => {
+            const accounting = SegmentHierarchyBuilder.getByteAccounting(buildFileData());
+            expect(accounting.overlappingBytes).toBe(0);
+            // Only the FileMetaData struct, whose fields the fixture leaves out, is unaccounted
+            expect(accounting.unaccountedBytes).toBe(200);
+        });
+    });
+});